@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview
+ * Entry point of the `testluy` command; see cli/index.js
+ */
+
+import { run } from '../cli/index.js';
+
+const controller = new AbortController();
+process.once('SIGINT', () => controller.abort());
+
+process.exitCode = await run(process.argv.slice(2), { signal: controller.signal });
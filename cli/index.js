@@ -0,0 +1,379 @@
+/**
+ * @fileoverview
+ * `testluy` command-line tool for operations and QA, built on TestluyPaymentSDK.
+ *
+ * Options are resolved like the SDK's own (see config.js): flags, then the TESTLUY_*
+ * environment variables, then the selected profile of the config file
+ * (`testluy.config.json` or `.testluyrc`), then the config file's top-level options:
+ *
+ * {
+ *   "clientId": "...", "secretKey": "...",
+ *   "profiles": { "staging": { "clientId": "...", "secretKey": "...", "baseUrl": "..." } }
+ * }
+ *
+ * The exit code tells scripts why a command failed; see EXIT_CODES.
+ *
+ * @example
+ * testluy validate --profile staging
+ * testluy pay 10.50 --callback https://shop.example.com/callback --back https://shop.example.com/cart --json
+ * testluy status trx-123 --watch --timeout 600
+ */
+
+import fs from 'fs';
+import { format as formatLogArgs, parseArgs } from 'util';
+import TestluyPaymentSDK from '../index-enhanced.js';
+import { loadConfig } from '../config.js';
+import SDKError from '../http/errors/SDKError.js';
+import { validatePaymentOptions, validateTransactionId } from '../validation.js';
+
+/**
+ * Process exit codes
+ * @enum {number}
+ */
+export const EXIT_CODES = {
+  OK: 0,
+  /** Any failure not listed below */
+  ERROR: 1,
+  /** Unknown command or option, missing argument or missing credentials */
+  USAGE: 2,
+  /** The API rejected the credentials */
+  AUTHENTICATION: 3,
+  /** The API rate limit was exceeded */
+  RATE_LIMITED: 4,
+  /** The request was blocked by Cloudflare */
+  CLOUDFLARE_BLOCKED: 5,
+  /** An argument failed validation */
+  VALIDATION: 6,
+  /** `status --watch` gave up before the payment completed */
+  TIMEOUT: 7,
+  /** Interrupted (Ctrl+C) */
+  INTERRUPTED: 130
+};
+
+/**
+ * Exit codes of SDK error codes
+ * @type {Object<string, number>}
+ */
+const ERROR_CODE_EXIT_CODES = {
+  USAGE_ERROR: EXIT_CODES.USAGE,
+  AUTHENTICATION_ERROR: EXIT_CODES.AUTHENTICATION,
+  RATE_LIMIT_EXCEEDED: EXIT_CODES.RATE_LIMITED,
+  CLOUDFLARE_BLOCKED: EXIT_CODES.CLOUDFLARE_BLOCKED,
+  VALIDATION_ERROR: EXIT_CODES.VALIDATION,
+  PAYMENT_TIMEOUT: EXIT_CODES.TIMEOUT,
+  TIMEOUT_ERROR: EXIT_CODES.TIMEOUT
+};
+
+
+const HELP = `Usage: testluy <command> [options]
+
+Commands:
+  validate                      Check the credentials against the API
+  pay <amount>                  Create a payment and print its URL and transaction ID
+      --callback <url>          Callback URL (required)
+      --back <url>              URL for the page's Back button
+      --currency <code>         USD or KHR
+      --order-id <id>           Your order reference
+      --description <text>      Payment description
+      --idempotency-key <key>   Reuse to avoid creating a second payment
+  status <transaction-id>       Show the status of a payment
+      --watch                   Wait until the payment completes
+      --interval <seconds>      First polling delay with --watch (default 2)
+      --timeout <seconds>       Give up after this long with --watch (default 300)
+  routing                       Show the endpoint routing information
+  doctor                        Validate the credentials and print a diagnostic report
+
+Options:
+  --client-id <id>              Client ID (or TESTLUY_CLIENT_ID)
+  --secret-key <key>            Secret key (or TESTLUY_SECRET_KEY)
+  --base-url <url>              API base URL (or TESTLUY_BASE_URL)
+  --profile <name>              Profile of the config file (or TESTLUY_PROFILE)
+  --config <path>               Config file (or TESTLUY_CONFIG_FILE, default ./testluy.config.json or ./.testluyrc)
+  --json                        Print machine-readable JSON
+  -h, --help                    Show this help
+  -v, --version                 Show the SDK version
+
+Exit codes: 0 ok, 1 error, 2 usage, 3 authentication, 4 rate limited,
+            5 blocked by Cloudflare, 6 validation, 7 timeout
+`;
+
+const OPTIONS = {
+  'client-id': { type: 'string' },
+  'secret-key': { type: 'string' },
+  'base-url': { type: 'string' },
+  profile: { type: 'string' },
+  config: { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  version: { type: 'boolean', short: 'v' },
+  callback: { type: 'string' },
+  back: { type: 'string' },
+  currency: { type: 'string' },
+  'order-id': { type: 'string' },
+  description: { type: 'string' },
+  'idempotency-key': { type: 'string' },
+  watch: { type: 'boolean' },
+  interval: { type: 'string' },
+  timeout: { type: 'string' }
+};
+
+/**
+ * Creates an error for invalid command-line usage
+ *
+ * @private
+ * @param {string} message - What is wrong
+ * @returns {SDKError} The error
+ */
+function usageError(message) {
+  return new SDKError(message, 'USAGE_ERROR');
+}
+
+/**
+ * Works out the error code and exit code of a failed command from the SDK error code
+ *
+ * @param {Error} error - The error
+ * @returns {{code: string, exitCode: number}} The error code and exit code
+ */
+export function classifyError(error) {
+  const { code } = error;
+  return {
+    code: typeof code === 'string' ? code : 'ERROR',
+    exitCode: ERROR_CODE_EXIT_CODES[code] || EXIT_CODES.ERROR
+  };
+}
+
+/**
+ * Resolves the SDK options from flags, environment variables and the config file
+ *
+ * @param {Object} values - Parsed flags
+ * @param {Object} env - Environment variables
+ * @returns {Object} The SDK options
+ * @throws {SDKError} USAGE_ERROR if the config file or profile cannot be used or credentials are missing
+ */
+export function resolveOptions(values, env) {
+  const flags = {
+    clientId: values['client-id'],
+    secretKey: values['secret-key'],
+    baseUrl: values['base-url'],
+    profile: values.profile,
+    configFile: values.config
+  };
+
+  try {
+    return loadConfig(flags, { env }).options;
+  } catch (error) {
+    const details = error.validationDetails || [];
+    if (details.some(detail => detail.type === 'any.required' && ['clientId', 'secretKey'].includes(detail.field))) {
+      throw usageError(
+        'Missing credentials: pass --client-id and --secret-key, set TESTLUY_CLIENT_ID and TESTLUY_SECRET_KEY, or add them to the config file.'
+      );
+    }
+    throw usageError(error.message);
+  }
+}
+
+/**
+ * Parses a number of seconds from a flag
+ *
+ * @private
+ * @param {string} value - Flag value
+ * @param {string} name - Flag name, for the error message
+ * @param {number} fallback - Value when the flag is not set
+ * @returns {number} Milliseconds
+ */
+function parseSeconds(value, name, fallback) {
+  if (value === undefined) {
+    return fallback * 1000;
+  }
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds <= 0) {
+    throw usageError(`--${name} must be a positive number of seconds`);
+  }
+  return seconds * 1000;
+}
+
+/**
+ * Formats a result as `label: value` lines for people
+ *
+ * @private
+ * @param {Object} result - Result to format
+ * @returns {string} The text
+ */
+function formatText(result) {
+  const width = Math.max(...Object.keys(result).map(key => key.length)) + 1;
+  return Object.entries(result)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => {
+      const text = value && typeof value === 'object'
+        ? JSON.stringify(value, null, 2).replace(/\n/g, `\n${' '.repeat(width + 1)}`)
+        : String(value);
+      return `${`${key}:`.padEnd(width)} ${text}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Commands, called with the SDK, the positional arguments, the parsed flags and `{ print, signal }`;
+ * each returns the result to print
+ * @type {Object<string, Function>}
+ */
+const COMMANDS = {
+  async validate(sdk) {
+    await sdk.validateCredentials();
+    return { valid: true };
+  },
+
+  async pay(sdk, [amount], values) {
+    if (amount === undefined) {
+      throw usageError('Usage: testluy pay <amount> --callback <url> [--back <url>]');
+    }
+    if (!values.callback) {
+      throw usageError('pay requires --callback <url>');
+    }
+
+    const options = {
+      amount,
+      callbackUrl: values.callback,
+      ...(values.back && { backUrl: values.back }),
+      ...(values.currency && { currency: values.currency }),
+      ...(values['order-id'] && { orderId: values['order-id'] }),
+      ...(values.description && { description: values.description }),
+      ...(values['idempotency-key'] && { idempotencyKey: values['idempotency-key'] })
+    };
+    validatePaymentOptions(options);
+
+    const { paymentUrl, transactionId } = await sdk.initiatePayment(options);
+    return { paymentUrl, transactionId };
+  },
+
+  async status(sdk, [transactionId], values, { print, signal }) {
+    if (transactionId === undefined) {
+      throw usageError('Usage: testluy status <transaction-id> [--watch]');
+    }
+    validateTransactionId(transactionId);
+
+    if (!values.watch) {
+      return sdk.getPaymentStatus(transactionId);
+    }
+
+    return sdk.waitForPaymentCompletion(transactionId, {
+      intervalMs: parseSeconds(values.interval, 'interval', 2),
+      timeoutMs: parseSeconds(values.timeout, 'timeout', 300),
+      signal,
+      onUpdate: payment => print(
+        { transactionId, status: payment.status, at: new Date().toISOString() },
+        () => `${new Date().toISOString()}  ${payment.status}`
+      )
+    });
+  },
+
+  async routing(sdk) {
+    return sdk.getRoutingInfo();
+  },
+
+  async doctor(sdk) {
+    let credentials;
+    try {
+      await sdk.validateCredentials();
+      credentials = { valid: true };
+    } catch (error) {
+      credentials = { valid: false, ...classifyError(error), error: error.message };
+    }
+
+    return {
+      credentials,
+      routing: sdk.getRoutingInfo(),
+      report: sdk.generateAdvancedDiagnosticReport()
+    };
+  }
+};
+
+/**
+ * Reads the SDK version from package.json
+ *
+ * @private
+ * @returns {string} The version
+ */
+function readVersion() {
+  const packageJson = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+  return packageJson.version;
+}
+
+/**
+ * Runs the CLI
+ *
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @param {Object} [io={}] - Process bindings (overridable for tests)
+ * @param {Object} [io.env=process.env] - Environment variables
+ * @param {{write: Function}} [io.stdout=process.stdout] - Output stream
+ * @param {{write: Function}} [io.stderr=process.stderr] - Error stream
+ * @param {AbortSignal} [io.signal] - Aborts `status --watch`
+ * @param {Function} [io.createSDK] - Creates the SDK from its options
+ * @returns {Promise<number>} The exit code
+ */
+export async function run(argv, io = {}) {
+  const {
+    env = process.env,
+    stdout = process.stdout,
+    stderr = process.stderr,
+    signal,
+    createSDK = options => new TestluyPaymentSDK(options)
+  } = io;
+
+  let values = {};
+  try {
+    const parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    values = parsed.values;
+    const [command, ...args] = parsed.positionals;
+
+    if (values.version) {
+      stdout.write(`${readVersion()}\n`);
+      return EXIT_CODES.OK;
+    }
+    if (values.help || !command) {
+      (values.help ? stdout : stderr).write(HELP);
+      return values.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+    }
+    if (!Object.hasOwn(COMMANDS, command)) {
+      throw usageError(`Unknown command "${command}". Run testluy --help for the list of commands.`);
+    }
+
+    // JSON mode prints one JSON document per line; text mode uses the formatter or `label: value` lines
+    const print = (result, format = formatText) => {
+      stdout.write(`${values.json ? JSON.stringify(result) : format(result)}\n`);
+    };
+
+    const options = resolveOptions(values, env);
+    const sdk = createSDK({
+      ...options,
+      loggingConfig: {
+        ...options.loggingConfig,
+        // SDK logs go to stderr so stdout only carries command output
+        transport: (level, logArgs) => stderr.write(`${formatLogArgs(...logArgs)}\n`),
+        // The doctor report needs the debug interceptor to collect metrics
+        ...(command === 'doctor' && { enableMetrics: true })
+      }
+    });
+    const result = await COMMANDS[command](sdk, args, values, { print, signal });
+    print(result);
+
+    return command === 'doctor' && !result.credentials.valid
+      ? result.credentials.exitCode
+      : EXIT_CODES.OK;
+  } catch (error) {
+    if (signal && signal.aborted) {
+      return EXIT_CODES.INTERRUPTED;
+    }
+
+    const { code, exitCode } = error.code && error.code.startsWith('ERR_PARSE_ARGS')
+      ? { code: 'USAGE_ERROR', exitCode: EXIT_CODES.USAGE }
+      : classifyError(error);
+
+    stderr.write(values.json
+      ? `${JSON.stringify({ error: { code, message: error.message, exitCode } })}\n`
+      : `testluy: ${error.message}\n`);
+    return exitCode;
+  }
+}
+
+export default run;
@@ -0,0 +1,55 @@
+import type {
+  InitiatePaymentOptions,
+  PaymentInitiationResult,
+  PaymentStatus,
+  ClientTokenResult
+} from '../index';
+
+export const DEFAULT_TOKEN_REFRESH_MARGIN_SECONDS: number;
+
+export interface TestluyPaymentClientOptions {
+  /** URL the payment routes are mounted at, e.g. '/api/testluy' */
+  baseUrl: string;
+
+  /** Fixed client token (not refreshed) */
+  token?: string;
+
+  /** Returns a client token, replacing the request to `POST {baseUrl}/token` */
+  getToken?: () =>
+    | string
+    | Pick<ClientTokenResult, 'token'> & Partial<ClientTokenResult>
+    | Promise<string | Pick<ClientTokenResult, 'token'> & Partial<ClientTokenResult>>;
+
+  /** Fetch implementation (default `globalThis.fetch`) */
+  fetch?: typeof fetch;
+
+  /** Headers added to every request, e.g. a CSRF token */
+  headers?: Record<string, string>;
+
+  /** Seconds before expiry at which a cached token is replaced (default 30) */
+  refreshMarginSeconds?: number;
+}
+
+/**
+ * Browser client for the payment routes mounted with `clientTokens`. Errors are the typed SDK
+ * errors the routes responded with, e.g. ClientTokenError for a rejected token
+ */
+export class TestluyPaymentClient {
+  constructor(options: TestluyPaymentClientOptions);
+
+  readonly baseUrl: string;
+
+  /** Returns a usable token, fetching a new one when none is cached or it is about to expire */
+  getToken(): Promise<string>;
+
+  /** Forgets the cached token */
+  clearToken(): void;
+
+  /** `POST {baseUrl}/payments` */
+  initiatePayment(options?: Partial<InitiatePaymentOptions> & Record<string, any>): Promise<PaymentInitiationResult>;
+
+  /** `GET {baseUrl}/payments/:id` */
+  getPaymentStatus(transactionId: string): Promise<PaymentStatus>;
+}
+
+export default TestluyPaymentClient;
@@ -0,0 +1,306 @@
+/**
+ * @fileoverview
+ * Browser client for the payment routes, authenticated with short-lived client tokens.
+ *
+ * The browser never holds the secret key. The merchant's server mounts the payment routes
+ * with `clientTokens` enabled (see integrations/routes.js); the client gets a token from
+ * `POST {baseUrl}/token`, sends it as `Authorization: Bearer <token>` and fetches a new one
+ * when it is about to expire or is rejected as expired. It only uses `fetch`, so it works in
+ * browsers and edge runtimes without the rest of the SDK.
+ *
+ * Import it from `testluy-payment-sdk/client`.
+ *
+ * @example
+ * import { TestluyPaymentClient } from 'testluy-payment-sdk/client';
+ *
+ * const client = new TestluyPaymentClient({ baseUrl: '/api/testluy' });
+ * const { paymentUrl } = await client.initiatePayment({ amount: 25, backUrl: location.href });
+ * location.assign(paymentUrl);
+ */
+
+import {
+  SDKError,
+  RateLimitError,
+  CloudflareError,
+  SignatureVerificationError,
+  PaymentStateError,
+  PaymentTimeoutError,
+  NetworkError,
+  ValidationError,
+  AuthenticationError,
+  ServerError,
+  ClientTokenError,
+  ClientTokenFailureReason
+} from '../http/errors/index.js';
+
+/**
+ * Seconds before expiry at which a cached token is replaced
+ * @type {number}
+ */
+export const DEFAULT_TOKEN_REFRESH_MARGIN_SECONDS = 30;
+
+/**
+ * Token rejections a new token can fix
+ * @type {string[]}
+ */
+const REFRESHABLE_REASONS = [
+  ClientTokenFailureReason.MISSING_TOKEN,
+  ClientTokenFailureReason.EXPIRED,
+  ClientTokenFailureReason.SIGNATURE_MISMATCH
+];
+
+/**
+ * Rebuilds typed SDK errors from the `{ error: { name, message, ... } }` bodies of the routes
+ * @type {Object<string, Function>}
+ */
+const ERROR_FACTORIES = {
+  ClientTokenError: (json) => new ClientTokenError(json.message, json),
+  ValidationError: (json) => new ValidationError(json.message, json.validationDetails || []),
+  RateLimitError: (json) => new RateLimitError(json.message, json),
+  CloudflareError: (json) => new CloudflareError(json.message, json),
+  SignatureVerificationError: (json) => new SignatureVerificationError(json.message, json),
+  PaymentStateError: (json) => new PaymentStateError(json.message, json),
+  PaymentTimeoutError: (json) => new PaymentTimeoutError(json.message, json),
+  NetworkError: (json) => new NetworkError(json.message, json),
+  AuthenticationError: (json) => new AuthenticationError(json.message),
+  ServerError: (json) => new ServerError(json.message)
+};
+
+/**
+ * Converts an error response of the payment routes into an SDK error
+ *
+ * @private
+ * @param {number} status - HTTP status code
+ * @param {*} body - Parsed response body
+ * @returns {SDKError} The typed error (an SDKError when the body names no known error)
+ */
+function toSDKError(status, body) {
+  const json = body && typeof body === 'object' && body.error && typeof body.error === 'object'
+    ? body.error
+    : { message: `Payment route responded with HTTP ${status}` };
+  const factory = ERROR_FACTORIES[json.name];
+  const error = factory
+    ? factory(json)
+    : new SDKError(json.message || `Payment route responded with HTTP ${status}`, json.code || 'PAYMENT_ROUTE_ERROR');
+
+  error.status = status;
+  error.statusCode = status;
+  error.responseData = body;
+  return error;
+}
+
+/**
+ * Browser client for the payment routes
+ *
+ * @class
+ */
+export class TestluyPaymentClient {
+  /**
+   * Creates a new client
+   *
+   * @param {Object} options - Client options
+   * @param {string} options.baseUrl - URL the payment routes are mounted at, e.g. '/api/testluy'
+   * @param {string} [options.token] - Fixed client token (not refreshed)
+   * @param {Function} [options.getToken] - `() => token | { token, expiresAt }`, replacing the
+   *   request to `POST {baseUrl}/token`
+   * @param {Function} [options.fetch=globalThis.fetch] - Fetch implementation
+   * @param {Object} [options.headers={}] - Headers added to every request (e.g. a CSRF token)
+   * @param {number} [options.refreshMarginSeconds=30] - Seconds before expiry at which a token is replaced
+   * @throws {ValidationError} If `baseUrl` is missing or no fetch implementation is available
+   */
+  constructor(options = {}) {
+    if (!options.baseUrl || typeof options.baseUrl !== 'string') {
+      throw new ValidationError('TestluyPaymentClient: "baseUrl" is required', [
+        { field: 'baseUrl', message: '"baseUrl" is required' }
+      ]);
+    }
+
+    const fetchImplementation = options.fetch || (typeof fetch === 'function' ? fetch : undefined);
+    if (typeof fetchImplementation !== 'function') {
+      throw new ValidationError('TestluyPaymentClient: "fetch" is not available; pass a fetch implementation', [
+        { field: 'fetch', message: '"fetch" must be a function' }
+      ]);
+    }
+
+    this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+    this.headers = options.headers || {};
+    this.refreshMarginSeconds = options.refreshMarginSeconds !== undefined
+      ? options.refreshMarginSeconds
+      : DEFAULT_TOKEN_REFRESH_MARGIN_SECONDS;
+    // Called unbound: browsers reject `fetch` called on another object
+    this.fetch = (...args) => fetchImplementation(...args);
+    this.fixedToken = options.token;
+    this.tokenProvider = options.getToken || (() => this._requestToken());
+
+    this.cachedToken = null;
+    this.pendingToken = null;
+  }
+
+  /**
+   * Returns a usable client token, fetching a new one when none is cached or it is about to expire
+   *
+   * Concurrent calls share one token request.
+   *
+   * @async
+   * @returns {Promise<string>} The client token
+   * @throws {SDKError} If the token request fails (e.g. 403 when the server refuses a token)
+   */
+  async getToken() {
+    if (this.fixedToken) {
+      return this.fixedToken;
+    }
+
+    const cached = this.cachedToken;
+    if (cached && (cached.expiresAt === undefined || cached.expiresAt - this.refreshMarginSeconds * 1000 > Date.now())) {
+      return cached.token;
+    }
+
+    if (!this.pendingToken) {
+      this.pendingToken = Promise.resolve()
+        .then(() => this.tokenProvider())
+        .then(result => {
+          const token = typeof result === 'string' ? result : result && result.token;
+          if (!token) {
+            throw new ClientTokenError('getToken did not return a client token', {
+              reason: ClientTokenFailureReason.MISSING_TOKEN
+            });
+          }
+          const expiresAt = result.expiresAt ? Date.parse(result.expiresAt) : undefined;
+          this.cachedToken = { token, expiresAt: Number.isNaN(expiresAt) ? undefined : expiresAt };
+          return token;
+        })
+        .finally(() => {
+          this.pendingToken = null;
+        });
+    }
+    return this.pendingToken;
+  }
+
+  /**
+   * Forgets the cached token, so the next request fetches a new one
+   */
+  clearToken() {
+    this.cachedToken = null;
+  }
+
+  /**
+   * Initiates a payment through `POST {baseUrl}/payments`
+   *
+   * @async
+   * @param {Object} options - Payment options (see `sdk.initiatePayment`); the server may replace
+   *   them, e.g. with the amount of the order
+   * @returns {Promise<Object>} The `initiatePayment` result, e.g. `{ paymentUrl, transactionId }`
+   * @throws {ClientTokenError} If the token is rejected or doesn't allow the payment
+   * @throws {SDKError} The typed error the server responded with
+   */
+  async initiatePayment(options = {}) {
+    return this._send('POST', '/payments', options);
+  }
+
+  /**
+   * Gets the status of a payment through `GET {baseUrl}/payments/:id`
+   *
+   * @async
+   * @param {string} transactionId - Transaction ID
+   * @returns {Promise<Object>} The payment status
+   * @throws {ValidationError} If the transaction ID is missing
+   * @throws {SDKError} The typed error the server responded with
+   */
+  async getPaymentStatus(transactionId) {
+    if (!transactionId || typeof transactionId !== 'string') {
+      throw new ValidationError('"transactionId" is required', [
+        { field: 'transactionId', message: '"transactionId" is required' }
+      ]);
+    }
+    return this._send('GET', `/payments/${encodeURIComponent(transactionId)}`);
+  }
+
+  /**
+   * Requests a token from the token route
+   *
+   * @private
+   * @returns {Promise<{token: string, expiresAt: string}>} The token response
+   */
+  async _requestToken() {
+    return this._fetchJson('POST', '/token', { headers: {} });
+  }
+
+  /**
+   * Sends an authenticated request, retrying once with a new token when the token was rejected
+   * as missing, expired or no longer valid
+   *
+   * @private
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the base URL
+   * @param {Object} [body] - JSON body
+   * @returns {Promise<Object>} The response body
+   */
+  async _send(method, path, body) {
+    const attempt = async () => this._fetchJson(method, path, {
+      headers: { Authorization: `Bearer ${await this.getToken()}` },
+      body
+    });
+
+    try {
+      return await attempt();
+    } catch (error) {
+      if (
+        this.fixedToken ||
+        !(error instanceof ClientTokenError) ||
+        !REFRESHABLE_REASONS.includes(error.reason)
+      ) {
+        throw error;
+      }
+      this.clearToken();
+      return attempt();
+    }
+  }
+
+  /**
+   * Sends a request and parses the JSON response
+   *
+   * @private
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the base URL
+   * @param {Object} request - Request parts
+   * @param {Object} request.headers - Request headers
+   * @param {Object} [request.body] - JSON body
+   * @returns {Promise<Object>} The response body
+   * @throws {NetworkError} If the request could not be sent
+   * @throws {SDKError} The typed error of an error response
+   */
+  async _fetchJson(method, path, { headers, body }) {
+    let response;
+    try {
+      response = await this.fetch(`${this.baseUrl}${path}`, {
+        method,
+        headers: {
+          Accept: 'application/json',
+          ...(body !== undefined && { 'Content-Type': 'application/json' }),
+          ...this.headers,
+          ...headers
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        // Lets the token route recognize the customer's session
+        credentials: 'same-origin'
+      });
+    } catch (error) {
+      throw new NetworkError(`Request to ${this.baseUrl}${path} failed: ${error.message}`, {}, {}, error);
+    }
+
+    const text = await response.text();
+    let data;
+    try {
+      data = text ? JSON.parse(text) : {};
+    } catch (error) {
+      data = text;
+    }
+
+    if (!response.ok) {
+      throw toSDKError(response.status, data);
+    }
+    return data;
+  }
+}
+
+export default TestluyPaymentClient;
@@ -1,8 +1,78 @@
+/**
+ * SDK configuration.
+ *
+ * `loadConfig` resolves the SDK options in layers, each one overriding the ones below:
+ *
+ * 1. the options passed to the constructor;
+ * 2. the `TESTLUY_*` environment variables (see `ENVIRONMENT_VARIABLES`);
+ * 3. the selected profile of the config file;
+ * 4. the top-level options of the config file, shared by all profiles.
+ *
+ * The config file is `testluy.config.json` or `.testluyrc` in the working directory (or
+ * `configFile`/`TESTLUY_CONFIG_FILE`), a JSON object whose `profiles` hold named option sets:
+ *
+ *   { "baseUrl": "...", "profiles": { "sandbox": { ... }, "staging": { ... }, "ci": { ... } } }
+ *
+ * Every layer is validated with `configLayerSchema`, the merged options with `sdkOptionsSchema`.
+ * Config files are only read in Node.js.
+ */
+
+import { ValidationError } from "./http/errors/index.js";
+import { maskSensitiveData } from "./http/Logger.js";
+import {
+  configLayerSchema,
+  validateSdkOptions,
+  validateWithSchema,
+} from "./validation.js";
+
+const isNode =
+  typeof process !== "undefined" && Boolean(process.versions && process.versions.node);
+
+/**
+ * Returns the Node.js modules used to read config files. They are looked up on first use,
+ * so browser bundles don't need them and this module has no top-level await
+ *
+ * @private
+ * @returns {{fs: Object, path: Object}|null} The `fs` and `path` modules, or null outside Node.js
+ */
+function getNodeModules() {
+  if (!isNode || typeof process.getBuiltinModule !== "function") {
+    return null;
+  }
+  return { fs: process.getBuiltinModule("fs"), path: process.getBuiltinModule("path") };
+}
+
 const defaultConfig = {
   // Default to api-testluy.paragoniu.app as the standard base URL
   baseUrl: process.env.TESTLUY_BASE_URL || "https://api-testluy.paragoniu.app",
 };
 
+/**
+ * Config file names looked up in the working directory, in order
+ */
+export const CONFIG_FILE_NAMES = ["testluy.config.json", ".testluyrc"];
+
+/**
+ * Environment variables and the options they set. Values are converted by the schema,
+ * e.g. "3" to 3 and "false" to false.
+ */
+export const ENVIRONMENT_VARIABLES = {
+  TESTLUY_CLIENT_ID: "clientId",
+  TESTLUY_SECRET_KEY: "secretKey",
+  TESTLUY_BASE_URL: "baseUrl",
+  TESTLUY_BYPASS_URL: "bypassUrl",
+  TESTLUY_MAX_RETRIES: "retryConfig.maxRetries",
+  TESTLUY_BASE_DELAY: "retryConfig.baseDelay",
+  TESTLUY_MAX_DELAY: "retryConfig.maxDelay",
+  TESTLUY_BACKOFF_FACTOR: "retryConfig.backoffFactor",
+  TESTLUY_JITTER_FACTOR: "retryConfig.jitterFactor",
+  TESTLUY_LOG_LEVEL: "loggingConfig.level",
+  TESTLUY_LOG_INCLUDE_HEADERS: "loggingConfig.includeHeaders",
+  TESTLUY_LOG_INCLUDE_BODY: "loggingConfig.includeBody",
+  TESTLUY_LOG_MASK_SENSITIVE: "loggingConfig.maskSensitive",
+  TESTLUY_SMART_ROUTING: "enableSmartRouting",
+};
+
 export const getConfig = (options = {}) => {
   const clientId = options.clientId; // Get from options, no default from process.env in config
   const secretKey = options.secretKey; // Get from options, no default from process.env in config
@@ -14,3 +84,220 @@ export const getConfig = (options = {}) => {
     baseUrl,
   };
 };
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Validates one configuration layer, naming its source in the error message
+ *
+ * @private
+ * @param {Object} layer - Options of the layer
+ * @param {string} source - Description of the layer, e.g. 'environment variables'
+ * @returns {Object} The layer with converted values
+ * @throws {ValidationError} If an option is invalid
+ */
+function validateLayer(layer, source) {
+  try {
+    return validateWithSchema(configLayerSchema, layer);
+  } catch (error) {
+    throw error.withContext(`Invalid configuration in ${source}`);
+  }
+}
+
+/**
+ * Reads the options set by `TESTLUY_*` environment variables
+ *
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Object} The validated options (empty variables are ignored)
+ * @throws {ValidationError} If a variable has an invalid value
+ */
+export function getEnvironmentOptions(env = isNode ? process.env : {}) {
+  const options = {};
+
+  for (const [variable, option] of Object.entries(ENVIRONMENT_VARIABLES)) {
+    const value = env[variable];
+    if (value === undefined || value === "") {
+      continue;
+    }
+
+    const [key, nestedKey] = option.split(".");
+    if (nestedKey) {
+      options[key] = { ...options[key], [nestedKey]: value };
+    } else {
+      options[key] = value;
+    }
+  }
+
+  return validateLayer(options, "TESTLUY_* environment variables");
+}
+
+/**
+ * Finds and reads the config file
+ *
+ * @param {Object} [options={}] - Lookup options
+ * @param {string|false} [options.configFile] - Path of the file, or false to skip the file
+ * @param {string} [options.cwd=process.cwd()] - Directory searched for `CONFIG_FILE_NAMES`
+ * @returns {{path: string, config: Object}|null} The file path and its parsed contents, or null
+ *   if no file was found
+ * @throws {ValidationError} If the file cannot be read or is not a JSON object
+ */
+export function readConfigFile({ configFile, cwd } = {}) {
+  if (configFile === false) {
+    return null;
+  }
+  const nodeModules = getNodeModules();
+  if (!nodeModules) {
+    if (configFile) {
+      throw new ValidationError("Config files can only be loaded in Node.js");
+    }
+    return null;
+  }
+  const { fs, path } = nodeModules;
+
+  const directory = cwd || process.cwd();
+  const file = configFile
+    ? path.resolve(directory, configFile)
+    : CONFIG_FILE_NAMES.map((name) => path.join(directory, name)).find((candidate) =>
+        fs.existsSync(candidate)
+      );
+  if (!file) {
+    return null;
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new ValidationError(
+      `Cannot read config file ${file}: ${error.message}`,
+      [],
+      { path: file },
+      error
+    );
+  }
+  if (!isPlainObject(config) || (config.profiles !== undefined && !isPlainObject(config.profiles))) {
+    throw new ValidationError(
+      `Config file ${file} must hold a JSON object with an optional "profiles" object`,
+      [],
+      { path: file }
+    );
+  }
+
+  return { path: file, config };
+}
+
+/**
+ * Merges a layer over the options below it; plain nested objects (retryConfig,
+ * loggingConfig, ...) are merged one level deep
+ *
+ * @private
+ * @param {Object} target - Options so far, updated in place
+ * @param {Object} sources - Source of each option so far, updated in place
+ * @param {Object} layer - Options of the layer
+ * @param {string} source - Name of the layer
+ */
+function mergeLayer(target, sources, layer, source) {
+  for (const [key, value] of Object.entries(layer)) {
+    if (value === undefined) {
+      continue;
+    }
+    target[key] =
+      isPlainObject(value) && isPlainObject(target[key])
+        ? { ...target[key], ...value }
+        : value;
+    sources[key] = source;
+  }
+}
+
+/**
+ * Resolves the SDK options from the constructor options, the environment and the config file
+ *
+ * The profile is `options.profile`, else `TESTLUY_PROFILE`. A profile given as an option must
+ * exist; one from the environment is skipped when there is no config file.
+ *
+ * @param {Object} [options={}] - Options passed to the SDK constructor
+ * @param {string} [options.profile] - Profile of the config file to use
+ * @param {string|false} [options.configFile] - Config file path, or false to ignore config files
+ * @param {Object} [context={}] - Where to read from (for tests and tools)
+ * @param {Object} [context.env=process.env] - Environment variables
+ * @param {string} [context.cwd=process.cwd()] - Directory searched for the config file
+ * @returns {{options: Object, sources: Object<string, string>, profile: (string|undefined), configFile: (string|undefined)}}
+ *   The merged options, the layer each option came from ('file', 'profile', 'env' or 'options'),
+ *   and the profile and config file used
+ * @throws {ValidationError} If a layer or the merged options are invalid, or the profile doesn't exist
+ */
+export function loadConfig(options = {}, { env = isNode ? process.env : {}, cwd } = {}) {
+  // Reports options that aren't an object with the usual message
+  if (options === null || typeof options !== "object") {
+    validateSdkOptions(options);
+  }
+
+  const profile = options.profile || env.TESTLUY_PROFILE || undefined;
+  const file = readConfigFile({
+    configFile: options.configFile !== undefined ? options.configFile : env.TESTLUY_CONFIG_FILE,
+    cwd,
+  });
+  if (!file && options.profile) {
+    throw new ValidationError(
+      `Profile "${profile}" needs a config file (${CONFIG_FILE_NAMES.join(" or ")}), but none was found`
+    );
+  }
+
+  const resolved = {};
+  const sources = {};
+
+  if (file) {
+    const { profiles = {}, ...shared } = file.config;
+    mergeLayer(resolved, sources, validateLayer(shared, file.path), "file");
+
+    if (profile) {
+      if (!isPlainObject(profiles[profile])) {
+        const available = Object.keys(profiles);
+        throw new ValidationError(
+          `Profile "${profile}" not found in ${file.path}` +
+            (available.length ? ` (available: ${available.join(", ")})` : "")
+        );
+      }
+      mergeLayer(
+        resolved,
+        sources,
+        validateLayer(profiles[profile], `${file.path} (profile "${profile}")`),
+        "profile"
+      );
+    }
+  }
+
+  mergeLayer(resolved, sources, getEnvironmentOptions(env), "env");
+  mergeLayer(resolved, sources, options, "options");
+  validateSdkOptions(resolved);
+
+  return {
+    options: resolved,
+    sources,
+    profile: file ? profile : undefined,
+    configFile: file ? file.path : undefined,
+  };
+}
+
+/**
+ * Returns a copy of resolved options that is safe to log: secret keys, tokens and
+ * authorization headers are masked and functions are left out
+ *
+ * @param {Object} options - Resolved SDK options
+ * @returns {Object} The masked options
+ */
+export function maskConfig(options) {
+  const masked = maskSensitiveData(
+    Object.fromEntries(
+      Object.entries(options).filter(([, value]) => typeof value !== "function")
+    )
+  );
+  // A signer is shown by its class only
+  if (options.signer) {
+    masked.signer = `[${options.signer.constructor?.name || "Object"}]`;
+  }
+  return masked;
+}
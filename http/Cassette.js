@@ -0,0 +1,315 @@
+/**
+ * Cassette - Records HTTP request/response pairs to JSON files and replays them
+ *
+ * A cassette wraps an HTTP client adapter (NodeAdapter, FetchAdapter or XhrAdapter),
+ * so tests can run against responses recorded from the real API without network access.
+ *
+ * Requests are matched on method, path (with sorted query) and canonical JSON body.
+ * Headers are not matched, so the per-request `X-Timestamp`, `X-Nonce` and `X-Signature`
+ * don't prevent a match. Everything written to disk is scrubbed with the Logger masking rules
+ * first; matching compares scrubbed values on both sides.
+ */
+
+import { maskSensitiveData, DEFAULT_SENSITIVE_KEYS } from './Logger.js';
+import SDKError from './errors/SDKError.js';
+
+/**
+ * Cassette modes
+ * @enum {string}
+ */
+export const CassetteMode = {
+  /** Send every request and overwrite the cassette with this run's interactions */
+  RECORD: 'record',
+  /** Serve every request from the cassette; unmatched requests fail */
+  REPLAY: 'replay',
+  /** Serve matched requests from the cassette and record the others */
+  AUTO: 'auto'
+};
+
+/**
+ * Version of the cassette file format
+ * @type {number}
+ */
+const CASSETTE_FORMAT_VERSION = 1;
+
+/**
+ * Request headers left out of cassettes: they change on every request
+ * @type {string[]}
+ */
+const VOLATILE_HEADERS = ['x-timestamp', 'x-nonce', 'x-signature'];
+
+/**
+ * Sorts object keys recursively so equal objects serialize identically
+ *
+ * @private
+ * @param {*} value - Value to sort
+ * @returns {*} The value with sorted keys
+ */
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value)
+      .sort()
+      .reduce((sorted, key) => {
+        sorted[key] = sortKeys(value[key]);
+        return sorted;
+      }, {});
+  }
+  return value;
+}
+
+/**
+ * Cassette class for recording and replaying HTTP interactions
+ *
+ * @class
+ */
+class Cassette {
+  /**
+   * Creates a new Cassette instance
+   *
+   * @param {Object} options - Cassette options
+   * @param {string} options.path - Path of the JSON cassette file
+   * @param {string} [options.mode='replay'] - 'record', 'replay' or 'auto'
+   * @param {string[]} [options.sensitiveKeys] - Keys to scrub (defaults to the Logger's sensitive keys)
+   */
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new Error('Cassette requires a file path.');
+    }
+    const mode = options.mode || CassetteMode.REPLAY;
+    if (!Object.values(CassetteMode).includes(mode)) {
+      throw new Error(`Invalid cassette mode "${mode}". Use one of: ${Object.values(CassetteMode).join(', ')}`);
+    }
+
+    this.path = options.path;
+    this.mode = mode;
+    this.sensitiveKeys = options.sensitiveKeys || [...DEFAULT_SENSITIVE_KEYS];
+    this.interactions = null;
+    this.playCounts = new Map();
+  }
+
+  /**
+   * Loads the interactions from disk (once)
+   *
+   * @private
+   * @returns {Promise<Array<Object>>} The interactions
+   */
+  async _load() {
+    if (this.interactions) {
+      return this.interactions;
+    }
+
+    if (this.mode === CassetteMode.RECORD) {
+      this.interactions = [];
+      return this.interactions;
+    }
+
+    const fs = await import('fs');
+    if (!fs.existsSync(this.path)) {
+      if (this.mode === CassetteMode.REPLAY) {
+        throw new SDKError(`Cassette not found: ${this.path}`, 'CASSETTE_NOT_FOUND', { path: this.path });
+      }
+      this.interactions = [];
+      return this.interactions;
+    }
+
+    const contents = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    this.interactions = Array.isArray(contents.interactions) ? contents.interactions : [];
+    return this.interactions;
+  }
+
+  /**
+   * Writes the interactions to disk
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _save() {
+    const fs = await import('fs');
+    const { dirname } = await import('path');
+    fs.mkdirSync(dirname(this.path), { recursive: true });
+    fs.writeFileSync(
+      this.path,
+      `${JSON.stringify({ version: CASSETTE_FORMAT_VERSION, interactions: this.interactions }, null, 2)}\n`
+    );
+  }
+
+  /**
+   * Scrubs sensitive values with the Logger masking rules
+   *
+   * @private
+   * @param {*} data - Data to scrub
+   * @returns {*} Scrubbed copy
+   */
+  _scrub(data) {
+    return maskSensitiveData(data, this.sensitiveKeys);
+  }
+
+  /**
+   * Returns the path of a request URL with its query sorted and scrubbed
+   *
+   * @param {string} url - Request URL (relative or absolute)
+   * @returns {string} The canonical path
+   */
+  canonicalPath(url) {
+    const parsed = new URL(url, 'http://cassette.invalid');
+    const query = this._scrub(Object.fromEntries(parsed.searchParams));
+    const search = new URLSearchParams(sortKeys(query)).toString();
+    return `${parsed.pathname}${search ? `?${search}` : ''}`;
+  }
+
+  /**
+   * Returns the scrubbed body of a request in canonical JSON form
+   *
+   * @param {*} data - Request body
+   * @returns {string} The canonical body ('' when there is none)
+   */
+  canonicalBody(data) {
+    if (data === undefined || data === null || data === '') {
+      return '';
+    }
+
+    let body = data;
+    if (typeof data === 'string') {
+      try {
+        body = JSON.parse(data);
+      } catch (error) {
+        return data;
+      }
+    }
+    return JSON.stringify(sortKeys(this._scrub(body)));
+  }
+
+  /**
+   * Builds the key a request is matched on
+   *
+   * @private
+   * @param {Object} config - Request configuration
+   * @returns {{method: string, path: string, body: string}} The match key
+   */
+  _matchKey(config) {
+    return {
+      method: String(config.method || 'GET').toUpperCase(),
+      path: this.canonicalPath(config.url || ''),
+      body: this.canonicalBody(config.data)
+    };
+  }
+
+  /**
+   * Finds the recorded interaction for a request
+   *
+   * Identical requests are served in recorded order; once all have been played the last
+   * one keeps being served (e.g. for status polling).
+   *
+   * @param {Object} config - Request configuration
+   * @returns {Promise<Object|null>} The interaction, or null when none matches
+   */
+  async find(config) {
+    const interactions = await this._load();
+    const key = this._matchKey(config);
+    const matches = interactions.filter(({ request }) =>
+      request.method === key.method && request.path === key.path && request.body === key.body
+    );
+    if (matches.length === 0) {
+      return null;
+    }
+
+    const id = `${key.method} ${key.path}\n${key.body}`;
+    const played = this.playCounts.get(id) || 0;
+    this.playCounts.set(id, played + 1);
+    return matches[Math.min(played, matches.length - 1)];
+  }
+
+  /**
+   * Records an interaction and writes the cassette
+   *
+   * @param {Object} config - Request configuration
+   * @param {Object} response - Adapter response (`{ status, statusText, headers, data }`)
+   * @param {Error} [error] - Error the adapter threw with this response
+   * @returns {Promise<void>}
+   */
+  async record(config, response, error) {
+    const interactions = await this._load();
+    const headers = Object.fromEntries(
+      Object.entries(config.headers || {}).filter(([name]) =>
+        !VOLATILE_HEADERS.includes(name.toLowerCase())
+      )
+    );
+
+    interactions.push({
+      request: {
+        ...this._matchKey(config),
+        headers: this._scrub(headers)
+      },
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers: this._scrub(response.headers || {}),
+        data: this._scrub(response.data)
+      },
+      ...(error && { error: { message: error.message } })
+    });
+    await this._save();
+  }
+
+  /**
+   * Wraps an HTTP client adapter so its requests go through the cassette
+   *
+   * @param {Object} adapter - Adapter with a `request(config)` method
+   * @returns {Function} `request(config)` replacement with the adapter's response and error shape
+   */
+  wrap(adapter) {
+    return async (config) => {
+      if (this.mode !== CassetteMode.RECORD) {
+        const interaction = await this.find(config);
+        if (interaction) {
+          return this._play(interaction, config);
+        }
+        if (this.mode === CassetteMode.REPLAY) {
+          const key = this._matchKey(config);
+          throw new SDKError(
+            `No cassette interaction matches ${key.method} ${key.path}`,
+            'CASSETTE_NO_MATCH',
+            { ...key, cassette: this.path }
+          );
+        }
+      }
+
+      try {
+        const response = await adapter.request(config);
+        await this.record(config, response);
+        return response;
+      } catch (error) {
+        // Only errors with an HTTP response can be replayed; network failures are not recorded
+        if (error.response) {
+          await this.record(config, error.response, error);
+        }
+        throw error;
+      }
+    };
+  }
+
+  /**
+   * Recreates an adapter response or error from a recorded interaction
+   *
+   * @private
+   * @param {Object} interaction - Recorded interaction
+   * @param {Object} config - Request configuration
+   * @returns {Object} The response
+   * @throws {Error} The recorded error, with `response` and `config`
+   */
+  _play(interaction, config) {
+    const response = { ...interaction.response, config };
+    if (interaction.error) {
+      const error = new Error(interaction.error.message);
+      error.response = response;
+      error.config = config;
+      throw error;
+    }
+    return response;
+  }
+}
+
+export default Cassette;
@@ -5,6 +5,7 @@
  */
 
 import logger from './Logger.js';
+import { redactSecrets } from './utils/SecretRedaction.js';
 
 /**
  * DebugMonitor class for advanced debugging and monitoring features
@@ -328,7 +329,7 @@ class DebugMonitor {
       return { enabled: false };
     }
     
-    return {
+    return redactSecrets({
       timestamp: new Date().toISOString(),
       requestCounts: {
         total: this.performanceData.requestCounts.total,
@@ -355,7 +356,7 @@ class DebugMonitor {
         byStatusCode: Object.fromEntries(this.performanceData.errors.byStatusCode),
         recent: [...this.performanceData.errors.recent]
       }
-    };
+    });
   }
   
   /**
@@ -497,7 +498,7 @@ class DebugMonitor {
       }
     });
     
-    return {
+    return redactSecrets({
       timestamp: new Date().toISOString(),
       summary: {
         healthStatus,
@@ -517,7 +518,7 @@ class DebugMonitor {
         includeBody: this.options.includeBody,
         maskSensitive: this.options.maskSensitive
       }
-    };
+    });
   }
   
   /**
@@ -9,6 +9,7 @@ import {
   getDeploymentErrorContext,
 } from "./utils/DeploymentEnvironmentDetector.js";
 import { Logger } from "./Logger.js";
+import { redactSecrets } from "./utils/SecretRedaction.js";
 
 /**
  * Error reporting levels
@@ -334,7 +335,7 @@ class EnhancedErrorReporter {
     // Log the report based on level
     this._logErrorReport(report, error);
 
-    return report;
+    return redactSecrets(report);
   }
 
   /**
@@ -805,14 +806,14 @@ class EnhancedErrorReporter {
    * @returns {Object} Simplified error report
    */
   createSimplifiedReport(error, context = {}) {
-    return {
+    return redactSecrets({
       timestamp: new Date().toISOString(),
       message: error.message,
       type: this._classifyError(error),
       retryable: error.retryable !== false,
       deployment: this.deploymentInfo.platform,
       guidance: this._getQuickGuidance(error),
-    };
+    });
   }
 
   /**
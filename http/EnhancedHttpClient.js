@@ -7,6 +7,7 @@ import { mergeConfig } from './config.js';
 import { createHttpClient } from './adapters/HttpClientAdapter.js';
 import { detectEnvironment, Environment, getOptimalHttpClient } from './utils/EnvironmentDetector.js';
 import CloudflareBypass from './CloudflareBypass.js';
+import Cassette from './Cassette.js';
 
 /**
  * EnhancedHttpClient - A robust HTTP client with interceptor support and enhanced resilience
@@ -29,6 +30,7 @@ class EnhancedHttpClient {
    * @param {number} [config.retryConfig.jitterFactor=0.1] - Random jitter factor to add to delay
    * @param {Object} [config.headers] - Default headers for all requests
    * @param {string} [config.httpClient] - Force a specific HTTP client ('fetch', 'xhr', 'node-fetch', 'axios')
+   * @param {Cassette|Object} [config.cassette] - Cassette (or `{ path, mode }` options) to record or replay requests
    */
   constructor(config = {}) {
     // Apply default configuration with user overrides
@@ -75,6 +77,16 @@ class EnhancedHttpClient {
     // Create the appropriate HTTP client adapter
     this.httpClient = createHttpClient(clientConfig);
     
+    // Route the adapter's requests through a cassette, so retries are recorded and replayed too
+    this.cassette = null;
+    if (config.cassette) {
+      this.cassette = config.cassette instanceof Cassette
+        ? config.cassette
+        : new Cassette(config.cassette);
+      const adapterRequest = this.httpClient.request.bind(this.httpClient);
+      this.httpClient.request = this.cassette.wrap({ request: adapterRequest });
+    }
+    
     // Initialize interceptor arrays
     this.requestInterceptors = [];
     this.responseInterceptors = [];
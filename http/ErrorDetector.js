@@ -4,7 +4,15 @@
  * including Cloudflare blocks, rate limits, and network issues.
  */
 
-import { SDKError, RateLimitError, CloudflareError } from './errors/index.js';
+import {
+  SDKError,
+  RateLimitError,
+  CloudflareError,
+  NetworkError,
+  ValidationError,
+  AuthenticationError,
+  ServerError
+} from './errors/index.js';
 
 /**
  * Error types enumeration
@@ -387,33 +395,61 @@ class ErrorDetector {
         error.retryable = errorInfo.retryable;
         error.errorDetails = errorInfo.details;
         
-        // Transform into appropriate error class
-        let enhancedError;
-        
-        switch (errorInfo.type) {
-          case ErrorType.CLOUDFLARE:
-            enhancedError = CloudflareError.fromResponse(error);
-            break;
-            
-          case ErrorType.RATE_LIMIT:
-            enhancedError = RateLimitError.fromResponse(error);
-            break;
-            
-          default:
-            // For other error types, use the base SDKError class
-            enhancedError = SDKError.from(
-              error,
-              error.message,
-              `${errorInfo.type.toUpperCase()}_ERROR`,
-              errorInfo.details
-            );
-        }
-        
-        // Continue with error handling
-        return Promise.reject(enhancedError);
+        // Transform into appropriate error class and continue with error handling
+        return Promise.reject(createTypedError(error));
       }
     };
   }
 }
 
+/**
+ * Creates the SDK error class matching a classified error
+ * 
+ * @param {Error} error - Error with `errorType` and `errorDetails` set by the ErrorDetector
+ * @returns {SDKError} The typed error, with the original error as its cause
+ */
+export function createTypedError(error) {
+  const details = error.errorDetails || {};
+  
+  switch (error.errorType) {
+    case ErrorType.CLOUDFLARE:
+      return CloudflareError.fromResponse(error);
+      
+    case ErrorType.RATE_LIMIT:
+      return RateLimitError.fromResponse(error);
+      
+    case ErrorType.NETWORK:
+    case ErrorType.TIMEOUT:
+      return new NetworkError(
+        error.message,
+        {
+          isTimeout: error.errorType === ErrorType.TIMEOUT,
+          timeout: error.config && error.config.timeout,
+          retryCount: error.retryContext ? error.retryContext.attempt : 0,
+          retryable: error.retryable
+        },
+        details,
+        error
+      );
+      
+    case ErrorType.AUTH:
+      return new AuthenticationError(error.message, details, error);
+      
+    case ErrorType.VALIDATION:
+      return ValidationError.fromResponse(error);
+      
+    case ErrorType.SERVER:
+      return new ServerError(error.message, details, error);
+      
+    default:
+      // For other error types, use the base SDKError class
+      return SDKError.from(
+        error,
+        error.message,
+        `${error.errorType?.toUpperCase() || 'UNKNOWN'}_ERROR`,
+        details
+      );
+  }
+}
+
 export default ErrorDetector;
\ No newline at end of file
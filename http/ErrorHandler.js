@@ -4,8 +4,8 @@
  * and detailed error reporting.
  */
 
-import { SDKError, RateLimitError, CloudflareError } from "./errors/index.js";
-import ErrorDetector, { ErrorType } from "./ErrorDetector.js";
+import { SDKError } from "./errors/index.js";
+import ErrorDetector, { ErrorType, createTypedError } from "./ErrorDetector.js";
 import RetryStrategy from "./RetryStrategy.js";
 import {
   getDeploymentErrorContext,
@@ -30,6 +30,8 @@ class ErrorHandler {
    * @param {Function} [options.onError] - Callback function called when an error occurs
    * @param {Function} [options.onRetry] - Callback function called before a retry attempt
    * @param {Function} [options.onRecovery] - Callback function called when recovery is successful
+   * @param {Function} [options.onAuthError] - Called with authentication errors; resolve to a request config to
+   *   send it once more (e.g. signed again after refreshing credentials), or to nothing to fail
    * @param {boolean} [options.detailedErrors=true] - Whether to include detailed information in errors
    * @param {boolean} [options.autoRetry=true] - Whether to automatically retry failed requests
    * @param {Object} [options.httpAdapter] - HTTP adapter instance for making retry requests
@@ -44,6 +46,7 @@ class ErrorHandler {
     this.onError = options.onError;
     this.onRetry = options.onRetry;
     this.onRecovery = options.onRecovery;
+    this.onAuthError = options.onAuthError;
     this.detailedErrors = options.detailedErrors !== false;
     this.autoRetry = options.autoRetry !== false;
     this.httpAdapter = options.httpAdapter;
@@ -173,22 +176,7 @@ class ErrorHandler {
     }
 
     // Create appropriate error type based on classification
-    switch (error.errorType) {
-      case ErrorType.CLOUDFLARE:
-        return CloudflareError.fromResponse(error);
-
-      case ErrorType.RATE_LIMIT:
-        return RateLimitError.fromResponse(error);
-
-      default:
-        // For other error types, use the base SDKError class
-        return SDKError.from(
-          error,
-          error.message,
-          `${error.errorType?.toUpperCase() || "UNKNOWN"}_ERROR`,
-          error.errorDetails || {}
-        );
-    }
+    return createTypedError(error);
   }
 
   /**
@@ -441,7 +429,27 @@ class ErrorHandler {
    * @private
    */
   async handleAuthError(error, context) {
-    // Authentication errors are generally not retryable
+    // Send the request once more if new credentials are available. The server rejected the
+    // first attempt before processing it, so this is safe for non-idempotent requests too.
+    if (this.onAuthError && this.httpAdapter && error.config && !error.config.authRetried) {
+      const retryConfig = await this.onAuthError(error, context);
+      if (retryConfig) {
+        try {
+          const response = await this.httpAdapter.request({ ...retryConfig, authRetried: true });
+          // Resolve with the data, like EnhancedHttpClient does for successful requests
+          return response.data;
+        } catch (retryError) {
+          // Classify the retry failure so it surfaces as its own typed error
+          const errorInfo = this.errorDetector.detectErrorType(retryError);
+          retryError.errorType = errorInfo.type;
+          retryError.retryable = errorInfo.retryable;
+          retryError.errorDetails = errorInfo.details;
+          throw retryError;
+        }
+      }
+    }
+
+    // Otherwise authentication errors are not retryable
     error.recoveryMessage =
       "Authentication failed. Check your API credentials and ensure they have not expired.";
     throw error;
@@ -547,6 +555,13 @@ class ErrorHandler {
       throw error;
     }
 
+    // Skip retry if repeating the request could duplicate its side effects
+    if (!this.retryStrategy.isIdempotentRequest(error.config)) {
+      error.recoveryMessage =
+        "Request was not retried automatically because it is not idempotent. Provide an idempotency key to make it safe to retry.";
+      throw error;
+    }
+
     // Get current retry attempt
     const attempt = (error.config && error.config.retryAttempt) || 0;
 
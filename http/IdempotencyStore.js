@@ -0,0 +1,154 @@
+/**
+ * @fileoverview
+ * IdempotencyStore - A small in-memory store that remembers the result of
+ * non-idempotent operations by idempotency key, so replaying the same key
+ * within the TTL returns the original result instead of repeating the call.
+ */
+
+/**
+ * IdempotencyStore class for caching results by idempotency key
+ *
+ * @class
+ */
+class IdempotencyStore {
+  /**
+   * Creates a new IdempotencyStore instance
+   *
+   * @param {Object} [options={}] - Configuration options
+   * @param {number} [options.ttlMs=86400000] - How long a result is remembered (default 24 hours)
+   * @param {number} [options.maxEntries=1000] - Maximum number of remembered results
+   */
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs !== undefined ? options.ttlMs : 24 * 60 * 60 * 1000;
+    this.maxEntries = options.maxEntries !== undefined ? options.maxEntries : 1000;
+
+    // key -> { fingerprint, value, expiresAt }
+    this.entries = new Map();
+
+    // key -> { fingerprint, promise } for operations still in flight
+    this.pending = new Map();
+  }
+
+  /**
+   * Gets a remembered result if it has not expired
+   *
+   * @param {string} key - Idempotency key
+   * @returns {Object|undefined} The stored entry ({ fingerprint, value, expiresAt })
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Remembers a result for an idempotency key
+   *
+   * @param {string} key - Idempotency key
+   * @param {*} value - Result to remember
+   * @param {string} [fingerprint=''] - Fingerprint of the request that produced the result
+   */
+  set(key, value, fingerprint = '') {
+    // Refresh insertion order so eviction drops the oldest key first
+    this.entries.delete(key);
+    this.entries.set(key, {
+      fingerprint,
+      value,
+      expiresAt: Date.now() + this.ttlMs
+    });
+
+    this._evict();
+  }
+
+  /**
+   * Returns the remembered result for a key, or runs the operation once and
+   * remembers its result. Concurrent calls with the same key share one operation.
+   * Failed operations are not remembered, so the key can be retried.
+   *
+   * @param {string} key - Idempotency key
+   * @param {string} fingerprint - Fingerprint of the request parameters
+   * @param {Function} operation - Function returning a Promise for the result
+   * @returns {Promise<*>} The original or newly produced result
+   * @throws {Error} If the key was already used with different request parameters
+   */
+  async remember(key, fingerprint, operation) {
+    const existing = this.get(key) || this.pending.get(key);
+
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        const error = new Error(
+          `Idempotency key "${key}" was already used with different request parameters.`
+        );
+        error.code = 'IDEMPOTENCY_KEY_REUSED';
+        throw error;
+      }
+
+      return existing.promise ? existing.promise : existing.value;
+    }
+
+    const promise = Promise.resolve().then(() => operation());
+    this.pending.set(key, { fingerprint, promise });
+
+    try {
+      const value = await promise;
+      this.set(key, value, fingerprint);
+      return value;
+    } finally {
+      this.pending.delete(key);
+    }
+  }
+
+  /**
+   * Removes a remembered result
+   *
+   * @param {string} key - Idempotency key
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Removes all remembered results
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Number of remembered results (expired entries may still be counted until accessed)
+   *
+   * @returns {number} Number of entries
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Drops expired entries and, if still over capacity, the oldest ones
+   *
+   * @private
+   */
+  _evict() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+}
+
+export default IdempotencyStore;
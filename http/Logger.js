@@ -4,6 +4,8 @@
  * and structured log format for better debugging.
  */
 
+import { redactSecrets } from "./utils/SecretRedaction.js";
+
 /**
  * Log levels enumeration
  * @enum {number}
@@ -32,7 +34,7 @@ const LOG_LEVEL_MAP = {
  * Default sensitive keys that should be masked in logs
  * @type {string[]}
  */
-const DEFAULT_SENSITIVE_KEYS = [
+export const DEFAULT_SENSITIVE_KEYS = [
   "password",
   "secret",
   "key",
@@ -47,6 +49,92 @@ const DEFAULT_SENSITIVE_KEYS = [
   "x-signature",
 ];
 
+/**
+ * Masks a sensitive string, keeping only its first and last character
+ *
+ * @param {string} str - String to mask
+ * @returns {string} Masked string
+ */
+export function maskString(str) {
+  if (typeof str !== "string") {
+    return str;
+  }
+
+  if (str.length <= 4) {
+    return "****";
+  }
+
+  // Keep first and last character, mask the rest
+  return str.charAt(0) + "****" + str.charAt(str.length - 1);
+}
+
+/**
+ * Masks the string values of sensitive keys in (nested) objects and arrays
+ *
+ * A key is sensitive when it contains one of `sensitiveKeys`, case-insensitively.
+ *
+ * @param {*} data - Data to mask
+ * @param {string[]} [sensitiveKeys=DEFAULT_SENSITIVE_KEYS] - Keys to mask
+ * @returns {*} Masked copy of the data
+ */
+export function maskSensitiveData(data, sensitiveKeys = DEFAULT_SENSITIVE_KEYS) {
+  if (data === null || data === undefined) {
+    return data;
+  }
+
+  // Handle different data types
+  if (typeof data === "object") {
+    if (Array.isArray(data)) {
+      return data.map((item) => maskSensitiveData(item, sensitiveKeys));
+    }
+
+    const maskedData = {};
+
+    for (const [key, value] of Object.entries(data)) {
+      // Check if key contains sensitive information
+      const isSensitive = sensitiveKeys.some((sensitiveKey) =>
+        key.toLowerCase().includes(sensitiveKey.toLowerCase())
+      );
+
+      if (isSensitive && typeof value === "string") {
+        // Mask sensitive string values
+        maskedData[key] = maskString(value);
+      } else if (typeof value === "object" && value !== null) {
+        // Recursively mask nested objects
+        maskedData[key] = maskSensitiveData(value, sensitiveKeys);
+      } else {
+        // Keep non-sensitive values as is
+        maskedData[key] = value;
+      }
+    }
+
+    return maskedData;
+  }
+
+  return data;
+}
+
+/**
+ * Parses a JSON request body so its sensitive values can be masked
+ *
+ * The SDK sends signed bodies as canonical JSON strings.
+ *
+ * @param {*} body - Request body
+ * @returns {*} The parsed body, or the body itself when it is not a JSON string
+ * @private
+ */
+function parseJsonBody(body) {
+  if (typeof body !== "string") {
+    return body;
+  }
+
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return body;
+  }
+}
+
 /**
  * Logger class for configurable logging with sensitive data masking
  *
@@ -201,7 +289,7 @@ class Logger {
   }
 
   /**
-   * Formats log message with timestamp and level if enabled
+   * Formats log message with timestamp and level if enabled, without registered secrets
    *
    * @param {string} level - Log level
    * @param {Array} args - Log arguments
@@ -209,11 +297,13 @@ class Logger {
    * @private
    */
   _formatLog(level, args) {
+    // Secrets are redacted even when `maskSensitive` is off
+    const redactedArgs = redactSecrets(args);
     if (this.options.format === "json") {
-      return [this._formatJsonLog(level, args)];
+      return [this._formatJsonLog(level, redactedArgs)];
     }
 
-    return this._formatTextLog(level, args);
+    return this._formatTextLog(level, redactedArgs);
   }
 
   /**
@@ -306,40 +396,7 @@ class Logger {
       return data;
     }
 
-    if (data === null || data === undefined) {
-      return data;
-    }
-
-    // Handle different data types
-    if (typeof data === "object") {
-      if (Array.isArray(data)) {
-        return data.map((item) => this._maskSensitiveData(item));
-      }
-
-      const maskedData = {};
-
-      for (const [key, value] of Object.entries(data)) {
-        // Check if key contains sensitive information
-        const isSensitive = this.options.sensitiveKeys.some((sensitiveKey) =>
-          key.toLowerCase().includes(sensitiveKey.toLowerCase())
-        );
-
-        if (isSensitive && typeof value === "string") {
-          // Mask sensitive string values
-          maskedData[key] = this._maskString(value);
-        } else if (typeof value === "object" && value !== null) {
-          // Recursively mask nested objects
-          maskedData[key] = this._maskSensitiveData(value);
-        } else {
-          // Keep non-sensitive values as is
-          maskedData[key] = value;
-        }
-      }
-
-      return maskedData;
-    }
-
-    return data;
+    return maskSensitiveData(data, this.options.sensitiveKeys);
   }
 
   /**
@@ -350,16 +407,7 @@ class Logger {
    * @private
    */
   _maskString(str) {
-    if (typeof str !== "string") {
-      return str;
-    }
-
-    if (str.length <= 4) {
-      return "****";
-    }
-
-    // Keep first and last character, mask the rest
-    return str.charAt(0) + "****" + str.charAt(str.length - 1);
+    return maskString(str);
   }
 
   /**
@@ -506,7 +554,9 @@ class Logger {
         }
 
         if (options.includeBody && error.config.data) {
-          logData.request.body = this._maskSensitiveData(error.config.data);
+          logData.request.body = this._maskSensitiveData(
+            parseJsonBody(error.config.data)
+          );
         }
       }
 
@@ -563,8 +613,9 @@ class Logger {
       this.options.sensitiveKeys = options.sensitiveKeys;
     }
 
+    // A null transport goes back to the console
     if (options.transport !== undefined) {
-      this.options.transport = options.transport;
+      this.options.transport = options.transport || this._defaultTransport.bind(this);
     }
 
     if (options.format !== undefined) {
@@ -821,7 +872,7 @@ class Logger {
       return { metricsDisabled: true };
     }
 
-    return {
+    return redactSecrets({
       timestamp: new Date().toISOString(),
       requests: { ...this.metrics.requests },
       performance: {
@@ -843,7 +894,7 @@ class Logger {
         ),
         suggestions: [...this.metrics.troubleshooting.suggestions],
       },
-    };
+    });
   }
 
   /**
@@ -1013,7 +1064,7 @@ class Logger {
     }
 
     // Build the diagnostic report
-    return {
+    return redactSecrets({
       timestamp: new Date().toISOString(),
       summary: {
         healthStatus,
@@ -1049,7 +1100,7 @@ class Logger {
         metricsEnabled: this.options.enableMetrics,
         maskSensitive: this.options.maskSensitive,
       },
-    };
+    });
   }
 
   /**
@@ -1411,7 +1462,7 @@ class Logger {
       },
     };
 
-    return report;
+    return redactSecrets(report);
   }
 
   /**
@@ -0,0 +1,387 @@
+/**
+ * @fileoverview
+ * RateLimiter - A client-side token bucket that keeps requests under the API rate limit
+ * instead of waiting for 429 responses. The bucket is seeded and continuously corrected
+ * from the x-ratelimit-* response headers; requests beyond the remaining quota are queued,
+ * rejected or made to displace lower-priority requests, as configured.
+ */
+
+import RateLimitError from './errors/RateLimitError.js';
+import { throwIfAborted, getAbortReason } from './utils/AbortUtils.js';
+
+/**
+ * What happens to a request when no token is available
+ * @enum {string}
+ */
+export const RateLimitOverflow = {
+  // Queue the request until a token is available; reject when the queue is full
+  WAIT: 'wait',
+  // Reject the request right away
+  REJECT: 'reject',
+  // Queue the request; when the queue is full, reject the lowest-priority request in it
+  DROP_LOWEST_PRIORITY: 'drop-lowest-priority'
+};
+
+/**
+ * Priorities of SDK requests; a higher number is served first
+ * @enum {number}
+ */
+export const RequestPriority = {
+  LOW: 0,
+  NORMAL: 5,
+  HIGH: 10
+};
+
+/**
+ * RateLimiter class for pacing requests with a token bucket
+ *
+ * @class
+ */
+class RateLimiter {
+  /**
+   * Creates a new RateLimiter instance
+   *
+   * @param {Object} [options={}] - Configuration options
+   * @param {boolean} [options.enabled=true] - Whether requests are paced at all
+   * @param {string} [options.overflow='wait'] - One of RateLimitOverflow
+   * @param {number} [options.maxQueueSize=100] - Maximum number of waiting requests
+   * @param {number} [options.limit] - Requests per window before the first response reports one
+   *   (by default nothing is paced until then)
+   * @param {number} [options.windowSeconds=60] - Window over which `limit` requests are refilled
+   *   when the API has not reported a reset time
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.overflow = options.overflow || RateLimitOverflow.WAIT;
+    this.maxQueueSize = options.maxQueueSize !== undefined ? options.maxQueueSize : 100;
+    this.windowSeconds = options.windowSeconds !== undefined ? options.windowSeconds : 60;
+
+    // Bucket state; capacity stays null until a limit is configured or reported
+    this.capacity = options.limit !== undefined ? options.limit : null;
+    this.tokens = this.capacity !== null ? this.capacity : 0;
+    this.resetAt = null;
+    this.lastRefill = Date.now();
+
+    // Requests admitted and not yet answered
+    this.inFlight = 0;
+
+    // Waiting requests: { priority, sequence, resolve, reject, signal, onAbort }, highest priority first
+    this.queue = [];
+    this.sequence = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Waits for a token. Resolves once the request may be sent; call `release()` when it is answered
+   *
+   * @param {Object} [options={}] - Acquire options
+   * @param {number} [options.priority=RequestPriority.NORMAL] - Higher priorities are served first
+   * @param {AbortSignal} [options.signal] - Signal that stops waiting when aborted
+   * @returns {Promise<void>}
+   * @throws {RateLimitError} If the request is rejected or dropped by the overflow policy
+   * @throws {Error} The signal's abort reason when aborted while waiting
+   */
+  acquire(options = {}) {
+    const { priority = RequestPriority.NORMAL, signal } = options;
+    throwIfAborted(signal);
+
+    if (!this.enabled) {
+      this.inFlight += 1;
+      return Promise.resolve();
+    }
+
+    this._refill();
+    if (this.queue.length === 0 && this._hasToken()) {
+      this._takeToken();
+      return Promise.resolve();
+    }
+
+    if (this.overflow === RateLimitOverflow.REJECT) {
+      return Promise.reject(this._createError('Client-side rate limit reached', 'rejected'));
+    }
+
+    if (this.queue.length >= this.maxQueueSize) {
+      const lowest = this.queue[this.queue.length - 1];
+      if (
+        this.overflow !== RateLimitOverflow.DROP_LOWEST_PRIORITY ||
+        !lowest ||
+        lowest.priority >= priority
+      ) {
+        return Promise.reject(this._createError('Client-side rate limit queue is full', 'queue_full'));
+      }
+      this._remove(lowest);
+      lowest.reject(this._createError('Dropped for a higher-priority request', 'dropped'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { priority, sequence: this.sequence++, resolve, reject, signal, onAbort: null };
+
+      if (signal) {
+        entry.onAbort = () => {
+          this._remove(entry);
+          reject(getAbortReason(signal));
+        };
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+
+      // Keep the queue ordered by priority, first come first served within a priority
+      const index = this.queue.findIndex(queued => queued.priority < priority);
+      this.queue.splice(index === -1 ? this.queue.length : index, 0, entry);
+      this._schedule();
+    });
+  }
+
+  /**
+   * Marks an admitted request as answered
+   */
+  release() {
+    this.inFlight = Math.max(0, this.inFlight - 1);
+  }
+
+  /**
+   * Corrects the bucket from the rate limit the API reported
+   *
+   * @param {Object} info - Values of the x-ratelimit-* headers
+   * @param {number|null} [info.limit] - Requests allowed per window
+   * @param {number|null} [info.remaining] - Requests left in the current window
+   * @param {Date|number|null} [info.resetAt] - When the window resets (Date or milliseconds)
+   */
+  update(info = {}) {
+    const { limit, remaining, resetAt } = info;
+    this._refill();
+
+    if (Number.isFinite(limit) && limit > 0) {
+      this.capacity = limit;
+    }
+    if (Number.isFinite(remaining)) {
+      if (this.capacity === null) {
+        this.capacity = Math.max(remaining, 1);
+      }
+      // The reported count includes this response but not the other requests still in flight
+      const unanswered = Math.max(0, this.inFlight - 1);
+      this.tokens = Math.min(this.capacity, Math.max(0, remaining - unanswered));
+    } else if (this.capacity !== null) {
+      this.tokens = Math.min(this.tokens, this.capacity);
+    }
+    // Without a known limit there is no bucket to refill at the reset time
+    if (resetAt !== undefined && resetAt !== null && this.capacity !== null) {
+      const resetTime = resetAt instanceof Date ? resetAt.getTime() : resetAt;
+      this.resetAt = Number.isFinite(resetTime) && resetTime > Date.now() ? resetTime : null;
+    }
+
+    this._drain();
+  }
+
+  /**
+   * Empties the bucket after the API rejected a request for exceeding the rate limit. Without
+   * a known limit, requests are held until Retry-After and then sent unpaced again
+   *
+   * @param {number} [retryAfter] - Seconds to wait, from the Retry-After header
+   */
+  pause(retryAfter) {
+    this._refill();
+    this.tokens = 0;
+
+    if (Number.isFinite(retryAfter) && retryAfter > 0) {
+      const retryAt = Date.now() + retryAfter * 1000;
+      this.resetAt = Math.max(this.resetAt || 0, retryAt);
+    }
+
+    this._schedule();
+  }
+
+  /**
+   * Returns the live state of the bucket
+   *
+   * @returns {Object} `{ enabled, overflow, limit, remaining, resetAt, inFlight, queued }`,
+   *   where `limit` and `remaining` are null until a limit is configured or reported
+   */
+  getStatus() {
+    this._refill();
+    return {
+      enabled: this.enabled,
+      overflow: this.overflow,
+      limit: this.capacity,
+      remaining: this.capacity !== null ? Math.floor(this.tokens) : null,
+      resetAt: this.resetAt !== null ? new Date(this.resetAt) : null,
+      inFlight: this.inFlight,
+      queued: this.queue.length
+    };
+  }
+
+  /**
+   * Rejects all waiting requests and stops the timer
+   *
+   * @param {Error} [reason] - Error to reject the waiting requests with
+   */
+  clear(reason) {
+    const queued = this.queue.splice(0);
+    for (const entry of queued) {
+      this._detach(entry);
+      entry.reject(reason || this._createError('Rate limiter cleared', 'cleared'));
+    }
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Adds the tokens earned since the last refill
+   *
+   * @private
+   */
+  _refill() {
+    const now = Date.now();
+    if (this.resetAt !== null) {
+      // The API reported when the window resets (or when to retry after a 429),
+      // so the quota comes back all at once
+      if (now >= this.resetAt) {
+        this.tokens = this.capacity !== null ? this.capacity : 0;
+        this.resetAt = null;
+      }
+    } else if (this.capacity !== null) {
+      const perMs = this.capacity / (this.windowSeconds * 1000);
+      this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * perMs);
+    }
+    this.lastRefill = now;
+  }
+
+  /**
+   * Tells whether a request may be sent now. Without a known limit, requests are
+   * only held back while paused after a 429
+   *
+   * @private
+   * @returns {boolean} True if a token is available
+   */
+  _hasToken() {
+    if (this.capacity === null) {
+      return this.resetAt === null;
+    }
+    return this.tokens >= 1;
+  }
+
+  /**
+   * Admits a request, taking a token when a limit is known
+   *
+   * @private
+   */
+  _takeToken() {
+    if (this.capacity !== null) {
+      this.tokens -= 1;
+    }
+    this.inFlight += 1;
+  }
+
+  /**
+   * Admits waiting requests while tokens are available
+   *
+   * @private
+   */
+  _drain() {
+    this._refill();
+    while (this.queue.length > 0 && this._hasToken()) {
+      const entry = this.queue.shift();
+      this._detach(entry);
+      this._takeToken();
+      entry.resolve();
+    }
+    this._schedule();
+  }
+
+  /**
+   * Sets a timer for when the next token is available, if requests are waiting
+   *
+   * @private
+   */
+  _schedule() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.queue.length === 0) {
+      return;
+    }
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this._drain();
+    }, Math.max(1, Math.ceil(this._msUntilNextToken())));
+
+    // Don't keep Node.js processes alive just for the queue
+    if (typeof this.timer.unref === 'function') {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Returns the time until the bucket has a whole token
+   *
+   * @private
+   * @returns {number} Milliseconds
+   */
+  _msUntilNextToken() {
+    if (this._hasToken()) {
+      return 0;
+    }
+    if (this.resetAt !== null) {
+      return Math.max(0, this.resetAt - Date.now());
+    }
+    const perMs = this.capacity / (this.windowSeconds * 1000);
+    return (1 - this.tokens) / perMs;
+  }
+
+  /**
+   * Removes a waiting request from the queue
+   *
+   * @private
+   * @param {Object} entry - Queue entry
+   */
+  _remove(entry) {
+    const index = this.queue.indexOf(entry);
+    if (index !== -1) {
+      this.queue.splice(index, 1);
+    }
+    this._detach(entry);
+    this._schedule();
+  }
+
+  /**
+   * Stops listening for the abort signal of a queue entry
+   *
+   * @private
+   * @param {Object} entry - Queue entry
+   */
+  _detach(entry) {
+    if (entry.signal && entry.onAbort) {
+      entry.signal.removeEventListener('abort', entry.onAbort);
+    }
+  }
+
+  /**
+   * Creates the error for a request the overflow policy turned away
+   *
+   * @private
+   * @param {string} message - Error message
+   * @param {string} reason - 'rejected', 'queue_full', 'dropped' or 'cleared'
+   * @returns {RateLimitError} The error
+   */
+  _createError(message, reason) {
+    const status = this.getStatus();
+    const waitMs = this._msUntilNextToken();
+    return new RateLimitError(
+      message,
+      {
+        retryAfter: Math.max(1, Math.ceil(waitMs / 1000)),
+        rateLimitInfo: {
+          limit: status.limit,
+          remaining: status.remaining,
+          reset: status.resetAt ? Math.floor(status.resetAt.getTime() / 1000) : undefined
+        }
+      },
+      { clientSide: true, reason, overflow: this.overflow, queued: status.queued }
+    );
+  }
+}
+
+export default RateLimiter;
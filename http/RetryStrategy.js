@@ -4,6 +4,18 @@
  * to handle transient errors, rate limiting, and Cloudflare challenges.
  */
 
+/**
+ * HTTP methods that are safe to repeat without side effects
+ * @type {string[]}
+ */
+export const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'TRACE'];
+
+/**
+ * Header carrying the idempotency key of a non-idempotent request
+ * @type {string}
+ */
+export const IDEMPOTENCY_KEY_HEADER = 'Idempotency-Key';
+
 /**
  * RetryStrategy class for implementing exponential backoff with jitter
  * and intelligent error-specific retry policies.
@@ -23,6 +35,7 @@ class RetryStrategy {
    * @param {number[]} [config.retryableStatusCodes=[408, 429, 500, 502, 503, 504]] - HTTP status codes to retry
    * @param {Function} [config.retryCondition] - Custom function to determine if a request should be retried
    * @param {Function} [config.onRetry] - Callback function called before each retry attempt
+   * @param {boolean} [config.retryNonIdempotent=false] - Whether to retry POST/PATCH requests that carry no idempotency key
    */
   constructor(config = {}) {
     this.config = {
@@ -33,7 +46,8 @@ class RetryStrategy {
       jitterFactor: config.jitterFactor !== undefined ? config.jitterFactor : 0.1,
       retryableStatusCodes: config.retryableStatusCodes || [408, 429, 500, 502, 503, 504],
       retryCondition: config.retryCondition || null,
-      onRetry: config.onRetry || null
+      onRetry: config.onRetry || null,
+      retryNonIdempotent: config.retryNonIdempotent === true
     };
     
     // Validate configuration
@@ -181,6 +195,11 @@ class RetryStrategy {
       return false;
     }
     
+    // Never repeat a request that could create a duplicate side effect
+    if (error && !this.isIdempotentRequest(error.config)) {
+      return false;
+    }
+    
     // If a custom retry condition is provided, use it
     if (this.config.retryCondition) {
       return this.config.retryCondition(error, attempt);
@@ -206,6 +225,33 @@ class RetryStrategy {
     return false;
   }
   
+  /**
+   * Determines if a request can be repeated safely. Requests with an idempotent
+   * HTTP method, an idempotency key header or an explicit `idempotent` flag qualify.
+   * 
+   * @param {Object} [config] - The request configuration
+   * @returns {boolean} Whether the request is safe to retry
+   */
+  isIdempotentRequest(config) {
+    // Without request information, keep the status-code based behaviour
+    if (!config || !config.method || this.config.retryNonIdempotent) {
+      return true;
+    }
+    
+    if (IDEMPOTENT_METHODS.includes(String(config.method).toUpperCase())) {
+      return true;
+    }
+    
+    if (config.idempotent === true) {
+      return true;
+    }
+    
+    const headerName = IDEMPOTENCY_KEY_HEADER.toLowerCase();
+    return Object.keys(config.headers || {}).some(
+      key => key.toLowerCase() === headerName && config.headers[key]
+    );
+  }
+  
   /**
    * Checks if an error is a Cloudflare-specific error
    * 
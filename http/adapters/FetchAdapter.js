@@ -11,6 +11,7 @@ import {
   getDeploymentErrorContext,
   isDeploymentEnvironment 
 } from '../utils/DeploymentEnvironmentDetector.js';
+import { serializeRequestBody } from '../utils/CanonicalJson.js';
 
 /**
  * FetchAdapter class for making HTTP requests using the Fetch API
@@ -101,8 +102,7 @@ class FetchAdapter {
 
     // Add body for non-GET requests
     if (method.toUpperCase() !== "GET" && data !== null) {
-      fetchOptions.body =
-        typeof data === "string" ? data : JSON.stringify(data);
+      fetchOptions.body = serializeRequestBody(data);
     }
 
     try {
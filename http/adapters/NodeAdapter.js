@@ -11,6 +11,7 @@ import {
   getDeploymentErrorContext,
   isDeploymentEnvironment,
 } from "../utils/DeploymentEnvironmentDetector.js";
+import { serializeRequestBody } from "../utils/CanonicalJson.js";
 
 /**
  * NodeAdapter class for making HTTP requests in Node.js
@@ -396,7 +397,7 @@ class NodeAdapter {
       const response = await fetch(url, {
         method,
         headers,
-        body: method !== "GET" && data ? JSON.stringify(data) : undefined,
+        body: method !== "GET" && data ? serializeRequestBody(data) : undefined,
         signal: AbortSignal.timeout(timeout),
       });
 
@@ -686,7 +687,7 @@ class NodeAdapter {
       const response = await fetch(url, {
         method,
         headers,
-        body: method !== "GET" && data ? JSON.stringify(data) : undefined,
+        body: method !== "GET" && data ? serializeRequestBody(data) : undefined,
         signal: controller.signal,
       });
 
@@ -11,6 +11,7 @@ import {
   getDeploymentErrorContext,
   isDeploymentEnvironment 
 } from '../utils/DeploymentEnvironmentDetector.js';
+import { serializeRequestBody } from '../utils/CanonicalJson.js';
 
 /**
  * XhrAdapter class for making HTTP requests using XMLHttpRequest
@@ -155,14 +156,11 @@ class XhrAdapter {
 
       // Send the request
       if (method.toUpperCase() !== "GET" && data !== null) {
-        // Prepare data for sending
-        let requestData = data;
-        if (typeof data === "object" && !(data instanceof FormData)) {
-          requestData = JSON.stringify(data);
+        // Prepare data for sending; strings and FormData are sent as they are
+        const requestData = serializeRequestBody(data);
+        if (requestData !== data && !requestHeaders["Content-Type"]) {
           // Set content type to JSON if not already set
-          if (!requestHeaders["Content-Type"]) {
-            xhr.setRequestHeader("Content-Type", "application/json");
-          }
+          xhr.setRequestHeader("Content-Type", "application/json");
         }
         xhr.send(requestData);
       } else {
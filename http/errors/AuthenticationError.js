@@ -0,0 +1,36 @@
+/**
+ * @fileoverview
+ * AuthenticationError - Specialized error class for requests the API rejected
+ * because of the credentials (HTTP 401/403 or an invalid credentials check).
+ */
+
+import SDKError from './SDKError.js';
+
+/**
+ * Error class for rejected credentials
+ *
+ * @class
+ * @extends SDKError
+ */
+class AuthenticationError extends SDKError {
+  /**
+   * Creates a new AuthenticationError instance
+   *
+   * @param {string} message - Error message
+   * @param {Object} [details={}] - Additional error details
+   * @param {Error} [originalError=null] - Original error that caused this error
+   */
+  constructor(message, details = {}, originalError = null) {
+    super(
+      message || 'Authentication failed',
+      'AUTHENTICATION_ERROR',
+      details,
+      originalError
+    );
+
+    // The same credentials will be rejected again
+    this.retryable = false;
+  }
+}
+
+export default AuthenticationError;
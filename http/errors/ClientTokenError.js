@@ -0,0 +1,88 @@
+/**
+ * @fileoverview
+ * ClientTokenError - Specialized error class for client tokens (the short-lived
+ * tokens browsers use instead of the secret key) that are invalid, expired or
+ * don't allow the requested operation.
+ */
+
+import SDKError from './SDKError.js';
+import { redactSecrets } from '../utils/SecretRedaction.js';
+
+/**
+ * Reasons a client token can be rejected
+ * @enum {string}
+ */
+export const ClientTokenFailureReason = {
+  MISSING_TOKEN: 'missing_token',
+  MALFORMED_TOKEN: 'malformed_token',
+  SIGNATURE_MISMATCH: 'signature_mismatch',
+  EXPIRED: 'expired',
+  CLIENT_MISMATCH: 'client_mismatch',
+  ACTION_NOT_ALLOWED: 'action_not_allowed',
+  CURRENCY_NOT_ALLOWED: 'currency_not_allowed',
+  AMOUNT_EXCEEDED: 'amount_exceeded'
+};
+
+// Reasons where the token is valid but its scope doesn't cover the request
+const SCOPE_REASONS = [
+  ClientTokenFailureReason.ACTION_NOT_ALLOWED,
+  ClientTokenFailureReason.CURRENCY_NOT_ALLOWED,
+  ClientTokenFailureReason.AMOUNT_EXCEEDED
+];
+
+/**
+ * Error class for rejected client tokens
+ *
+ * @class
+ * @extends SDKError
+ */
+class ClientTokenError extends SDKError {
+  /**
+   * Creates a new ClientTokenError instance
+   *
+   * @param {string} message - Error message
+   * @param {Object} [options={}] - Failure options
+   * @param {string} [options.reason] - One of ClientTokenFailureReason
+   * @param {string} [options.expiresAt] - Expiry of the token (ISO 8601), when it could be read
+   * @param {Object} [details={}] - Additional error details
+   * @param {Error} [originalError=null] - Original error that caused this error
+   */
+  constructor(message, options = {}, details = {}, originalError = null) {
+    super(
+      message || 'Client token rejected',
+      'CLIENT_TOKEN_ERROR',
+      details,
+      originalError
+    );
+
+    this.reason = options.reason || ClientTokenFailureReason.MALFORMED_TOKEN;
+    this.expiresAt = options.expiresAt;
+
+    // The same token is rejected again; expired tokens need a new one from the server
+    this.retryable = false;
+  }
+
+  /**
+   * Whether the token is valid but its scope doesn't allow the request
+   *
+   * @returns {boolean} True for action, currency and amount violations
+   */
+  get isScopeViolation() {
+    return SCOPE_REASONS.includes(this.reason);
+  }
+
+  /**
+   * Returns a plain object representation of the error
+   *
+   * @returns {Object} Plain object representation of the error
+   */
+  toJSON() {
+    return redactSecrets({
+      ...super.toJSON(),
+      reason: this.reason,
+      expiresAt: this.expiresAt
+    });
+  }
+}
+
+export default ClientTokenError;
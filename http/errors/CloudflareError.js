@@ -5,6 +5,7 @@
  */
 
 import SDKError from './SDKError.js';
+import { redactSecrets } from '../utils/SecretRedaction.js';
 
 /**
  * Error class for Cloudflare-related errors
@@ -116,6 +117,21 @@ class CloudflareError extends SDKError {
     }
   }
   
+  /**
+   * Returns a plain object representation of the error
+   * 
+   * @returns {Object} Plain object representation of the error
+   */
+  toJSON() {
+    return redactSecrets({
+      ...super.toJSON(),
+      challengeType: this.challengeType,
+      rayId: this.rayId,
+      retryable: this.retryable,
+      requiresUserAction: this.requiresUserAction
+    });
+  }
+  
   /**
    * Creates a CloudflareError from an HTTP error response
    * 
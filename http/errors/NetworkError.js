@@ -0,0 +1,58 @@
+/**
+ * @fileoverview
+ * NetworkError - Specialized error class for requests that never got an HTTP
+ * response (connection failures, DNS errors and timeouts).
+ */
+
+import SDKError from './SDKError.js';
+import { redactSecrets } from '../utils/SecretRedaction.js';
+
+/**
+ * Error class for network failures and timeouts
+ *
+ * @class
+ * @extends SDKError
+ */
+class NetworkError extends SDKError {
+  /**
+   * Creates a new NetworkError instance
+   *
+   * @param {string} message - Error message
+   * @param {Object} [options={}] - Network error options
+   * @param {boolean} [options.isTimeout=false] - Whether the request timed out
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @param {number} [options.retryCount=0] - Retries made before giving up
+   * @param {boolean} [options.retryable=true] - Whether the error is retryable
+   * @param {Object} [details={}] - Additional error details
+   * @param {Error} [originalError=null] - Original error that caused this error
+   */
+  constructor(message, options = {}, details = {}, originalError = null) {
+    super(
+      message || 'Network request failed',
+      options.isTimeout ? 'TIMEOUT_ERROR' : 'NETWORK_ERROR',
+      details,
+      originalError
+    );
+
+    this.isTimeout = options.isTimeout || false;
+    this.timeout = options.timeout;
+    this.retryCount = options.retryCount || 0;
+    this.retryable = options.retryable !== false;
+  }
+
+  /**
+   * Returns a plain object representation of the error
+   *
+   * @returns {Object} Plain object representation of the error
+   */
+  toJSON() {
+    return redactSecrets({
+      ...super.toJSON(),
+      isTimeout: this.isTimeout,
+      timeout: this.timeout,
+      retryCount: this.retryCount
+    });
+  }
+}
+
+export default NetworkError;
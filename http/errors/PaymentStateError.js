@@ -0,0 +1,63 @@
+/**
+ * @fileoverview
+ * PaymentStateError - Specialized error class for operations that are not
+ * allowed in the current status of a transaction (e.g. refunding a payment
+ * that never succeeded).
+ */
+
+import SDKError from './SDKError.js';
+import { redactSecrets } from '../utils/SecretRedaction.js';
+
+/**
+ * Error class for operations attempted on a transaction in the wrong status
+ *
+ * @class
+ * @extends SDKError
+ */
+class PaymentStateError extends SDKError {
+  /**
+   * Creates a new PaymentStateError instance
+   *
+   * @param {string} message - Error message
+   * @param {Object} [options={}] - Payment state options
+   * @param {string} [options.transactionId] - Transaction the operation targeted
+   * @param {string} [options.status] - Current status of the transaction
+   * @param {string} [options.operation] - Operation that was attempted ('refund' or 'cancel')
+   * @param {string[]} [options.allowedStatuses=[]] - Statuses in which the operation is allowed
+   * @param {Object} [details={}] - Additional error details
+   * @param {Error} [originalError=null] - Original error that caused this error
+   */
+  constructor(message, options = {}, details = {}, originalError = null) {
+    super(
+      message || 'Operation not allowed in the current payment status',
+      'INVALID_PAYMENT_STATE',
+      details,
+      originalError
+    );
+
+    this.transactionId = options.transactionId;
+    this.paymentStatus = options.status;
+    this.operation = options.operation;
+    this.allowedStatuses = options.allowedStatuses || [];
+
+    // The transaction status will not change by retrying the same call
+    this.retryable = false;
+  }
+
+  /**
+   * Returns a plain object representation of the error
+   *
+   * @returns {Object} Plain object representation of the error
+   */
+  toJSON() {
+    return redactSecrets({
+      ...super.toJSON(),
+      transactionId: this.transactionId,
+      paymentStatus: this.paymentStatus,
+      operation: this.operation,
+      allowedStatuses: this.allowedStatuses
+    });
+  }
+}
+
+export default PaymentStateError;
@@ -0,0 +1,62 @@
+/**
+ * @fileoverview
+ * PaymentTimeoutError - Specialized error class for payments that did not
+ * reach a terminal status within the time the caller was willing to wait.
+ */
+
+import SDKError from './SDKError.js';
+import { redactSecrets } from '../utils/SecretRedaction.js';
+
+/**
+ * Error class for payment completion timeouts
+ *
+ * @class
+ * @extends SDKError
+ */
+class PaymentTimeoutError extends SDKError {
+  /**
+   * Creates a new PaymentTimeoutError instance
+   *
+   * @param {string} message - Error message
+   * @param {Object} [options={}] - Timeout options
+   * @param {string} [options.transactionId] - Transaction that was being waited on
+   * @param {number} [options.timeoutMs] - How long the caller waited in milliseconds
+   * @param {Object} [options.lastStatus=null] - Last transaction details seen before giving up
+   * @param {number} [options.attempts=0] - Number of status requests made
+   * @param {Object} [details={}] - Additional error details
+   * @param {Error} [originalError=null] - Original error that caused this error
+   */
+  constructor(message, options = {}, details = {}, originalError = null) {
+    super(
+      message || 'Timed out waiting for the payment to complete',
+      'PAYMENT_TIMEOUT',
+      details,
+      originalError
+    );
+
+    this.transactionId = options.transactionId;
+    this.timeoutMs = options.timeoutMs;
+    this.lastStatus = options.lastStatus || null;
+    this.attempts = options.attempts || 0;
+
+    // The payment may still complete, so waiting again is meaningful
+    this.retryable = true;
+  }
+
+  /**
+   * Returns a plain object representation of the error
+   *
+   * @returns {Object} Plain object representation of the error
+   */
+  toJSON() {
+    return redactSecrets({
+      ...super.toJSON(),
+      transactionId: this.transactionId,
+      timeoutMs: this.timeoutMs,
+      lastStatus: this.lastStatus,
+      attempts: this.attempts
+    });
+  }
+}
+
+export default PaymentTimeoutError;
@@ -5,6 +5,7 @@
  */
 
 import SDKError from './SDKError.js';
+import { redactSecrets } from '../utils/SecretRedaction.js';
 
 /**
  * Error class for rate limiting errors
@@ -96,6 +97,21 @@ class RateLimitError extends SDKError {
     return 'Wait until the rate limit resets before making additional requests';
   }
   
+  /**
+   * Returns a plain object representation of the error
+   * 
+   * @returns {Object} Plain object representation of the error
+   */
+  toJSON() {
+    return redactSecrets({
+      ...super.toJSON(),
+      retryAfter: this.retryAfter,
+      retryTimestamp: this.retryTimestamp,
+      resetTimestamp: this.resetTimestamp,
+      rateLimitInfo: this.rateLimitInfo
+    });
+  }
+  
   /**
    * Creates a RateLimitError from an HTTP error response
    * 
@@ -4,6 +4,8 @@
  * and standardized structure.
  */
 
+import { redactSecrets } from '../utils/SecretRedaction.js';
+
 /**
  * Base error class for all SDK errors
  * 
@@ -20,7 +22,8 @@ class SDKError extends Error {
    * @param {Error} [originalError=null] - Original error that caused this error
    */
   constructor(message, code, details = {}, originalError = null) {
-    super(message);
+    // The original error is also the standard `cause`, so Node and loggers print the chain
+    super(message, originalError ? { cause: originalError } : undefined);
     
     // Standard error properties
     this.name = this.constructor.name;
@@ -61,7 +64,41 @@ class SDKError extends Error {
           headers: this.sanitizeHeaders(originalError.config.headers)
         };
       }
+    } else if (originalError instanceof SDKError) {
+      // Wrapping another SDK error keeps its HTTP information
+      this.status = originalError.status;
+      this.statusText = originalError.statusText;
+      this.headers = originalError.headers;
+      this.responseData = originalError.responseData;
+      this.request = originalError.request;
     }
+
+    this.statusCode = this.status;
+    this.requestId = (details && details.requestId) || this.findRequestId(originalError);
+  }
+
+  /**
+   * Finds the ID the API or the SDK gave the failed request
+   *
+   * @param {Error} [originalError] - Original error
+   * @returns {string|undefined} The request ID
+   * @private
+   */
+  findRequestId(originalError) {
+    if (originalError instanceof SDKError && originalError.requestId) {
+      return originalError.requestId;
+    }
+
+    const header = (headers, name) => {
+      const key = Object.keys(headers || {}).find(key => key.toLowerCase() === name);
+      return key ? headers[key] : undefined;
+    };
+    const data = this.responseData && typeof this.responseData === 'object' ? this.responseData : {};
+
+    return header(this.headers, 'x-request-id') ||
+      data.request_id ||
+      data.requestId ||
+      header(originalError && originalError.config && originalError.config.headers, 'x-request-id');
   }
   
   /**
@@ -101,20 +138,25 @@ class SDKError extends Error {
   /**
    * Returns a plain object representation of the error
    * 
+   * Registered secret keys are redacted (see SecretRedaction.js), as error JSON often
+   * ends up in logs and HTTP responses.
+   * 
    * @returns {Object} Plain object representation of the error
    */
   toJSON() {
-    return {
+    return redactSecrets({
       name: this.name,
       message: this.message,
       code: this.code,
       timestamp: this.timestamp,
       status: this.status,
+      statusCode: this.statusCode,
       statusText: this.statusText,
+      requestId: this.requestId,
       details: this.details,
       request: this.request,
       stack: this.stack
-    };
+    });
   }
   
   /**
@@ -128,6 +170,47 @@ class SDKError extends Error {
     }`;
   }
   
+  /**
+   * Returns a copy of this error with context in front of its message
+   *
+   * The copy keeps the class, code and HTTP information, and has this error as its
+   * `cause`. Copying (instead of editing the message) keeps errors shared between
+   * callers, such as replayed idempotent requests, from being prefixed twice.
+   *
+   * @param {string} context - Context, e.g. 'Failed to get payment status'
+   * @returns {SDKError} The copy, e.g. 'Failed to get payment status: HTTP 404: Not Found'
+   */
+  withContext(context) {
+    const message = `${context}: ${this.message}`;
+    const error = Object.create(
+      Object.getPrototypeOf(this),
+      Object.getOwnPropertyDescriptors(this)
+    );
+
+    Object.defineProperty(error, 'message', { value: message, writable: true, configurable: true });
+    Object.defineProperty(error, 'cause', { value: this, writable: true, configurable: true });
+    error.stack = `${this.name}: ${message}\n${String(this.stack).split('\n').slice(1).join('\n')}`;
+    return error;
+  }
+  
+  /**
+   * Adds context to an error thrown inside a public SDK method
+   *
+   * SDK errors keep their class (see `withContext`); any other error becomes an SDKError
+   * with the code 'UNKNOWN_ERROR' and the error as its cause.
+   *
+   * @param {Error} error - Error to wrap
+   * @param {string} context - Context, e.g. 'Failed to initiate payment'
+   * @returns {SDKError} The wrapped error
+   * @static
+   */
+  static wrap(error, context) {
+    if (error instanceof SDKError) {
+      return error.withContext(context);
+    }
+    return new SDKError(`${context}: ${error.message}`, 'UNKNOWN_ERROR', {}, error);
+  }
+  
   /**
    * Creates an SDKError from an existing error
    * 
@@ -0,0 +1,36 @@
+/**
+ * @fileoverview
+ * ServerError - Specialized error class for API server failures (HTTP 5xx
+ * or a response that is missing required fields).
+ */
+
+import SDKError from './SDKError.js';
+
+/**
+ * Error class for API server failures
+ *
+ * @class
+ * @extends SDKError
+ */
+class ServerError extends SDKError {
+  /**
+   * Creates a new ServerError instance
+   *
+   * @param {string} message - Error message
+   * @param {Object} [details={}] - Additional error details
+   * @param {Error} [originalError=null] - Original error that caused this error
+   */
+  constructor(message, details = {}, originalError = null) {
+    super(
+      message || 'The API server failed to handle the request',
+      'SERVER_ERROR',
+      details,
+      originalError
+    );
+
+    // Server failures are usually temporary
+    this.retryable = true;
+  }
+}
+
+export default ServerError;
@@ -0,0 +1,74 @@
+/**
+ * @fileoverview
+ * SignatureVerificationError - Specialized error class for signed payloads
+ * (such as payment callbacks) that fail HMAC or timestamp verification.
+ */
+
+import SDKError from './SDKError.js';
+import { redactSecrets } from '../utils/SecretRedaction.js';
+
+/**
+ * Reasons a signature verification can fail
+ * @enum {string}
+ */
+export const SignatureFailureReason = {
+  MISSING_SIGNATURE: 'missing_signature',
+  MISSING_TIMESTAMP: 'missing_timestamp',
+  INVALID_TIMESTAMP: 'invalid_timestamp',
+  TIMESTAMP_OUT_OF_TOLERANCE: 'timestamp_out_of_tolerance',
+  SIGNATURE_MISMATCH: 'signature_mismatch',
+  UNSUPPORTED_VERSION: 'unsupported_version',
+  MISSING_NONCE: 'missing_nonce',
+  NONCE_REUSED: 'nonce_reused'
+};
+
+/**
+ * Error class for signature verification failures
+ *
+ * @class
+ * @extends SDKError
+ */
+class SignatureVerificationError extends SDKError {
+  /**
+   * Creates a new SignatureVerificationError instance
+   *
+   * @param {string} message - Error message
+   * @param {Object} [options={}] - Verification failure options
+   * @param {string} [options.reason] - One of SignatureFailureReason
+   * @param {number} [options.signedAt] - Timestamp found in the signed payload (seconds)
+   * @param {number} [options.toleranceSeconds] - Tolerance window that was enforced
+   * @param {Object} [details={}] - Additional error details
+   * @param {Error} [originalError=null] - Original error that caused this error
+   */
+  constructor(message, options = {}, details = {}, originalError = null) {
+    super(
+      message || 'Signature verification failed',
+      'SIGNATURE_VERIFICATION_FAILED',
+      details,
+      originalError
+    );
+
+    this.reason = options.reason || SignatureFailureReason.SIGNATURE_MISMATCH;
+    this.signedAt = options.signedAt;
+    this.toleranceSeconds = options.toleranceSeconds;
+
+    // A tampered or stale payload never becomes valid by retrying
+    this.retryable = false;
+  }
+
+  /**
+   * Returns a plain object representation of the error
+   *
+   * @returns {Object} Plain object representation of the error
+   */
+  toJSON() {
+    return redactSecrets({
+      ...super.toJSON(),
+      reason: this.reason,
+      signedAt: this.signedAt,
+      toleranceSeconds: this.toleranceSeconds
+    });
+  }
+}
+
+export default SignatureVerificationError;
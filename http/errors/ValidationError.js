@@ -0,0 +1,130 @@
+/**
+ * @fileoverview
+ * ValidationError - Specialized error class for invalid input, either rejected
+ * by the SDK's Joi schemas before a request or by the API (HTTP 422).
+ */
+
+import SDKError from './SDKError.js';
+import { redactSecrets } from '../utils/SecretRedaction.js';
+import { maskSensitiveData, maskString, DEFAULT_SENSITIVE_KEYS } from '../Logger.js';
+
+/**
+ * Masks a rejected value so secrets don't end up in error reports
+ *
+ * @private
+ * @param {string} key - Name of the invalid field
+ * @param {*} value - Rejected value
+ * @returns {*} The value, masked when the field is sensitive
+ */
+function maskValue(key, value) {
+  const sensitive = typeof key === 'string' && DEFAULT_SENSITIVE_KEYS.some(sensitiveKey =>
+    key.toLowerCase().includes(sensitiveKey.toLowerCase())
+  );
+
+  if (sensitive && value !== undefined && value !== null) {
+    return typeof value === 'string' ? maskString(value) : '****';
+  }
+  return maskSensitiveData(value);
+}
+
+/**
+ * Error class for invalid input
+ *
+ * @class
+ * @extends SDKError
+ */
+class ValidationError extends SDKError {
+  /**
+   * Creates a new ValidationError instance
+   *
+   * @param {string} message - Error message
+   * @param {Array<{field: string, message: string, type?: string, value?: *}>} [validationDetails=[]] - One entry per invalid field
+   * @param {Object} [details={}] - Additional error details
+   * @param {Error} [originalError=null] - Original error that caused this error
+   */
+  constructor(message, validationDetails = [], details = {}, originalError = null) {
+    super(
+      message || 'Validation failed',
+      'VALIDATION_ERROR',
+      details,
+      originalError
+    );
+
+    this.validationDetails = validationDetails;
+
+    // The same input will be rejected again
+    this.retryable = false;
+  }
+
+  /**
+   * Returns a plain object representation of the error
+   *
+   * @returns {Object} Plain object representation of the error
+   */
+  toJSON() {
+    return redactSecrets({
+      ...super.toJSON(),
+      validationDetails: this.validationDetails
+    });
+  }
+
+  /**
+   * Creates a ValidationError from a Joi validation error
+   *
+   * Validate with `abortEarly: false` to get one detail per problem. Values of sensitive
+   * fields (secret keys, tokens, ...) are masked. The Joi error is not kept as `cause`
+   * because it holds the unmasked input.
+   *
+   * @param {Error} joiError - Error returned by `schema.validate()`
+   * @returns {ValidationError} New ValidationError instance
+   * @static
+   */
+  static fromJoi(joiError) {
+    const validationDetails = (joiError.details || []).map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+      type: detail.type,
+      value: maskValue(detail.context && detail.context.key, detail.context && detail.context.value)
+    }));
+
+    return new ValidationError(
+      validationDetails.length > 0
+        ? validationDetails.map(detail => detail.message).join('. ')
+        : joiError.message,
+      validationDetails
+    );
+  }
+
+  /**
+   * Creates a ValidationError from an HTTP 422 error response
+   *
+   * Accepts `errors` as `{ field: ['message', ...] }` or `[{ field, message }]`.
+   *
+   * @param {Error} error - Original error with response object
+   * @param {string} [message] - Custom error message
+   * @returns {ValidationError} New ValidationError instance
+   * @static
+   */
+  static fromResponse(error, message) {
+    const data = error.response && error.response.data;
+    const errors = data && typeof data === 'object' ? data.errors : undefined;
+    let validationDetails = [];
+
+    if (Array.isArray(errors)) {
+      validationDetails = errors.map(entry => ({ field: entry.field || '', message: entry.message }));
+    } else if (errors && typeof errors === 'object') {
+      validationDetails = Object.entries(errors).flatMap(([field, messages]) =>
+        (Array.isArray(messages) ? messages : [messages]).map(fieldMessage => ({ field, message: String(fieldMessage) }))
+      );
+    }
+
+    return new ValidationError(
+      message || (data && data.message) || error.message,
+      validationDetails,
+      error.errorDetails || {},
+      error
+    );
+  }
+}
+
+export default ValidationError;
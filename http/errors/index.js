@@ -6,15 +6,41 @@
 import SDKError from './SDKError.js';
 import RateLimitError from './RateLimitError.js';
 import CloudflareError from './CloudflareError.js';
+import SignatureVerificationError, { SignatureFailureReason } from './SignatureVerificationError.js';
+import PaymentStateError from './PaymentStateError.js';
+import PaymentTimeoutError from './PaymentTimeoutError.js';
+import NetworkError from './NetworkError.js';
+import ValidationError from './ValidationError.js';
+import AuthenticationError from './AuthenticationError.js';
+import ServerError from './ServerError.js';
+import ClientTokenError, { ClientTokenFailureReason } from './ClientTokenError.js';
 
 export {
   SDKError,
   RateLimitError,
-  CloudflareError
+  CloudflareError,
+  SignatureVerificationError,
+  SignatureFailureReason,
+  PaymentStateError,
+  PaymentTimeoutError,
+  NetworkError,
+  ValidationError,
+  AuthenticationError,
+  ServerError,
+  ClientTokenError,
+  ClientTokenFailureReason
 };
 
 export default {
   SDKError,
   RateLimitError,
-  CloudflareError
-};
\ No newline at end of file
+  CloudflareError,
+  SignatureVerificationError,
+  PaymentStateError,
+  PaymentTimeoutError,
+  NetworkError,
+  ValidationError,
+  AuthenticationError,
+  ServerError,
+  ClientTokenError
+};
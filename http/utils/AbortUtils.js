@@ -0,0 +1,107 @@
+/**
+ * AbortUtils - Helpers for honouring an AbortSignal while waiting
+ *
+ * Works with the standard AbortController available in modern browsers
+ * and Node.js 16+.
+ */
+
+/**
+ * Returns the error to reject with once a signal has been aborted
+ *
+ * @param {AbortSignal} signal - Aborted signal
+ * @returns {Error} The signal's reason, or a generic AbortError
+ */
+export function getAbortReason(signal) {
+  if (signal && signal.reason !== undefined) {
+    return signal.reason;
+  }
+
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Throws if the signal has already been aborted
+ *
+ * @param {AbortSignal} [signal] - Optional abort signal
+ * @throws {Error} The abort reason
+ */
+export function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw getAbortReason(signal);
+  }
+}
+
+/**
+ * Resolves after a delay, or rejects as soon as the signal is aborted
+ *
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Optional abort signal
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(getAbortReason(signal));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(getAbortReason(signal));
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * Settles like the given promise, or rejects as soon as the signal is aborted.
+ * The underlying operation is not cancelled; its result is simply ignored.
+ *
+ * @param {Promise<*>} promise - Promise to wait for
+ * @param {AbortSignal} [signal] - Optional abort signal
+ * @returns {Promise<*>}
+ */
+export function abortable(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(getAbortReason(signal));
+      return;
+    }
+
+    const onAbort = () => reject(getAbortReason(signal));
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    promise.then(
+      (value) => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      (error) => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+}
+
+export default {
+  getAbortReason,
+  throwIfAborted,
+  sleep,
+  abortable
+};
@@ -0,0 +1,154 @@
+/**
+ * CallbackSignature - Signs and verifies payment callback parameters
+ *
+ * Callbacks are signed with the same application secret and HMAC-SHA256
+ * scheme used for API requests. The string to sign is:
+ *
+ *   timestamp + "\n" + canonicalParams
+ *
+ * where `canonicalParams` is every callback parameter except `signature`,
+ * sorted by key and joined as URL-encoded `key=value` pairs with `&`.
+ */
+
+import { createHmacSignature, timingSafeEqual } from './CryptoPolyfill.js';
+import { isSigner } from './Signer.js';
+import {
+  SignatureVerificationError,
+  SignatureFailureReason
+} from '../errors/index.js';
+
+/**
+ * Name of the callback parameter carrying the signature
+ * @type {string}
+ */
+export const SIGNATURE_PARAM = 'signature';
+
+/**
+ * Name of the callback parameter carrying the UNIX timestamp (seconds)
+ * @type {string}
+ */
+export const TIMESTAMP_PARAM = 'timestamp';
+
+/**
+ * Default tolerance window in seconds between the callback timestamp and now
+ * @type {number}
+ */
+export const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * Converts a callback parameter value to the string form used for signing
+ *
+ * @param {*} value - Parameter value
+ * @returns {string} String form of the value
+ * @private
+ */
+function stringifyParamValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Builds the canonical parameter string for a set of callback parameters
+ *
+ * @param {Object} params - Callback parameters (query or body)
+ * @returns {string} Sorted, URL-encoded `key=value` pairs joined with `&`
+ */
+export function canonicalizeCallbackParams(params = {}) {
+  return Object.keys(params)
+    .filter(key => key !== SIGNATURE_PARAM && params[key] !== undefined)
+    .sort()
+    .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(stringifyParamValue(params[key]))}`)
+    .join('&');
+}
+
+/**
+ * Builds the string to sign for a set of callback parameters
+ *
+ * @param {Object} params - Callback parameters, including `timestamp`
+ * @returns {string} The string to sign
+ */
+export function buildCallbackStringToSign(params = {}) {
+  return `${stringifyParamValue(params[TIMESTAMP_PARAM])}\n${canonicalizeCallbackParams(params)}`;
+}
+
+/**
+ * Creates the signature for a set of callback parameters
+ *
+ * @param {string|Object} secretKey - Application secret key, or a signer (see Signer.js)
+ * @param {Object} params - Callback parameters, including `timestamp`
+ * @returns {Promise<string>} The hex HMAC-SHA256 signature
+ */
+export async function createCallbackSignature(secretKey, params) {
+  const stringToSign = buildCallbackStringToSign(params);
+  return isSigner(secretKey)
+    ? secretKey.sign(stringToSign)
+    : createHmacSignature(secretKey, stringToSign);
+}
+
+/**
+ * Verifies the signature and timestamp of a set of callback parameters
+ *
+ * @param {string|Object} secretKey - Application secret key, or a signer (see Signer.js)
+ * @param {Object} params - Callback parameters, including `timestamp` and `signature`
+ * @param {Object} [options={}] - Verification options
+ * @param {number} [options.toleranceSeconds=300] - Maximum allowed clock difference in seconds
+ * @param {number} [options.now] - Current time in milliseconds (defaults to Date.now())
+ * @returns {Promise<true>} Resolves to true when the callback is authentic
+ * @throws {SignatureVerificationError} If the signature is missing, stale or does not match
+ */
+export async function verifyCallbackSignature(secretKey, params, options = {}) {
+  const toleranceSeconds = options.toleranceSeconds !== undefined
+    ? options.toleranceSeconds
+    : DEFAULT_TOLERANCE_SECONDS;
+  const now = options.now !== undefined ? options.now : Date.now();
+
+  const signature = params && params[SIGNATURE_PARAM];
+  if (!signature || typeof signature !== 'string') {
+    throw new SignatureVerificationError(
+      'Callback signature is missing',
+      { reason: SignatureFailureReason.MISSING_SIGNATURE, toleranceSeconds }
+    );
+  }
+
+  const rawTimestamp = params[TIMESTAMP_PARAM];
+  if (rawTimestamp === undefined || rawTimestamp === null || rawTimestamp === '') {
+    throw new SignatureVerificationError(
+      'Callback timestamp is missing',
+      { reason: SignatureFailureReason.MISSING_TIMESTAMP, toleranceSeconds }
+    );
+  }
+
+  const signedAt = Number(rawTimestamp);
+  if (!Number.isInteger(signedAt)) {
+    throw new SignatureVerificationError(
+      `Callback timestamp "${rawTimestamp}" is not a valid UNIX timestamp`,
+      { reason: SignatureFailureReason.INVALID_TIMESTAMP, toleranceSeconds }
+    );
+  }
+
+  if (Math.abs(Math.floor(now / 1000) - signedAt) > toleranceSeconds) {
+    throw new SignatureVerificationError(
+      `Callback timestamp is outside the ${toleranceSeconds}s tolerance window`,
+      { reason: SignatureFailureReason.TIMESTAMP_OUT_OF_TOLERANCE, signedAt, toleranceSeconds }
+    );
+  }
+
+  const expected = await createCallbackSignature(secretKey, params);
+  if (!timingSafeEqual(expected, signature.toLowerCase())) {
+    throw new SignatureVerificationError(
+      'Callback signature does not match',
+      { reason: SignatureFailureReason.SIGNATURE_MISMATCH, signedAt, toleranceSeconds }
+    );
+  }
+
+  return true;
+}
+
+export default {
+  canonicalizeCallbackParams,
+  buildCallbackStringToSign,
+  createCallbackSignature,
+  verifyCallbackSignature
+};
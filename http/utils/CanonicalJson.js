@@ -0,0 +1,118 @@
+/**
+ * CanonicalJson - Deterministic JSON encoding for signed request bodies
+ *
+ * The SDK signs the exact string it sends, so the encoding must not depend on how the
+ * body object was built. Compared with `JSON.stringify`:
+ *
+ * - object keys are sorted by UTF-16 code units (insertion order doesn't matter);
+ * - `undefined`, function and symbol properties are left out, in arrays they become `null`;
+ * - numbers use the shortest round-trip form (`1e21`, `0.1`) and `-0` is written as `0`;
+ *   `NaN` and `Infinity` are rejected instead of being sent as `null`;
+ * - strings are escaped like `JSON.stringify` (non-ASCII characters are kept as UTF-8,
+ *   lone surrogates are escaped).
+ *
+ * Values with a `toJSON` method (Date, Money) are encoded from its result.
+ */
+
+/**
+ * Encodes a value as canonical JSON
+ *
+ * @param {*} value - JSON-serializable value
+ * @returns {string|undefined} The canonical JSON text (undefined for an undefined value)
+ * @throws {TypeError} For non-finite numbers, BigInts and circular structures
+ */
+export function canonicalJsonStringify(value) {
+  return encode(value, new Set());
+}
+
+/**
+ * Encodes a value, tracking the objects on the current path to detect cycles
+ *
+ * @param {*} value - Value to encode
+ * @param {Set<Object>} ancestors - Objects being encoded
+ * @returns {string|undefined} The JSON text, or undefined for values JSON leaves out
+ * @private
+ */
+function encode(value, ancestors) {
+  if (value && typeof value.toJSON === 'function') {
+    value = value.toJSON();
+  }
+
+  switch (typeof value) {
+    case 'string':
+      return JSON.stringify(value);
+    case 'boolean':
+      return value ? 'true' : 'false';
+    case 'number':
+      if (!Number.isFinite(value)) {
+        throw new TypeError(`Cannot encode ${value} as JSON`);
+      }
+      return Object.is(value, -0) ? '0' : String(value);
+    case 'bigint':
+      throw new TypeError('Cannot encode a BigInt as JSON');
+    case 'undefined':
+    case 'function':
+    case 'symbol':
+      return undefined;
+  }
+
+  if (value === null) {
+    return 'null';
+  }
+
+  if (ancestors.has(value)) {
+    throw new TypeError('Cannot encode a circular structure as JSON');
+  }
+  ancestors.add(value);
+
+  let json;
+  if (Array.isArray(value)) {
+    json = `[${value.map(item => {
+      const encoded = encode(item, ancestors);
+      return encoded === undefined ? 'null' : encoded;
+    }).join(',')}]`;
+  } else {
+    const members = [];
+    for (const key of Object.keys(value).sort()) {
+      const encoded = encode(value[key], ancestors);
+      if (encoded !== undefined) {
+        members.push(`${JSON.stringify(key)}:${encoded}`);
+      }
+    }
+    json = `{${members.join(',')}}`;
+  }
+
+  ancestors.delete(value);
+  return json;
+}
+
+/**
+ * Converts request data to the body string that is signed and sent
+ *
+ * Strings are sent as they are; FormData, URLSearchParams, Blob and binary data are
+ * left for the adapter to send.
+ *
+ * @param {*} data - Request body data
+ * @returns {*} The canonical JSON string, the data itself, or undefined when there is no body
+ */
+export function serializeRequestBody(data) {
+  if (data === undefined || data === null) {
+    return undefined;
+  }
+  if (
+    typeof data === 'string' ||
+    (typeof FormData !== 'undefined' && data instanceof FormData) ||
+    (typeof URLSearchParams !== 'undefined' && data instanceof URLSearchParams) ||
+    (typeof Blob !== 'undefined' && data instanceof Blob) ||
+    data instanceof ArrayBuffer ||
+    ArrayBuffer.isView(data)
+  ) {
+    return data;
+  }
+  return canonicalJsonStringify(data);
+}
+
+export default {
+  canonicalJsonStringify,
+  serializeRequestBody
+};
@@ -0,0 +1,253 @@
+/**
+ * ClientToken - Short-lived, scope-limited tokens for browsers
+ *
+ * Browsers must never hold the application secret. Instead the server mints a client token
+ * that allows a few operations for a few minutes, e.g. "initiate payments up to 50 USD for
+ * 10 minutes", and the payment routes (see integrations/routes.js) check it before calling
+ * the API with the real credentials.
+ *
+ * A token is `tlct1.<payload>.<signature>`:
+ *
+ * - `payload` is the base64url-encoded canonical JSON of
+ *   `{ cid, iat, exp, jti, scope: { actions, maxAmount?, currency? } }` (times in UNIX seconds);
+ * - `signature` is the hex HMAC-SHA256, keyed with the application secret, of
+ *   `"testluy-client-token\n" + payload`. The prefix keeps token signatures apart from
+ *   request and callback signatures.
+ */
+
+import { createHmacSignature, timingSafeEqual, generateUUID } from './CryptoPolyfill.js';
+import { canonicalJsonStringify } from './CanonicalJson.js';
+import { isSigner } from './Signer.js';
+import { ClientTokenError, ClientTokenFailureReason } from '../errors/index.js';
+import Money, { DEFAULT_CURRENCY } from '../../money.js';
+
+/**
+ * Version prefix of client tokens
+ * @type {string}
+ */
+export const CLIENT_TOKEN_PREFIX = 'tlct1';
+
+/**
+ * Operations a client token can allow
+ * @enum {string}
+ */
+export const ClientTokenAction = {
+  INITIATE_PAYMENT: 'initiatePayment',
+  GET_PAYMENT_STATUS: 'getPaymentStatus'
+};
+
+/**
+ * Default lifetime of a client token in seconds
+ * @type {number}
+ */
+export const DEFAULT_CLIENT_TOKEN_TTL_SECONDS = 600;
+
+/**
+ * Longest allowed lifetime of a client token in seconds
+ * @type {number}
+ */
+export const MAX_CLIENT_TOKEN_TTL_SECONDS = 3600;
+
+const SIGNING_PREFIX = 'testluy-client-token\n';
+
+/**
+ * Encodes text as unpadded base64url
+ *
+ * @private
+ * @param {string} text - Text to encode
+ * @returns {string} The base64url string
+ */
+function toBase64Url(text) {
+  const binary = Array.from(new TextEncoder().encode(text), byte => String.fromCharCode(byte)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes unpadded base64url to text
+ *
+ * @private
+ * @param {string} encoded - base64url string
+ * @returns {string} The decoded text
+ * @throws {Error} If the string is not valid base64url
+ */
+function fromBase64Url(encoded) {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder('utf-8', { fatal: true }).decode(
+    Uint8Array.from(binary, char => char.charCodeAt(0))
+  );
+}
+
+/**
+ * Signs a token payload
+ *
+ * @private
+ * @param {string|Object} secretKey - Application secret key, or a signer (see Signer.js)
+ * @param {string} payload - Encoded payload
+ * @returns {Promise<string>} The hex HMAC-SHA256 signature
+ */
+function signPayload(secretKey, payload) {
+  const stringToSign = `${SIGNING_PREFIX}${payload}`;
+  return isSigner(secretKey)
+    ? secretKey.sign(stringToSign)
+    : createHmacSignature(secretKey, stringToSign);
+}
+
+/**
+ * Converts decoded token claims to the shape returned by `verifyClientToken`
+ *
+ * @private
+ * @param {Object} claims - Decoded payload
+ * @returns {Object} The token information
+ */
+function describeClaims(claims) {
+  return {
+    clientId: claims.cid,
+    tokenId: claims.jti,
+    issuedAt: new Date(claims.iat * 1000).toISOString(),
+    expiresAt: new Date(claims.exp * 1000).toISOString(),
+    scope: claims.scope
+  };
+}
+
+/**
+ * Creates a client token
+ *
+ * @param {string|Object} secretKey - Application secret key, or a signer (see Signer.js)
+ * @param {Object} options - Token options, already validated (see `clientTokenOptionsSchema`)
+ * @param {string} options.clientId - Client ID the token belongs to
+ * @param {string[]} [options.actions] - Allowed operations (ClientTokenAction values, default all)
+ * @param {number|string|Money} [options.maxAmount] - Largest amount a payment may have
+ * @param {string} [options.currency] - Only currency payments may use (USD when `maxAmount` is set
+ *   without one)
+ * @param {number} [options.ttlSeconds=600] - Lifetime in seconds
+ * @param {number} [options.now] - Current time in milliseconds (defaults to Date.now())
+ * @returns {Promise<{token: string, expiresAt: string, scope: Object}>} The token, its expiry
+ *   (ISO 8601) and its scope
+ */
+export async function createClientToken(secretKey, options) {
+  const now = options.now !== undefined ? options.now : Date.now();
+  const issuedAt = Math.floor(now / 1000);
+  const ttlSeconds = options.ttlSeconds || DEFAULT_CLIENT_TOKEN_TTL_SECONDS;
+
+  const scope = { actions: options.actions || Object.values(ClientTokenAction) };
+  if (options.maxAmount !== undefined) {
+    // An amount limit only makes sense in one currency; the limit is kept as a decimal
+    // string so it is compared exactly
+    scope.currency = options.currency || DEFAULT_CURRENCY;
+    scope.maxAmount = Money.of(options.maxAmount, scope.currency).toString();
+  } else if (options.currency) {
+    scope.currency = options.currency;
+  }
+
+  const claims = {
+    cid: options.clientId,
+    iat: issuedAt,
+    exp: issuedAt + ttlSeconds,
+    jti: generateUUID(),
+    scope
+  };
+  const payload = toBase64Url(canonicalJsonStringify(claims));
+  const signature = await signPayload(secretKey, payload);
+
+  return {
+    token: `${CLIENT_TOKEN_PREFIX}.${payload}.${signature}`,
+    expiresAt: describeClaims(claims).expiresAt,
+    scope
+  };
+}
+
+/**
+ * Verifies a client token and, optionally, that it allows an operation
+ *
+ * @param {string|Object} secretKey - Application secret key, or a signer (see Signer.js)
+ * @param {string} token - Client token
+ * @param {Object} [options={}] - Verification options
+ * @param {string} [options.clientId] - Client ID the token must belong to
+ * @param {string} [options.action] - Operation to check (a ClientTokenAction value)
+ * @param {number|string|Money} [options.amount] - Payment amount to check against `maxAmount`
+ * @param {string} [options.currency] - Payment currency (defaults to USD when an amount is given)
+ * @param {number} [options.now] - Current time in milliseconds (defaults to Date.now())
+ * @returns {Promise<{clientId: string, tokenId: string, issuedAt: string, expiresAt: string, scope: Object}>}
+ *   The token information
+ * @throws {ClientTokenError} If the token is missing, malformed, forged, expired or its scope
+ *   doesn't allow the operation
+ */
+export async function verifyClientToken(secretKey, token, options = {}) {
+  if (!token || typeof token !== 'string') {
+    throw new ClientTokenError('Client token is missing', { reason: ClientTokenFailureReason.MISSING_TOKEN });
+  }
+
+  const [prefix, payload, signature, ...rest] = token.split('.');
+  if (prefix !== CLIENT_TOKEN_PREFIX || !payload || !signature || rest.length > 0) {
+    throw new ClientTokenError('Client token is malformed', { reason: ClientTokenFailureReason.MALFORMED_TOKEN });
+  }
+
+  // Check the signature before trusting anything in the payload
+  const expected = await signPayload(secretKey, payload);
+  if (!timingSafeEqual(expected, signature.toLowerCase())) {
+    throw new ClientTokenError('Client token signature does not match', {
+      reason: ClientTokenFailureReason.SIGNATURE_MISMATCH
+    });
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(fromBase64Url(payload));
+  } catch (error) {
+    throw new ClientTokenError(
+      'Client token is malformed',
+      { reason: ClientTokenFailureReason.MALFORMED_TOKEN },
+      {},
+      error
+    );
+  }
+  if (!claims || !Number.isInteger(claims.exp) || !Number.isInteger(claims.iat) || !claims.scope) {
+    throw new ClientTokenError('Client token is malformed', { reason: ClientTokenFailureReason.MALFORMED_TOKEN });
+  }
+
+  const info = describeClaims(claims);
+  const now = options.now !== undefined ? options.now : Date.now();
+  if (Math.floor(now / 1000) >= claims.exp) {
+    throw new ClientTokenError('Client token has expired', {
+      reason: ClientTokenFailureReason.EXPIRED,
+      expiresAt: info.expiresAt
+    });
+  }
+  if (options.clientId !== undefined && claims.cid !== options.clientId) {
+    throw new ClientTokenError('Client token was issued for another client', {
+      reason: ClientTokenFailureReason.CLIENT_MISMATCH,
+      expiresAt: info.expiresAt
+    });
+  }
+
+  const { scope } = claims;
+  if (options.action !== undefined && !(scope.actions || []).includes(options.action)) {
+    throw new ClientTokenError(`Client token does not allow ${options.action}`, {
+      reason: ClientTokenFailureReason.ACTION_NOT_ALLOWED,
+      expiresAt: info.expiresAt
+    });
+  }
+
+  if (options.amount !== undefined) {
+    const currency = options.currency || DEFAULT_CURRENCY;
+    if (scope.currency && scope.currency !== currency) {
+      throw new ClientTokenError(`Client token only allows payments in ${scope.currency}`, {
+        reason: ClientTokenFailureReason.CURRENCY_NOT_ALLOWED,
+        expiresAt: info.expiresAt
+      });
+    }
+    if (scope.maxAmount !== undefined && Money.of(options.amount, currency).greaterThan(scope.maxAmount)) {
+      throw new ClientTokenError(`Client token allows payments up to ${scope.maxAmount} ${currency}`, {
+        reason: ClientTokenFailureReason.AMOUNT_EXCEEDED,
+        expiresAt: info.expiresAt
+      });
+    }
+  }
+
+  return info;
+}
+
+export default {
+  createClientToken,
+  verifyClientToken
+};
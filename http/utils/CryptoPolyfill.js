@@ -204,6 +204,50 @@ function createLegacyBrowserHmacSignature(key, message) {
   });
 }
 
+/**
+ * Creates the SHA-256 hash of a string with the Web Crypto API
+ * 
+ * @param {string} message - The message to hash (UTF-8 encoded)
+ * @returns {Promise<string>} - A promise that resolves to the hex digest
+ */
+export async function createSha256Hash(message) {
+  const cryptoObj = typeof window !== 'undefined' ? window.crypto : 
+                   (typeof crypto !== 'undefined' ? crypto : null);
+  
+  if (!cryptoObj || !cryptoObj.subtle) {
+    throw new Error('Web Crypto API not available');
+  }
+  
+  const digest = await cryptoObj.subtle.digest('SHA-256', new TextEncoder().encode(message));
+  return Array.from(new Uint8Array(digest))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Compares two strings in constant time to avoid leaking how many leading
+ * characters matched (e.g. when checking an HMAC signature)
+ * 
+ * @param {string} a - The first string
+ * @param {string} b - The second string
+ * @returns {boolean} - Whether both strings are identical
+ */
+export function timingSafeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') {
+    return false;
+  }
+  
+  // Always walk the longer string so the length check doesn't short-circuit
+  const length = Math.max(a.length, b.length);
+  let mismatch = a.length ^ b.length;
+  
+  for (let i = 0; i < length; i++) {
+    mismatch |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+  }
+  
+  return mismatch === 0;
+}
+
 /**
  * Generates a random string of specified length
  * Works across different environments
@@ -240,8 +284,43 @@ export function generateRandomString(length = 16) {
   }
 }
 
+/**
+ * Generates a random RFC 4122 version 4 UUID
+ * Works across different environments
+ * 
+ * @returns {string} - A UUID such as '3b241101-e2bb-4255-8caf-4136c566a962'
+ */
+export function generateUUID() {
+  const cryptoObj = typeof window !== 'undefined' ? window.crypto : 
+                   (typeof crypto !== 'undefined' ? crypto : null);
+  
+  if (cryptoObj && typeof cryptoObj.randomUUID === 'function') {
+    return cryptoObj.randomUUID();
+  }
+  
+  const bytes = new Uint8Array(16);
+  if (cryptoObj && typeof cryptoObj.getRandomValues === 'function') {
+    cryptoObj.getRandomValues(bytes);
+  } else {
+    // Fallback for legacy environments without a CSPRNG
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = Math.floor(Math.random() * 256);
+    }
+  }
+  
+  // Set the version (4) and variant (10xx) bits
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  
+  const hex = Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
 export default {
   createHmacSignature,
+  createSha256Hash,
   detectEnvironment,
-  generateRandomString
+  generateRandomString,
+  generateUUID,
+  timingSafeEqual
 };
\ No newline at end of file
@@ -68,6 +68,31 @@ export function detectEnvironment() {
   return Environment.UNKNOWN;
 }
 
+/**
+ * Checks whether code runs in a web worker (dedicated, shared or service worker)
+ * @returns {boolean} True inside a web worker
+ */
+export function isWebWorker() {
+  return (
+    typeof WorkerGlobalScope !== "undefined" &&
+    typeof self !== "undefined" &&
+    self instanceof WorkerGlobalScope
+  );
+}
+
+/**
+ * Checks whether code runs where end users can read it: a browser page or a web worker
+ * @returns {boolean} True in browsers and web workers
+ */
+export function isBrowserContext() {
+  const environment = detectEnvironment();
+  return (
+    environment === Environment.BROWSER_MODERN ||
+    environment === Environment.BROWSER_LEGACY ||
+    isWebWorker()
+  );
+}
+
 /**
  * Detects the browser type if in a browser environment
  * @returns {BrowserType|null} The detected browser type or null if not in a browser
@@ -353,6 +378,8 @@ export default {
   Environment,
   BrowserType,
   detectEnvironment,
+  isWebWorker,
+  isBrowserContext,
   detectBrowser,
   detectBrowserVersion,
   detectFeatureSupport,
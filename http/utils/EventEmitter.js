@@ -0,0 +1,154 @@
+/**
+ * EventEmitter - A minimal, dependency-free event emitter
+ *
+ * Works the same in Node.js, browsers and edge runtimes, where the Node.js
+ * `events` module is not available. A listener that throws does not stop the
+ * other listeners or the operation that emitted the event; the error is logged.
+ */
+
+import logger from '../Logger.js';
+
+/**
+ * EventEmitter class with on/off/once/emit
+ *
+ * @class
+ */
+class EventEmitter {
+  constructor() {
+    // event name -> array of listeners, in registration order
+    this._listeners = new Map();
+  }
+
+  /**
+   * Registers a listener for an event
+   *
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener called with the event payload
+   * @returns {this} The emitter, for chaining
+   */
+  on(event, listener) {
+    if (typeof listener !== 'function') {
+      throw new TypeError('listener must be a function');
+    }
+
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, []);
+    }
+    this._listeners.get(event).push(listener);
+    return this;
+  }
+
+  /**
+   * Registers a listener that is removed after its first call
+   *
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener called with the event payload
+   * @returns {this} The emitter, for chaining
+   */
+  once(event, listener) {
+    if (typeof listener !== 'function') {
+      throw new TypeError('listener must be a function');
+    }
+
+    const wrapper = (payload) => {
+      this.off(event, wrapper);
+      return listener(payload);
+    };
+    // Lets off(event, listener) remove a listener registered with once
+    wrapper.listener = listener;
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Removes a listener registered with on or once
+   *
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener to remove
+   * @returns {this} The emitter, for chaining
+   */
+  off(event, listener) {
+    const listeners = this._listeners.get(event);
+    if (!listeners) {
+      return this;
+    }
+
+    const index = listeners.findIndex(
+      registered => registered === listener || registered.listener === listener
+    );
+    if (index !== -1) {
+      listeners.splice(index, 1);
+    }
+    if (listeners.length === 0) {
+      this._listeners.delete(event);
+    }
+    return this;
+  }
+
+  /**
+   * Removes all listeners of an event, or of every event
+   *
+   * @param {string} [event] - Event name
+   * @returns {this} The emitter, for chaining
+   */
+  removeAllListeners(event) {
+    if (event === undefined) {
+      this._listeners.clear();
+    } else {
+      this._listeners.delete(event);
+    }
+    return this;
+  }
+
+  /**
+   * Returns the number of listeners registered for an event
+   *
+   * @param {string} event - Event name
+   * @returns {number} Number of listeners
+   */
+  listenerCount(event) {
+    const listeners = this._listeners.get(event);
+    return listeners ? listeners.length : 0;
+  }
+
+  /**
+   * Calls every listener of an event synchronously with the payload
+   *
+   * @param {string} event - Event name
+   * @param {*} payload - Event payload
+   * @returns {boolean} Whether the event had listeners
+   */
+  emit(event, payload) {
+    const listeners = this._listeners.get(event);
+    if (!listeners || listeners.length === 0) {
+      return false;
+    }
+
+    // Copy so listeners added or removed while emitting do not affect this round
+    for (const listener of [...listeners]) {
+      try {
+        const result = listener(payload);
+        if (result && typeof result.catch === 'function') {
+          result.catch(error => this._reportListenerError(event, error));
+        }
+      } catch (error) {
+        this._reportListenerError(event, error);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Logs an error thrown by a listener
+   *
+   * @private
+   * @param {string} event - Event name
+   * @param {Error} error - Error thrown or rejected by the listener
+   */
+  _reportListenerError(event, error) {
+    logger.error(
+      `EventEmitter: Listener for "${event}" failed: ${error && error.message ? error.message : error}`
+    );
+  }
+}
+
+export default EventEmitter;
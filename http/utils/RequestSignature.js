@@ -0,0 +1,340 @@
+/**
+ * RequestSignature - Signs and verifies API requests
+ *
+ * Requests carry `X-Client-ID`, `X-Timestamp` (UNIX seconds) and `X-Signature`, the hex
+ * HMAC-SHA256 of a string to sign keyed with the application secret.
+ *
+ * v1 (the default) signs:
+ *
+ *   method + "\n" + path + "\n" + timestamp + "\n" + body
+ *
+ * where `path` includes the query string and `body` is only signed for POST and PUT.
+ *
+ * v2 adds `X-Signature-Version: v2` and a random `X-Nonce` header, and signs:
+ *
+ *   "v2" + "\n" + method + "\n" + path + "\n" + canonicalQuery + "\n" +
+ *   timestamp + "\n" + nonce + "\n" + hex SHA-256 of the body
+ *
+ * where `path` excludes the query string, `canonicalQuery` is the query parameters sorted
+ * by key then value and URL-encoded, and the body is hashed for every method (an empty body
+ * hashes the empty string). Servers that remember nonces for the tolerance window can reject
+ * replayed v2 requests.
+ *
+ * In both versions `path` is signed without its leading slash.
+ */
+
+import { createHmacSignature, createSha256Hash, timingSafeEqual, generateUUID } from './CryptoPolyfill.js';
+import { DEFAULT_TOLERANCE_SECONDS } from './CallbackSignature.js';
+import { canonicalJsonStringify } from './CanonicalJson.js';
+import { resolveSigner } from './Signer.js';
+import {
+  SignatureVerificationError,
+  SignatureFailureReason
+} from '../errors/index.js';
+
+/**
+ * Request signing scheme versions
+ * @enum {string}
+ */
+export const SignatureVersion = {
+  V1: 'v1',
+  V2: 'v2'
+};
+
+/**
+ * Version used when none is configured, kept for compatibility with existing servers
+ * @type {string}
+ */
+export const DEFAULT_SIGNATURE_VERSION = SignatureVersion.V1;
+
+/**
+ * Names of the request signing headers
+ * @enum {string}
+ */
+export const SignatureHeader = {
+  CLIENT_ID: 'X-Client-ID',
+  TIMESTAMP: 'X-Timestamp',
+  SIGNATURE: 'X-Signature',
+  NONCE: 'X-Nonce',
+  VERSION: 'X-Signature-Version'
+};
+
+/**
+ * Encodes a query component per RFC 3986
+ *
+ * @param {string} value - Value to encode
+ * @returns {string} Encoded value
+ * @private
+ */
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char =>
+    `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+}
+
+/**
+ * Splits a request URL into its path and query string
+ *
+ * @param {string} url - Relative or absolute request URL
+ * @returns {{path: string, query: string}} Path and query (without `?`)
+ * @private
+ */
+function splitUrl(url = '') {
+  const withoutOrigin = /^[a-z][a-z\d+.-]*:\/\//i.test(url)
+    ? url.replace(/^[a-z][a-z\d+.-]*:\/\/[^/?#]*/i, '')
+    : url;
+  const [pathAndQuery] = withoutOrigin.split('#');
+  const queryStart = pathAndQuery.indexOf('?');
+  return queryStart === -1
+    ? { path: pathAndQuery, query: '' }
+    : { path: pathAndQuery.slice(0, queryStart), query: pathAndQuery.slice(queryStart + 1) };
+}
+
+/**
+ * Converts a request body to the string that is sent and signed
+ *
+ * Objects are encoded as canonical JSON, the same text the SDK hands to the adapters.
+ *
+ * @param {*} body - Request body (string or JSON-serializable value)
+ * @returns {string} The body string ('' when there is none)
+ * @private
+ */
+function stringifyBody(body) {
+  if (body === undefined || body === null || body === '') {
+    return '';
+  }
+  return typeof body === 'string' ? body : canonicalJsonStringify(body);
+}
+
+/**
+ * Builds the canonical query string of a request
+ *
+ * @param {string} query - Query string, with or without leading `?`
+ * @returns {string} Parameters sorted by key then value, RFC 3986 encoded and joined with `&`
+ */
+export function canonicalizeQuery(query = '') {
+  return Array.from(new URLSearchParams(query.replace(/^\?/, '')))
+    .sort(([keyA, valueA], [keyB, valueB]) =>
+      keyA < keyB ? -1 : keyA > keyB ? 1 : valueA < valueB ? -1 : valueA > valueB ? 1 : 0
+    )
+    .map(([key, value]) => `${encodeRfc3986(key)}=${encodeRfc3986(value)}`)
+    .join('&');
+}
+
+/**
+ * Builds the string to sign for a request
+ *
+ * @param {Object} request - Request to sign
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Request path with query (or absolute URL)
+ * @param {string} request.timestamp - UNIX timestamp in seconds
+ * @param {*} [request.body] - Request body
+ * @param {string} [request.nonce] - Random nonce (v2)
+ * @param {string} [request.version='v1'] - Signature version
+ * @returns {Promise<string>} The string to sign
+ */
+export async function buildRequestStringToSign(request) {
+  const version = request.version || DEFAULT_SIGNATURE_VERSION;
+
+  if (version === SignatureVersion.V1) {
+    const method = request.method;
+    const path = (request.url || '').replace(/^\/+/, '');
+    const body = method === 'POST' || method === 'PUT' ? stringifyBody(request.body) : '';
+    return `${method}\n${path}\n${request.timestamp}\n${body}`;
+  }
+
+  const method = String(request.method || 'GET').toUpperCase();
+  const { path, query } = splitUrl(request.url);
+  const bodyHash = await createSha256Hash(stringifyBody(request.body));
+  return [
+    version,
+    method,
+    path.replace(/^\/+/, ''),
+    canonicalizeQuery(query),
+    request.timestamp,
+    request.nonce || '',
+    bodyHash
+  ].join('\n');
+}
+
+/**
+ * Creates the signature of a request
+ *
+ * @param {string} secretKey - Application secret key
+ * @param {Object} request - Request to sign (see buildRequestStringToSign)
+ * @returns {Promise<string>} The hex HMAC-SHA256 signature
+ */
+export async function createRequestSignature(secretKey, request) {
+  return createHmacSignature(secretKey, await buildRequestStringToSign(request));
+}
+
+/**
+ * Creates the authentication headers of a request
+ *
+ * @param {Object} credentials - Application credentials
+ * @param {string} credentials.clientId - Client ID
+ * @param {string} [credentials.secretKey] - Secret key
+ * @param {Object} [credentials.signer] - Signer computing the HMAC instead of `secretKey` (see Signer.js)
+ * @param {Object} request - Request to sign
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Request path with query
+ * @param {*} [request.body] - Request body
+ * @param {string} [request.version='v1'] - Signature version
+ * @param {string} [request.timestamp] - UNIX timestamp in seconds (defaults to now)
+ * @param {string} [request.nonce] - Nonce for v2 (defaults to a random UUID)
+ * @returns {Promise<Object<string, string>>} The signing headers
+ */
+export async function signRequest({ clientId, secretKey, signer }, request) {
+  const version = request.version || DEFAULT_SIGNATURE_VERSION;
+  if (!Object.values(SignatureVersion).includes(version)) {
+    throw new Error(`Unsupported signature version "${version}"`);
+  }
+
+  const timestamp = request.timestamp || Math.floor(Date.now() / 1000).toString();
+  const nonce = version === SignatureVersion.V1 ? undefined : request.nonce || generateUUID();
+  const stringToSign = await buildRequestStringToSign({ ...request, version, timestamp, nonce });
+  const signature = await resolveSigner({ secretKey, signer }).sign(stringToSign);
+
+  return {
+    [SignatureHeader.CLIENT_ID]: clientId,
+    [SignatureHeader.TIMESTAMP]: timestamp,
+    [SignatureHeader.SIGNATURE]: signature,
+    ...(nonce && {
+      [SignatureHeader.NONCE]: nonce,
+      [SignatureHeader.VERSION]: version
+    })
+  };
+}
+
+/**
+ * Reads a header from a plain object (any case) or a Headers instance
+ *
+ * @param {Object|Headers} headers - Request headers
+ * @param {string} name - Header name
+ * @returns {string|undefined} The header value
+ * @private
+ */
+function getHeader(headers, name) {
+  if (!headers) {
+    return undefined;
+  }
+  if (typeof headers.get === 'function') {
+    return headers.get(name) ?? undefined;
+  }
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+  const value = key === undefined ? undefined : headers[key];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Verifies the signature headers of a request received by a server
+ *
+ * Pass the body exactly as received (the raw string), since that is what was signed.
+ * Requests without `X-Signature-Version` are verified as v1.
+ *
+ * @param {string} secretKey - Secret key of the client in `X-Client-ID`
+ * @param {Object} request - Received request
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Request path with query (e.g. Node's `req.url`) or absolute URL
+ * @param {Object|Headers} request.headers - Request headers
+ * @param {string} [request.body] - Raw request body
+ * @param {Object} [options={}] - Verification options
+ * @param {number} [options.toleranceSeconds=300] - Maximum allowed clock difference in seconds
+ * @param {number} [options.now] - Current time in milliseconds (defaults to Date.now())
+ * @param {string[]} [options.allowedVersions] - Accepted versions (defaults to all)
+ * @param {{has: Function, add: Function}} [options.nonceStore] - Nonces already seen (e.g. a Set);
+ *   v2 requests reusing one are rejected, accepted nonces are added
+ * @returns {Promise<true>} Resolves to true when the request is authentic
+ * @throws {SignatureVerificationError} If the signature is missing, stale, replayed or does not match
+ */
+export async function verifyRequestSignature(secretKey, request, options = {}) {
+  const toleranceSeconds = options.toleranceSeconds !== undefined
+    ? options.toleranceSeconds
+    : DEFAULT_TOLERANCE_SECONDS;
+  const now = options.now !== undefined ? options.now : Date.now();
+  const allowedVersions = options.allowedVersions || Object.values(SignatureVersion);
+  const headers = request.headers;
+
+  const version = getHeader(headers, SignatureHeader.VERSION) || SignatureVersion.V1;
+  if (!Object.values(SignatureVersion).includes(version) || !allowedVersions.includes(version)) {
+    throw new SignatureVerificationError(
+      `Signature version "${version}" is not accepted`,
+      { reason: SignatureFailureReason.UNSUPPORTED_VERSION, toleranceSeconds }
+    );
+  }
+
+  const signature = getHeader(headers, SignatureHeader.SIGNATURE);
+  if (!signature || typeof signature !== 'string') {
+    throw new SignatureVerificationError(
+      'Request signature is missing',
+      { reason: SignatureFailureReason.MISSING_SIGNATURE, toleranceSeconds }
+    );
+  }
+
+  const timestamp = getHeader(headers, SignatureHeader.TIMESTAMP);
+  if (timestamp === undefined || timestamp === '') {
+    throw new SignatureVerificationError(
+      'Request timestamp is missing',
+      { reason: SignatureFailureReason.MISSING_TIMESTAMP, toleranceSeconds }
+    );
+  }
+
+  const signedAt = Number(timestamp);
+  if (!Number.isInteger(signedAt)) {
+    throw new SignatureVerificationError(
+      `Request timestamp "${timestamp}" is not a valid UNIX timestamp`,
+      { reason: SignatureFailureReason.INVALID_TIMESTAMP, toleranceSeconds }
+    );
+  }
+
+  if (Math.abs(Math.floor(now / 1000) - signedAt) > toleranceSeconds) {
+    throw new SignatureVerificationError(
+      `Request timestamp is outside the ${toleranceSeconds}s tolerance window`,
+      { reason: SignatureFailureReason.TIMESTAMP_OUT_OF_TOLERANCE, signedAt, toleranceSeconds }
+    );
+  }
+
+  const nonce = getHeader(headers, SignatureHeader.NONCE);
+  if (version !== SignatureVersion.V1 && !nonce) {
+    throw new SignatureVerificationError(
+      'Request nonce is missing',
+      { reason: SignatureFailureReason.MISSING_NONCE, signedAt, toleranceSeconds }
+    );
+  }
+
+  const expected = await createRequestSignature(secretKey, {
+    method: request.method,
+    url: request.url,
+    body: request.body,
+    timestamp,
+    nonce,
+    version
+  });
+  if (!timingSafeEqual(expected, signature.toLowerCase())) {
+    throw new SignatureVerificationError(
+      'Request signature does not match',
+      { reason: SignatureFailureReason.SIGNATURE_MISMATCH, signedAt, toleranceSeconds }
+    );
+  }
+
+  // Only checked once the signature matched, so forged requests cannot burn nonces
+  if (version !== SignatureVersion.V1 && options.nonceStore) {
+    if (await options.nonceStore.has(nonce)) {
+      throw new SignatureVerificationError(
+        'Request nonce was already used',
+        { reason: SignatureFailureReason.NONCE_REUSED, signedAt, toleranceSeconds }
+      );
+    }
+    await options.nonceStore.add(nonce);
+  }
+
+  return true;
+}
+
+export default {
+  canonicalizeQuery,
+  buildRequestStringToSign,
+  createRequestSignature,
+  signRequest,
+  verifyRequestSignature
+};
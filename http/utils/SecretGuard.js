@@ -0,0 +1,56 @@
+/**
+ * SecretGuard - Refuses secret keys in browsers and web workers
+ *
+ * Code running in a browser page or a web worker ships to end users, so a secret key passed
+ * there is public. Browser code should use client tokens (see ClientToken.js and
+ * `testluy-payment-sdk/client`) or a signer whose key lives on a server instead.
+ */
+
+import SDKError from '../errors/SDKError.js';
+import { isBrowserContext } from './EnvironmentDetector.js';
+import { registerSecret } from './SecretRedaction.js';
+
+/**
+ * What to do with a secret key in a browser or web worker
+ * @enum {string}
+ */
+export const SecretGuardMode = {
+  ERROR: 'error',
+  WARN: 'warn',
+  OFF: 'off'
+};
+
+/**
+ * Checks that a secret key may be used here and registers it for redaction
+ *
+ * @param {string} secretKey - Secret key
+ * @param {Object} [options={}] - Guard options
+ * @param {string} [options.mode='error'] - One of SecretGuardMode
+ * @param {boolean} [options.isBrowser] - Whether code runs in a browser or web worker (detected when omitted)
+ * @param {Function} [options.warn=console.warn] - Receives the warning in 'warn' mode
+ * @throws {SDKError} With code 'SECRET_KEY_IN_BROWSER' in a browser or web worker in 'error' mode
+ */
+export function guardSecretKey(secretKey, options = {}) {
+  const { mode = SecretGuardMode.ERROR, warn = console.warn } = options;
+  const isBrowser = options.isBrowser !== undefined ? options.isBrowser : isBrowserContext();
+
+  if (secretKey && isBrowser && mode !== SecretGuardMode.OFF) {
+    const message =
+      'A secret key must not be used in a browser or web worker, where anyone can read it. ' +
+      'Mint client tokens on your server with createClientToken and use TestluyPaymentClient ' +
+      'from testluy-payment-sdk/client, or sign on a server with a RemoteSigner.';
+
+    if (mode !== SecretGuardMode.WARN) {
+      throw new SDKError(message, 'SECRET_KEY_IN_BROWSER');
+    }
+    // Not sent through the logger, so a quiet log level can't hide it
+    warn(`TestluyPaymentSDK WARNING: ${message} (secretKeyGuard: 'warn')`);
+  }
+
+  registerSecret(secretKey);
+}
+
+export default {
+  SecretGuardMode,
+  guardSecretKey
+};
@@ -0,0 +1,145 @@
+/**
+ * SecretRedaction - Removes the application secret from data leaving the SDK
+ *
+ * The SDK registers every secret key it is given. Logger output, `SDKError.toJSON()`, diagnostic
+ * reports and DebugMonitor exports pass through `redactSecrets`, which replaces any occurrence of
+ * a registered secret (as is or URL-encoded) with `[REDACTED]`. Unlike key-based masking, this
+ * also catches a secret echoed inside a message, a URL or an API response.
+ */
+
+/**
+ * Text that replaces a secret
+ * @type {string}
+ */
+export const REDACTED = '[REDACTED]';
+
+/**
+ * Shorter secrets are not registered, as they would match ordinary text
+ * @type {number}
+ */
+export const MIN_REDACTED_SECRET_LENGTH = 8;
+
+// Secrets and their encoded forms. Rotated secrets stay registered, since errors
+// of requests signed before the rotation can still contain them.
+const secrets = new Set();
+
+/**
+ * Registers a secret to redact
+ *
+ * @param {string} secret - Secret key
+ * @returns {boolean} True if the secret is redacted from now on
+ */
+export function registerSecret(secret) {
+  if (typeof secret !== 'string' || secret.length < MIN_REDACTED_SECRET_LENGTH) {
+    return false;
+  }
+  secrets.add(secret);
+  secrets.add(encodeURIComponent(secret));
+  return true;
+}
+
+/**
+ * Stops redacting a secret
+ *
+ * @param {string} secret - Secret key
+ */
+export function unregisterSecret(secret) {
+  if (typeof secret === 'string') {
+    secrets.delete(secret);
+    secrets.delete(encodeURIComponent(secret));
+  }
+}
+
+/**
+ * Replaces registered secrets in a string
+ *
+ * @private
+ * @param {string} text - Text to redact
+ * @returns {string} The redacted text
+ */
+function redactString(text) {
+  let redacted = text;
+  for (const secret of secrets) {
+    if (redacted.includes(secret)) {
+      redacted = redacted.split(secret).join(REDACTED);
+    }
+  }
+  return redacted;
+}
+
+/**
+ * Redacts a value, copying objects and arrays
+ *
+ * @private
+ * @param {*} value - Value to redact
+ * @param {WeakMap} seen - Copies made so far, for circular references
+ * @returns {*} The redacted value
+ */
+function redactValue(value, seen) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (seen.has(value)) {
+    return seen.get(value);
+  }
+
+  if (Array.isArray(value)) {
+    const copy = [];
+    seen.set(value, copy);
+    value.forEach(item => copy.push(redactValue(item, seen)));
+    return copy;
+  }
+
+  if (value instanceof Error) {
+    const copy = Object.create(Object.getPrototypeOf(value));
+    seen.set(value, copy);
+    for (const key of ['message', 'stack']) {
+      if (typeof value[key] === 'string') {
+        Object.defineProperty(copy, key, {
+          value: redactString(value[key]),
+          writable: true,
+          configurable: true
+        });
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      copy[key] = redactValue(item, seen);
+    }
+    return copy;
+  }
+
+  // Class instances (Money, Date, Map, signers, ...) are kept as they are
+  const prototype = Object.getPrototypeOf(value);
+  if (prototype !== Object.prototype && prototype !== null) {
+    return value;
+  }
+
+  const copy = {};
+  seen.set(value, copy);
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = redactValue(item, seen);
+  }
+  return copy;
+}
+
+/**
+ * Replaces registered secrets in strings, plain objects, arrays and errors
+ *
+ * @param {*} value - Value to redact
+ * @returns {*} The value itself when no secret is registered, else a redacted copy
+ */
+export function redactSecrets(value) {
+  if (secrets.size === 0) {
+    return value;
+  }
+  return redactValue(value, new WeakMap());
+}
+
+export default {
+  registerSecret,
+  unregisterSecret,
+  redactSecrets
+};
@@ -0,0 +1,202 @@
+/**
+ * Signer - Computes the HMAC-SHA256 signatures of API requests and callbacks
+ *
+ * A signer is any object with an async `sign(stringToSign)` method that resolves to the hex
+ * HMAC-SHA256 of the string, keyed with the application secret. The SDK only talks to the
+ * signer, so the secret key can stay in a separate process (a sidecar, a KMS-like service).
+ *
+ * - `LocalSigner` keeps the secret key in this process (the default when `secretKey` is set).
+ * - `RemoteSigner` asks a signing service over HTTP or a Unix socket. It POSTs
+ *   `{"stringToSign": "..."}` as JSON and expects `{"signature": "<hex>"}` back.
+ */
+
+import { createHmacSignature } from './CryptoPolyfill.js';
+import { SDKError } from '../errors/index.js';
+
+const HEX_SIGNATURE_PATTERN = /^[0-9a-f]{64}$/i;
+
+/**
+ * Checks whether a value implements the signer interface
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value has a `sign` method
+ */
+export function isSigner(value) {
+  return Boolean(value) && typeof value.sign === 'function';
+}
+
+/**
+ * Signs with a secret key held in this process
+ *
+ * @class
+ */
+export class LocalSigner {
+  /**
+   * Creates a new LocalSigner instance
+   *
+   * @param {string} secretKey - Application secret key
+   */
+  constructor(secretKey) {
+    if (typeof secretKey !== 'string' || secretKey === '') {
+      throw new TypeError('LocalSigner: secretKey must be a non-empty string');
+    }
+
+    // Not enumerable, so the key stays out of logs and JSON dumps of the SDK
+    Object.defineProperty(this, 'secretKey', { value: secretKey });
+  }
+
+  /**
+   * Signs a string
+   *
+   * @param {string} stringToSign - String to sign
+   * @returns {Promise<string>} The hex HMAC-SHA256 signature
+   */
+  async sign(stringToSign) {
+    return createHmacSignature(this.secretKey, stringToSign);
+  }
+}
+
+/**
+ * Signs through an external signing service
+ *
+ * @class
+ */
+export class RemoteSigner {
+  /**
+   * Creates a new RemoteSigner instance
+   *
+   * @param {Object} options - Configuration options
+   * @param {string} [options.url] - URL of the signing endpoint, e.g. 'http://127.0.0.1:8200/sign'
+   * @param {string} [options.socketPath] - Unix socket of the signing service (Node.js only)
+   * @param {string} [options.path='/sign'] - Request path when using `socketPath`
+   * @param {Object} [options.headers={}] - Extra request headers, e.g. an authorization token
+   * @param {number} [options.timeoutMs=5000] - Request timeout in milliseconds
+   */
+  constructor(options = {}) {
+    if (!options.url && !options.socketPath) {
+      throw new TypeError('RemoteSigner: either url or socketPath is required');
+    }
+
+    this.url = options.url;
+    this.socketPath = options.socketPath;
+    this.path = options.path || '/sign';
+    this.headers = options.headers || {};
+    this.timeoutMs = options.timeoutMs !== undefined ? options.timeoutMs : 5000;
+  }
+
+  /**
+   * Signs a string
+   *
+   * @param {string} stringToSign - String to sign
+   * @returns {Promise<string>} The hex HMAC-SHA256 signature
+   * @throws {SDKError} With code 'SIGNER_ERROR' if the service fails or answers without a valid signature
+   */
+  async sign(stringToSign) {
+    const payload = JSON.stringify({ stringToSign });
+
+    let response;
+    try {
+      response = this.socketPath
+        ? await this._postToSocket(payload)
+        : await this._postToUrl(payload);
+    } catch (error) {
+      throw new SDKError(`Signer request failed: ${error.message}`, 'SIGNER_ERROR', {}, error);
+    }
+
+    if (response.status < 200 || response.status >= 300) {
+      throw new SDKError(`Signer responded with HTTP ${response.status}`, 'SIGNER_ERROR', {
+        statusCode: response.status
+      });
+    }
+
+    let signature;
+    try {
+      ({ signature } = JSON.parse(response.body));
+    } catch (error) {
+      // Reported below
+    }
+    if (typeof signature !== 'string' || !HEX_SIGNATURE_PATTERN.test(signature)) {
+      throw new SDKError('Signer response has no hex HMAC-SHA256 signature', 'SIGNER_ERROR');
+    }
+
+    return signature.toLowerCase();
+  }
+
+  /**
+   * POSTs the payload to the signing URL
+   *
+   * @private
+   * @param {string} payload - JSON request body
+   * @returns {Promise<{status: number, body: string}>} The response
+   */
+  async _postToUrl(payload) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { ...this.headers, 'Content-Type': 'application/json' },
+      body: payload,
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+    return { status: response.status, body: await response.text() };
+  }
+
+  /**
+   * POSTs the payload over the Unix socket
+   *
+   * @private
+   * @param {string} payload - JSON request body
+   * @returns {Promise<{status: number, body: string}>} The response
+   */
+  async _postToSocket(payload) {
+    const { request } = await import('http');
+
+    return new Promise((resolve, reject) => {
+      const req = request({
+        socketPath: this.socketPath,
+        path: this.path,
+        method: 'POST',
+        headers: {
+          ...this.headers,
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(payload)
+        },
+        timeout: this.timeoutMs
+      }, (res) => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => { body += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, body }));
+        res.on('error', reject);
+      });
+
+      req.on('timeout', () => req.destroy(new Error(`timeout after ${this.timeoutMs}ms`)));
+      req.on('error', reject);
+      req.end(payload);
+    });
+  }
+}
+
+/**
+ * Returns the signer to use for a set of credentials
+ *
+ * @param {Object} credentials - Application credentials
+ * @param {string} [credentials.secretKey] - Secret key
+ * @param {Object} [credentials.signer] - Signer, used instead of the secret key when set
+ * @returns {Object} The signer
+ * @throws {TypeError} If neither a signer nor a secret key is given
+ */
+export function resolveSigner({ secretKey, signer } = {}) {
+  if (signer !== undefined) {
+    if (!isSigner(signer)) {
+      throw new TypeError('signer must have a sign(stringToSign) method');
+    }
+    return signer;
+  }
+  return new LocalSigner(secretKey);
+}
+
+export default {
+  isSigner,
+  resolveSigner,
+  LocalSigner,
+  RemoteSigner
+};
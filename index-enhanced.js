@@ -3,20 +3,47 @@
  * Enhanced TestluyPaymentSDK with Cloudflare resilience and improved error handling
  */
 
-import { getConfig } from "./config.js";
+import { getConfig, loadConfig, maskConfig } from "./config.js";
 import {
   validateAmount,
+  validateMoneyAmount,
   validateCallbackUrl,
   validateTransactionId,
+  validateIdempotencyKey,
+  validatePaymentOptions,
+  validateRefundOptions,
+  validateRefundId,
+  validateCancelReason,
+  validateListPaymentsOptions,
+  validateRotatedCredentials,
+  validateWaitForPaymentOptions,
+  validateCallbackOptions,
+  validateClientTokenOptions,
 } from "./validation.js";
 
 // Import enhanced HTTP components
 import EnhancedHttpClient from "./http/EnhancedHttpClient.js";
 import RequestFingerprinter from "./http/RequestFingerprinter.js";
 import ErrorHandler from "./http/ErrorHandler.js";
-import RetryStrategy from "./http/RetryStrategy.js";
+import { ErrorType } from "./http/ErrorDetector.js";
+import RetryStrategy, {
+  IDEMPOTENCY_KEY_HEADER,
+} from "./http/RetryStrategy.js";
+import IdempotencyStore from "./http/IdempotencyStore.js";
+import RateLimiter, { RequestPriority } from "./http/RateLimiter.js";
+import Cassette from "./http/Cassette.js";
 import CloudflareBypass from "./http/CloudflareBypass.js";
-import { CloudflareError, RateLimitError } from "./http/errors/index.js";
+import {
+  SDKError,
+  CloudflareError,
+  RateLimitError,
+  SignatureVerificationError,
+  PaymentStateError,
+  PaymentTimeoutError,
+  ValidationError,
+  AuthenticationError,
+  ServerError,
+} from "./http/errors/index.js";
 import logger, { LogLevel } from "./http/Logger.js";
 import {
   LoggingInterceptor,
@@ -26,6 +53,24 @@ import {
 // Import browser compatibility components
 import CryptoPolyfill from "./http/utils/CryptoPolyfill.js";
 import EnvironmentDetector from "./http/utils/EnvironmentDetector.js";
+import {
+  verifyCallbackSignature,
+  DEFAULT_TOLERANCE_SECONDS,
+} from "./http/utils/CallbackSignature.js";
+import {
+  signRequest,
+  DEFAULT_SIGNATURE_VERSION,
+} from "./http/utils/RequestSignature.js";
+import { serializeRequestBody } from "./http/utils/CanonicalJson.js";
+import { resolveSigner } from "./http/utils/Signer.js";
+import { guardSecretKey, SecretGuardMode } from "./http/utils/SecretGuard.js";
+import {
+  createClientToken,
+  verifyClientToken,
+} from "./http/utils/ClientToken.js";
+import { abortable, sleep, throwIfAborted } from "./http/utils/AbortUtils.js";
+import EventEmitter from "./http/utils/EventEmitter.js";
+import Money, { DEFAULT_CURRENCY } from "./money.js";
 
 // Import smart routing components
 import SmartEndpointRouter from "./http/SmartEndpointRouter.js";
@@ -40,16 +85,36 @@ const DEFAULT_RETRY_CONFIG = {
   jitterFactor: 0.1, // Add jitter to prevent thundering herd
 };
 
+// Payment statuses from which a (further) refund can be issued
+const REFUNDABLE_STATUSES = ["Success", "PartiallyRefunded"];
+
+// Payment statuses that have not reached a terminal state (and can still be cancelled)
+const NON_TERMINAL_STATUSES = ["Initiated", "Pending"];
+
+// Maximum number of transactions whose last seen status is remembered for change events
+const MAX_TRACKED_PAYMENTS = 1000;
+
 /**
  * TestluyPaymentSDK - SDK for integrating with the Testluy Payment Simulator API.
  * Enhanced with Cloudflare resilience and improved error handling.
  *
  * @class
- * @param {object} options - Configuration options.
+ * @param {object} options - Configuration options. Options left out here are taken from the `TESTLUY_*`
+ *   environment variables, then from the config file (see `loadConfig` in config.js).
  * @param {string} options.clientId - Your Testluy application client ID.
- * @param {string} options.secretKey - Your Testluy application secret key.
+ * @param {string} [options.secretKey] - Your Testluy application secret key (required unless `signer` is set).
+ * @param {object} [options.signer] - Computes request and callback signatures instead of an in-process secret key,
+ *   e.g. a `RemoteSigner` talking to a signing sidecar. Any object with an async `sign(stringToSign)` method
+ *   resolving to the hex HMAC-SHA256 works.
+ * @param {Function} [options.credentialsProvider] - Async function returning `{ clientId?, secretKey }` or
+ *   `{ clientId?, signer }`. It is asked when no credentials were given, after an authentication error and
+ *   every `credentialsRefreshIntervalMs`; changed credentials replace the current ones.
+ * @param {number} [options.credentialsRefreshIntervalMs=0] - How often to re-query `credentialsProvider` (0 = never).
+ * @param {string} [options.secretKeyGuard='error'] - What to do with a secret key in a browser or web worker:
+ *   'error' refuses it, 'warn' logs a warning to the console and 'off' allows it silently.
  * @param {string} [options.baseUrl] - The base URL for the Testluy API (defaults to value in config or environment).
  * @param {string} [options.bypassUrl] - Alternative bypass URL for deployment environments (auto-detected if not provided).
+ * @param {string} [options.signatureVersion='v1'] - Request signing scheme: 'v1', or 'v2' to also sign a nonce, the query string and a hash of every body.
  * @param {boolean} [options.enableSmartRouting=true] - Enable automatic endpoint selection based on environment.
  * @param {object} [options.retryConfig] - Configuration for request retries on rate limiting.
  * @param {number} [options.retryConfig.maxRetries=3] - Maximum number of retry attempts.
@@ -66,20 +131,67 @@ const DEFAULT_RETRY_CONFIG = {
  * @param {boolean} [options.loggingConfig.includeHeaders=false] - Whether to include headers in logs.
  * @param {boolean} [options.loggingConfig.includeBody=false] - Whether to include request/response bodies in logs.
  * @param {boolean} [options.loggingConfig.maskSensitive=true] - Whether to mask sensitive data in logs.
- * @throws {Error} If clientId or secretKey is missing.
+ * @param {Function} [options.loggingConfig.transport] - Receives each log entry as `(level, args)` instead of the console.
+ * @param {object} [options.callbackConfig] - Configuration for payment callback handling.
+ * @param {boolean} [options.callbackConfig.verifySignature=false] - Require a valid HMAC signature and timestamp on callbacks.
+ * @param {number} [options.callbackConfig.toleranceSeconds=300] - Maximum age (or clock skew) of a signed callback in seconds.
+ * @param {boolean} [options.callbackConfig.fetchStatus=false] - Still fetch the status from the API after a callback passes verification.
+ * @param {object} [options.idempotencyConfig] - Configuration for idempotent payment creation.
+ * @param {boolean} [options.idempotencyConfig.autoGenerate=true] - Generate an idempotency key when the caller does not supply one.
+ * @param {number} [options.idempotencyConfig.ttlMs=86400000] - How long a result is replayed for the same key (default 24 hours).
+ * @param {number} [options.idempotencyConfig.maxEntries=1000] - Maximum number of results kept in memory.
+ * @param {object} [options.rateLimitConfig] - Client-side pacing from the x-ratelimit-* response headers.
+ * @param {boolean} [options.rateLimitConfig.enabled=true] - Queue requests before the rate limit is hit.
+ * @param {string} [options.rateLimitConfig.overflow='wait'] - 'wait', 'reject' or 'drop-lowest-priority' (see RateLimitOverflow).
+ * @param {number} [options.rateLimitConfig.maxQueueSize=100] - Maximum number of requests waiting for a token.
+ * @param {number} [options.rateLimitConfig.limit] - Requests per window to assume before the API reports a limit.
+ * @param {number} [options.rateLimitConfig.windowSeconds=60] - Window in which the bucket refills when the API reports no reset time.
+ * @param {Cassette|object} [options.cassette] - Record or replay HTTP interactions, as a `Cassette` or its options.
+ * @param {string} options.cassette.path - Path of the JSON cassette file.
+ * @param {string} [options.cassette.mode='replay'] - 'record', 'replay' or 'auto'.
+ * @param {string} [options.profile] - Profile of `testluy.config.json`/`.testluyrc` to use (default: `TESTLUY_PROFILE`).
+ * @param {string|false} [options.configFile] - Path of the config file (default: `TESTLUY_CONFIG_FILE`, else
+ *   looked up in the working directory), or false to ignore config files.
+ * @throws {ValidationError} If clientId, or both secretKey and signer, are missing without a credentialsProvider,
+ *   an option is invalid (see `sdkOptionsSchema`), or the profile or config file can't be loaded.
+ *
+ * The instance is an event emitter (`on`, `once`, `off`). Listener errors are logged and never
+ * interrupt the SDK call that emitted the event.
+ * @fires TestluyPaymentSDK#payment.initiated - After a new transaction was created (not for idempotent replays).
+ * @fires TestluyPaymentSDK#payment.status_changed - When a status differs from the last one seen for the transaction.
+ * @fires TestluyPaymentSDK#payment.succeeded - When a transaction is first seen in status `Success`.
+ * @fires TestluyPaymentSDK#payment.failed - When a transaction is first seen in status `Failed`.
+ * @fires TestluyPaymentSDK#callback.received - After `handlePaymentCallback` accepted a callback.
+ * @fires TestluyPaymentSDK#request.retry - Before a failed request is retried.
+ * @fires TestluyPaymentSDK#ratelimit.hit - When the API responds with a rate limit error.
+ * @fires TestluyPaymentSDK#endpoint.switched - When `refreshEndpoint` selected a different base URL.
+ * @fires TestluyPaymentSDK#credentials.rotated - When `rotateCredentials` or the credentials provider changed the credentials.
  */
-class TestluyPaymentSDK {
+class TestluyPaymentSDK extends EventEmitter {
   constructor(options = {}) {
-    const { clientId, secretKey, baseUrl } = getConfig(options);
-    if (!clientId || !secretKey) {
-      throw new Error(
-        "TestluyPaymentSDK: Client ID and Secret Key are required."
-      );
+    super();
+
+    // Options not passed here come from TESTLUY_* variables and the config file
+    try {
+      this.resolvedConfig = loadConfig(options);
+    } catch (error) {
+      throw SDKError.wrap(error, "TestluyPaymentSDK: Invalid options");
     }
+    options = this.resolvedConfig.options;
+    const { clientId, secretKey, baseUrl } = getConfig(options);
 
+    // Credentials are replaced as one snapshot, so a request is always signed with a
+    // matching client ID and key. Without initial credentials the provider is asked first.
     this.clientId = clientId;
-    this.secretKey = secretKey;
+    this.credentials = null;
+    this.credentialsProvider = options.credentialsProvider;
+    this.credentialsRefresh = null;
+    this.secretKeyGuard = options.secretKeyGuard || SecretGuardMode.ERROR;
+    if (secretKey || options.signer) {
+      this._applyCredentials({ clientId, secretKey, signer: options.signer });
+    }
     this.isValidated = false; // State to track if validateCredentials was successful
+    this.signatureVersion = options.signatureVersion || DEFAULT_SIGNATURE_VERSION;
 
     // Smart routing configuration
     this.enableSmartRouting = options.enableSmartRouting !== false; // Default to true
@@ -89,6 +201,7 @@ class TestluyPaymentSDK {
     this.bypassUrl = options.bypassUrl; // Optional explicit bypass URL
     this.currentBaseUrl = this.primaryBaseUrl; // Will be updated by smart routing
 
+    // `options.baseUrl` is validated above; this catches a bad TESTLUY_BASE_URL default
     if (
       !this.primaryBaseUrl.startsWith("http://") &&
       !this.primaryBaseUrl.startsWith("https://")
@@ -138,6 +251,51 @@ class TestluyPaymentSDK {
       ...(options.loggingConfig || {}),
     };
 
+    // Re-query the credentials provider on a schedule
+    this.credentialsRefreshTimer = null;
+    if (this.credentialsProvider && options.credentialsRefreshIntervalMs > 0) {
+      this.credentialsRefreshTimer = setInterval(() => {
+        this.refreshCredentials().catch((error) => {
+          logger.warn(
+            `TestluyPaymentSDK: Scheduled credentials refresh failed: ${error.message}`
+          );
+        });
+      }, options.credentialsRefreshIntervalMs);
+      // Don't keep Node.js processes alive just for the refresh
+      if (typeof this.credentialsRefreshTimer.unref === "function") {
+        this.credentialsRefreshTimer.unref();
+      }
+    }
+
+    // Set up callback verification configuration - signature checks are opt-in
+    this.callbackConfig = {
+      verifySignature: false,
+      toleranceSeconds: DEFAULT_TOLERANCE_SECONDS,
+      fetchStatus: false,
+      ...(options.callbackConfig || {}),
+    };
+
+    // Set up idempotency configuration and the local replay store
+    this.idempotencyConfig = {
+      autoGenerate: true,
+      ttlMs: 24 * 60 * 60 * 1000,
+      maxEntries: 1000,
+      ...(options.idempotencyConfig || {}),
+    };
+    this.idempotencyStore = new IdempotencyStore({
+      ttlMs: this.idempotencyConfig.ttlMs,
+      maxEntries: this.idempotencyConfig.maxEntries,
+    });
+
+    // Record or replay HTTP interactions, e.g. for tests without network access
+    this.cassette = null;
+    if (options.cassette) {
+      this.cassette =
+        options.cassette instanceof Cassette
+          ? options.cassette
+          : new Cassette(options.cassette);
+    }
+
     // Track rate limit information
     this.rateLimitInfo = {
       limit: null,
@@ -146,6 +304,25 @@ class TestluyPaymentSDK {
       currentPlan: null,
     };
 
+    // Pace requests client-side from the rate limit the API reports
+    this.rateLimitConfig = {
+      enabled: true,
+      overflow: "wait",
+      maxQueueSize: 100,
+      windowSeconds: 60,
+      ...(options.rateLimitConfig || {}),
+    };
+    this.rateLimiter = new RateLimiter(this.rateLimitConfig);
+
+    // Last seen status per transaction, used to emit payment.status_changed
+    this.knownPaymentStatuses = new Map();
+
+    // Resource-style access to transaction listing
+    this.payments = {
+      list: (filters) => this.listPayments(filters),
+      iterate: (filters) => this._iteratePayments(filters),
+    };
+
     // Initialize smart routing if enabled
     if (this.enableSmartRouting) {
       this._initializeSmartRouting();
@@ -180,6 +357,7 @@ class TestluyPaymentSDK {
         maskSensitive: this.loggingConfig.maskSensitive !== false,
         format: this.loggingConfig.format || "text",
         colorize: this.loggingConfig.colorize !== false,
+        transport: this.loggingConfig.transport || null,
       });
     }
 
@@ -309,6 +487,7 @@ class TestluyPaymentSDK {
         "Content-Type": "application/json",
         Accept: "application/json",
       },
+      ...(this.cassette && { cassette: this.cassette }),
     });
     logger.debug(
       `TestluyPaymentSDK: HTTP client created, config.baseUrl: ${this.httpClient.config?.baseUrl}, httpClient.baseUrl: ${this.httpClient.httpClient?.baseUrl}`
@@ -320,25 +499,95 @@ class TestluyPaymentSDK {
       httpAdapter: this.httpClient, // Pass HTTP client reference for retry operations
       onError: (error) => {
         logger.error(`TestluyPaymentSDK: Request error: ${error.message}`);
+
+        if (error.errorType === ErrorType.RATE_LIMIT) {
+          const headers = (error.response && error.response.headers) || {};
+          const retryAfter = parseInt(headers["retry-after"], 10);
+          this._trackRateLimitHeaders(headers);
+          this.rateLimiter.pause(isNaN(retryAfter) ? undefined : retryAfter);
+          this.emit("ratelimit.hit", {
+            method: error.config && error.config.method,
+            url: error.config && error.config.url,
+            retryAfter: isNaN(retryAfter) ? undefined : retryAfter,
+            rateLimitInfo: { ...this.rateLimitInfo },
+            error,
+          });
+        }
       },
-      onRetry: ({ attempt, delay }) => {
+      onRetry: ({ attempt, delay, error }) => {
         logger.warn(
           `TestluyPaymentSDK: Retrying request (${attempt}/${this.retryConfig.maxRetries}) after ${delay}ms`
         );
+        this.emit("request.retry", {
+          method: error && error.config && error.config.method,
+          url: error && error.config && error.config.url,
+          attempt,
+          maxRetries: this.retryConfig.maxRetries,
+          delay,
+          error,
+        });
       },
       onRecovery: () => {
         logger.info("TestluyPaymentSDK: Request recovered successfully");
       },
+      onAuthError: async (error) => {
+        const config = error.config;
+        const signedWith = config && config.credentialsVersion;
+        if (signedWith === undefined) {
+          return null;
+        }
+
+        // Ask the provider unless the credentials were already replaced since signing
+        if (this.credentialsProvider && this.credentials.version === signedWith) {
+          try {
+            await this.refreshCredentials();
+          } catch (refreshError) {
+            logger.warn(
+              `TestluyPaymentSDK: Credentials refresh after an authentication error failed: ${refreshError.message}`
+            );
+          }
+        }
+
+        // Repeat the request only with different credentials
+        const credentials = this.credentials;
+        if (credentials.version === signedWith) {
+          return null;
+        }
+
+        // The retry skips the request interceptors, so sign it again here
+        const authHeaders = await this._getAuthHeaders(
+          config.method,
+          config.url,
+          config.data,
+          credentials
+        );
+        return {
+          ...config,
+          credentialsVersion: credentials.version,
+          headers: { ...config.headers, ...authHeaders },
+        };
+      },
     });
 
+    // Error reports have their own logger; send them wherever the SDK logs go
+    if (this.loggingConfig.transport) {
+      this.errorHandler.errorReporter.config.logger.updateConfig({
+        transport: this.loggingConfig.transport,
+      });
+    }
+
     // Add request interceptor for authentication and Cloudflare bypass
     this.httpClient.addRequestInterceptor({
       onRequest: async (config) => {
-        // Add authentication headers
+        // Sign the exact body string the adapter will send, with one credentials snapshot;
+        // credentials rotated from now on don't affect this request
+        const body = serializeRequestBody(config.data);
+        const credentials = await this._getCredentials();
         const authHeaders = await this._getAuthHeaders(
           config.method,
           config.url,
-          config.data
+          body,
+          credentials
         );
 
         // Add Cloudflare bypass headers if in bypass mode
@@ -350,6 +599,8 @@ class TestluyPaymentSDK {
         // Merge headers
         return {
           ...config,
+          ...(body !== undefined && { data: body }),
+          credentialsVersion: credentials.version,
           headers: {
             ...config.headers,
             ...authHeaders,
@@ -362,25 +613,7 @@ class TestluyPaymentSDK {
     // Add response interceptor for rate limit tracking
     this.httpClient.addResponseInterceptor({
       onResponse: (response) => {
-        // Update rate limit info from headers if available
-        if (response.headers && response.headers["x-ratelimit-limit"]) {
-          this.rateLimitInfo.limit = parseInt(
-            response.headers["x-ratelimit-limit"],
-            10
-          );
-        }
-        if (response.headers && response.headers["x-ratelimit-remaining"]) {
-          this.rateLimitInfo.remaining = parseInt(
-            response.headers["x-ratelimit-remaining"],
-            10
-          );
-        }
-        if (response.headers && response.headers["x-ratelimit-reset"]) {
-          this.rateLimitInfo.resetAt = new Date(
-            parseInt(response.headers["x-ratelimit-reset"], 10) * 1000
-          );
-        }
-
+        this._trackRateLimitHeaders(response.headers);
         return response;
       },
     });
@@ -440,6 +673,22 @@ class TestluyPaymentSDK {
     }
   }
 
+  /**
+   * Returns the options the SDK was created with, after merging the constructor options,
+   * the TESTLUY_* environment variables and the config file. Secrets are masked.
+   * @returns {object} `{ options, sources, profile, configFile }`, where `sources` names the
+   *   layer each option came from: 'file', 'profile', 'env' or 'options'.
+   */
+  getResolvedConfig() {
+    const { options, sources, profile, configFile } = this.resolvedConfig;
+    return {
+      options: maskConfig(options),
+      sources: { ...sources },
+      profile,
+      configFile,
+    };
+  }
+
   /**
    * Get current routing information for debugging
    * @returns {object} Routing information
@@ -468,7 +717,13 @@ class TestluyPaymentSDK {
       if (this.cnameHandler) {
         this.cnameHandler.clearCache();
       }
-      return await this._selectEndpoint();
+
+      const previousUrl = this.currentBaseUrl;
+      const currentUrl = await this._selectEndpoint();
+      if (currentUrl !== previousUrl) {
+        this.emit("endpoint.switched", { previousUrl, currentUrl });
+      }
+      return currentUrl;
     }
     return this.primaryBaseUrl;
   }
@@ -516,72 +771,86 @@ class TestluyPaymentSDK {
   }
 
   /**
-   * Generates the HMAC-SHA256 signature for an API request.
+   * Replaces the credentials snapshot used to sign new requests
    * @private
-   * @param {string} method - HTTP method (e.g., 'GET', 'POST').
-   * @param {string} path - API endpoint path (e.g., 'api/payment-simulator/generate-url').
-   * @param {string} timestamp - UNIX timestamp string.
-   * @param {string|object} [body=''] - Request body (JSON object or string).
-   * @returns {Promise<string>} The computed HMAC signature in hex format.
+   * @param {object} credentials - Validated credentials.
+   * @param {string} [credentials.clientId] - Client ID (defaults to the current one).
+   * @param {string} [credentials.secretKey] - Secret key.
+   * @param {object} [credentials.signer] - Signer, used instead of the secret key when set.
+   * @returns {boolean} True if the credentials changed.
+   * @throws {ValidationError} If there is no client ID.
+   * @throws {SDKError} With code 'SECRET_KEY_IN_BROWSER' for a secret key in a browser or web worker,
+   *   unless `secretKeyGuard` allows it.
    */
-  async _generateSignature(method, path, timestamp, body = "") {
-    // Ensure body is consistently stringified for POST/PUT, or empty string for GET/DELETE
-    const bodyString =
-      method === "POST" || method === "PUT"
-        ? typeof body === "string"
-          ? body
-          : JSON.stringify(body) // Stringify if it's an object
-        : ""; // Empty string for GET/DELETE etc.
-
-    // Remove the leading slash from the path for signature generation
-    // This is important because the API expects the path without a leading slash
-    const cleanPath = path.startsWith("/") ? path.slice(1) : path;
-
-    const stringToSign =
-      method + "\n" + cleanPath + "\n" + timestamp + "\n" + bodyString;
+  _applyCredentials({ clientId = this.clientId, secretKey, signer }) {
+    if (!clientId) {
+      throw new ValidationError('"clientId" is required');
+    }
 
-    try {
-      // Use the cross-platform CryptoPolyfill to generate the signature
-      const signature = await this.cryptoPolyfill.createHmacSignature(
-        this.secretKey,
-        stringToSign
-      );
+    const previous = this.credentials;
+    if (
+      previous &&
+      previous.clientId === clientId &&
+      (signer ? previous.signer === signer : previous.secretKey === secretKey)
+    ) {
+      return false;
+    }
+    if (!signer) {
+      guardSecretKey(secretKey, { mode: this.secretKeyGuard });
+    }
 
-      return signature;
-    } catch (error) {
-      console.error("TestluyPaymentSDK: Error generating signature:", error);
-      throw new Error("Failed to generate request signature.");
+    this.credentials = Object.freeze({
+      version: previous ? previous.version + 1 : 1,
+      clientId,
+      // Undefined when an external signer holds the key
+      secretKey: signer ? undefined : secretKey,
+      signer: resolveSigner({ secretKey, signer }),
+    });
+    ({
+      clientId: this.clientId,
+      secretKey: this.secretKey,
+      signer: this.signer,
+    } = this.credentials);
+    return true;
+  }
+
+  /**
+   * Returns the current credentials, asking the credentials provider if there are none yet
+   * @private
+   * @returns {Promise<object>} The credentials snapshot.
+   */
+  async _getCredentials() {
+    if (!this.credentials) {
+      await this.refreshCredentials();
     }
+    return this.credentials;
   }
 
   /**
-   * Generates the necessary authentication headers for an API request.
+   * Generates the necessary authentication headers for an API request,
+   * signed with the configured `signatureVersion`.
    * @private
    * @param {string} method - HTTP method.
-   * @param {string} path - API endpoint path.
+   * @param {string} path - API endpoint path, including any query string.
    * @param {string|object} [body=''] - Request body.
+   * @param {object} [credentials] - Credentials snapshot to sign with (defaults to the current one).
    * @returns {Promise<object>} An object containing the required headers.
    */
-  async _getAuthHeaders(method, path, body = "") {
-    const timestamp = Math.floor(Date.now() / 1000).toString();
+  async _getAuthHeaders(method, path, body = "", credentials) {
+    const { clientId, signer } = credentials || (await this._getCredentials());
     try {
-      const signature = await this._generateSignature(
-        method,
-        path,
-        timestamp,
-        body
+      return await signRequest(
+        { clientId, signer },
+        { method, url: path, body, version: this.signatureVersion }
       );
-
-      // Basic auth headers
-      const headers = {
-        "X-Client-ID": this.clientId,
-        "X-Timestamp": timestamp,
-        "X-Signature": signature,
-      };
-
-      return headers;
     } catch (error) {
-      throw error;
+      console.error("TestluyPaymentSDK: Error generating signature:", error);
+      throw new SDKError(
+        "Failed to generate request signature.",
+        "SIGNATURE_ERROR",
+        {},
+        error
+      );
     }
   }
 
@@ -684,10 +953,17 @@ class TestluyPaymentSDK {
    * @param {string} method - HTTP method (GET, POST, etc.).
    * @param {string} path - API endpoint path.
    * @param {object} [body={}] - Request body for POST/PUT requests.
+   * @param {object} [options={}] - Additional request options.
+   * @param {object} [options.headers] - Extra headers to send (e.g. `Idempotency-Key`).
+   * @param {boolean} [options.idempotent] - Marks a POST as safe to retry automatically.
+   * @param {number} [options.priority] - Rate limiter priority (default: RequestPriority.HIGH
+   *   for requests that change payments, RequestPriority.NORMAL for GET requests).
+   * @param {AbortSignal} [options.signal] - Signal that cancels the request while it waits for the rate limiter.
    * @returns {Promise<object>} The API response data.
-   * @throws {Error} If the request fails.
+   * @throws {SDKError} If the request fails; the subclass tells why (e.g. RateLimitError, NetworkError).
+   * @throws {Error} The signal's abort reason when aborted while waiting for the rate limiter.
    */
-  async _makeRequest(method, path, body = {}) {
+  async _makeRequest(method, path, body = {}, options = {}) {
     try {
       // Validate path before making the request
       if (!path) {
@@ -729,15 +1005,35 @@ class TestluyPaymentSDK {
         );
       }
 
-      // Make the API request using the enhanced HTTP client
-      const response = await this.httpClient.request({
-        method: method,
-        url: path,
-        data: method !== "GET" ? body : undefined,
+      // Wait for a rate limit token, so the request goes out before the limit is hit
+      await this.rateLimiter.acquire({
+        priority:
+          options.priority !== undefined
+            ? options.priority
+            : method === "GET"
+            ? RequestPriority.NORMAL
+            : RequestPriority.HIGH,
+        signal: options.signal,
       });
 
-      return response;
+      // Make the API request using the enhanced HTTP client
+      try {
+        return await this.httpClient.request({
+          method: method,
+          url: path,
+          data: method !== "GET" ? body : undefined,
+          ...(options.headers && { headers: options.headers }),
+          ...(options.idempotent && { idempotent: true }),
+        });
+      } finally {
+        this.rateLimiter.release();
+      }
     } catch (error) {
+      // A request aborted while queued rejects with the abort reason, as the caller expects
+      if (options.signal && options.signal.aborted && error === options.signal.reason) {
+        throw error;
+      }
+
       // Handle URL construction errors
       if (
         error.message &&
@@ -751,8 +1047,11 @@ class TestluyPaymentSDK {
         logger.error(
           `TestluyPaymentSDK: Attempted path: "${path}", baseUrl: "${this.currentBaseUrl}"`
         );
-        throw new Error(
-          `URL construction error: ${error.message}. Please check your baseUrl and endpoint path.`
+        throw new SDKError(
+          `URL construction error: ${error.message}. Please check your baseUrl and endpoint path.`,
+          "URL_CONSTRUCTION_ERROR",
+          { path, baseUrl: this.currentBaseUrl },
+          error
         );
       }
 
@@ -762,26 +1061,36 @@ class TestluyPaymentSDK {
         const errorMessage = `Rate limit exceeded. ${guidance.recommendedAction}`;
 
         // Create a more informative error
-        const rateLimitError = new Error(errorMessage);
+        const rateLimitError = new RateLimitError(
+          errorMessage,
+          { retryAfter: error.retryAfter, rateLimitInfo: error.rateLimitInfo },
+          error.details,
+          error
+        );
         rateLimitError.isRateLimitError = true;
         rateLimitError.rateLimitInfo = { ...this.rateLimitInfo };
         rateLimitError.retryAfter = guidance.retryAfter;
+        rateLimitError.resetTimestamp = guidance.resetTimestamp;
         throw rateLimitError;
       } else if (error instanceof CloudflareError) {
         const guidance = error.getChallengeGuidance();
         const errorMessage = `Cloudflare protection encountered. ${guidance.recommendedAction}`;
 
         // Create a more informative error
-        const cloudflareError = new Error(errorMessage);
+        const cloudflareError = new CloudflareError(
+          errorMessage,
+          { challengeType: guidance.challengeType, rayId: error.rayId },
+          error.details,
+          error
+        );
         cloudflareError.isCloudflareError = true;
-        cloudflareError.challengeType = guidance.challengeType;
         throw cloudflareError;
       }
 
-      // For other errors, format and throw
+      // For other errors, add context and keep the error type
       const errorMessage = error.message || "Unknown error";
       console.error(`TestluyPaymentSDK: API request failed: ${errorMessage}`);
-      throw new Error(`API request failed: ${errorMessage}`);
+      throw SDKError.wrap(error, "API request failed");
     }
   }
 
@@ -790,12 +1099,13 @@ class TestluyPaymentSDK {
    * Sets an internal flag `isValidated` upon success. Recommended to call before other methods.
    * @async
    * @returns {Promise<boolean>} True if credentials are valid and subscription is active, otherwise throws an error.
-   * @throws {Error} If validation fails due to network issues, invalid credentials, or inactive subscription.
+   * @throws {SDKError} If validation fails due to network issues (NetworkError), invalid credentials
+   *   (AuthenticationError), or inactive subscription.
    */
   async init() {
-    if (!this.clientId || !this.secretKey) {
-      throw new Error(
-        "TestluyPaymentSDK: Client ID and Secret Key are required for initialization."
+    if (!this.credentials && !this.credentialsProvider) {
+      throw new ValidationError(
+        "TestluyPaymentSDK: Client ID and Secret Key (or a signer) are required for initialization."
       );
     }
     try {
@@ -803,12 +1113,12 @@ class TestluyPaymentSDK {
       if (!isValid) {
         // validateCredentials should throw an error explaining why it's not valid
         // If it somehow returned false without throwing, throw a generic error.
-        throw new Error(
+        throw new AuthenticationError(
           "TestluyPaymentSDK: Credential validation returned false."
         );
       }
       this.isValidated = true; // Mark as validated
-      console.log("TestluyPaymentSDK: Credentials Validated Successfully.");
+      logger.info("TestluyPaymentSDK: Credentials Validated Successfully.");
       return true;
     } catch (error) {
       this.isValidated = false; // Ensure flag is false on error
@@ -817,144 +1127,984 @@ class TestluyPaymentSDK {
         "TestluyPaymentSDK: Failed to validate credentials:",
         error.message
       );
-      // Re-throw the specific error from validateCredentials or a generic one
-      throw new Error(
-        `TestluyPaymentSDK: Initialization failed: ${
-          error.message || "Could not validate credentials."
-        }`
+      // Re-throw the specific error from validateCredentials with context, keeping its type
+      throw SDKError.wrap(
+        error.message ? error : new Error("Could not validate credentials."),
+        "TestluyPaymentSDK: Initialization failed"
       );
     }
   }
 
   /**
    * Initiates a payment process by generating a payment URL.
+   * Accepts either an options object or the positional `(amount, callbackUrl, backUrl, options)` form.
+   * The request carries an `Idempotency-Key` header that stays the same across automatic retries,
+   * so a retry after a timeout can never create a second transaction. Calling again with the same
+   * `idempotencyKey` within the replay window returns the original result without a new API call.
    * @async
-   * @param {number} amount - The amount for the payment.
-   * @param {string} callbackUrl - The URL the user should be redirected to after completing the payment simulation on the sandbox.
-   * @param {string} [backUrl] - Optional URL the user should be redirected to if they click 'Back' or 'Cancel' on the sandbox payment page before completion.
-   * @returns {Promise<object>} An object containing the `paymentUrl` and `transactionId`.
-   * @throws {Error} If input validation fails or the API call is unsuccessful.
+   * @param {number|string|Money|object} amountOrOptions - The amount for the payment, or an options object with the fields below.
+   * @param {number|string|Money} amountOrOptions.amount - The amount for the payment. It may have at most as many decimals
+   *   as the currency allows (USD 2, KHR 0) and must be within the currency limits; it is sent as a canonical string.
+   * @param {string} [amountOrOptions.currency] - ISO currency code ('USD' or 'KHR'); taken from a Money amount, otherwise the
+   *   API default is used (amounts are then checked with the USD rules).
+   * @param {string} amountOrOptions.callbackUrl - The URL the user should be redirected to after completing the payment simulation.
+   * @param {string} [amountOrOptions.backUrl] - The URL the user should be redirected to if they leave the payment page.
+   * @param {string} [amountOrOptions.orderId] - Your own order reference.
+   * @param {string} [amountOrOptions.description] - Human-readable payment description.
+   * @param {string} [amountOrOptions.customerReference] - Your own customer reference.
+   * @param {object} [amountOrOptions.metadata] - Flat key/value metadata (string, number or boolean values).
+   * @param {string} [amountOrOptions.idempotencyKey] - Caller-supplied idempotency key (auto-generated when omitted).
+   * @param {string} [callbackUrl] - Positional form: the callback URL.
+   * @param {string} [backUrl] - Positional form: optional URL the user should be redirected to if they click 'Back' or 'Cancel' on the sandbox payment page before completion.
+   * @param {object} [options] - Positional form: any of the optional fields above (e.g. `idempotencyKey`).
+   * @returns {Promise<object>} The `paymentUrl` and `transactionId`, plus the amount and any order fields echoed back.
+   * @throws {ValidationError} If input validation fails.
+   * @throws {SDKError} If the API call is unsuccessful.
    * @example
    * const { paymentUrl, transactionId } = await sdk.initiatePayment(10.50, 'https://myapp.com/payment/callback', 'https://myapp.com/cart');
    * // Redirect user to paymentUrl
+   * @example
+   * const result = await sdk.initiatePayment({
+   *   amount: 10.5,
+   *   currency: 'USD',
+   *   callbackUrl: 'https://myapp.com/payment/callback',
+   *   orderId: 'order-42',
+   *   description: 'Two coffees',
+   *   metadata: { table: 7 },
+   *   idempotencyKey: 'order-42', // Safe to call again for the same order, e.g. after a timeout
+   * });
    */
-  async initiatePayment(amount, callbackUrl, backUrl) {
+  async initiatePayment(amountOrOptions, callbackUrl, backUrl, options = {}) {
     try {
-      // Validate inputs first
-      validateAmount(amount);
-      validateCallbackUrl(callbackUrl); // Validates the success/failure callback
-      if (backUrl) {
-        // Also validate the backUrl if provided, using the same URI validation
-        validateCallbackUrl(backUrl); // Reusing the same validator for URI format
-      }
+      // Validate inputs first, normalizing the positional form into an options object
+      const request = validatePaymentOptions(
+        this._normalizePaymentArgs(amountOrOptions, callbackUrl, backUrl, options)
+      );
+      const idempotencyKey = this._resolveIdempotencyKey(
+        request.idempotencyKey
+      );
 
       const path = this._getApiPath("payment-simulator/generate-url");
       const body = {
-        amount,
-        callback_url: callbackUrl,
-        // Conditionally add back_url ONLY if it has a value
-        ...(backUrl && { back_url: backUrl }),
+        // Canonical decimal string (e.g. "10.50"), so the signed body is stable
+        amount: request.amount.toString(),
+        callback_url: request.callbackUrl,
+        // Conditionally add optional fields ONLY if they have a value
+        ...(request.backUrl && { back_url: request.backUrl }),
+        ...(request.currency && { currency: request.currency }),
+        ...(request.orderId && { order_id: request.orderId }),
+        ...(request.description && { description: request.description }),
+        ...(request.customerReference && {
+          customer_reference: request.customerReference,
+        }),
+        ...(request.metadata && { metadata: request.metadata }),
       };
 
-      // Use the enhanced HTTP client for this request
-      const responseData = await this._makeRequest("POST", path, body);
+      if (!idempotencyKey) {
+        return await this._createPayment(path, body);
+      }
 
-      const { payment_url, transaction_id } = responseData;
+      // Replays of the same key return the original result instead of a new transaction
+      const result = await this.idempotencyStore.remember(
+        idempotencyKey,
+        JSON.stringify(body),
+        () => this._createPayment(path, body, idempotencyKey)
+      );
+      return { ...result };
+    } catch (error) {
+      // Errors from validation and _makeRequest are already typed; only log unexpected ones
+      if (!(error instanceof SDKError)) {
+        console.error(
+          "TestluyPaymentSDK: Error in initiatePayment:",
+          error.message
+        );
+      }
+      throw SDKError.wrap(error, "Failed to initiate payment");
+    }
+  }
+
+  /**
+   * Converts the positional `initiatePayment` arguments into the options-object form.
+   * @private
+   * @param {number|object} amountOrOptions - Amount, or the options object itself.
+   * @param {string} [callbackUrl] - Callback URL (positional form).
+   * @param {string} [backUrl] - Back URL (positional form).
+   * @param {object} [options] - Remaining optional fields (positional form).
+   * @returns {object} The payment options object.
+   */
+  _normalizePaymentArgs(amountOrOptions, callbackUrl, backUrl, options) {
+    if (amountOrOptions !== null && typeof amountOrOptions === "object") {
+      return amountOrOptions;
+    }
+
+    return {
+      ...(options || {}),
+      amount: amountOrOptions,
+      callbackUrl,
+      // Keep treating an empty backUrl as "not provided"
+      ...(backUrl && { backUrl }),
+    };
+  }
+
+  /**
+   * Sends the payment creation request and maps the response.
+   * @private
+   * @param {string} path - API path of the generate-url endpoint.
+   * @param {object} body - Request body.
+   * @param {string} [idempotencyKey] - Idempotency key sent with the request (and every retry of it).
+   * @returns {Promise<object>} The `paymentUrl` and `transactionId` with the echoed order fields.
+   */
+  async _createPayment(path, body, idempotencyKey) {
+    const requestOptions = idempotencyKey
+      ? { headers: { [IDEMPOTENCY_KEY_HEADER]: idempotencyKey } }
+      : {};
+
+    // Use the enhanced HTTP client for this request
+    const responseData = await this._makeRequest(
+      "POST",
+      path,
+      body,
+      requestOptions
+    );
+
+    const { payment_url, transaction_id } = responseData;
+
+    // Verify response structure
+    if (!payment_url || !transaction_id) {
+      console.error(
+        "TestluyPaymentSDK: Server response missing payment_url or transaction_id",
+        responseData
+      );
+      throw new ServerError("Incomplete response received from the server.", {
+        responseData,
+      });
+    }
+
+    // Prefer the values the server recorded, falling back to what was sent
+    const echo = (field) =>
+      responseData[field] !== undefined ? responseData[field] : body[field];
+    const result = {
+      paymentUrl: payment_url,
+      transactionId: transaction_id,
+      amount:
+        responseData.amount !== undefined
+          ? responseData.amount
+          : Number(body.amount),
+      currency: echo("currency"),
+      orderId: echo("order_id"),
+      description: echo("description"),
+      customerReference: echo("customer_reference"),
+      metadata: echo("metadata"),
+    };
+
+    // Leave out fields that were neither sent nor returned
+    Object.keys(result).forEach((key) => {
+      if (result[key] === undefined) {
+        delete result[key];
+      }
+    });
+
+    this._rememberPaymentStatus(result.transactionId, "Initiated");
+    this.emit("payment.initiated", { ...result });
+
+    return result;
+  }
+
+  /**
+   * Returns the idempotency key to use for a request, generating one if allowed.
+   * @private
+   * @param {string} [idempotencyKey] - Caller-supplied key.
+   * @returns {string|undefined} The key to send, or undefined when auto-generation is disabled.
+   */
+  _resolveIdempotencyKey(idempotencyKey) {
+    if (idempotencyKey !== undefined) {
+      validateIdempotencyKey(idempotencyKey);
+      return idempotencyKey;
+    }
+
+    return this.idempotencyConfig.autoGenerate
+      ? this.cryptoPolyfill.generateUUID()
+      : undefined;
+  }
+
+  /**
+   * Retrieves the current status and details of a specific transaction.
+   * @async
+   * @param {string} transactionId - The unique ID of the transaction to check.
+   * @returns {Promise<object>} An object containing the transaction details (e.g., status, amount, timestamps).
+   * @throws {ValidationError} If input validation fails.
+   * @throws {SDKError} If the API call is unsuccessful.
+   */
+  async getPaymentStatus(transactionId) {
+    try {
+      validateTransactionId(transactionId);
+
+      return await this._fetchPaymentStatus(transactionId); // Return the full transaction details object
+    } catch (error) {
+      // Errors from validation and _makeRequest are already typed; only log unexpected ones
+      if (!(error instanceof SDKError)) {
+        console.error(
+          `TestluyPaymentSDK: Error fetching payment status for ${transactionId}:`,
+          error.message
+        );
+      }
+      throw SDKError.wrap(error, "Failed to get payment status");
+    }
+  }
+
+  /**
+   * Fetches the transaction details without adding error context, so callers
+   * can still inspect rate limit information on failures.
+   * @private
+   * @param {string} transactionId - The unique ID of the transaction to check.
+   * @param {object} [options={}] - Request options.
+   * @param {AbortSignal} [options.signal] - Signal that cancels the request while it is queued.
+   * @returns {Promise<object>} The transaction details.
+   */
+  async _fetchPaymentStatus(transactionId, options = {}) {
+    const path = this._getApiPath(
+      `payment-simulator/status/${encodeURIComponent(transactionId)}`
+    );
+
+    // Use the enhanced HTTP client for this request
+    const responseData = await this._makeRequest("GET", path, undefined, {
+      signal: options.signal,
+    });
+
+    // Verify response structure
+    if (!responseData || !responseData.status) {
+      console.error(
+        "TestluyPaymentSDK: Server response missing status information",
+        responseData
+      );
+      throw new ServerError("Incomplete response received from the server.", {
+        responseData,
+      });
+    }
+
+    this._trackPaymentStatus(responseData);
+    return responseData;
+  }
+
+  /**
+   * Remembers the last seen status of a transaction.
+   * @private
+   * @param {string} transactionId - Transaction ID.
+   * @param {string} status - Status that was seen.
+   * @returns {string|null} The previously remembered status, or null if unknown.
+   */
+  _rememberPaymentStatus(transactionId, status) {
+    const previousStatus = this.knownPaymentStatuses.has(transactionId)
+      ? this.knownPaymentStatuses.get(transactionId)
+      : null;
+
+    // Refresh insertion order so eviction drops the least recently seen transaction
+    this.knownPaymentStatuses.delete(transactionId);
+    this.knownPaymentStatuses.set(transactionId, status);
+    if (this.knownPaymentStatuses.size > MAX_TRACKED_PAYMENTS) {
+      const oldestId = this.knownPaymentStatuses.keys().next().value;
+      this.knownPaymentStatuses.delete(oldestId);
+    }
+
+    return previousStatus;
+  }
+
+  /**
+   * Records a seen transaction status and emits the lifecycle events if it changed.
+   * @private
+   * @param {object} payment - Transaction details (with `transaction_id` and `status`).
+   */
+  _trackPaymentStatus(payment) {
+    const transactionId = payment.transaction_id || payment.id;
+    if (!transactionId || !payment.status) {
+      return;
+    }
+
+    const previousStatus = this._rememberPaymentStatus(
+      transactionId,
+      payment.status
+    );
+    if (previousStatus === payment.status) {
+      return;
+    }
+
+    const event = {
+      transactionId,
+      status: payment.status,
+      previousStatus,
+      payment,
+    };
+    this.emit("payment.status_changed", event);
+
+    if (payment.status === "Success") {
+      this.emit("payment.succeeded", event);
+    } else if (payment.status === "Failed") {
+      this.emit("payment.failed", event);
+    }
+  }
+
+  /**
+   * Waits until a payment leaves the `Initiated`/`Pending` statuses.
+   * Polls the status with exponential backoff (the same delay calculation used for
+   * retries) and waits out rate limit windows instead of polling into them.
+   * @async
+   * @param {string} transactionId - The unique ID of the transaction to wait for.
+   * @param {object} [options={}] - Polling options.
+   * @param {number} [options.timeoutMs=300000] - Give up after this many milliseconds (default 5 minutes).
+   * @param {number} [options.intervalMs=2000] - Delay before the second poll.
+   * @param {number} [options.maxIntervalMs=30000] - Upper bound for the delay between polls.
+   * @param {boolean|number} [options.backoff=true] - Backoff factor applied per poll (`true` = 2, `false` = fixed interval).
+   * @param {AbortSignal} [options.signal] - Signal that stops waiting when aborted.
+   * @param {Function} [options.onUpdate] - Called with the transaction details whenever the status changes.
+   * @returns {Promise<object>} The transaction details in their terminal status.
+   * @throws {ValidationError} If the transaction ID or an option is invalid.
+   * @throws {PaymentTimeoutError} If the payment is still pending after `timeoutMs`; carries `lastStatus`.
+   * @throws {Error} The signal's abort reason when aborted, or an SDKError if a status request fails.
+   * @example
+   * const controller = new AbortController();
+   * const payment = await sdk.waitForPaymentCompletion(transactionId, {
+   *   timeoutMs: 10 * 60 * 1000,
+   *   signal: controller.signal,
+   *   onUpdate: (details) => console.log('Status is now', details.status),
+   * });
+   */
+  async waitForPaymentCompletion(transactionId, options = {}) {
+    const {
+      timeoutMs = 5 * 60 * 1000,
+      intervalMs = 2000,
+      maxIntervalMs = 30000,
+      backoff = true,
+      signal,
+      onUpdate,
+    } = options;
+
+    try {
+      validateTransactionId(transactionId);
+      validateWaitForPaymentOptions(options);
+      throwIfAborted(signal);
+
+      // Reuse the retry backoff so polling slows down the same way retries do
+      const pollStrategy = new RetryStrategy({
+        baseDelay: intervalMs,
+        maxDelay: maxIntervalMs,
+        backoffFactor: typeof backoff === "number" ? backoff : backoff ? 2 : 1,
+        jitterFactor: 0.1,
+      });
+
+      const deadline = Date.now() + timeoutMs;
+      let attempt = 0;
+      let lastStatus = null;
+
+      for (;;) {
+        attempt++;
+        let delay = pollStrategy.calculateDelay(attempt);
+
+        try {
+          const payment = await abortable(
+            this._fetchPaymentStatus(transactionId, { signal }),
+            signal
+          );
+
+          if (onUpdate && (!lastStatus || lastStatus.status !== payment.status)) {
+            onUpdate(payment);
+          }
+          lastStatus = payment;
+
+          if (!NON_TERMINAL_STATUSES.includes(payment.status)) {
+            return payment;
+          }
+        } catch (error) {
+          if (!error.isRateLimitError) {
+            throw error;
+          }
+
+          // Wait for the rate limit window to reset instead of polling into it
+          delay = Math.max(delay, this._getRateLimitResetDelay(error));
+        }
+
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) {
+          throw new PaymentTimeoutError(
+            `Payment ${transactionId} did not complete within ${timeoutMs}ms (last status: ${
+              lastStatus ? lastStatus.status : "unknown"
+            }).`,
+            { transactionId, timeoutMs, lastStatus, attempts: attempt }
+          );
+        }
+
+        await sleep(Math.min(delay, remaining), signal);
+      }
+    } catch (error) {
+      // Timeouts and aborts are passed through untouched so callers can tell them apart
+      if (error instanceof PaymentTimeoutError || (signal && signal.aborted)) {
+        throw error;
+      }
+
+      // Errors from validation and _makeRequest are already typed; only log unexpected ones
+      if (!(error instanceof SDKError)) {
+        console.error(
+          `TestluyPaymentSDK: Error waiting for payment ${transactionId}:`,
+          error.message
+        );
+      }
+      throw SDKError.wrap(error, "Failed to wait for payment completion");
+    }
+  }
+
+  /**
+   * Returns how long to wait before the rate limit window of a rate limit error resets.
+   * @private
+   * @param {Error} error - Rate limit error from `_makeRequest`.
+   * @returns {number} Delay in milliseconds (0 if unknown).
+   */
+  _getRateLimitResetDelay(error) {
+    if (error.resetTimestamp) {
+      const untilReset = Date.parse(error.resetTimestamp) - Date.now();
+      if (untilReset > 0) {
+        return untilReset;
+      }
+    }
+
+    return error.retryAfter ? error.retryAfter * 1000 : 0;
+  }
+
+  /**
+   * Cancels a payment that has not been completed yet, so its payment URL can no longer be used.
+   * Only `Initiated` and `Pending` transactions can be cancelled; this is checked before the
+   * cancel request is sent.
+   * @async
+   * @param {string} transactionId - The ID of the transaction to cancel.
+   * @param {string} [reason] - Reason for the cancellation, e.g. 'cart_abandoned'.
+   * @returns {Promise<object>} The updated transaction details, with status `Cancelled`.
+   * @throws {PaymentStateError} If the transaction is already in a terminal status.
+   * @throws {ValidationError} If input validation fails.
+   * @throws {SDKError} If the API call is unsuccessful.
+   */
+  async cancelPayment(transactionId, reason) {
+    try {
+      validateTransactionId(transactionId);
+      validateCancelReason(reason);
+
+      const payment = await this.getPaymentStatus(transactionId);
+      if (!NON_TERMINAL_STATUSES.includes(payment.status)) {
+        throw new PaymentStateError(
+          `Payment ${transactionId} cannot be cancelled while its status is "${payment.status}".`,
+          {
+            transactionId,
+            status: payment.status,
+            operation: "cancel",
+            allowedStatuses: NON_TERMINAL_STATUSES,
+          }
+        );
+      }
+
+      const path = this._getApiPath(`payment-simulator/cancel/${encodeURIComponent(transactionId)}`);
+      const body = reason ? { reason } : {};
+
+      // Cancelling twice leaves the transaction in the same state, so retries are safe
+      const responseData = await this._makeRequest("POST", path, body, {
+        idempotent: true,
+      });
 
       // Verify response structure
-      if (!payment_url || !transaction_id) {
+      if (!responseData || !responseData.status) {
         console.error(
-          "TestluyPaymentSDK: Server response missing payment_url or transaction_id",
+          "TestluyPaymentSDK: Server response missing status information",
           responseData
         );
-        throw new Error("Incomplete response received from the server.");
+        throw new ServerError("Incomplete response received from the server.", {
+          responseData,
+        });
       }
 
-      return {
-        paymentUrl: payment_url,
-        transactionId: transaction_id,
+      this._trackPaymentStatus(responseData);
+      return responseData;
+    } catch (error) {
+      // State errors are typed so callers can tell them apart from transport failures
+      if (error instanceof PaymentStateError) {
+        throw error;
+      }
+
+      // Errors from validation and _makeRequest are already typed; only log unexpected ones
+      if (!(error instanceof SDKError)) {
+        console.error(
+          `TestluyPaymentSDK: Error cancelling payment ${transactionId}:`,
+          error.message
+        );
+      }
+      throw SDKError.wrap(error, "Failed to cancel payment");
+    }
+  }
+
+  /**
+   * Refunds a successful payment, in full or in part.
+   * The refund amount is checked against what is still refundable on the payment
+   * (the paid amount minus earlier refunds) before anything is sent to the API.
+   * @async
+   * @param {string} transactionId - The ID of the transaction to refund.
+   * @param {object} [options={}] - Refund options.
+   * @param {number|string|Money} [options.amount] - Amount to refund, in the payment currency. Defaults to the full refundable amount.
+   * @param {string} [options.reason] - Reason for the refund, shown in the dashboard.
+   * @param {string} [options.idempotencyKey] - Key that makes retries of this refund safe.
+   *   A UUID is generated per call when omitted (unless `idempotencyConfig.autoGenerate` is false).
+   * @returns {Promise<object>} The created refund (e.g., refund_id, transaction_id, amount, status).
+   * @throws {PaymentStateError} If the payment is not in a refundable status.
+   * @throws {ValidationError} If input validation fails or the amount exceeds the refundable amount.
+   * @throws {SDKError} If the API call is unsuccessful.
+   * @example
+   * // Refund part of a payment; repeating the call with the same key refunds only once
+   * const refund = await sdk.refundPayment('trx-123', {
+   *   amount: 5,
+   *   reason: 'One item out of stock',
+   *   idempotencyKey: 'refund-order-42-1',
+   * });
+   */
+  async refundPayment(transactionId, options = {}) {
+    try {
+      validateTransactionId(transactionId);
+      const request = validateRefundOptions(options);
+      const idempotencyKey = this._resolveIdempotencyKey(
+        request.idempotencyKey
+      );
+
+      const path = this._getApiPath(`payment-simulator/refund/${encodeURIComponent(transactionId)}`);
+
+      // Checks the payment and sends the refund; replays of a key skip this, since the
+      // payment is no longer refundable (or refundable for less) once the refund is made
+      const createRefund = async () => {
+        const payment = await this.getPaymentStatus(transactionId);
+        if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+          throw new PaymentStateError(
+            `Payment ${transactionId} cannot be refunded while its status is "${payment.status}".`,
+            {
+              transactionId,
+              status: payment.status,
+              operation: "refund",
+              allowedStatuses: REFUNDABLE_STATUSES,
+            }
+          );
+        }
+
+        const refundable = this._getRefundableAmount(payment);
+        const amount =
+          request.amount !== undefined
+            ? validateMoneyAmount(request.amount, refundable.currency)
+            : refundable;
+        if (!amount.isPositive()) {
+          throw new PaymentStateError(
+            `Payment ${transactionId} has nothing left to refund.`,
+            {
+              transactionId,
+              status: payment.status,
+              operation: "refund",
+              allowedStatuses: REFUNDABLE_STATUSES,
+            }
+          );
+        }
+        if (amount.greaterThan(refundable)) {
+          const message = `"amount" (${amount}) exceeds the refundable amount (${refundable}).`;
+          throw new ValidationError(message, [
+            { field: "amount", message, value: request.amount },
+          ]);
+        }
+
+        const body = {
+          // Canonical decimal string (e.g. "10.50"), so the signed body is stable
+          amount: amount.toString(),
+          ...(request.reason && { reason: request.reason }),
+        };
+        return this._createRefund(path, body, idempotencyKey);
+      };
+
+      if (!idempotencyKey) {
+        return await createRefund();
+      }
+
+      // The fingerprint holds the requested amount rather than the computed one, which
+      // shrinks after the refund; the path keeps a key from being shared between payments
+      const requested = {
+        amount: request.amount !== undefined ? request.amount : "full",
+        ...(request.reason && { reason: request.reason }),
       };
+      const result = await this.idempotencyStore.remember(
+        idempotencyKey,
+        `${path}\n${JSON.stringify(requested)}`,
+        createRefund
+      );
+      return { ...result };
     } catch (error) {
-      // If it's a validation error, just rethrow with a clear message
-      if (error.message.includes("validation failed")) {
-        throw new Error(`Failed to initiate payment: ${error.message}`);
+      // State errors are typed so callers can tell them apart from transport failures
+      if (error instanceof PaymentStateError) {
+        throw error;
       }
 
-      // If it's already a formatted error from _makeRequest, just rethrow with context
-      if (
-        error.message.startsWith("API request failed:") ||
-        error.isRateLimitError ||
-        error.isCloudflareError
-      ) {
-        throw new Error(`Failed to initiate payment: ${error.message}`);
+      // Errors from validation and _makeRequest are already typed; only log unexpected ones
+      if (!(error instanceof SDKError)) {
+        console.error(
+          `TestluyPaymentSDK: Error refunding payment ${transactionId}:`,
+          error.message
+        );
       }
+      throw SDKError.wrap(error, "Failed to refund payment");
+    }
+  }
+
+  /**
+   * Calculates how much of a payment can still be refunded, in the payment currency.
+   * @private
+   * @param {object} payment - Transaction details returned by `getPaymentStatus`.
+   * @returns {Money} The refundable amount.
+   */
+  _getRefundableAmount(payment) {
+    const currency = payment.currency || DEFAULT_CURRENCY;
+    return Money.of(payment.amount, currency).subtract(
+      Money.of(payment.refunded_amount || 0, currency)
+    );
+  }
+
+  /**
+   * Sends the refund creation request.
+   * @private
+   * @param {string} path - API path of the refund endpoint.
+   * @param {object} body - Request body.
+   * @param {string} [idempotencyKey] - Idempotency key sent with the request (and every retry of it).
+   * @returns {Promise<object>} The created refund.
+   */
+  async _createRefund(path, body, idempotencyKey) {
+    const requestOptions = idempotencyKey
+      ? { headers: { [IDEMPOTENCY_KEY_HEADER]: idempotencyKey } }
+      : {};
+
+    const responseData = await this._makeRequest(
+      "POST",
+      path,
+      body,
+      requestOptions
+    );
 
-      // Otherwise, format the error
+    // Verify response structure
+    if (!responseData || !responseData.refund_id) {
       console.error(
-        "TestluyPaymentSDK: Error in initiatePayment:",
-        error.message
+        "TestluyPaymentSDK: Server response missing refund_id",
+        responseData
       );
-      throw new Error(`Failed to initiate payment: ${error.message}`);
+      throw new ServerError("Incomplete response received from the server.", {
+        responseData,
+      });
     }
+
+    return responseData;
   }
 
   /**
-   * Retrieves the current status and details of a specific transaction.
+   * Retrieves a single refund.
    * @async
-   * @param {string} transactionId - The unique ID of the transaction to check.
-   * @returns {Promise<object>} An object containing the transaction details (e.g., status, amount, timestamps).
-   * @throws {Error} If input validation fails or the API call is unsuccessful.
+   * @param {string} refundId - The ID of the refund returned by `refundPayment`.
+   * @returns {Promise<object>} The refund details (e.g., refund_id, transaction_id, amount, status).
+   * @throws {ValidationError} If input validation fails.
+   * @throws {SDKError} If the API call is unsuccessful.
    */
-  async getPaymentStatus(transactionId) {
+  async getRefund(refundId) {
+    try {
+      validateRefundId(refundId);
+
+      const path = this._getApiPath(`payment-simulator/refunds/${encodeURIComponent(refundId)}`);
+      const responseData = await this._makeRequest("GET", path);
+
+      // Verify response structure
+      if (!responseData || !responseData.refund_id) {
+        console.error(
+          "TestluyPaymentSDK: Server response missing refund_id",
+          responseData
+        );
+        throw new ServerError("Incomplete response received from the server.", {
+          responseData,
+        });
+      }
+
+      return responseData;
+    } catch (error) {
+      // Errors from validation and _makeRequest are already typed; only log unexpected ones
+      if (!(error instanceof SDKError)) {
+        console.error(
+          `TestluyPaymentSDK: Error fetching refund ${refundId}:`,
+          error.message
+        );
+      }
+      throw SDKError.wrap(error, "Failed to get refund");
+    }
+  }
+
+  /**
+   * Lists the refunds issued against a transaction.
+   * @async
+   * @param {string} transactionId - The ID of the refunded transaction.
+   * @returns {Promise<Array<object>>} The refunds, oldest first.
+   * @throws {ValidationError} If input validation fails.
+   * @throws {SDKError} If the API call is unsuccessful.
+   */
+  async listRefunds(transactionId) {
     try {
       validateTransactionId(transactionId);
 
       const path = this._getApiPath(
-        `payment-simulator/status/${transactionId}`
+        `payment-simulator/refunds?transaction_id=${encodeURIComponent(transactionId)}`
       );
-
-      // Use the enhanced HTTP client for this request
       const responseData = await this._makeRequest("GET", path);
 
       // Verify response structure
-      if (!responseData || !responseData.status) {
+      if (!responseData || !Array.isArray(responseData.refunds)) {
         console.error(
-          "TestluyPaymentSDK: Server response missing status information",
+          "TestluyPaymentSDK: Server response missing refunds list",
           responseData
         );
-        throw new Error("Incomplete response received from the server.");
+        throw new ServerError("Incomplete response received from the server.", {
+          responseData,
+        });
       }
 
-      return responseData; // Return the full transaction details object
+      return responseData.refunds;
     } catch (error) {
-      // If it's a validation error, just rethrow with a clear message
-      if (error.message.includes("validation failed")) {
-        throw new Error(`Failed to get payment status: ${error.message}`);
+      // Errors from validation and _makeRequest are already typed; only log unexpected ones
+      if (!(error instanceof SDKError)) {
+        console.error(
+          `TestluyPaymentSDK: Error listing refunds for ${transactionId}:`,
+          error.message
+        );
       }
+      throw SDKError.wrap(error, "Failed to list refunds");
+    }
+  }
 
-      // If it's already a formatted error from _makeRequest, just rethrow with context
-      if (
-        error.message.startsWith("API request failed:") ||
-        error.isRateLimitError ||
-        error.isCloudflareError
-      ) {
-        throw new Error(`Failed to get payment status: ${error.message}`);
+  /**
+   * Lists transactions one page at a time, newest first.
+   * Pass the returned `nextCursor` as `cursor` to fetch the next page, or use
+   * `sdk.payments.iterate(filters)` to follow the cursors automatically.
+   * @async
+   * @param {object} [filters={}] - Listing filters.
+   * @param {string} [filters.status] - Only transactions in this status.
+   * @param {Date|string|number} [filters.from] - Only transactions created at or after this time.
+   * @param {Date|string|number} [filters.to] - Only transactions created at or before this time.
+   * @param {number} [filters.minAmount] - Only transactions of at least this amount.
+   * @param {number} [filters.maxAmount] - Only transactions of at most this amount.
+   * @param {number} [filters.limit] - Page size (1-100, server default when omitted).
+   * @param {string} [filters.cursor] - Cursor returned by the previous page.
+   * @returns {Promise<{data: Array<object>, nextCursor: (string|null), hasMore: boolean}>} One page of transactions.
+   * @throws {ValidationError} If the filters are invalid.
+   * @throws {SDKError} If the API call is unsuccessful.
+   */
+  async listPayments(filters = {}) {
+    try {
+      const request = validateListPaymentsOptions(filters);
+
+      const query = new URLSearchParams();
+      const addParam = (name, value) => {
+        if (value !== undefined) {
+          query.append(name, value instanceof Date ? value.toISOString() : String(value));
+        }
+      };
+      addParam("status", request.status);
+      addParam("from", request.from);
+      addParam("to", request.to);
+      addParam("min_amount", request.minAmount);
+      addParam("max_amount", request.maxAmount);
+      addParam("limit", request.limit);
+      addParam("cursor", request.cursor);
+
+      const queryString = query.toString();
+      const path = this._getApiPath(
+        `payment-simulator/transactions${queryString ? `?${queryString}` : ""}`
+      );
+      // Listing is bulk work, so payments and status checks go first
+      const responseData = await this._makeRequest("GET", path, undefined, {
+        priority: RequestPriority.LOW,
+      });
+
+      // Verify response structure
+      if (!responseData || !Array.isArray(responseData.data)) {
+        console.error(
+          "TestluyPaymentSDK: Server response missing transaction list",
+          responseData
+        );
+        throw new ServerError("Incomplete response received from the server.", {
+          responseData,
+        });
       }
 
-      // Otherwise, format the error
-      console.error(
-        `TestluyPaymentSDK: Error fetching payment status for ${transactionId}:`,
-        error.message
+      const nextCursor = responseData.next_cursor || null;
+      return {
+        data: responseData.data,
+        nextCursor,
+        hasMore: Boolean(responseData.has_more && nextCursor),
+      };
+    } catch (error) {
+      // Errors from validation and _makeRequest are already typed; only log unexpected ones
+      if (!(error instanceof SDKError)) {
+        console.error(
+          "TestluyPaymentSDK: Error listing payments:",
+          error.message
+        );
+      }
+      throw SDKError.wrap(error, "Failed to list payments");
+    }
+  }
+
+  /**
+   * Iterates over every transaction matching the filters, following page cursors.
+   * Each page goes through the rate limiter at low priority, so once the quota is
+   * used up the next page waits for the window to reset.
+   * @private
+   * @param {object} [filters={}] - Same filters as `listPayments`; `cursor` sets the starting page.
+   * @yields {object} Transaction details.
+   */
+  async *_iteratePayments(filters = {}) {
+    let cursor = filters.cursor;
+
+    do {
+      const page = await this.listPayments({ ...filters, cursor });
+      for (const payment of page.data) {
+        yield payment;
+      }
+
+      cursor = page.hasMore ? page.nextCursor : undefined;
+    } while (cursor);
+  }
+
+  /**
+   * Records the x-ratelimit-* headers of a response and corrects the rate limiter with them.
+   * @private
+   * @param {object} [headers] - Response headers.
+   */
+  _trackRateLimitHeaders(headers) {
+    if (!headers) {
+      return;
+    }
+
+    const reported = {};
+    if (headers["x-ratelimit-limit"]) {
+      reported.limit = this.rateLimitInfo.limit = parseInt(
+        headers["x-ratelimit-limit"],
+        10
+      );
+    }
+    if (headers["x-ratelimit-remaining"]) {
+      reported.remaining = this.rateLimitInfo.remaining = parseInt(
+        headers["x-ratelimit-remaining"],
+        10
       );
-      throw new Error(`Failed to get payment status: ${error.message}`);
     }
+    if (headers["x-ratelimit-reset"]) {
+      reported.resetAt = this.rateLimitInfo.resetAt = new Date(
+        parseInt(headers["x-ratelimit-reset"], 10) * 1000
+      );
+    }
+
+    if (Object.keys(reported).length > 0) {
+      this.rateLimiter.update(reported);
+    }
+  }
+
+  /**
+   * Returns the live numbers of the client-side rate limiter.
+   * @returns {object} `{ enabled, overflow, limit, remaining, resetAt, inFlight, queued, reported }`.
+   *   `remaining` counts the requests the limiter still lets through before `resetAt`, after
+   *   subtracting requests in flight; `reported` is the rate limit from the latest response headers.
+   */
+  getRateLimitStatus() {
+    return {
+      ...this.rateLimiter.getStatus(),
+      reported: { ...this.rateLimitInfo },
+    };
+  }
+
+  /**
+   * Switches to new credentials without restarting the process. Requests that were already
+   * signed finish with the old credentials; every request signed afterwards uses the new ones.
+   * @param {object} credentials - The new credentials.
+   * @param {string} [credentials.clientId] - Client ID (defaults to the current one).
+   * @param {string} [credentials.secretKey] - Secret key.
+   * @param {object} [credentials.signer] - Signer, instead of a secret key.
+   * @returns {boolean} True if the credentials changed.
+   * @throws {ValidationError} If the credentials are invalid.
+   * @fires TestluyPaymentSDK#credentials.rotated
+   */
+  rotateCredentials(credentials) {
+    validateRotatedCredentials(credentials);
+    return this._rotateCredentials(credentials, "rotate");
+  }
+
+  /**
+   * Asks the `credentialsProvider` for the current credentials and switches to them if they
+   * changed. Concurrent calls share one provider call.
+   * @async
+   * @returns {Promise<boolean>} True if the credentials changed.
+   * @throws {ValidationError} If no provider is configured or it returned invalid credentials.
+   * @throws {SDKError} If the provider failed.
+   * @fires TestluyPaymentSDK#credentials.rotated
+   */
+  async refreshCredentials() {
+    if (!this.credentialsProvider) {
+      throw new ValidationError(
+        'TestluyPaymentSDK: No "credentialsProvider" is configured.'
+      );
+    }
+
+    if (!this.credentialsRefresh) {
+      this.credentialsRefresh = (async () => {
+        try {
+          const credentials = await this.credentialsProvider();
+          validateRotatedCredentials(credentials);
+          return this._rotateCredentials(credentials, "provider");
+        } catch (error) {
+          throw SDKError.wrap(error, "Failed to refresh credentials");
+        }
+      })().finally(() => {
+        this.credentialsRefresh = null;
+      });
+    }
+    return this.credentialsRefresh;
+  }
+
+  /**
+   * Stops the scheduled `credentialsProvider` refresh started by `credentialsRefreshIntervalMs`.
+   */
+  stopCredentialsRefresh() {
+    if (this.credentialsRefreshTimer) {
+      clearInterval(this.credentialsRefreshTimer);
+      this.credentialsRefreshTimer = null;
+    }
+  }
+
+  /**
+   * Applies new credentials and emits `credentials.rotated` if they changed
+   * @private
+   * @param {object} credentials - Validated credentials.
+   * @param {string} source - 'rotate' or 'provider'.
+   * @returns {boolean} True if the credentials changed.
+   */
+  _rotateCredentials(credentials, source) {
+    const previousClientId = this.credentials ? this.credentials.clientId : undefined;
+    if (!this._applyCredentials(credentials)) {
+      return false;
+    }
+
+    logger.info(
+      `TestluyPaymentSDK: Credentials rotated (client ID ${this.clientId}, source: ${source})`
+    );
+    this.emit("credentials.rotated", {
+      clientId: this.clientId,
+      previousClientId,
+      source,
+    });
+    return true;
   }
 
   /**
    * Validates the configured API credentials (Client ID, Secret Key) and checks if the associated subscription is active.
    * @async
    * @returns {Promise<boolean>} True if credentials are valid and subscription is active.
-   * @throws {Error} If validation fails due to network issues, invalid credentials, or inactive/in-use subscription.
+   * @throws {SDKError} If validation fails due to network issues (NetworkError), invalid credentials
+   *   (AuthenticationError), or inactive/in-use subscription.
    */
   async validateCredentials() {
     try {
@@ -962,7 +2112,10 @@ class TestluyPaymentSDK {
       const body = {}; // Validation endpoint expects an empty body
 
       // Use the enhanced HTTP client for this request
-      const responseData = await this._makeRequest("POST", path, body);
+      // Validation has no side effects, so it stays safe to retry
+      const responseData = await this._makeRequest("POST", path, body, {
+        idempotent: true,
+      });
 
       // Ensure the response has the expected structure
       if (typeof responseData?.isValid !== "boolean") {
@@ -970,45 +2123,117 @@ class TestluyPaymentSDK {
           "TestluyPaymentSDK: Invalid response structure from validate-credentials:",
           responseData
         );
-        throw new Error(
-          "Unexpected response format during credential validation."
+        throw new ServerError(
+          "Unexpected response format during credential validation.",
+          { responseData }
         );
       }
 
       // If isValid is false, the API should ideally send a 4xx error handled by the catch block.
       // But if it returns 200 OK with { isValid: false }, we handle it here.
       if (!responseData.isValid) {
-        throw new Error(
-          responseData.message || "Credentials validation returned false."
+        throw new AuthenticationError(
+          responseData.message || "Credentials validation returned false.",
+          { responseData }
         );
       }
 
       return true; // Only return true if explicitly { isValid: true }
     } catch (error) {
-      // If it's already a formatted error from _makeRequest, just rethrow
-      if (
-        error.message.startsWith("API request failed:") ||
-        error.isRateLimitError ||
-        error.isCloudflareError
-      ) {
+      // Rate limit and Cloudflare errors carry their own guidance, so they are passed on as they are
+      if (error instanceof RateLimitError || error instanceof CloudflareError) {
         throw error;
       }
 
-      // Otherwise, format the error
-      console.error("TestluyPaymentSDK: Validation error:", error.message);
+      // Errors from _makeRequest are already typed and logged; only log unexpected ones
+      if (!(error instanceof SDKError)) {
+        console.error("TestluyPaymentSDK: Validation error:", error.message);
+      }
 
-      // Throw an error explaining the failure
-      throw new Error(`Credentials validation failed: ${error.message}`);
+      // Throw an error explaining the failure, keeping its type (e.g. AuthenticationError)
+      throw SDKError.wrap(error, "Credentials validation failed");
     }
   }
 
+  /**
+   * Verifies the HMAC signature and timestamp of the data received at the merchant's callback URL.
+   * The callback must carry `timestamp` (UNIX seconds) and `signature` parameters signed with the
+   * application secret key. With a `signer`, the expected signature is computed by the signer.
+   * @async
+   * @param {object} callbackData - The query parameters or body received at the callback URL.
+   * @param {object} [options] - Verification options.
+   * @param {number} [options.toleranceSeconds] - Overrides `callbackConfig.toleranceSeconds` for this call.
+   * @returns {Promise<boolean>} True if the callback is authentic.
+   * @throws {ValidationError} If an option is invalid.
+   * @throws {SignatureVerificationError} If the signature is missing, stale or does not match.
+   */
+  async verifyCallbackSignature(callbackData, options = {}) {
+    validateCallbackOptions(options);
+    const toleranceSeconds =
+      options.toleranceSeconds !== undefined
+        ? options.toleranceSeconds
+        : this.callbackConfig.toleranceSeconds;
+
+    const { signer } = await this._getCredentials();
+    return verifyCallbackSignature(signer, callbackData || {}, {
+      toleranceSeconds,
+    });
+  }
+
+  /**
+   * Mints a short-lived client token for a browser, so the browser never needs the secret key.
+   * The payment routes (`createPaymentRoutes` with `clientTokens`) check the token before calling
+   * the API. Tokens are signed with the current credentials and stop working after a rotation.
+   * @async
+   * @param {object} [options] - Token scope and lifetime.
+   * @param {string[]} [options.actions] - Allowed operations: 'initiatePayment' and/or 'getPaymentStatus' (default both).
+   * @param {number|string|Money} [options.maxAmount] - Largest amount a payment may have.
+   * @param {string} [options.currency] - Only currency payments may use (USD when `maxAmount` is set without one).
+   * @param {number} [options.ttlSeconds=600] - Lifetime in seconds (at most 3600).
+   * @returns {Promise<{token: string, expiresAt: string, scope: object}>} The token, its expiry and its scope.
+   * @throws {ValidationError} If an option is invalid.
+   * @example
+   * // May initiate payments up to 50 USD for 10 minutes
+   * const { token } = await sdk.createClientToken({ actions: ['initiatePayment'], maxAmount: 50, ttlSeconds: 600 });
+   */
+  async createClientToken(options = {}) {
+    const tokenOptions = validateClientTokenOptions(options);
+    const { clientId, signer } = await this._getCredentials();
+    return createClientToken(signer, { ...tokenOptions, clientId });
+  }
+
+  /**
+   * Verifies a client token minted by `createClientToken` and, optionally, that its scope allows an operation.
+   * @async
+   * @param {string} token - The client token.
+   * @param {object} [options] - Operation to check.
+   * @param {string} [options.action] - 'initiatePayment' or 'getPaymentStatus'.
+   * @param {number|string|Money} [options.amount] - Payment amount to check against the token's `maxAmount`.
+   * @param {string} [options.currency] - Payment currency (default USD).
+   * @returns {Promise<object>} `{ clientId, tokenId, issuedAt, expiresAt, scope }`.
+   * @throws {ClientTokenError} If the token is missing, malformed, forged, expired, issued for another
+   *   client, or doesn't allow the operation (see `reason`).
+   */
+  async verifyClientToken(token, options = {}) {
+    const { clientId, signer } = await this._getCredentials();
+    return verifyClientToken(signer, token, { ...options, clientId });
+  }
+
   /**
    * Processes the data received at the merchant's callback URL after a payment attempt.
-   * It verifies the status by calling `getPaymentStatus`.
+   * By default it verifies the status by calling `getPaymentStatus`. When signature verification
+   * is enabled, the callback's HMAC signature and timestamp are checked first and, if the callback
+   * carries a status, the extra status round-trip is skipped unless `fetchStatus` is set.
    * @async
    * @param {object} callbackData - The query parameters or body received at the callback URL (should contain at least `transaction_id`).
+   * @param {object} [options] - Per-call overrides for `callbackConfig`.
+   * @param {boolean} [options.verifySignature] - Require a valid callback signature.
+   * @param {number} [options.toleranceSeconds] - Maximum age of a signed callback in seconds.
+   * @param {boolean} [options.fetchStatus] - Fetch the status from the API even after successful verification.
    * @returns {Promise<object>} An object containing the verified transaction status and details.
-   * @throws {Error} If callback data is invalid or `getPaymentStatus` fails.
+   * @throws {SignatureVerificationError} If signature verification is enabled and fails.
+   * @throws {ValidationError} If callback data or an option is invalid.
+   * @throws {SDKError} If `getPaymentStatus` fails.
    * @example
    * // Example assuming callbackData is URLSearchParams from `window.location.search`
    * const urlParams = new URLSearchParams(window.location.search);
@@ -1021,37 +2246,81 @@ class TestluyPaymentSDK {
    *   console.error('Callback handling failed:', error);
    * }
    */
-  async handlePaymentCallback(callbackData) {
+  async handlePaymentCallback(callbackData, options = {}) {
+    const callbackOptions = { ...this.callbackConfig, ...options };
+
     try {
+      validateCallbackOptions(options);
+
       // Validate input callbackData minimally
       if (!callbackData || typeof callbackData !== "object") {
-        throw new Error("Invalid callback data received.");
+        throw new ValidationError("Invalid callback data received.", [
+          { field: "callbackData", message: "Callback data must be an object" },
+        ]);
       }
       // Extract transaction_id, prefer case-insensitivity if needed but stick to snake_case
       const transaction_id =
         callbackData.transaction_id || callbackData.transactionId;
 
       if (!transaction_id) {
-        throw new Error("Transaction ID is missing in callback data.");
+        throw new ValidationError("Transaction ID is missing in callback data.", [
+          { field: "transaction_id", message: '"transaction_id" is required' },
+        ]);
+      }
+
+      if (callbackOptions.verifySignature) {
+        await this.verifyCallbackSignature(callbackData, {
+          toleranceSeconds: callbackOptions.toleranceSeconds,
+        });
+
+        // A verified callback is authoritative, so the status round-trip is optional
+        if (callbackData.status && !callbackOptions.fetchStatus) {
+          const { signature, ...paymentDetails } = callbackData;
+          const result = {
+            transactionId: transaction_id,
+            status: callbackData.status,
+            paymentDetails,
+            verified: true,
+          };
+
+          this._trackPaymentStatus({
+            ...paymentDetails,
+            transaction_id,
+          });
+          this.emit("callback.received", result);
+          return result;
+        }
       }
 
       // Crucially, fetch the authoritative status from the backend
       const paymentStatusDetails = await this.getPaymentStatus(transaction_id);
 
-      return {
+      const result = {
         transactionId: transaction_id,
         // Use the verified status from the backend API call
         status: paymentStatusDetails.status, // e.g., 'Success', 'Failed', 'Initiated'
         paymentDetails: paymentStatusDetails, // Contains the full transaction object
+        ...(callbackOptions.verifySignature && { verified: true }),
       };
+
+      this.emit("callback.received", result);
+      return result;
     } catch (error) {
+      // Keep signature failures typed so callers can reject the request outright
+      if (error instanceof SignatureVerificationError) {
+        logger.warn(
+          `TestluyPaymentSDK: Rejected payment callback: ${error.message}`
+        );
+        throw error;
+      }
+
       // Error could be from getPaymentStatus or input validation
       console.error(
         "TestluyPaymentSDK: Error in handlePaymentCallback:",
         error.message
       );
-      // Propagate the specific error message
-      throw new Error(`Failed to handle payment callback: ${error.message}`);
+      // Propagate the specific error message and type
+      throw SDKError.wrap(error, "Failed to handle payment callback");
     }
   }
 
@@ -1384,7 +2653,8 @@ class TestluyPaymentSDK {
    * @param {number} amount - The amount for the payment.
    * @param {string} callbackUrl - The URL to redirect back to after payment simulation.
    * @returns {Promise<string>} The payment URL.
-   * @throws {Error} If input validation fails or the API call is unsuccessful.
+   * @throws {ValidationError} If input validation fails.
+   * @throws {SDKError} If the API call is unsuccessful.
    */
   async generatePaymentUrl(amount, callbackUrl) {
     console.warn(
@@ -1408,7 +2678,9 @@ class TestluyPaymentSDK {
           "TestluyPaymentSDK: Server response missing payment_url",
           responseData
         );
-        throw new Error("Incomplete response received from the server.");
+        throw new ServerError("Incomplete response received from the server.", {
+          responseData,
+        });
       }
 
       return responseData.payment_url;
@@ -1418,10 +2690,62 @@ class TestluyPaymentSDK {
         "TestluyPaymentSDK: Generate payment URL error:",
         errorMessage
       );
-      throw new Error(`Failed to generate payment URL: ${errorMessage}`);
+      throw SDKError.wrap(error, "Failed to generate payment URL");
     }
   }
 }
 
-console.log("Enhanced TestluyPaymentSDK loaded with Cloudflare resilience");
+logger.info("Enhanced TestluyPaymentSDK loaded with Cloudflare resilience");
 export default TestluyPaymentSDK;
+
+export { TestluyPaymentSDK, Money, Cassette };
+export { CassetteMode } from "./http/Cassette.js";
+export {
+  SignatureVersion,
+  signRequest,
+  verifyRequestSignature,
+} from "./http/utils/RequestSignature.js";
+export { canonicalJsonStringify } from "./http/utils/CanonicalJson.js";
+export { LocalSigner, RemoteSigner } from "./http/utils/Signer.js";
+export { ClientTokenAction } from "./http/utils/ClientToken.js";
+export { RateLimitOverflow, RequestPriority } from "./http/RateLimiter.js";
+export { SecretGuardMode } from "./http/utils/SecretGuard.js";
+export { redactSecrets } from "./http/utils/SecretRedaction.js";
+export { loadConfig, ENVIRONMENT_VARIABLES, CONFIG_FILE_NAMES } from "./config.js";
+export {
+  validateWithSchema,
+  amountSchema,
+  moneyAmountSchema,
+  currencySchema,
+  callbackUrlSchema,
+  backUrlSchema,
+  metadataSchema,
+  transactionIdSchema,
+  idempotencyKeySchema,
+  refundIdSchema,
+  reasonSchema,
+  paymentOptionsSchema,
+  refundOptionsSchema,
+  listPaymentsOptionsSchema,
+  waitForPaymentOptionsSchema,
+  callbackOptionsSchema,
+  sdkOptionsSchema,
+  signerSchema,
+  credentialsSchema,
+  configLayerSchema,
+  clientTokenOptionsSchema,
+} from "./validation.js";
+export {
+  SDKError,
+  RateLimitError,
+  CloudflareError,
+  SignatureVerificationError,
+  PaymentStateError,
+  PaymentTimeoutError,
+  NetworkError,
+  ValidationError,
+  AuthenticationError,
+  ServerError,
+  ClientTokenError,
+  ClientTokenFailureReason,
+} from "./http/errors/index.js";
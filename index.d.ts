@@ -6,16 +6,36 @@
  * IntelliSense support in TypeScript projects.
  */
 
+import type { Schema, ObjectSchema, AlternativesSchema, StringSchema, NumberSchema } from 'joi';
+
 // ================================
 // CORE SDK TYPES
 // ================================
 
 export interface TestluyPaymentSDKOptions {
-  /** Your TestLuy application client ID */
-  clientId: string;
+  /** Your TestLuy application client ID; required unless `credentialsProvider` is set */
+  clientId?: string;
+  
+  /** Your TestLuy application secret key (keep confidential); required unless `signer` or `credentialsProvider` is set */
+  secretKey?: string;
+  
+  /** Computes request and callback signatures so the secret key can stay out of this process */
+  signer?: Signer;
+  
+  /** Loads the current credentials; called when none are set, after a 401 and on `credentialsRefreshIntervalMs` */
+  credentialsProvider?: () => Promise<Credentials>;
+  
+  /** Interval in milliseconds for re-querying `credentialsProvider` (0 or unset disables it) */
+  credentialsRefreshIntervalMs?: number;
+  
+  /** A secret key in a browser or web worker is refused ('error', the default), logged to the console ('warn') or allowed ('off') */
+  secretKeyGuard?: SecretGuardMode;
   
-  /** Your TestLuy application secret key (keep confidential) */
-  secretKey: string;
+  /** Profile of `testluy.config.json`/`.testluyrc` to use (default: `TESTLUY_PROFILE`) */
+  profile?: string;
+  
+  /** Config file path (default: `TESTLUY_CONFIG_FILE`, else looked up in the working directory), or false to ignore config files */
+  configFile?: string | false;
   
   /** Base URL for the TestLuy API (without /api suffix) */
   baseUrl?: string;
@@ -26,6 +46,12 @@ export interface TestluyPaymentSDKOptions {
   /** Enable automatic endpoint selection based on environment */
   enableSmartRouting?: boolean;
   
+  /**
+   * Request signing scheme (default 'v1'). 'v2' also signs a random nonce, the query
+   * string and a SHA-256 hash of every body, and sends `X-Signature-Version`
+   */
+  signatureVersion?: SignatureVersionValue;
+  
   /** Retry configuration for failed requests */
   retryConfig?: RetryConfig;
   
@@ -37,6 +63,18 @@ export interface TestluyPaymentSDKOptions {
   
   /** HTTP client configuration */
   httpConfig?: HttpConfig;
+  
+  /** Payment callback handling configuration */
+  callbackConfig?: CallbackConfig;
+  
+  /** Idempotent payment creation configuration */
+  idempotencyConfig?: IdempotencyConfig;
+  
+  /** Client-side pacing from the x-ratelimit-* response headers */
+  rateLimitConfig?: RateLimitConfig;
+  
+  /** Record or replay HTTP interactions */
+  cassette?: Cassette | CassetteOptions;
 }
 
 export interface RetryConfig {
@@ -54,6 +92,9 @@ export interface RetryConfig {
   
   /** Random jitter factor to add to delay (0-1) */
   jitterFactor?: number;
+  
+  /** Retry POST/PATCH requests that carry no idempotency key (unsafe, default false) */
+  retryNonIdempotent?: boolean;
 }
 
 export interface CloudflareConfig {
@@ -88,6 +129,208 @@ export interface LoggingConfig {
   
   /** Whether to colorize console output */
   colorize?: boolean;
+  
+  /** Receives each log entry instead of the console */
+  transport?: (level: Exclude<LogLevel, 'silent'>, args: unknown[]) => void;
+}
+
+export interface CallbackConfig {
+  /** Require a valid HMAC signature and timestamp on callbacks */
+  verifySignature?: boolean;
+  
+  /** Maximum age (or clock skew) of a signed callback in seconds */
+  toleranceSeconds?: number;
+  
+  /** Still fetch the status from the API after a callback passes verification */
+  fetchStatus?: boolean;
+}
+
+export interface IdempotencyConfig {
+  /** Generate an idempotency key when the caller does not supply one */
+  autoGenerate?: boolean;
+  
+  /** How long a result is replayed for the same key in milliseconds */
+  ttlMs?: number;
+  
+  /** Maximum number of results kept in memory */
+  maxEntries?: number;
+}
+
+export type RateLimitOverflowValue = 'wait' | 'reject' | 'drop-lowest-priority';
+
+export const RateLimitOverflow: {
+  WAIT: 'wait';
+  REJECT: 'reject';
+  DROP_LOWEST_PRIORITY: 'drop-lowest-priority';
+};
+
+/** Priorities of SDK requests; a higher number is served first */
+export const RequestPriority: {
+  LOW: 0;
+  NORMAL: 5;
+  HIGH: 10;
+};
+
+export interface RateLimitConfig {
+  /** Queue requests before the rate limit is hit instead of after (default true) */
+  enabled?: boolean;
+  
+  /**
+   * What happens to a request when no token is available: 'wait' (default) queues it,
+   * 'reject' throws a RateLimitError right away, 'drop-lowest-priority' queues it and, when
+   * the queue is full, rejects the lowest-priority request waiting
+   */
+  overflow?: RateLimitOverflowValue;
+  
+  /** Maximum number of requests waiting for a token (default 100) */
+  maxQueueSize?: number;
+  
+  /** Requests per window to assume before the API reports a limit (default: none, nothing is paced) */
+  limit?: number;
+  
+  /** Window in seconds in which the bucket refills when the API reports no reset time (default 60) */
+  windowSeconds?: number;
+}
+
+export interface RateLimitStatus {
+  enabled: boolean;
+  overflow: RateLimitOverflowValue;
+  
+  /** Requests per window, null until configured or reported */
+  limit: number | null;
+  
+  /** Requests the limiter still lets through, after subtracting requests in flight */
+  remaining: number | null;
+  
+  /** When the reported window resets and the bucket is refilled */
+  resetAt: Date | null;
+  
+  /** Requests sent and not yet answered */
+  inFlight: number;
+  
+  /** Requests waiting for a token */
+  queued: number;
+  
+  /** Rate limit from the latest response headers */
+  reported: {
+    limit: number | null;
+    remaining: number | null;
+    resetAt: Date | null;
+    currentPlan: string | null;
+  };
+}
+
+export type CassetteModeValue = 'record' | 'replay' | 'auto';
+
+export const CassetteMode: {
+  RECORD: 'record';
+  REPLAY: 'replay';
+  AUTO: 'auto';
+};
+
+export interface CassetteOptions {
+  /** Path of the JSON cassette file */
+  path: string;
+  
+  /** 'record' sends and overwrites, 'replay' never sends, 'auto' records unmatched requests (default 'replay') */
+  mode?: CassetteModeValue;
+  
+  /** Keys whose values are scrubbed before writing (default: the Logger's sensitive keys) */
+  sensitiveKeys?: string[];
+}
+
+/** Records HTTP request/response pairs to a JSON file and replays them */
+export class Cassette {
+  constructor(options: CassetteOptions);
+  readonly path: string;
+  readonly mode: CassetteModeValue;
+  canonicalPath(url: string): string;
+  canonicalBody(data: any): string;
+  wrap<Response = any>(adapter: { request(config: any): Promise<Response> }): (config: any) => Promise<Response>;
+}
+
+export type Currency = 'USD' | 'KHR';
+
+export interface CurrencyRule {
+  /** Number of decimals (USD 2, KHR 0) */
+  decimals: number;
+  
+  /** Smallest accepted payment, in minor units */
+  minMinorUnits: number;
+  
+  /** Largest accepted payment, in minor units */
+  maxMinorUnits: number;
+}
+
+/** Exact decimal amount stored as integer minor units */
+export class Money {
+  constructor(minorUnits: number, currency?: Currency);
+  
+  /** Creates an amount from a decimal number or string; rejects excess decimals */
+  static of(amount: number | string | Money, currency?: Currency): Money;
+  
+  /** Creates an amount from minor units (cents, riel) */
+  static fromMinorUnits(minorUnits: number, currency?: Currency): Money;
+  
+  static isMoney(value: unknown): value is Money;
+  
+  readonly minorUnits: number;
+  readonly currency: Currency;
+  readonly decimals: number;
+  
+  add(other: MoneyAmount): Money;
+  subtract(other: MoneyAmount): Money;
+  compareTo(other: MoneyAmount): -1 | 0 | 1;
+  equals(other: MoneyAmount): boolean;
+  greaterThan(other: MoneyAmount): boolean;
+  lessThan(other: MoneyAmount): boolean;
+  isZero(): boolean;
+  isPositive(): boolean;
+  
+  /** Throws if the amount is outside the currency limits */
+  assertWithinLimits(field?: string): this;
+  
+  /** Canonical string, e.g. "10.50" (USD) or "4000" (KHR) */
+  toString(): string;
+  toNumber(): number;
+  toJSON(): string;
+}
+
+/** An amount given as a number, a decimal string or a Money instance */
+export type MoneyAmount = number | string | Money;
+
+/** Flat key/value metadata attached to a payment */
+export type PaymentMetadata = Record<string, string | number | boolean>;
+
+export interface InitiatePaymentOptions {
+  /** ISO currency code (the API default is used when omitted) */
+  currency?: Currency;
+  
+  /** Your own order reference */
+  orderId?: string;
+  
+  /** Human-readable payment description */
+  description?: string;
+  
+  /** Your own customer reference */
+  customerReference?: string;
+  
+  /** Arbitrary metadata forwarded with the payment */
+  metadata?: PaymentMetadata;
+  
+  /** Idempotency key kept the same across retries (auto-generated when omitted) */
+  idempotencyKey?: string;
+}
+
+export interface InitiatePaymentRequest extends InitiatePaymentOptions {
+  /** Payment amount: positive, within the currency limits, with at most the currency's decimals */
+  amount: MoneyAmount;
+  
+  /** URL for payment completion callback */
+  callbackUrl: string;
+  
+  /** URL for user cancellation/back navigation */
+  backUrl?: string;
 }
 
 export interface HttpConfig {
@@ -111,6 +354,24 @@ export interface PaymentInitiationResult {
   
   /** Unique transaction identifier */
   transactionId: string;
+  
+  /** Payment amount */
+  amount: number;
+  
+  /** Currency, when sent or returned by the API */
+  currency?: Currency;
+  
+  /** Order reference, when provided */
+  orderId?: string;
+  
+  /** Payment description, when provided */
+  description?: string;
+  
+  /** Customer reference, when provided */
+  customerReference?: string;
+  
+  /** Metadata, when provided */
+  metadata?: PaymentMetadata;
 }
 
 export interface PaymentStatus {
@@ -123,6 +384,9 @@ export interface PaymentStatus {
   /** Payment amount */
   amount: number;
   
+  /** Total amount refunded so far, when any refunds were issued */
+  refunded_amount?: number;
+  
   /** Current status of the payment */
   status: PaymentStatusValue;
   
@@ -142,7 +406,109 @@ export interface PaymentStatus {
   updated_at: string;
 }
 
-export type PaymentStatusValue = 'Initiated' | 'Pending' | 'Success' | 'Failed';
+export type PaymentStatusValue =
+  | 'Initiated'
+  | 'Pending'
+  | 'Success'
+  | 'Failed'
+  | 'PartiallyRefunded'
+  | 'Refunded'
+  | 'Cancelled';
+
+export interface WaitForPaymentOptions {
+  /** Give up after this many milliseconds (default: 300000) */
+  timeoutMs?: number;
+  
+  /** Delay before the second poll in milliseconds (default: 2000) */
+  intervalMs?: number;
+  
+  /** Upper bound for the delay between polls in milliseconds (default: 30000) */
+  maxIntervalMs?: number;
+  
+  /** Backoff factor per poll; true = 2, false = fixed interval (default: true) */
+  backoff?: boolean | number;
+  
+  /** Stops waiting when aborted */
+  signal?: AbortSignal;
+  
+  /** Called with the transaction details whenever the status changes */
+  onUpdate?: (payment: PaymentStatus) => void;
+}
+
+export interface ListPaymentsFilters {
+  /** Only transactions in this status */
+  status?: PaymentStatusValue;
+  
+  /** Only transactions created at or after this time */
+  from?: Date | string | number;
+  
+  /** Only transactions created at or before this time */
+  to?: Date | string | number;
+  
+  /** Only transactions of at least this amount */
+  minAmount?: number;
+  
+  /** Only transactions of at most this amount */
+  maxAmount?: number;
+  
+  /** Page size (1-100) */
+  limit?: number;
+  
+  /** Cursor returned by the previous page */
+  cursor?: string;
+}
+
+export interface PaymentPage {
+  /** Transactions on this page */
+  data: PaymentStatus[];
+  
+  /** Cursor of the next page, or null on the last page */
+  nextCursor: string | null;
+  
+  /** Whether more pages are available */
+  hasMore: boolean;
+}
+
+export interface PaymentsResource {
+  /** Fetches one page of transactions */
+  list(filters?: ListPaymentsFilters): Promise<PaymentPage>;
+  
+  /** Iterates over all matching transactions, following cursors and waiting out exhausted rate limits */
+  iterate(filters?: ListPaymentsFilters): AsyncIterableIterator<PaymentStatus>;
+}
+
+export interface RefundOptions {
+  /** Amount to refund in the payment currency (defaults to the full refundable amount) */
+  amount?: MoneyAmount;
+  
+  /** Reason for the refund */
+  reason?: string;
+  
+  /** Idempotency key that makes retries of this refund safe */
+  idempotencyKey?: string;
+}
+
+export type RefundStatusValue = 'Pending' | 'Succeeded' | 'Failed';
+
+export interface Refund {
+  /** Refund ID */
+  refund_id: string;
+  
+  /** ID of the refunded transaction */
+  transaction_id: string;
+  
+  /** Refunded amount */
+  amount: number;
+  
+  /** Current status of the refund */
+  status: RefundStatusValue;
+  
+  /** Reason for the refund, when provided */
+  reason?: string;
+  
+  /** Creation timestamp */
+  created_at: string;
+}
 
 export interface CallbackVerificationResult {
   /** Transaction ID */
@@ -153,6 +519,9 @@ export interface CallbackVerificationResult {
   
   /** Full payment details */
   paymentDetails: PaymentStatus;
+  
+  /** Present and true when the callback signature was verified */
+  verified?: boolean;
 }
 
 export interface CallbackData {
@@ -168,6 +537,12 @@ export interface CallbackData {
   /** Payment amount */
   amount?: string | number;
   
+  /** UNIX timestamp (seconds) of a signed callback */
+  timestamp?: string | number;
+  
+  /** Hex HMAC-SHA256 signature of a signed callback */
+  signature?: string;
+  
   /** Any additional callback parameters */
   [key: string]: any;
 }
@@ -179,10 +554,41 @@ export interface CallbackData {
 export class SDKError extends Error {
   constructor(
     message: string,
-    public requestId?: string,
-    public statusCode?: number,
-    public details?: any
+    code: string,
+    details?: Record<string, any>,
+    originalError?: Error | null
   );
+
+  /** Error code, e.g. `VALIDATION_ERROR` or `RATE_LIMIT_EXCEEDED` */
+  code: string;
+
+  /** Additional error details */
+  details: Record<string, any>;
+
+  /** Error this one was created from */
+  cause?: Error;
+
+  /** Request ID from the `X-Request-ID` response header or the response body */
+  requestId?: string;
+
+  /** HTTP status code of the response, when there was one */
+  statusCode?: number;
+
+  /** Whether the request can be retried */
+  retryable: boolean;
+
+  /**
+   * Returns a copy of this error with `context` prepended to its message,
+   * keeping its class, code, status code and request ID
+   */
+  withContext(context: string): this;
+
+  toJSON(): Record<string, any>;
+
+  /** Prepends `context` to an SDK error, or wraps any other error in an `UNKNOWN_ERROR` SDKError */
+  static wrap(error: Error, context: string): SDKError;
+
+  static from(error: Error, code?: string, details?: Record<string, any>): SDKError;
 }
 
 export class RateLimitError extends SDKError {
@@ -203,20 +609,125 @@ export class CloudflareError extends SDKError {
   );
 }
 
+export type SignatureFailureReason =
+  | 'missing_signature'
+  | 'missing_timestamp'
+  | 'invalid_timestamp'
+  | 'timestamp_out_of_tolerance'
+  | 'signature_mismatch'
+  | 'unsupported_version'
+  | 'missing_nonce'
+  | 'nonce_reused';
+
+export class SignatureVerificationError extends SDKError {
+  constructor(
+    message: string,
+    public reason?: SignatureFailureReason,
+    public signedAt?: number,
+    public toleranceSeconds?: number
+  );
+}
+
+export type ClientTokenFailureReason =
+  | 'missing_token'
+  | 'malformed_token'
+  | 'signature_mismatch'
+  | 'expired'
+  | 'client_mismatch'
+  | 'action_not_allowed'
+  | 'currency_not_allowed'
+  | 'amount_exceeded';
+
+export const ClientTokenFailureReason: {
+  readonly MISSING_TOKEN: 'missing_token';
+  readonly MALFORMED_TOKEN: 'malformed_token';
+  readonly SIGNATURE_MISMATCH: 'signature_mismatch';
+  readonly EXPIRED: 'expired';
+  readonly CLIENT_MISMATCH: 'client_mismatch';
+  readonly ACTION_NOT_ALLOWED: 'action_not_allowed';
+  readonly CURRENCY_NOT_ALLOWED: 'currency_not_allowed';
+  readonly AMOUNT_EXCEEDED: 'amount_exceeded';
+};
+
+/** A client token was missing, invalid, expired or didn't allow the operation */
+export class ClientTokenError extends SDKError {
+  constructor(
+    message: string,
+    options?: { reason?: ClientTokenFailureReason; expiresAt?: string },
+    details?: Record<string, any>,
+    originalError?: Error | null
+  );
+
+  code: 'CLIENT_TOKEN_ERROR';
+  reason: ClientTokenFailureReason;
+
+  /** Expiry of the token (ISO 8601), when it could be read */
+  expiresAt?: string;
+
+  /** True for action, currency and amount violations of a valid token */
+  readonly isScopeViolation: boolean;
+}
+
+export class PaymentStateError extends SDKError {
+  constructor(
+    message: string,
+    public transactionId?: string,
+    public paymentStatus?: string,
+    public operation?: string,
+    public allowedStatuses?: string[]
+  );
+}
+
+export class PaymentTimeoutError extends SDKError {
+  constructor(
+    message: string,
+    public transactionId?: string,
+    public timeoutMs?: number,
+    public lastStatus?: PaymentStatus | null,
+    public attempts?: number
+  );
+}
+
 export class NetworkError extends SDKError {
   constructor(
     message: string,
-    public code?: string,
-    public timeout?: number,
-    public retryCount?: number
+    options?: { isTimeout?: boolean; timeout?: number; retryCount?: number; retryable?: boolean },
+    details?: Record<string, any>,
+    originalError?: Error | null
   );
+
+  /** `TIMEOUT_ERROR` for timeouts, `NETWORK_ERROR` otherwise */
+  code: 'NETWORK_ERROR' | 'TIMEOUT_ERROR';
+  isTimeout: boolean;
+  timeout?: number;
+  retryCount: number;
 }
 
 export class ValidationError extends SDKError {
   constructor(
     message: string,
-    public validationDetails?: ValidationDetail[]
+    validationDetails?: ValidationDetail[],
+    details?: Record<string, any>,
+    originalError?: Error | null
   );
+
+  code: 'VALIDATION_ERROR';
+  validationDetails: ValidationDetail[];
+
+  /** Creates a ValidationError from a Joi validation error */
+  static fromJoi(joiError: Error & { details?: any[] }): ValidationError;
+}
+
+export class AuthenticationError extends SDKError {
+  constructor(message: string, details?: Record<string, any>, originalError?: Error | null);
+
+  code: 'AUTHENTICATION_ERROR';
+}
+
+export class ServerError extends SDKError {
+  constructor(message: string, details?: Record<string, any>, originalError?: Error | null);
+
+  code: 'SERVER_ERROR';
 }
 
 export interface UpgradeInfo {
@@ -251,10 +762,294 @@ export interface ValidationDetail {
   /** Error message */
   message: string;
   
+  /** Joi error type, e.g. `string.uri` */
+  type?: string;
+  
   /** Provided value */
   value?: any;
 }
 
+// ================================
+// REQUEST SIGNING
+// ================================
+
+export type SignatureVersionValue = 'v1' | 'v2';
+
+export const SignatureVersion: {
+  readonly V1: 'v1';
+  readonly V2: 'v2';
+};
+
+export interface RequestToSign {
+  method: string;
+  
+  /** Request path with query string */
+  url: string;
+  
+  body?: any;
+  
+  /** Defaults to 'v1' */
+  version?: SignatureVersionValue;
+  
+  /** UNIX timestamp in seconds (defaults to now) */
+  timestamp?: string;
+  
+  /** v2 nonce (defaults to a random UUID) */
+  nonce?: string;
+}
+
+export interface ReceivedRequest {
+  method: string;
+  
+  /** Request path with query string (e.g. Node's `req.url`) or absolute URL */
+  url: string;
+  
+  headers: Record<string, string | string[] | undefined> | Headers;
+  
+  /** Raw body exactly as received */
+  body?: string;
+}
+
+export interface VerifyRequestSignatureOptions {
+  /** Maximum allowed clock difference in seconds (default 300) */
+  toleranceSeconds?: number;
+  
+  /** Current time in milliseconds */
+  now?: number;
+  
+  /** Accepted signature versions (default all) */
+  allowedVersions?: SignatureVersionValue[];
+  
+  /** Nonces already seen, e.g. a Set; replayed v2 requests are rejected */
+  nonceStore?: { has(nonce: string): boolean | Promise<boolean>; add(nonce: string): unknown };
+}
+
+/** Creates the `X-Client-ID`, `X-Timestamp`, `X-Signature` (and for v2 `X-Nonce`, `X-Signature-Version`) headers */
+export function signRequest(
+  credentials: { clientId: string; secretKey?: string; signer?: Signer },
+  request: RequestToSign
+): Promise<Record<string, string>>;
+
+/**
+ * Verifies the signature headers of a received API request (v1 or v2)
+ * @throws {SignatureVerificationError} If the signature is missing, stale, replayed or does not match
+ */
+export function verifyRequestSignature(
+  secretKey: string,
+  request: ReceivedRequest,
+  options?: VerifyRequestSignatureOptions
+): Promise<true>;
+
+/**
+ * Encodes a value as canonical JSON (sorted keys, no undefined members, `-0` as `0`),
+ * the body text the SDK signs and sends
+ * @throws {TypeError} For non-finite numbers, BigInts and circular structures
+ */
+export function canonicalJsonStringify(value: any): string | undefined;
+
+/** Application credentials, as passed to rotateCredentials() or returned by a credentialsProvider */
+export interface Credentials {
+  /** Client ID; the current one is kept when omitted */
+  clientId?: string;
+  
+  /** Secret key; exactly one of `secretKey` and `signer` is required */
+  secretKey?: string;
+  
+  /** Signer used instead of a secret key */
+  signer?: Signer;
+}
+
+/** Computes the hex HMAC-SHA256 of a string, keyed with the application secret */
+export interface Signer {
+  sign(stringToSign: string): Promise<string>;
+}
+
+/** Signs with a secret key held in this process (the default when `secretKey` is set) */
+export class LocalSigner implements Signer {
+  constructor(secretKey: string);
+  sign(stringToSign: string): Promise<string>;
+}
+
+export interface RemoteSignerOptions {
+  /** URL of the signing endpoint, e.g. 'http://127.0.0.1:8200/sign' */
+  url?: string;
+  
+  /** Unix socket of the signing service (Node.js only) */
+  socketPath?: string;
+  
+  /** Request path when using `socketPath` (default '/sign') */
+  path?: string;
+  
+  /** Extra request headers, e.g. an authorization token */
+  headers?: Record<string, string>;
+  
+  /** Request timeout in milliseconds (default 5000) */
+  timeoutMs?: number;
+}
+
+/**
+ * Signs through an external signing service: POSTs `{"stringToSign": "..."}` and expects
+ * `{"signature": "<hex>"}`. Failures throw an SDKError with code 'SIGNER_ERROR'
+ */
+export class RemoteSigner implements Signer {
+  constructor(options: RemoteSignerOptions);
+  readonly url?: string;
+  readonly socketPath?: string;
+  sign(stringToSign: string): Promise<string>;
+}
+
+export type ClientTokenAction = 'initiatePayment' | 'getPaymentStatus';
+
+export const ClientTokenAction: {
+  readonly INITIATE_PAYMENT: 'initiatePayment';
+  readonly GET_PAYMENT_STATUS: 'getPaymentStatus';
+};
+
+export interface ClientTokenOptions {
+  /** Allowed operations (default both) */
+  actions?: ClientTokenAction[];
+
+  /** Largest amount a payment may have */
+  maxAmount?: MoneyAmount;
+
+  /** Only currency payments may use (USD when `maxAmount` is set without one) */
+  currency?: Currency;
+
+  /** Lifetime in seconds (default 600, at most 3600) */
+  ttlSeconds?: number;
+}
+
+export interface ClientTokenScope {
+  actions: ClientTokenAction[];
+
+  /** Decimal string, e.g. '50.00' */
+  maxAmount?: string;
+  currency?: Currency;
+}
+
+export interface ClientTokenResult {
+  /** `tlct1.<payload>.<signature>` */
+  token: string;
+
+  /** Expiry (ISO 8601) */
+  expiresAt: string;
+  scope: ClientTokenScope;
+}
+
+export interface ClientTokenInfo {
+  clientId: string;
+  tokenId: string;
+
+  /** Issue time (ISO 8601) */
+  issuedAt: string;
+
+  /** Expiry (ISO 8601) */
+  expiresAt: string;
+  scope: ClientTokenScope;
+}
+
+export interface VerifyClientTokenOptions {
+  /** Operation the token must allow */
+  action?: ClientTokenAction;
+
+  /** Payment amount to check against the token's `maxAmount` */
+  amount?: MoneyAmount;
+
+  /** Payment currency (default USD) */
+  currency?: Currency;
+}
+
+// ================================
+// VALIDATION SCHEMAS
+// ================================
+
+/**
+ * Joi schemas the SDK validates its arguments with, for checking forms before calling the SDK.
+ * `validate*` functions and SDK methods report all problems in one ValidationError.
+ */
+export const amountSchema: NumberSchema;
+export const moneyAmountSchema: AlternativesSchema;
+export const currencySchema: StringSchema;
+export const callbackUrlSchema: StringSchema;
+export const backUrlSchema: StringSchema;
+export const metadataSchema: ObjectSchema;
+export const transactionIdSchema: StringSchema;
+export const idempotencyKeySchema: StringSchema;
+export const refundIdSchema: StringSchema;
+export const reasonSchema: StringSchema;
+export const paymentOptionsSchema: ObjectSchema<InitiatePaymentOptions>;
+export const refundOptionsSchema: ObjectSchema<RefundOptions>;
+export const listPaymentsOptionsSchema: ObjectSchema<ListPaymentsFilters>;
+export const waitForPaymentOptionsSchema: ObjectSchema<WaitForPaymentOptions>;
+export const callbackOptionsSchema: ObjectSchema;
+export const sdkOptionsSchema: ObjectSchema<TestluyPaymentSDKOptions>;
+export const signerSchema: ObjectSchema<Signer>;
+export const credentialsSchema: ObjectSchema<Credentials>;
+export const configLayerSchema: ObjectSchema<TestluyPaymentSDKOptions>;
+export const clientTokenOptionsSchema: ObjectSchema<ClientTokenOptions>;
+
+/**
+ * Validates a value against a schema and returns the converted value
+ * @throws {ValidationError} With one validation detail per problem; secret values are masked
+ */
+export function validateWithSchema<T = any>(schema: Schema<T>, value: unknown): T;
+
+// ================================
+// SECRET PROTECTION
+// ================================
+
+export type SecretGuardMode = 'error' | 'warn' | 'off';
+
+export const SecretGuardMode: {
+  readonly ERROR: 'error';
+  readonly WARN: 'warn';
+  readonly OFF: 'off';
+};
+
+/**
+ * Replaces every secret key given to an SDK instance (as is or URL-encoded) with '[REDACTED]'
+ * in strings, plain objects, arrays and errors. Logger output, `SDKError.toJSON()`, diagnostic
+ * reports and debug exports already go through it
+ */
+export function redactSecrets<T>(value: T): T;
+
+// ================================
+// CONFIGURATION LOADING
+// ================================
+
+/** Layer an option was taken from */
+export type ConfigSource = 'file' | 'profile' | 'env' | 'options';
+
+export interface ResolvedConfig {
+  /** Merged options (masked when returned by getResolvedConfig) */
+  options: TestluyPaymentSDKOptions;
+  
+  /** Layer each top-level option came from */
+  sources: Record<string, ConfigSource>;
+  
+  /** Profile used, if a config file was loaded */
+  profile?: string;
+  
+  /** Path of the config file, if one was loaded */
+  configFile?: string;
+}
+
+/** Config file names looked up in the working directory, in order */
+export const CONFIG_FILE_NAMES: readonly string[];
+
+/** `TESTLUY_*` environment variables and the option path each one sets */
+export const ENVIRONMENT_VARIABLES: Readonly<Record<string, string>>;
+
+/**
+ * Merges constructor options over `TESTLUY_*` environment variables over the config file profile
+ * over the config file, validating each layer
+ * @throws {ValidationError} If a layer or the merged options are invalid, or the profile doesn't exist
+ */
+export function loadConfig(
+  options?: TestluyPaymentSDKOptions,
+  context?: { env?: Record<string, string | undefined>; cwd?: string }
+): ResolvedConfig;
+
 // ================================
 // ENVIRONMENT DETECTION TYPES
 // ================================
@@ -300,6 +1095,99 @@ export interface EnvironmentInfo {
   };
 }
 
+// ================================
+// EVENT TYPES
+// ================================
+
+export interface PaymentStatusChangedEvent {
+  /** Transaction ID */
+  transactionId: string;
+  
+  /** Newly seen status */
+  status: PaymentStatusValue;
+  
+  /** Previously seen status, or null if the transaction was not seen before */
+  previousStatus: PaymentStatusValue | null;
+  
+  /** Transaction details the status was read from */
+  payment: Partial<PaymentStatus>;
+}
+
+export interface RequestRetryEvent {
+  /** HTTP method of the retried request */
+  method?: string;
+  
+  /** URL of the retried request */
+  url?: string;
+  
+  /** Retry attempt number (1-based) */
+  attempt: number;
+  
+  /** Maximum number of retries */
+  maxRetries: number;
+  
+  /** Delay before the retry in milliseconds */
+  delay: number;
+  
+  /** Error that triggered the retry */
+  error: Error;
+}
+
+export interface RateLimitHitEvent {
+  /** HTTP method of the rate limited request */
+  method?: string;
+  
+  /** URL of the rate limited request */
+  url?: string;
+  
+  /** Seconds to wait, from the Retry-After header */
+  retryAfter?: number;
+  
+  /** Rate limit information from the latest response headers */
+  rateLimitInfo: {
+    limit: number | null;
+    remaining: number | null;
+    resetAt: Date | null;
+    currentPlan: string | null;
+  };
+  
+  /** The rate limit error */
+  error: Error;
+}
+
+export interface EndpointSwitchedEvent {
+  /** Base URL used before the refresh */
+  previousUrl: string;
+  
+  /** Base URL used from now on */
+  currentUrl: string;
+}
+
+export interface CredentialsRotatedEvent {
+  /** Client ID used from now on */
+  clientId: string;
+  
+  /** Client ID used before the rotation */
+  previousClientId?: string;
+  
+  /** 'rotate' for rotateCredentials(), 'provider' for credentials loaded from the credentialsProvider */
+  source: 'rotate' | 'provider';
+}
+
+export interface TestluyPaymentSDKEvents {
+  'payment.initiated': PaymentInitiationResult;
+  'payment.status_changed': PaymentStatusChangedEvent;
+  'payment.succeeded': PaymentStatusChangedEvent;
+  'payment.failed': PaymentStatusChangedEvent;
+  'callback.received': CallbackVerificationResult;
+  'request.retry': RequestRetryEvent;
+  'ratelimit.hit': RateLimitHitEvent;
+  'endpoint.switched': EndpointSwitchedEvent;
+  'credentials.rotated': CredentialsRotatedEvent;
+}
+
+export type TestluyPaymentSDKEventName = keyof TestluyPaymentSDKEvents;
+
 // ================================
 // MAIN SDK CLASS
 // ================================
@@ -307,9 +1195,36 @@ export interface EnvironmentInfo {
 export default class TestluyPaymentSDK {
   constructor(options: TestluyPaymentSDKOptions);
   
+  /** Registers an event listener; listener errors are logged and never break the SDK call */
+  on<E extends TestluyPaymentSDKEventName>(
+    event: E,
+    listener: (payload: TestluyPaymentSDKEvents[E]) => void
+  ): this;
+  
+  /** Registers an event listener that is removed after its first call */
+  once<E extends TestluyPaymentSDKEventName>(
+    event: E,
+    listener: (payload: TestluyPaymentSDKEvents[E]) => void
+  ): this;
+  
+  /** Removes an event listener registered with `on` or `once` */
+  off<E extends TestluyPaymentSDKEventName>(
+    event: E,
+    listener: (payload: TestluyPaymentSDKEvents[E]) => void
+  ): this;
+  
+  /** Removes all listeners of an event, or of every event */
+  removeAllListeners(event?: TestluyPaymentSDKEventName): this;
+  
+  /** Number of listeners registered for an event */
+  listenerCount(event: TestluyPaymentSDKEventName): number;
+  
   /** Client ID */
   readonly clientId: string;
   
+  /** Signer used for requests and callbacks (a LocalSigner when `secretKey` was given) */
+  readonly signer: Signer;
+  
   /** Whether credentials have been validated */
   readonly isValidated: boolean;
   
@@ -326,11 +1241,23 @@ export default class TestluyPaymentSDK {
    */
   init(): Promise<boolean>;
   
+  /**
+   * Initiates a payment process
+   * @param request Payment amount, URLs and optional order fields
+   * @returns Promise with payment URL, transaction ID and the echoed order fields
+   * @throws {ValidationError} If parameters are invalid
+   * @throws {RateLimitError} If rate limit is exceeded
+   * @throws {NetworkError} If network request fails
+   * @throws {SDKError} For other API errors
+   */
+  initiatePayment(request: InitiatePaymentRequest): Promise<PaymentInitiationResult>;
+  
   /**
    * Initiates a payment process
    * @param amount Payment amount (must be positive)
    * @param callbackUrl URL for payment completion callback
    * @param backUrl Optional URL for user cancellation/back navigation
+   * @param options Optional order fields and idempotency key; replaying a key returns the original result
    * @returns Promise with payment URL and transaction ID
    * @throws {ValidationError} If parameters are invalid
    * @throws {RateLimitError} If rate limit is exceeded
@@ -338,9 +1265,10 @@ export default class TestluyPaymentSDK {
    * @throws {SDKError} For other API errors
    */
   initiatePayment(
-    amount: number,
+    amount: MoneyAmount,
     callbackUrl: string,
-    backUrl?: string
+    backUrl?: string,
+    options?: InitiatePaymentOptions
   ): Promise<PaymentInitiationResult>;
   
   /**
@@ -352,15 +1280,105 @@ export default class TestluyPaymentSDK {
    */
   getPaymentStatus(transactionId: string): Promise<PaymentStatus>;
   
+  /**
+   * Polls the payment status until it leaves Initiated/Pending
+   * @param transactionId Transaction ID from initiatePayment
+   * @param options Timeout, polling interval, backoff, abort signal and update callback
+   * @returns Promise with the payment details in their terminal status
+   * @throws {PaymentTimeoutError} If the payment is still pending after `timeoutMs`
+   * @throws {SDKError} If a status request fails
+   */
+  waitForPaymentCompletion(
+    transactionId: string,
+    options?: WaitForPaymentOptions
+  ): Promise<PaymentStatus>;
+  
+  /**
+   * Lists transactions one page at a time
+   * @param filters Status, date range, amount range, page size and cursor
+   * @returns Promise with the page and the cursor of the next page
+   * @throws {SDKError} If the filters are invalid or the API call fails
+   */
+  listPayments(filters?: ListPaymentsFilters): Promise<PaymentPage>;
+  
+  /** Transaction listing; `payments.iterate()` follows cursors transparently */
+  readonly payments: PaymentsResource;
+  
+  /**
+   * Cancels an Initiated or Pending payment so its payment URL can no longer be completed
+   * @param transactionId Transaction ID from initiatePayment
+   * @param reason Optional reason for the cancellation
+   * @returns Promise with the updated payment status
+   * @throws {PaymentStateError} If the transaction is already in a terminal status
+   * @throws {SDKError} If the API call fails
+   */
+  cancelPayment(transactionId: string, reason?: string): Promise<PaymentStatus>;
+  
+  /**
+   * Refunds a successful payment in full or in part
+   * @param transactionId Transaction ID of the payment to refund
+   * @param options Refund amount, reason and idempotency key
+   * @returns Promise with the created refund
+   * @throws {PaymentStateError} If the payment is not Success or PartiallyRefunded
+   * @throws {SDKError} If the amount exceeds the refundable amount or the API call fails
+   */
+  refundPayment(transactionId: string, options?: RefundOptions): Promise<Refund>;
+  
+  /**
+   * Retrieves a single refund
+   * @param refundId Refund ID returned by refundPayment
+   * @returns Promise with the refund details
+   */
+  getRefund(refundId: string): Promise<Refund>;
+  
+  /**
+   * Lists the refunds issued against a transaction
+   * @param transactionId Transaction ID of the refunded payment
+   * @returns Promise with the refunds
+   */
+  listRefunds(transactionId: string): Promise<Refund[]>;
+  
   /**
    * Processes the data received at the merchant's callback URL after a payment attempt.
-   * It verifies the status by calling `getPaymentStatus`.
+   * It verifies the status by calling `getPaymentStatus`, or by checking the callback
+   * signature when signature verification is enabled.
    * @param callbackData Callback data received from TestLuy (should contain transaction_id)
+   * @param options Per-call overrides for the callback configuration
    * @returns Promise with verified payment information
+   * @throws {SignatureVerificationError} If signature verification is enabled and fails
    * @throws {ValidationError} If callback data is invalid
    * @throws {SDKError} If verification fails
    */
-  handlePaymentCallback(callbackData: CallbackData): Promise<CallbackVerificationResult>;
+  handlePaymentCallback(
+    callbackData: CallbackData,
+    options?: CallbackConfig
+  ): Promise<CallbackVerificationResult>;
+  
+  /**
+   * Verifies the HMAC signature and timestamp of callback data
+   * @param callbackData Callback data including `timestamp` and `signature`
+   * @param options Optional tolerance override
+   * @returns Promise that resolves to true if the callback is authentic
+   * @throws {SignatureVerificationError} If the signature is missing, stale or does not match
+   */
+  verifyCallbackSignature(
+    callbackData: CallbackData,
+    options?: Pick<CallbackConfig, 'toleranceSeconds'>
+  ): Promise<boolean>;
+  
+  /**
+   * Mints a short-lived client token for a browser, e.g.
+   * `{ actions: ['initiatePayment'], maxAmount: 50, ttlSeconds: 600 }` for
+   * "initiate payments up to 50 USD for 10 minutes"
+   * @throws {ValidationError} If an option is invalid
+   */
+  createClientToken(options?: ClientTokenOptions): Promise<ClientTokenResult>;
+  
+  /**
+   * Verifies a client token and, optionally, that its scope allows an operation
+   * @throws {ClientTokenError} If the token is rejected (see `reason`)
+   */
+  verifyClientToken(token: string, options?: VerifyClientTokenOptions): Promise<ClientTokenInfo>;
   
   /**
    * Generates only the payment URL for redirecting the user to the sandbox.
@@ -379,6 +1397,30 @@ export default class TestluyPaymentSDK {
    * @throws {SDKError} If validation fails
    */
   validateCredentials(): Promise<boolean>;
+  
+  /**
+   * Switches to new credentials. Requests already sent finish with the old ones.
+   * @returns True if the credentials changed (and `credentials.rotated` was emitted)
+   * @throws {ValidationError} If the credentials are invalid
+   */
+  rotateCredentials(credentials: Credentials): boolean;
+  
+  /**
+   * Loads the credentials from the `credentialsProvider` now; concurrent calls share one provider call
+   * @returns Promise that resolves to true if the credentials changed
+   * @throws {ValidationError} If no provider is configured or it returned invalid credentials
+   * @throws {SDKError} If the provider failed
+   */
+  refreshCredentials(): Promise<boolean>;
+  
+  /** Stops the scheduled `credentialsProvider` refresh */
+  stopCredentialsRefresh(): void;
+  
+  /** Options the SDK was created with, merged from all configuration layers, with secrets masked */
+  getResolvedConfig(): ResolvedConfig;
+  
+  /** Live numbers of the client-side rate limiter and the rate limit the API last reported */
+  getRateLimitStatus(): RateLimitStatus;
 }
 
 // ================================
@@ -420,16 +1462,20 @@ export interface ApiResponse<T = any> {
 // Next.js types
 export interface NextJSApiRequest {
   method: string;
+  url?: string;
   body: any;
   query: Record<string, string | string[]>;
   headers: Record<string, string>;
 }
 
 export interface NextJSApiResponse {
+  statusCode: number;
   status(code: number): NextJSApiResponse;
   json(obj: any): void;
   redirect(url: string): void;
-  end(): void;
+  setHeader(name: string, value: string | number | readonly string[]): any;
+  getHeader(name: string): string | number | string[] | undefined;
+  end(chunk?: any): any;
 }
 
 // Express types
@@ -448,6 +1494,122 @@ export interface ExpressResponse {
   send(data: any): void;
 }
 
+// Framework integration routes (testluy-payment-sdk/express, /next, /fastify, /koa, /hono)
+export interface PaymentRouteRequest<Raw = any> {
+  /** Upper-case HTTP method */
+  method: string;
+
+  /** Path below the mount path */
+  path: string;
+
+  /** Path parameters, e.g. `{ id }` */
+  params: Record<string, string>;
+
+  /** Query parameters */
+  query: Record<string, any>;
+
+  /** Parsed request body */
+  body: any;
+
+  /** Request headers */
+  headers: Record<string, any>;
+
+  /** `protocol://host` the request was sent to */
+  origin?: string;
+
+  /** Path the routes are mounted at */
+  mountPath: string;
+
+  /** The framework's own request object */
+  raw: Raw;
+
+  /** Verified client token of the request (with `clientTokens`) */
+  clientToken?: ClientTokenInfo;
+}
+
+export interface PaymentRouteResponse {
+  /** HTTP status code */
+  status?: number;
+
+  /** Response headers */
+  headers?: Record<string, string>;
+
+  /** JSON (object) or text (string) body */
+  body?: any;
+
+  /** Redirect location (responds 302 unless `status` is a 3xx code) */
+  redirect?: string;
+}
+
+export type PaymentCallbackHook<Raw = any> = (
+  result: CallbackVerificationResult,
+  request: PaymentRouteRequest<Raw>
+) => void | PaymentRouteResponse | Promise<void | PaymentRouteResponse>;
+
+export interface PaymentRoutesOptions<Raw = any> {
+  /** Path prefix of the routes (default '') */
+  basePath?: string;
+
+  /** Absolute callback URL sent with new payments (derived from the request when omitted) */
+  callbackUrl?: string;
+
+  /**
+   * Node adapters (Express, Fastify, Next.js Pages Router): derive the callback URL from
+   * X-Forwarded-Host and X-Forwarded-Proto (default false). Only enable behind a reverse proxy
+   * that sets them; otherwise clients can choose the host customers are sent back to
+   */
+  trustProxy?: boolean;
+
+  /**
+   * Node adapters (Express, Koa, Next.js Pages Router): largest request body read when no body
+   * parser ran first, in bytes (default 102400); larger bodies are answered with 413
+   */
+  maxBodyBytes?: number;
+
+  /** Require signed callbacks (default true) */
+  verifySignature?: boolean;
+
+  /**
+   * Maps the request body to payment options, e.g. to look up the order amount server-side.
+   * The body's `callbackUrl` is removed first; a `callbackUrl` returned here replaces `callbackUrl`
+   */
+  preparePayment?: (
+    body: any,
+    request: PaymentRouteRequest<Raw>
+  ) => InitiatePaymentOptions | Promise<InitiatePaymentOptions>;
+
+  /** Called for a verified callback with status `Success` */
+  onSuccess?: PaymentCallbackHook<Raw>;
+
+  /** Called for a verified callback with any other status */
+  onFailure?: PaymentCallbackHook<Raw>;
+
+  /**
+   * Adds `POST {basePath}/token` and requires `Authorization: Bearer <client token>` on the
+   * payment routes. The object holds default token options and `authorize`, which decides who
+   * gets a token and with which scope (a falsy result answers 403)
+   */
+  clientTokens?: boolean | (ClientTokenOptions & {
+    authorize?: (
+      request: PaymentRouteRequest<Raw>
+    ) => ClientTokenOptions | boolean | null | undefined | Promise<ClientTokenOptions | boolean | null | undefined>;
+  });
+}
+
+export interface ErrorHttpResponse {
+  /**
+   * 400 validation, 429 rate limit, 503 Cloudflare, 401 signature or client token,
+   * 403 client token scope, 409 state, 413 body too large, 504 timeout, 502 other
+   */
+  status: number;
+
+  /** Includes `Retry-After` (seconds) for rate limit errors */
+  headers: Record<string, string>;
+
+  /** `{ error: { name, code, message, retryAfter?, validationDetails?, reason? } }`; never the request or upstream details */
+  body: { error: Record<string, any> };
+}
+
 // ================================
 // MODULE EXPORTS
 // ================================
@@ -457,8 +1619,14 @@ export {
   SDKError,
   RateLimitError,
   CloudflareError,
+  SignatureVerificationError,
+  PaymentStateError,
+  PaymentTimeoutError,
   NetworkError,
-  ValidationError
+  ValidationError,
+  AuthenticationError,
+  ServerError,
+  ClientTokenError
 };
 
 // Default export
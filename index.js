@@ -14,6 +14,7 @@ import RetryStrategy from "./http/RetryStrategy.js";
 import SmartEndpointRouter from "./http/SmartEndpointRouter.js";
 import CNAMESubdomainHandler from "./http/CNAMESubdomainHandler.js";
 import { RateLimitError, CloudflareError } from "./http/errors/index.js";
+import { isSigner, resolveSigner } from "./http/utils/Signer.js";
 
 // Default retry configuration
 const DEFAULT_RETRY_CONFIG = {
@@ -28,7 +29,9 @@ const DEFAULT_RETRY_CONFIG = {
  * @class
  * @param {object} options - Configuration options.
  * @param {string} options.clientId - Your Testluy application client ID.
- * @param {string} options.secretKey - Your Testluy application secret key.
+ * @param {string} [options.secretKey] - Your Testluy application secret key (required unless `signer` is set).
+ * @param {object} [options.signer] - Computes request signatures instead of an in-process secret key.
+ *   Any object with an async `sign(stringToSign)` method resolving to the hex HMAC-SHA256 works.
  * @param {string} [options.baseUrl] - The base URL for the Testluy API (defaults to value in config or environment).
  * @param {string} [options.bypassUrl] - Alternative bypass URL for deployment environments (auto-detected if not provided).
  * @param {boolean} [options.enableSmartRouting=true] - Enable automatic endpoint selection based on environment.
@@ -37,19 +40,26 @@ const DEFAULT_RETRY_CONFIG = {
  * @param {number} [options.retryConfig.initialDelayMs=1000] - Initial delay in milliseconds before first retry.
  * @param {number} [options.retryConfig.maxDelayMs=10000] - Maximum delay in milliseconds between retries.
  * @param {number} [options.retryConfig.backoffFactor=2] - Factor by which to increase delay on each retry.
- * @throws {Error} If clientId or secretKey is missing.
+ * @throws {Error} If clientId, or both secretKey and signer, are missing.
  */
 class TestluyPaymentSDK {
   constructor(options = {}) {
     const { clientId, secretKey, baseUrl } = getConfig(options);
-    if (!clientId || !secretKey) {
+    if (!clientId || (!secretKey && !options.signer)) {
       throw new Error(
-        "TestluyPaymentSDK: Client ID and Secret Key are required."
+        "TestluyPaymentSDK: Client ID and Secret Key (or a signer) are required."
       );
     }
-    
+    if (options.signer && !isSigner(options.signer)) {
+      throw new Error(
+        "TestluyPaymentSDK: signer must have a sign(stringToSign) method."
+      );
+    }
+
     this.clientId = clientId;
-    this.secretKey = secretKey;
+    // Undefined when an external signer holds the key
+    this.secretKey = options.signer ? undefined : secretKey;
+    this.signer = resolveSigner({ secretKey: this.secretKey, signer: options.signer });
     this.isValidated = false; // State to track if validateCredentials was successful
 
     // Smart routing configuration
@@ -227,7 +237,7 @@ class TestluyPaymentSDK {
   }
 
   /**
-   * Generates the HMAC-SHA256 signature for an API request.
+   * Generates the HMAC-SHA256 signature for an API request with the configured signer.
    * @private
    * @param {string} method - HTTP method (e.g., 'GET', 'POST').
    * @param {string} path - API endpoint path (e.g., 'api/payment-simulator/generate-url').
@@ -236,7 +246,6 @@ class TestluyPaymentSDK {
    * @returns {Promise<string>} The computed HMAC signature in hex format.
    */
   async _generateSignature(method, path, timestamp, body = "") {
-    const encoder = new TextEncoder();
     // Ensure body is consistently stringified for POST/PUT, or empty string for GET/DELETE
     const bodyString =
       method === "POST" || method === "PUT"
@@ -249,31 +258,8 @@ class TestluyPaymentSDK {
       method + "\n" + path + "\n" + timestamp + "\n" + bodyString;
 
     try {
-      // Convert secret key to Uint8Array
-      const keyData = encoder.encode(this.secretKey);
-
-      // Import the key for HMAC
-      const key = await crypto.subtle.importKey(
-        "raw",
-        keyData,
-        { name: "HMAC", hash: "SHA-256" },
-        false, // not extractable
-        ["sign"] // usage
-      );
-
-      // Create the signature
-      const signature = await crypto.subtle.sign(
-        "HMAC",
-        key,
-        encoder.encode(stringToSign)
-      );
-
-      // Convert signature ArrayBuffer to hex string
-      const hexSignature = Array.from(new Uint8Array(signature))
-        .map((b) => b.toString(16).padStart(2, "0"))
-        .join("");
-
-      return hexSignature;
+      // The signer holds the secret key (in process by default)
+      return await this.signer.sign(stringToSign);
     } catch (error) {
       console.error("TestluyPaymentSDK: Error generating signature:", error);
       throw new Error("Failed to generate request signature.");
@@ -682,9 +668,9 @@ class TestluyPaymentSDK {
    * @throws {Error} If validation fails due to network issues, invalid credentials, or inactive subscription.
    */
   async init() {
-    if (!this.clientId || !this.secretKey) {
+    if (!this.clientId || !this.signer) {
       throw new Error(
-        "TestluyPaymentSDK: Client ID and Secret Key are required for initialization."
+        "TestluyPaymentSDK: Client ID and Secret Key (or a signer) are required for initialization."
       );
     }
     try {
@@ -0,0 +1,32 @@
+import type { IncomingMessage, ServerResponse } from 'http';
+import type {
+  TestluyPaymentSDK,
+  PaymentRoutesOptions,
+  ErrorHttpResponse
+} from '../index';
+
+export type ExpressMiddleware = (
+  req: IncomingMessage & Record<string, any>,
+  res: ServerResponse & Record<string, any>,
+  next: (error?: any) => void
+) => Promise<void>;
+
+export type ExpressErrorMiddleware = (
+  error: any,
+  req: IncomingMessage & Record<string, any>,
+  res: ServerResponse & Record<string, any>,
+  next: (error?: any) => void
+) => void;
+
+/** Mounts POST /payments, GET /payments/:id and GET|POST /callback */
+export function createTestluyRouter(
+  sdk: TestluyPaymentSDK,
+  options?: PaymentRoutesOptions<IncomingMessage & Record<string, any>>
+): ExpressMiddleware;
+
+/** Answers SDK errors with their HTTP status, `Retry-After` and public error fields */
+export function testluyErrorHandler(): ExpressErrorMiddleware;
+
+export function errorToHttpResponse(error: unknown): ErrorHttpResponse;
+
+export default createTestluyRouter;
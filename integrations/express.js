@@ -0,0 +1,105 @@
+/**
+ * @fileoverview
+ * Express integration: a router-style middleware that mounts the payment routes
+ * and an error handler that turns SDK errors into HTTP responses.
+ *
+ * Import it from `testluy-payment-sdk/express`. Express itself is not required by
+ * this module; any framework using Express-style `(req, res, next)` middleware works.
+ *
+ * @example
+ * import express from 'express';
+ * import TestluyPaymentSDK from 'testluy-payment-sdk';
+ * import { createTestluyRouter } from 'testluy-payment-sdk/express';
+ *
+ * const app = express();
+ * app.use(express.json());
+ * app.use('/testluy', createTestluyRouter(sdk, {
+ *   onSuccess: async (result) => markOrderPaid(result.transactionId),
+ *   onFailure: async (result) => markOrderFailed(result.transactionId)
+ * }));
+ */
+
+import { SDKError } from '../http/errors/index.js';
+import { createPaymentRoutes, errorToHttpResponse } from './routes.js';
+import { readRequestBody, getRequestOrigin, sendNodeResponse } from './node-http.js';
+
+/**
+ * Creates an Express middleware serving the payment routes
+ *
+ * Mounts `POST {basePath}/payments`, `GET {basePath}/payments/:id` and
+ * `GET|POST {basePath}/callback` (signature-verified). Requests for other paths are passed
+ * on with `next()`. Bodies are parsed when no body parser ran before the router.
+ *
+ * @param {Object} sdk - TestluyPaymentSDK instance
+ * @param {Object} [options={}] - Route options (see `createPaymentRoutes`)
+ * @param {string} [options.basePath=''] - Path prefix of the routes below the mount path
+ * @param {Function} [options.onSuccess] - `(result, req)` called for a verified `Success` callback;
+ *   may return `{ status, body, headers, redirect }` to replace the default response
+ * @param {Function} [options.onFailure] - `(result, req)` called for a verified non-success callback
+ * @param {boolean} [options.trustProxy=false] - Derive the callback URL from X-Forwarded-Host and
+ *   X-Forwarded-Proto; only enable behind a reverse proxy that sets them
+ * @param {number} [options.maxBodyBytes=102400] - Largest request body read when no body parser
+ *   ran first, in bytes; larger bodies are answered with 413
+ * @returns {Function} Express middleware `(req, res, next)`
+ */
+export function createTestluyRouter(sdk, options = {}) {
+  const { match } = createPaymentRoutes(sdk, options);
+
+  return async function testluyRouter(req, res, next) {
+    const path = req.path || new URL(req.url, 'http://localhost').pathname;
+    const matched = match(req.method, path);
+    if (!matched) {
+      next();
+      return;
+    }
+
+    try {
+      const body = await readRequestBody(req, { maxBodyBytes: options.maxBodyBytes });
+      const response = await matched.route.handler({
+        method: req.method.toUpperCase(),
+        path,
+        params: matched.params,
+        query: req.query || Object.fromEntries(new URL(req.url, 'http://localhost').searchParams),
+        body,
+        headers: req.headers,
+        origin: getRequestOrigin(req, { trustProxy: options.trustProxy }),
+        mountPath: req.baseUrl || '',
+        raw: req
+      });
+
+      if (!res.headersSent) {
+        sendNodeResponse(res, response);
+      }
+    } catch (error) {
+      // Route handlers answer SDK errors themselves; this only sees body read failures,
+      // of which a body over maxBodyBytes is answered with 413
+      if (error instanceof SDKError && !res.headersSent) {
+        sendNodeResponse(res, errorToHttpResponse(error));
+        return;
+      }
+      next(error);
+    }
+  };
+}
+
+/**
+ * Creates an Express error-handling middleware for errors thrown by the SDK
+ *
+ * Rate limit errors become 429 responses with a `Retry-After` header, Cloudflare blocks 503,
+ * signature failures 401 and other SDK errors 502, with the error's public fields as the body.
+ *
+ * @returns {Function} Express error middleware `(error, req, res, next)`
+ */
+export function testluyErrorHandler() {
+  return function handleTestluyError(error, req, res, next) {
+    if (res.headersSent) {
+      next(error);
+      return;
+    }
+    sendNodeResponse(res, errorToHttpResponse(error));
+  };
+}
+
+export { errorToHttpResponse };
+
+export default createTestluyRouter;
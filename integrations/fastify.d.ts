@@ -0,0 +1,14 @@
+import type { TestluyPaymentSDK, PaymentRoutesOptions } from '../index';
+
+export interface TestluyFastifyPluginOptions extends PaymentRoutesOptions {
+  /** TestluyPaymentSDK instance */
+  sdk: TestluyPaymentSDK;
+
+  /** Fastify route prefix */
+  prefix?: string;
+}
+
+/** Registers POST /payments, GET /payments/:id and GET|POST /callback */
+export function testluyFastifyPlugin(fastify: any, options: TestluyFastifyPluginOptions): Promise<void>;
+
+export default testluyFastifyPlugin;
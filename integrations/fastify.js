@@ -0,0 +1,96 @@
+/**
+ * @fileoverview
+ * Fastify integration: a plugin registering the payment routes.
+ *
+ * Import it from `testluy-payment-sdk/fastify`.
+ *
+ * @example
+ * import Fastify from 'fastify';
+ * import { testluyFastifyPlugin } from 'testluy-payment-sdk/fastify';
+ *
+ * const app = Fastify();
+ * await app.register(testluyFastifyPlugin, {
+ *   sdk,
+ *   prefix: '/testluy',
+ *   onSuccess: async (result) => markOrderPaid(result.transactionId)
+ * });
+ */
+
+import { createPaymentRoutes } from './routes.js';
+import { getRequestOrigin } from './node-http.js';
+
+/**
+ * Content type of HTML form posts, which Fastify does not parse by default
+ * @type {string}
+ */
+const FORM_CONTENT_TYPE = 'application/x-www-form-urlencoded';
+
+/**
+ * Writes a route response to a Fastify reply
+ *
+ * @private
+ * @param {Object} reply - Fastify reply
+ * @param {{status: number, headers?: Object, body?: *, redirect?: string}} response - Route response
+ * @returns {Object} The sent reply
+ */
+function sendReply(reply, response) {
+  reply.headers(response.headers || {});
+
+  if (response.redirect) {
+    const status = response.status >= 300 && response.status < 400 ? response.status : 302;
+    return reply.code(status).header('Location', response.redirect).send();
+  }
+
+  reply.code(response.status);
+  if (typeof response.body === 'string' && !reply.hasHeader('Content-Type')) {
+    reply.type('text/plain; charset=utf-8');
+  }
+  return reply.send(response.body);
+}
+
+/**
+ * Fastify plugin registering `POST /payments`, `GET /payments/:id` and `GET|POST /callback`
+ * below the plugin prefix and `basePath`
+ *
+ * Also registers a parser for `application/x-www-form-urlencoded` callbacks unless the
+ * application already has one.
+ *
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} options - Plugin options: the route options (see `createPaymentRoutes`) plus `sdk`
+ * @param {Object} options.sdk - TestluyPaymentSDK instance
+ * @returns {Promise<void>}
+ */
+export async function testluyFastifyPlugin(fastify, options) {
+  const { sdk, prefix, ...routeOptions } = options;
+  const { routes } = createPaymentRoutes(sdk, routeOptions);
+
+  if (!fastify.hasContentTypeParser(FORM_CONTENT_TYPE)) {
+    fastify.addContentTypeParser(FORM_CONTENT_TYPE, { parseAs: 'string' }, (request, body, done) => {
+      done(null, Object.fromEntries(new URLSearchParams(body)));
+    });
+  }
+
+  routes.forEach(route => {
+    fastify.route({
+      method: route.method,
+      url: route.path,
+      handler: async (request, reply) => {
+        const path = new URL(request.url, 'http://localhost').pathname;
+        const response = await route.handler({
+          method: request.method.toUpperCase(),
+          path: path.slice(fastify.prefix.length),
+          params: request.params,
+          query: { ...request.query },
+          body: request.body || {},
+          headers: request.headers,
+          origin: getRequestOrigin(request.raw, { trustProxy: routeOptions.trustProxy }),
+          mountPath: fastify.prefix,
+          raw: request
+        });
+        return sendReply(reply, response);
+      }
+    });
+  });
+}
+
+export default testluyFastifyPlugin;
@@ -0,0 +1,17 @@
+import type { Hono } from 'hono';
+import type { TestluyPaymentSDK, PaymentRoutesOptions } from '../index';
+
+/** Registers POST /payments, GET /payments/:id and GET|POST /callback on an existing app */
+export function registerTestluyRoutes<App extends Hono<any, any, any>>(
+  app: App,
+  sdk: TestluyPaymentSDK,
+  options?: PaymentRoutesOptions<Request>
+): App;
+
+/** Creates a Hono app serving the payment routes */
+export function createTestluyHonoApp(
+  sdk: TestluyPaymentSDK,
+  options?: PaymentRoutesOptions<Request>
+): Hono;
+
+export default createTestluyHonoApp;
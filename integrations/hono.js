@@ -0,0 +1,74 @@
+/**
+ * @fileoverview
+ * Hono integration: the payment routes as a Hono app, for Node and edge runtimes.
+ *
+ * Import it from `testluy-payment-sdk/hono`; requires the `hono` package.
+ *
+ * @example
+ * import { Hono } from 'hono';
+ * import { createTestluyHonoApp } from 'testluy-payment-sdk/hono';
+ *
+ * const app = new Hono();
+ * app.route('/testluy', createTestluyHonoApp(sdk, {
+ *   onSuccess: async (result) => markOrderPaid(result.transactionId)
+ * }));
+ */
+
+import { Hono } from 'hono';
+import { createPaymentRoutes, resolveMountPath } from './routes.js';
+import { toWebRouteRequest, toWebResponse } from './web.js';
+
+/**
+ * Fills the parameters of a route path, e.g. '/payments/:id' with `{ id: 'trx 1' }`
+ *
+ * @private
+ * @param {string} path - Route path
+ * @param {Object} params - Path parameters
+ * @returns {string} The path as it appears in a request URL
+ */
+function fillPathParams(path, params) {
+  return path.replace(/:(\w+)/g, (segment, name) => encodeURIComponent(params[name]));
+}
+
+/**
+ * Registers the payment routes on an existing Hono app
+ *
+ * Registers `POST {basePath}/payments`, `GET {basePath}/payments/:id` and `GET|POST {basePath}/callback`.
+ *
+ * @param {Object} app - Hono app
+ * @param {Object} sdk - TestluyPaymentSDK instance
+ * @param {Object} [options={}] - Route options (see `createPaymentRoutes`)
+ * @returns {Object} The app
+ */
+export function registerTestluyRoutes(app, sdk, options = {}) {
+  const { routes } = createPaymentRoutes(sdk, options);
+
+  routes.forEach(route => {
+    app.on(route.method, route.path, async (c) => {
+      const params = c.req.param();
+      const path = fillPathParams(route.path, params);
+      const request = await toWebRouteRequest(c.req.raw, { path, params });
+      const response = await route.handler({
+        ...request,
+        // The app may be mounted below a prefix with `app.route(prefix, ...)`
+        mountPath: resolveMountPath(new URL(c.req.url).pathname, path)
+      });
+      return toWebResponse(response, c.req.raw);
+    });
+  });
+
+  return app;
+}
+
+/**
+ * Creates a Hono app serving the payment routes
+ *
+ * @param {Object} sdk - TestluyPaymentSDK instance
+ * @param {Object} [options={}] - Route options (see `createPaymentRoutes`)
+ * @returns {Hono} The app, to mount with `app.route(prefix, ...)` or serve directly
+ */
+export function createTestluyHonoApp(sdk, options = {}) {
+  return registerTestluyRoutes(new Hono(), sdk, options);
+}
+
+export default createTestluyHonoApp;
@@ -0,0 +1,11 @@
+import type { TestluyPaymentSDK, PaymentRoutesOptions } from '../index';
+
+export type KoaMiddleware = (ctx: any, next: () => Promise<any>) => Promise<void>;
+
+/** Serves POST /payments, GET /payments/:id and GET|POST /callback */
+export function createTestluyKoaMiddleware(
+  sdk: TestluyPaymentSDK,
+  options?: PaymentRoutesOptions
+): KoaMiddleware;
+
+export default createTestluyKoaMiddleware;
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview
+ * Koa integration: a middleware serving the payment routes.
+ *
+ * Import it from `testluy-payment-sdk/koa`.
+ *
+ * @example
+ * import Koa from 'koa';
+ * import { createTestluyKoaMiddleware } from 'testluy-payment-sdk/koa';
+ *
+ * const app = new Koa();
+ * app.use(createTestluyKoaMiddleware(sdk, {
+ *   basePath: '/testluy',
+ *   onSuccess: async (result) => markOrderPaid(result.transactionId)
+ * }));
+ */
+
+import { SDKError } from '../http/errors/index.js';
+import { createPaymentRoutes, errorToHttpResponse, resolveMountPath } from './routes.js';
+import { readRequestBody } from './node-http.js';
+
+/**
+ * Creates a Koa middleware serving the payment routes
+ *
+ * Serves `POST {basePath}/payments`, `GET {basePath}/payments/:id` and `GET|POST {basePath}/callback`
+ * and calls `next()` for any other request. A body parsed by a body parser middleware
+ * (`ctx.request.body`) is used when present; otherwise bodies over `options.maxBodyBytes`
+ * (default 100 KB) are answered with 413.
+ *
+ * @param {Object} sdk - TestluyPaymentSDK instance
+ * @param {Object} [options={}] - Route options (see `createPaymentRoutes`)
+ * @returns {Function} Koa middleware `(ctx, next)`
+ */
+export function createTestluyKoaMiddleware(sdk, options = {}) {
+  const { match } = createPaymentRoutes(sdk, options);
+
+  return async function testluyKoa(ctx, next) {
+    const matched = match(ctx.method, ctx.path);
+    if (!matched) {
+      await next();
+      return;
+    }
+
+    let response;
+    try {
+      const body = ctx.request.body !== undefined
+        ? ctx.request.body
+        : await readRequestBody(ctx.req, { maxBodyBytes: options.maxBodyBytes });
+      response = await matched.route.handler({
+        method: ctx.method.toUpperCase(),
+        path: ctx.path,
+        params: matched.params,
+        query: { ...ctx.query },
+        body,
+        headers: ctx.headers,
+        origin: ctx.origin,
+        // Mounting middleware such as koa-mount strips its prefix from ctx.path
+        mountPath: resolveMountPath(new URL(ctx.originalUrl, 'http://localhost').pathname, ctx.path),
+        raw: ctx
+      });
+    } catch (error) {
+      // Route handlers answer SDK errors themselves; this only sees body read failures,
+      // of which a body over maxBodyBytes is answered with 413
+      if (!(error instanceof SDKError)) {
+        throw error;
+      }
+      response = errorToHttpResponse(error);
+    }
+
+    ctx.set(response.headers || {});
+    if (response.redirect) {
+      ctx.redirect(response.redirect);
+      if (response.status >= 300 && response.status < 400) {
+        ctx.status = response.status;
+      }
+      return;
+    }
+    ctx.status = response.status;
+    if (response.body !== undefined) {
+      ctx.body = response.body;
+    }
+  };
+}
+
+export default createTestluyKoaMiddleware;
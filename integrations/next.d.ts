@@ -0,0 +1,58 @@
+import type {
+  TestluyPaymentSDK,
+  TestluyPaymentSDKOptions,
+  PaymentRoutesOptions,
+  CallbackVerificationResult,
+  NextJSApiRequest,
+  NextJSApiResponse
+} from '../index';
+
+export const DEFAULT_BASE_PATH: '/api/testluy';
+
+export type RedirectTarget = string | ((result: CallbackVerificationResult | null) => string);
+
+export interface NextPaymentRoutesOptions extends PaymentRoutesOptions {
+  /** Path of the catch-all route (default '/api/testluy') */
+  basePath?: string;
+
+  /** Where `callbackHandler` sends the customer after a successful payment (default '/') */
+  successRedirect?: RedirectTarget;
+
+  /** Where `callbackHandler` sends the customer after a failed payment or rejected callback (default '/') */
+  failureRedirect?: RedirectTarget;
+}
+
+export interface PaymentRouteHandlers {
+  /** App Router GET handler */
+  GET(request: Request): Promise<Response>;
+
+  /** App Router POST handler */
+  POST(request: Request): Promise<Response>;
+
+  /** Pages Router API handler */
+  pagesHandler(req: NextJSApiRequest, res: NextJSApiResponse): Promise<void>;
+
+  /** App Router callback handler: verifies the callback and redirects */
+  callbackHandler(request: Request): Promise<Response>;
+
+  /** Pages Router callback handler: verifies the callback and redirects */
+  pagesCallbackHandler(req: NextJSApiRequest, res: NextJSApiResponse): Promise<void>;
+}
+
+type SDKSource =
+  | TestluyPaymentSDK
+  | Promise<TestluyPaymentSDK>
+  | (() => TestluyPaymentSDK | Promise<TestluyPaymentSDK>);
+
+export function createPaymentRouteHandlers(
+  sdk: SDKSource,
+  options?: NextPaymentRoutesOptions
+): PaymentRouteHandlers;
+
+/**
+ * Process-wide initialized SDK, reused across hot reloads. Options are resolved with the config
+ * file, profile and `TESTLUY_*` variables; each distinct set of resolved options gets its own instance
+ */
+export function getSharedSDK(options?: Partial<TestluyPaymentSDKOptions>): Promise<TestluyPaymentSDK>;
+
+export default createPaymentRouteHandlers;
@@ -0,0 +1,328 @@
+/**
+ * @fileoverview
+ * Next.js integration: route handlers for the App Router (Web `Request`/`Response`),
+ * a Pages Router API handler and a callback page handler that verifies and redirects.
+ *
+ * Import it from `testluy-payment-sdk/next`.
+ *
+ * @example
+ * // app/api/testluy/[...testluy]/route.js
+ * import { createPaymentRouteHandlers, getSharedSDK } from 'testluy-payment-sdk/next';
+ *
+ * export const { GET, POST } = createPaymentRouteHandlers(() => getSharedSDK(), {
+ *   onSuccess: async (result) => markOrderPaid(result.transactionId)
+ * });
+ */
+
+import TestluyPaymentSDK from '../index-enhanced.js';
+import { loadConfig } from '../config.js';
+import { SDKError } from '../http/errors/index.js';
+import { createPaymentRoutes, errorToHttpResponse, isRouteResponse } from './routes.js';
+import { readRequestBody, getRequestOrigin, sendNodeResponse } from './node-http.js';
+import { toWebRouteRequest, toWebResponse } from './web.js';
+
+/**
+ * Default path prefix, matching a catch-all route at `app/api/testluy/[...testluy]/route.js`
+ * or `pages/api/testluy/[...testluy].js`
+ * @type {string}
+ */
+export const DEFAULT_BASE_PATH = '/api/testluy';
+
+/**
+ * Key of the per-process SDK cache on `globalThis`, which survives hot reloads
+ * @type {symbol}
+ */
+const SHARED_SDKS_KEY = Symbol.for('testluy-payment-sdk.next.sharedSDKs');
+
+/**
+ * Key of the IDs given to option values that can only be compared by identity (functions,
+ * signers, providers); kept on `globalThis` with the cache so IDs stay unique across hot reloads
+ * @type {symbol}
+ */
+const OPTION_VALUE_IDS_KEY = Symbol.for('testluy-payment-sdk.next.optionValueIds');
+
+/**
+ * Returns the process-wide ID of an option value compared by identity
+ *
+ * @private
+ * @param {Object|Function} value - Option value
+ * @returns {number} The ID
+ */
+function getOptionValueId(value) {
+  if (!globalThis[OPTION_VALUE_IDS_KEY]) {
+    globalThis[OPTION_VALUE_IDS_KEY] = { ids: new WeakMap(), nextId: 1 };
+  }
+  const registry = globalThis[OPTION_VALUE_IDS_KEY];
+  if (!registry.ids.has(value)) {
+    registry.ids.set(value, registry.nextId++);
+  }
+  return registry.ids.get(value);
+}
+
+/**
+ * Serializes resolved SDK options into a cache key: plain objects with sorted keys, and
+ * functions and class instances by identity
+ *
+ * @private
+ * @param {Object} options - Resolved SDK options
+ * @returns {string} The cache key
+ */
+function getOptionsKey(options) {
+  return JSON.stringify(options, (name, value) => {
+    if (value === null || (typeof value !== 'object' && typeof value !== 'function') || Array.isArray(value)) {
+      return value;
+    }
+    const prototype = Object.getPrototypeOf(value);
+    if (typeof value === 'object' && (prototype === Object.prototype || prototype === null)) {
+      return Object.fromEntries(Object.keys(value).sort().map(key => [key, value[key]]));
+    }
+    return `[instance ${getOptionValueId(value)}]`;
+  });
+}
+
+/**
+ * Returns a process-wide, initialized SDK instance
+ *
+ * The options are resolved like the SDK constructor resolves them (see `loadConfig`: config
+ * file, profile, `TESTLUY_*` environment variables, then `options`), and instances are cached
+ * on `globalThis` per resolved options, so Next.js hot reloads and route modules loaded more
+ * than once reuse the same instance and `init()` runs only once. A failed `init()` is not
+ * cached; the next call tries again.
+ *
+ * @param {Object} [options={}] - SDK options
+ * @returns {Promise<TestluyPaymentSDK>} The initialized SDK
+ * @throws {SDKError} If the options are invalid
+ */
+export function getSharedSDK(options = {}) {
+  let resolved;
+  try {
+    resolved = loadConfig(options).options;
+  } catch (error) {
+    throw SDKError.wrap(error, 'TestluyPaymentSDK: Invalid options');
+  }
+
+  if (!globalThis[SHARED_SDKS_KEY]) {
+    globalThis[SHARED_SDKS_KEY] = new Map();
+  }
+  const cache = globalThis[SHARED_SDKS_KEY];
+  const key = getOptionsKey(resolved);
+
+  if (!cache.has(key)) {
+    const sdk = new TestluyPaymentSDK(options);
+    const ready = sdk.init().then(
+      () => sdk,
+      (error) => {
+        cache.delete(key);
+        throw error;
+      }
+    );
+    cache.set(key, ready);
+  }
+
+  return cache.get(key);
+}
+
+/**
+ * Resolves an SDK given as an instance, a promise or a function returning either
+ *
+ * @private
+ * @param {Object|Promise<Object>|Function} sdk - SDK source
+ * @returns {Promise<Object>} The SDK instance
+ */
+async function resolveSDK(sdk) {
+  return typeof sdk === 'function' ? sdk() : sdk;
+}
+
+/**
+ * Adds query parameters to a relative or absolute URL
+ *
+ * @private
+ * @param {string} target - Redirect target
+ * @param {Object} params - Parameters to add (undefined values are skipped)
+ * @returns {string} The target with the parameters
+ */
+function withQueryParams(target, params) {
+  const isAbsolute = /^[a-z][a-z\d+\-.]*:/i.test(target);
+  const url = new URL(target, 'http://relative.invalid');
+  Object.entries(params).forEach(([name, value]) => {
+    if (value !== undefined && value !== null) {
+      url.searchParams.set(name, String(value));
+    }
+  });
+  return isAbsolute ? url.toString() : `${url.pathname}${url.search}${url.hash}`;
+}
+
+/**
+ * Converts a Node (Pages Router) request into a route request
+ *
+ * The query is read from the URL rather than `req.query`, which also holds the
+ * catch-all segments and would break callback signatures.
+ *
+ * @private
+ * @param {import('http').IncomingMessage} req - Node request
+ * @param {Object} [options={}] - Route options
+ * @param {boolean} [options.trustProxy=false] - Read the origin from the X-Forwarded-* headers
+ * @param {number} [options.maxBodyBytes] - Largest body read, in bytes
+ * @returns {Promise<Object>} The route request
+ * @throws {SDKError} PAYLOAD_TOO_LARGE if the body is larger than `maxBodyBytes`
+ */
+async function toNodeRouteRequest(req, options = {}) {
+  const { trustProxy = false, maxBodyBytes } = options;
+  const url = new URL(req.url, 'http://localhost');
+  return {
+    method: req.method.toUpperCase(),
+    path: url.pathname,
+    params: {},
+    query: Object.fromEntries(url.searchParams),
+    body: await readRequestBody(req, { maxBodyBytes }),
+    headers: req.headers,
+    origin: getRequestOrigin(req, { trustProxy }),
+    mountPath: '',
+    raw: req
+  };
+}
+
+/**
+ * Builds the 404 response for paths outside the payment routes
+ *
+ * @private
+ * @param {Object} request - Route request
+ * @returns {Object} The route response
+ */
+function notFoundResponse(request) {
+  return {
+    status: 404,
+    body: {
+      error: {
+        name: 'NotFoundError',
+        code: 'NOT_FOUND',
+        message: `No payment route for ${request.method} ${request.path}`
+      }
+    }
+  };
+}
+
+/**
+ * Creates the Next.js payment route handlers
+ *
+ * - `GET` / `POST` - App Router handlers for a catch-all route file serving
+ *   `POST {basePath}/payments`, `GET {basePath}/payments/:id` and `GET|POST {basePath}/callback`
+ *   (and `POST {basePath}/token` with `clientTokens`)
+ * - `pagesHandler` - the same routes as a Pages Router API handler `(req, res)`
+ * - `callbackHandler` / `pagesCallbackHandler` - verify a callback and redirect the customer
+ *   to `successRedirect` or `failureRedirect` with `transaction_id` and `status` (or `error`) added
+ *
+ * @param {Object|Promise<Object>|Function} sdk - SDK instance, a promise of one, or a function
+ *   returning either (e.g. `() => getSharedSDK()`), resolved on the first request
+ * @param {Object} [options={}] - Route options (see `createPaymentRoutes`)
+ * @param {string} [options.basePath='/api/testluy'] - Path of the catch-all route
+ * @param {string|Function} [options.successRedirect='/'] - Redirect target after a successful
+ *   payment, or `(result) => target`
+ * @param {string|Function} [options.failureRedirect='/'] - Redirect target after a failed payment
+ *   or a rejected callback, or `(result) => target` (`result` is null for a rejected callback)
+ * @returns {{GET: Function, POST: Function, pagesHandler: Function, callbackHandler: Function, pagesCallbackHandler: Function}}
+ *   The handlers
+ */
+export function createPaymentRouteHandlers(sdk, options = {}) {
+  const {
+    successRedirect = '/',
+    failureRedirect = '/',
+    ...routeOptions
+  } = options;
+  const basePath = routeOptions.basePath === undefined ? DEFAULT_BASE_PATH : routeOptions.basePath;
+
+  const resolveTarget = (target, result) =>
+    typeof target === 'function' ? target(result) : target;
+
+  const redirectAfter = (hook, target) => async (result, request) => {
+    const response = hook ? await hook(result, request) : undefined;
+    if (isRouteResponse(response)) {
+      return response;
+    }
+    return {
+      redirect: withQueryParams(resolveTarget(target, result), {
+        transaction_id: result.transactionId,
+        status: result.status
+      })
+    };
+  };
+
+  let routesPromise;
+  const getRoutes = () => {
+    if (!routesPromise) {
+      routesPromise = resolveSDK(sdk).then(instance => ({
+        api: createPaymentRoutes(instance, { ...routeOptions, basePath }),
+        callback: createPaymentRoutes(instance, {
+          ...routeOptions,
+          basePath,
+          onSuccess: redirectAfter(routeOptions.onSuccess, successRedirect),
+          onFailure: redirectAfter(routeOptions.onFailure, failureRedirect)
+        })
+      }));
+      // Let a failed SDK initialization be retried on the next request
+      routesPromise.catch(() => {
+        routesPromise = undefined;
+      });
+    }
+    return routesPromise;
+  };
+
+  const dispatch = async (request) => {
+    const { api } = await getRoutes();
+    const matched = api.match(request.method, request.path);
+    if (!matched) {
+      return notFoundResponse(request);
+    }
+    return matched.route.handler({ ...request, params: matched.params });
+  };
+
+  const verifyAndRedirect = async (request) => {
+    const { callback } = await getRoutes();
+    const route = callback.routes.find(candidate =>
+      candidate.name === 'callback' && candidate.method === request.method
+    );
+    if (!route) {
+      return { status: 405, headers: { Allow: 'GET, POST' } };
+    }
+
+    const response = await route.handler(request);
+    if (response.status >= 400) {
+      // Rejected callbacks (e.g. a bad signature) still send the customer somewhere useful
+      return {
+        redirect: withQueryParams(resolveTarget(failureRedirect, null), {
+          error: response.body && response.body.error && response.body.error.code
+        })
+      };
+    }
+    return response;
+  };
+
+  // Pages Router requests; a body over maxBodyBytes is answered with 413
+  const handleNodeRequest = (handle) => async (req, res) => {
+    let request;
+    try {
+      request = await toNodeRouteRequest(req, routeOptions);
+    } catch (error) {
+      if (!(error instanceof SDKError)) {
+        throw error;
+      }
+      sendNodeResponse(res, errorToHttpResponse(error));
+      return;
+    }
+    sendNodeResponse(res, await handle(request));
+  };
+
+  const handleWebRequest = async (request) =>
+    toWebResponse(await dispatch(await toWebRouteRequest(request)), request);
+
+  return {
+    GET: handleWebRequest,
+    POST: handleWebRequest,
+    pagesHandler: handleNodeRequest(dispatch),
+    callbackHandler: async (request) =>
+      toWebResponse(await verifyAndRedirect(await toWebRouteRequest(request)), request),
+    pagesCallbackHandler: handleNodeRequest(verifyAndRedirect)
+  };
+}
+
+export default createPaymentRouteHandlers;
@@ -0,0 +1,167 @@
+/**
+ * @fileoverview
+ * Helpers for integrations built on Node's `http.IncomingMessage` / `http.ServerResponse`
+ * (Express, plain `http` servers and the Next.js pages router).
+ */
+
+import { SDKError } from '../http/errors/index.js';
+
+/**
+ * Largest request body `readRequestBody` reads by default, in bytes (the default of Express's body parsers)
+ * @type {number}
+ */
+export const DEFAULT_MAX_BODY_BYTES = 100 * 1024;
+
+/**
+ * Reads the raw body of a Node request, up to a size limit
+ *
+ * @private
+ * @param {import('http').IncomingMessage} req - Node request
+ * @param {number} maxBodyBytes - Size limit in bytes
+ * @returns {Promise<Buffer>} The body
+ * @throws {SDKError} PAYLOAD_TOO_LARGE if the body is larger than the limit
+ */
+function readRawBody(req, maxBodyBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    const cleanup = () => {
+      req.removeListener('data', onData);
+      req.removeListener('end', onEnd);
+      req.removeListener('error', onError);
+    };
+    const onData = (chunk) => {
+      const buffer = typeof chunk === 'string' ? Buffer.from(chunk) : chunk;
+      size += buffer.length;
+      if (size > maxBodyBytes) {
+        cleanup();
+        // Discard the rest instead of destroying the socket, so the 413 response can still be sent
+        req.resume();
+        reject(new SDKError(
+          `Request body exceeds the ${maxBodyBytes} byte limit`,
+          'PAYLOAD_TOO_LARGE',
+          { maxBodyBytes }
+        ));
+        return;
+      }
+      chunks.push(buffer);
+    };
+    const onEnd = () => {
+      cleanup();
+      resolve(Buffer.concat(chunks));
+    };
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+
+    req.on('data', onData);
+    req.on('end', onEnd);
+    req.on('error', onError);
+  });
+}
+
+/**
+ * Reads and parses the body of a Node request
+ *
+ * A body already parsed by a framework (`req.body`) is returned as is. Otherwise JSON and
+ * `application/x-www-form-urlencoded` bodies are parsed; anything else resolves to `{}`.
+ *
+ * @param {import('http').IncomingMessage} req - Node request
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.maxBodyBytes=DEFAULT_MAX_BODY_BYTES] - Largest body read, in bytes
+ * @returns {Promise<Object>} The parsed body
+ * @throws {SDKError} PAYLOAD_TOO_LARGE if the body is larger than `maxBodyBytes`
+ */
+export async function readRequestBody(req, options = {}) {
+  const { maxBodyBytes = DEFAULT_MAX_BODY_BYTES } = options;
+  if (req.body !== undefined) {
+    return req.body;
+  }
+  if (req.method === 'GET' || req.method === 'HEAD') {
+    return {};
+  }
+
+  const raw = (await readRawBody(req, maxBodyBytes)).toString('utf8');
+  if (!raw) {
+    return {};
+  }
+
+  const contentType = String(req.headers['content-type'] || '');
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return Object.fromEntries(new URLSearchParams(raw));
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Returns the origin (`protocol://host`) a Node request was sent to
+ *
+ * The X-Forwarded-Host and X-Forwarded-Proto headers are only read with `trustProxy`, since
+ * any client can send them and the origin becomes the callback URL of new payments.
+ *
+ * @param {import('http').IncomingMessage} req - Node request
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.trustProxy=false] - Use the headers set by a reverse proxy in front of the app
+ * @returns {string|undefined} The origin, or undefined without a Host header
+ */
+export function getRequestOrigin(req, options = {}) {
+  const { trustProxy = false } = options;
+  const forwardedHeader = (name) => trustProxy
+    ? String(req.headers[name] || '').split(',')[0].trim()
+    : '';
+
+  const host = forwardedHeader('x-forwarded-host') || req.headers.host;
+  if (!host) {
+    return undefined;
+  }
+  const protocol = forwardedHeader('x-forwarded-proto') ||
+    (req.socket && req.socket.encrypted ? 'https' : 'http');
+  return `${protocol}://${host}`;
+}
+
+/**
+ * Writes a route response to a Node response
+ *
+ * @param {import('http').ServerResponse} res - Node response
+ * @param {{status: number, headers?: Object, body?: *, redirect?: string}} response - Route response
+ */
+export function sendNodeResponse(res, response) {
+  const headers = { ...(response.headers || {}) };
+
+  if (response.redirect) {
+    res.statusCode = response.status && response.status >= 300 && response.status < 400
+      ? response.status
+      : 302;
+    res.setHeader('Location', response.redirect);
+    Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+    res.end();
+    return;
+  }
+
+  res.statusCode = response.status;
+  Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+
+  if (response.body === undefined) {
+    res.end();
+  } else if (typeof response.body === 'string') {
+    if (!res.getHeader('Content-Type')) {
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    }
+    res.end(response.body);
+  } else {
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(response.body));
+  }
+}
+
+export default {
+  readRequestBody,
+  getRequestOrigin,
+  sendNodeResponse
+};
@@ -0,0 +1,399 @@
+/**
+ * @fileoverview
+ * Framework-agnostic payment routes shared by the framework integrations.
+ *
+ * Each route handler takes a plain request object
+ * (`{ method, path, params, query, body, headers, origin, mountPath, raw }`)
+ * and resolves to a plain response object
+ * (`{ status, headers?, body?, redirect? }`), so the Express, Next.js and other
+ * adapters only translate between their framework and these two shapes.
+ */
+
+import {
+  SDKError,
+  RateLimitError,
+  CloudflareError,
+  SignatureVerificationError,
+  PaymentStateError,
+  PaymentTimeoutError,
+  ValidationError,
+  ClientTokenError
+} from '../http/errors/index.js';
+import { ClientTokenAction } from '../http/utils/ClientToken.js';
+import { validatePaymentOptions } from '../validation.js';
+
+/**
+ * Retry-After (seconds) used when a rate limit error does not say how long to wait
+ * @type {number}
+ */
+const DEFAULT_RETRY_AFTER_SECONDS = 60;
+
+/**
+ * Error fields that may be sent to the browser. Everything else an SDK error carries
+ * (the signed request headers, upstream details and response data) stays on the server
+ * @type {string[]}
+ */
+const PUBLIC_ERROR_FIELDS = ['name', 'code', 'message', 'retryAfter', 'validationDetails', 'reason'];
+
+/**
+ * HTTP status codes per typed SDK error
+ * @type {Array<[Function, number]>}
+ */
+const ERROR_STATUS_CODES = [
+  [ValidationError, 400],
+  [RateLimitError, 429],
+  [CloudflareError, 503],
+  [SignatureVerificationError, 401],
+  [PaymentStateError, 409],
+  [PaymentTimeoutError, 504]
+];
+
+/**
+ * HTTP status codes per error code, for SDK errors without a class of their own
+ * @type {Object<string, number>}
+ */
+const ERROR_CODE_STATUS_CODES = {
+  // Request body over the integration's `maxBodyBytes` (see node-http.js)
+  PAYLOAD_TOO_LARGE: 413
+};
+
+/**
+ * Normalizes a base path to either '' or '/segment' without a trailing slash
+ *
+ * @param {string} [basePath=''] - Base path, e.g. '/testluy' or 'testluy/'
+ * @returns {string} The normalized base path
+ */
+export function normalizeBasePath(basePath = '') {
+  const trimmed = String(basePath).replace(/^\/+|\/+$/g, '');
+  return trimmed ? `/${trimmed}` : '';
+}
+
+/**
+ * Returns the path a framework mounted the routes at
+ *
+ * @param {string} fullPath - Full request path, e.g. '/shop/testluy/payments'
+ * @param {string} localPath - Path below the mount path, e.g. '/testluy/payments'
+ * @returns {string} The mount path (e.g. '/shop'), or '' when the paths don't line up
+ */
+export function resolveMountPath(fullPath, localPath) {
+  if (!localPath || !fullPath.endsWith(localPath)) {
+    return '';
+  }
+  return fullPath.slice(0, fullPath.length - localPath.length);
+}
+
+/**
+ * Converts an error thrown by the SDK into an HTTP response
+ *
+ * Typed SDK errors are answered with the public fields of their `toJSON()`
+ * (see PUBLIC_ERROR_FIELDS); the request, response and details are never included.
+ * Any other error is logged and answered with a generic message.
+ * Rate limit errors also get a `Retry-After` header.
+ *
+ * @param {Error} error - Error thrown by an SDK method
+ * @returns {{status: number, headers: Object, body: Object}} The HTTP response
+ */
+export function errorToHttpResponse(error) {
+  const headers = {};
+  let status = 502;
+  let body;
+
+  if (error instanceof ClientTokenError) {
+    // A valid token whose scope doesn't cover the request is forbidden; any other
+    // rejected token is unauthorized
+    status = error.isScopeViolation ? 403 : 401;
+  } else if (error instanceof SDKError) {
+    const match = ERROR_STATUS_CODES.find(([ErrorClass]) => error instanceof ErrorClass);
+    if (match) {
+      status = match[1];
+    } else if (ERROR_CODE_STATUS_CODES[error.code]) {
+      status = ERROR_CODE_STATUS_CODES[error.code];
+    }
+  }
+
+  if (error instanceof SDKError) {
+    const json = error.toJSON();
+    const publicJson = {};
+    for (const field of PUBLIC_ERROR_FIELDS) {
+      if (json[field] !== undefined) {
+        publicJson[field] = json[field];
+      }
+    }
+    body = { error: publicJson };
+  } else {
+    // Other errors can mention file paths or upstream hosts, so only the server sees them
+    console.error('TestluyPaymentSDK: Payment route failed:', error);
+    body = {
+      error: {
+        name: 'Error',
+        code: 'PAYMENT_PROVIDER_ERROR',
+        message: 'The payment provider request failed'
+      }
+    };
+  }
+
+  if (status === 401 && error instanceof ClientTokenError) {
+    headers['WWW-Authenticate'] = 'Bearer';
+  }
+  if (status === 429) {
+    const retryAfter = Number(body.error.retryAfter);
+    headers['Retry-After'] = String(
+      retryAfter > 0 ? Math.ceil(retryAfter) : DEFAULT_RETRY_AFTER_SECONDS
+    );
+  }
+
+  return { status, headers, body };
+}
+
+/**
+ * Checks whether a hook result is a response object rather than "use the default"
+ *
+ * @param {*} value - Value returned by a hook
+ * @returns {boolean} Whether the value describes a response
+ */
+export function isRouteResponse(value) {
+  return Boolean(
+    value &&
+      typeof value === 'object' &&
+      (value.status !== undefined || value.redirect !== undefined || value.body !== undefined)
+  );
+}
+
+/**
+ * Reads the bearer token of the Authorization header
+ *
+ * @private
+ * @param {Object} request - Plain request object (lowercase header names)
+ * @returns {string|undefined} The token, if any
+ */
+function getBearerToken(request) {
+  const header = request.headers && request.headers.authorization;
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(Array.isArray(header) ? header[0] : header || '');
+  return match ? match[1] : undefined;
+}
+
+/**
+ * Compiles a route path such as '/payments/:id' into a matcher
+ *
+ * @private
+ * @param {string} path - Route path
+ * @returns {Function} Function returning the params for a matching path, or null. A param
+ *   with a malformed percent-encoding is null
+ */
+function compilePath(path) {
+  const names = [];
+  const pattern = path
+    .split('/')
+    .map(segment => {
+      if (segment.startsWith(':')) {
+        names.push(segment.slice(1));
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+  const regex = new RegExp(`^${pattern}/?$`);
+
+  return (candidate) => {
+    const match = regex.exec(candidate);
+    if (!match) {
+      return null;
+    }
+    return Object.fromEntries(
+      names.map((name, index) => {
+        try {
+          return [name, decodeURIComponent(match[index + 1])];
+        } catch (error) {
+          return [name, null];
+        }
+      })
+    );
+  };
+}
+
+/**
+ * Creates the payment routes
+ *
+ * - `POST {basePath}/payments` initiates a payment and responds 201 with the `initiatePayment` result
+ * - `GET {basePath}/payments/:id` responds with the payment status
+ * - `GET|POST {basePath}/callback` verifies a payment callback and calls `onSuccess` or `onFailure`
+ * - `POST {basePath}/token` (with `clientTokens`) responds with a client token for the browser
+ *
+ * With `clientTokens`, the payment routes require `Authorization: Bearer <client token>` and check
+ * the token's scope against the final payment options, so a browser never needs the secret key.
+ *
+ * @param {Object} sdk - TestluyPaymentSDK instance
+ * @param {Object} [options={}] - Route options
+ * @param {string} [options.basePath=''] - Path prefix of the routes
+ * @param {string} [options.callbackUrl] - Absolute callback URL sent with new payments
+ *   (derived from the request origin and the callback route when omitted; the Node adapters
+ *   only read the origin from X-Forwarded-* headers with `trustProxy`)
+ * @param {number} [options.maxBodyBytes=102400] - Node adapters: largest request body read, in bytes;
+ *   larger bodies are answered with 413
+ * @param {boolean} [options.verifySignature=true] - Require signed callbacks
+ * @param {Function} [options.preparePayment] - `(body, request) => paymentOptions`, e.g. to look up
+ *   the amount of an order on the server instead of trusting the client. The body never carries
+ *   the client's `callbackUrl`; a `callbackUrl` returned here replaces the configured one
+ * @param {Function} [options.onSuccess] - `(result, request)` called for a verified `Success` callback
+ * @param {Function} [options.onFailure] - `(result, request)` called for a verified callback with any other status
+ * @param {boolean|Object} [options.clientTokens] - Enable the token route and require client tokens
+ *   on the payment routes; `true` or an object with the default token options (`actions`,
+ *   `maxAmount`, `currency`, `ttlSeconds`, see `sdk.createClientToken`) and:
+ * @param {Function} [options.clientTokens.authorize] - `(request) => tokenOptions|boolean` deciding
+ *   who gets a token and with which scope (merged over the defaults); falsy answers 403
+ * @returns {{routes: Array<Object>, match: Function}} The routes and a `(method, path)` matcher
+ */
+export function createPaymentRoutes(sdk, options = {}) {
+  if (!sdk || typeof sdk.initiatePayment !== 'function') {
+    throw new Error('A TestluyPaymentSDK instance is required.');
+  }
+
+  const basePath = normalizeBasePath(options.basePath);
+  const verifySignature = options.verifySignature !== false;
+  const clientTokens = options.clientTokens
+    ? (options.clientTokens === true ? {} : options.clientTokens)
+    : null;
+
+  const resolveCallbackUrl = (request) => {
+    if (options.callbackUrl) {
+      return options.callbackUrl;
+    }
+    if (!request.origin) {
+      return undefined;
+    }
+    return `${request.origin}${normalizeBasePath(request.mountPath)}${basePath}/callback`;
+  };
+
+  // Verifies the request's client token; the token information is kept on `request.clientToken`
+  // so `preparePayment` can use it
+  const requireClientToken = async (request, action, payment) => {
+    if (!clientTokens) {
+      return;
+    }
+    request.clientToken = await sdk.verifyClientToken(getBearerToken(request), { action, ...payment });
+  };
+
+  const initiate = async (request) => {
+    await requireClientToken(request, ClientTokenAction.INITIATE_PAYMENT);
+
+    // A callback URL from the browser is dropped, so clients cannot send payment callbacks
+    // to their own host; only preparePayment may set one
+    const { callbackUrl: ignoredCallbackUrl, ...body } =
+      request.body && typeof request.body === 'object' ? request.body : {};
+    const input = options.preparePayment
+      ? await options.preparePayment(body, request)
+      : body;
+    const paymentOptions = { ...input, callbackUrl: input.callbackUrl || resolveCallbackUrl(request) };
+
+    // Invalid input throws a ValidationError, answered with 400 before the API is called
+    const validated = validatePaymentOptions(paymentOptions);
+    await requireClientToken(request, ClientTokenAction.INITIATE_PAYMENT, {
+      amount: validated.amount,
+      currency: validated.currency || validated.amount.currency
+    });
+
+    const result = await sdk.initiatePayment(paymentOptions);
+    return { status: 201, body: result };
+  };
+
+  const status = async (request) => {
+    if (typeof request.params.id !== 'string') {
+      throw new ValidationError('"id" is not a valid transaction ID', [
+        { field: 'id', message: '"id" is not a valid percent-encoded path segment' }
+      ]);
+    }
+    await requireClientToken(request, ClientTokenAction.GET_PAYMENT_STATUS);
+    const payment = await sdk.getPaymentStatus(request.params.id);
+    return { status: 200, body: payment };
+  };
+
+  const callback = async (request) => {
+    const callbackData = request.method === 'GET'
+      ? { ...request.query }
+      : { ...request.query, ...(request.body && typeof request.body === 'object' ? request.body : {}) };
+
+    const result = await sdk.handlePaymentCallback(callbackData, { verifySignature });
+    const hook = result.status === 'Success' ? options.onSuccess : options.onFailure;
+    const hookResponse = hook ? await hook(result, request) : undefined;
+
+    if (isRouteResponse(hookResponse)) {
+      return { status: 200, ...hookResponse };
+    }
+    return {
+      status: 200,
+      body: { received: true, transactionId: result.transactionId, status: result.status }
+    };
+  };
+
+  const token = async (request) => {
+    const { authorize, ...defaults } = clientTokens;
+    const granted = authorize ? await authorize(request) : true;
+    if (!granted) {
+      return {
+        status: 403,
+        body: {
+          error: {
+            name: 'ClientTokenError',
+            code: 'CLIENT_TOKEN_ERROR',
+            message: 'Not allowed to create a client token'
+          }
+        }
+      };
+    }
+
+    const result = await sdk.createClientToken({
+      ...defaults,
+      ...(typeof granted === 'object' ? granted : {})
+    });
+    // Tokens are credentials: never let a proxy or the browser cache them
+    return { status: 201, headers: { 'Cache-Control': 'no-store' }, body: result };
+  };
+
+  const routes = [
+    { method: 'POST', path: `${basePath}/payments`, name: 'initiate', handler: initiate },
+    { method: 'GET', path: `${basePath}/payments/:id`, name: 'status', handler: status },
+    { method: 'GET', path: `${basePath}/callback`, name: 'callback', handler: callback },
+    { method: 'POST', path: `${basePath}/callback`, name: 'callback', handler: callback },
+    ...(clientTokens ? [{ method: 'POST', path: `${basePath}/token`, name: 'token', handler: token }] : [])
+  ].map(route => {
+    const matchPath = compilePath(route.path);
+    const { handler } = route;
+
+    return {
+      ...route,
+      matchPath,
+      // Every route answers with a response object, including for SDK errors
+      handler: async (request) => {
+        try {
+          return await handler(request);
+        } catch (error) {
+          return errorToHttpResponse(error);
+        }
+      }
+    };
+  });
+
+  const match = (method, path) => {
+    const upperMethod = String(method).toUpperCase();
+    for (const route of routes) {
+      if (route.method !== upperMethod) {
+        continue;
+      }
+      const params = route.matchPath(path);
+      if (params) {
+        return { route, params };
+      }
+    }
+    return null;
+  };
+
+  return { routes, match };
+}
+
+export default {
+  createPaymentRoutes,
+  errorToHttpResponse,
+  isRouteResponse,
+  normalizeBasePath,
+  resolveMountPath
+};
@@ -0,0 +1,88 @@
+/**
+ * @fileoverview
+ * Helpers for integrations built on the Web `Request` / `Response` API
+ * (the Next.js App Router, Hono and other edge runtimes).
+ */
+
+/**
+ * Reads and parses the body of a Web `Request`
+ *
+ * Form bodies are returned as plain objects and JSON bodies parsed; an empty or
+ * unparsable body resolves to `{}`.
+ *
+ * @param {Request} request - Web request
+ * @returns {Promise<Object>} The parsed body
+ */
+export async function readWebRequestBody(request) {
+  if (request.method === 'GET' || request.method === 'HEAD') {
+    return {};
+  }
+
+  const contentType = request.headers.get('content-type') || '';
+  try {
+    if (contentType.includes('application/x-www-form-urlencoded') || contentType.includes('multipart/form-data')) {
+      return Object.fromEntries(await request.formData());
+    }
+    const text = await request.text();
+    return text ? JSON.parse(text) : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Converts a Web `Request` into a route request
+ *
+ * @param {Request} request - Web request
+ * @param {Object} [overrides={}] - Route request fields to replace, e.g. `path`, `params` or `mountPath`
+ * @returns {Promise<Object>} The route request
+ */
+export async function toWebRouteRequest(request, overrides = {}) {
+  const url = new URL(request.url);
+  return {
+    method: request.method.toUpperCase(),
+    path: url.pathname,
+    params: {},
+    query: Object.fromEntries(url.searchParams),
+    body: await readWebRequestBody(request),
+    headers: Object.fromEntries(request.headers),
+    origin: url.origin,
+    mountPath: '',
+    raw: request,
+    ...overrides
+  };
+}
+
+/**
+ * Converts a route response into a Web `Response`
+ *
+ * @param {{status: number, headers?: Object, body?: *, redirect?: string}} response - Route response
+ * @param {Request} request - Request being answered, to resolve relative redirects
+ * @returns {Response} The Web response
+ */
+export function toWebResponse(response, request) {
+  const headers = new Headers(response.headers || {});
+
+  if (response.redirect) {
+    headers.set('Location', new URL(response.redirect, request.url).toString());
+    const status = response.status >= 300 && response.status < 400 ? response.status : 302;
+    return new Response(null, { status, headers });
+  }
+  if (response.body === undefined) {
+    return new Response(null, { status: response.status, headers });
+  }
+  if (typeof response.body === 'string') {
+    if (!headers.has('Content-Type')) {
+      headers.set('Content-Type', 'text/plain; charset=utf-8');
+    }
+    return new Response(response.body, { status: response.status, headers });
+  }
+  headers.set('Content-Type', 'application/json; charset=utf-8');
+  return new Response(JSON.stringify(response.body), { status: response.status, headers });
+}
+
+export default {
+  readWebRequestBody,
+  toWebRouteRequest,
+  toWebResponse
+};
@@ -0,0 +1,294 @@
+/**
+ * @fileoverview
+ * Money - An exact decimal amount in a supported currency.
+ *
+ * Amounts are stored as an integer number of minor units (cents for USD,
+ * riel for KHR), so arithmetic never produces float artifacts such as
+ * 0.1 + 0.2 = 0.30000000000000004. Amounts are sent to the API as canonical
+ * strings (e.g. "10.50" USD, "4000" KHR) so the signed request body is stable.
+ */
+
+/**
+ * Precision and limits per supported currency. Limits are in minor units.
+ * @type {Object<string, {decimals: number, minMinorUnits: number, maxMinorUnits: number}>}
+ */
+export const CURRENCY_RULES = Object.freeze({
+  USD: Object.freeze({ decimals: 2, minMinorUnits: 1, maxMinorUnits: 10000000 }), // 0.01 - 100,000.00
+  KHR: Object.freeze({ decimals: 0, minMinorUnits: 100, maxMinorUnits: 400000000 }) // 100 - 400,000,000
+});
+
+/**
+ * Currency whose rules apply when none is specified
+ * @type {string}
+ */
+export const DEFAULT_CURRENCY = 'USD';
+
+const DECIMAL_PATTERN = /^(-)?(\d+)(?:\.(\d+))?$/;
+
+/**
+ * Returns the rules of a currency
+ *
+ * @param {string} currency - ISO currency code
+ * @returns {Object} The currency rules
+ * @throws {Error} If the currency is not supported
+ */
+function getRules(currency) {
+  const rules = CURRENCY_RULES[currency];
+  if (!rules) {
+    throw new Error(
+      `"currency" must be one of ${Object.keys(CURRENCY_RULES).join(', ')}`
+    );
+  }
+  return rules;
+}
+
+/**
+ * Money value object with exact decimal arithmetic
+ *
+ * @class
+ */
+class Money {
+  /**
+   * Creates a Money instance from minor units. Prefer `Money.of` for decimal amounts.
+   *
+   * @param {number} minorUnits - Integer number of minor units
+   * @param {string} [currency='USD'] - ISO currency code
+   * @throws {Error} If the minor units are not a safe integer or the currency is not supported
+   */
+  constructor(minorUnits, currency = DEFAULT_CURRENCY) {
+    const normalizedCurrency = String(currency).toUpperCase();
+    getRules(normalizedCurrency);
+
+    if (!Number.isSafeInteger(minorUnits)) {
+      throw new Error('"amount" is too large or not a whole number of minor units');
+    }
+
+    this.minorUnits = minorUnits;
+    this.currency = normalizedCurrency;
+    Object.freeze(this);
+  }
+
+  /**
+   * Creates a Money instance from a decimal amount
+   *
+   * Numbers are first rounded to 15 significant digits, which removes binary
+   * float artifacts (0.1 + 0.2 becomes 0.3) without hiding real extra decimals.
+   *
+   * @param {number|string|Money} amount - Decimal amount, e.g. 10.5 or "10.50"
+   * @param {string} [currency='USD'] - ISO currency code
+   * @returns {Money} The Money instance
+   * @throws {Error} If the amount is not a decimal number or has more decimals than the currency allows
+   */
+  static of(amount, currency = DEFAULT_CURRENCY) {
+    if (amount instanceof Money) {
+      if (amount.currency !== String(currency).toUpperCase()) {
+        throw new Error(
+          `"amount" is in ${amount.currency} but ${String(currency).toUpperCase()} was expected`
+        );
+      }
+      return amount;
+    }
+
+    const normalizedCurrency = String(currency).toUpperCase();
+    const { decimals } = getRules(normalizedCurrency);
+
+    let text;
+    if (typeof amount === 'number') {
+      if (!Number.isFinite(amount)) {
+        throw new Error('"amount" must be a finite number');
+      }
+      text = String(Number(amount.toPrecision(15)));
+    } else if (typeof amount === 'string') {
+      text = amount.trim();
+    } else {
+      throw new Error('"amount" must be a number, a decimal string or a Money instance');
+    }
+
+    const match = DECIMAL_PATTERN.exec(text);
+    if (!match) {
+      throw new Error(`"amount" must be a plain decimal number, received "${text}"`);
+    }
+
+    const [, sign, whole, fraction = ''] = match;
+    const significantFraction = fraction.replace(/0+$/, '');
+    if (significantFraction.length > decimals) {
+      throw new Error(
+        decimals === 0
+          ? `"amount" must be a whole number for ${normalizedCurrency}`
+          : `"amount" must have at most ${decimals} decimal places for ${normalizedCurrency}`
+      );
+    }
+
+    const minorUnits = Number(whole + significantFraction.padEnd(decimals, '0'));
+    return new Money(sign ? -minorUnits : minorUnits, normalizedCurrency);
+  }
+
+  /**
+   * Creates a Money instance from minor units
+   *
+   * @param {number} minorUnits - Integer number of minor units
+   * @param {string} [currency='USD'] - ISO currency code
+   * @returns {Money} The Money instance
+   */
+  static fromMinorUnits(minorUnits, currency = DEFAULT_CURRENCY) {
+    return new Money(minorUnits, currency);
+  }
+
+  /**
+   * Checks whether a value is a Money instance
+   *
+   * @param {*} value - Value to check
+   * @returns {boolean} Whether the value is a Money instance
+   */
+  static isMoney(value) {
+    return value instanceof Money;
+  }
+
+  /**
+   * Number of decimals of the currency
+   *
+   * @returns {number} Number of decimals
+   */
+  get decimals() {
+    return getRules(this.currency).decimals;
+  }
+
+  /**
+   * Adds another amount in the same currency
+   *
+   * @param {Money|number|string} other - Amount to add
+   * @returns {Money} The sum
+   */
+  add(other) {
+    return new Money(this.minorUnits + this._coerce(other).minorUnits, this.currency);
+  }
+
+  /**
+   * Subtracts another amount in the same currency
+   *
+   * @param {Money|number|string} other - Amount to subtract
+   * @returns {Money} The difference (may be negative)
+   */
+  subtract(other) {
+    return new Money(this.minorUnits - this._coerce(other).minorUnits, this.currency);
+  }
+
+  /**
+   * Compares with another amount in the same currency
+   *
+   * @param {Money|number|string} other - Amount to compare with
+   * @returns {number} -1, 0 or 1
+   */
+  compareTo(other) {
+    const difference = this.minorUnits - this._coerce(other).minorUnits;
+    return difference === 0 ? 0 : difference < 0 ? -1 : 1;
+  }
+
+  /**
+   * @param {Money|number|string} other - Amount to compare with
+   * @returns {boolean} Whether both amounts are equal
+   */
+  equals(other) {
+    return this.compareTo(other) === 0;
+  }
+
+  /**
+   * @param {Money|number|string} other - Amount to compare with
+   * @returns {boolean} Whether this amount is greater
+   */
+  greaterThan(other) {
+    return this.compareTo(other) > 0;
+  }
+
+  /**
+   * @param {Money|number|string} other - Amount to compare with
+   * @returns {boolean} Whether this amount is smaller
+   */
+  lessThan(other) {
+    return this.compareTo(other) < 0;
+  }
+
+  /**
+   * @returns {boolean} Whether the amount is zero
+   */
+  isZero() {
+    return this.minorUnits === 0;
+  }
+
+  /**
+   * @returns {boolean} Whether the amount is greater than zero
+   */
+  isPositive() {
+    return this.minorUnits > 0;
+  }
+
+  /**
+   * Checks the amount against the minimum and maximum of its currency
+   *
+   * @param {string} [field='amount'] - Field name used in the error message
+   * @returns {Money} This instance, for chaining
+   * @throws {Error} If the amount is outside the limits
+   */
+  assertWithinLimits(field = 'amount') {
+    const { minMinorUnits, maxMinorUnits } = getRules(this.currency);
+
+    if (this.minorUnits < minMinorUnits) {
+      throw new Error(
+        `"${field}" must be at least ${Money.fromMinorUnits(minMinorUnits, this.currency)} ${this.currency}`
+      );
+    }
+    if (this.minorUnits > maxMinorUnits) {
+      throw new Error(
+        `"${field}" must be at most ${Money.fromMinorUnits(maxMinorUnits, this.currency)} ${this.currency}`
+      );
+    }
+    return this;
+  }
+
+  /**
+   * Canonical decimal string with exactly the currency's number of decimals
+   *
+   * @returns {string} E.g. "10.50" for USD or "4000" for KHR
+   */
+  toString() {
+    const { decimals } = this;
+    const digits = String(Math.abs(this.minorUnits)).padStart(decimals + 1, '0');
+    const sign = this.minorUnits < 0 ? '-' : '';
+
+    if (decimals === 0) {
+      return sign + digits;
+    }
+    return `${sign}${digits.slice(0, -decimals)}.${digits.slice(-decimals)}`;
+  }
+
+  /**
+   * The amount as a JavaScript number (for display; use the instance for arithmetic)
+   *
+   * @returns {number} The decimal amount
+   */
+  toNumber() {
+    return Number(this.toString());
+  }
+
+  /**
+   * Serializes to the canonical string, so JSON request bodies are stable
+   *
+   * @returns {string} The canonical decimal string
+   */
+  toJSON() {
+    return this.toString();
+  }
+
+  /**
+   * Converts a value to Money in this currency
+   *
+   * @private
+   * @param {Money|number|string} value - Value to convert
+   * @returns {Money} The Money instance
+   */
+  _coerce(value) {
+    return Money.of(value, this.currency);
+  }
+}
+
+export default Money;
@@ -0,0 +1,108 @@
+import type { Server, IncomingMessage, ServerResponse } from 'http';
+
+export const DEFAULT_SIMULATOR_CREDENTIALS: { clientId: string; secretKey: string };
+export const DEFAULT_SIMULATOR_RATE_LIMIT: SimulatorRateLimit;
+
+export interface SimulatorRateLimit {
+  /** Requests allowed per window */
+  limit: number;
+
+  /** Window length in seconds */
+  windowSeconds: number;
+}
+
+export interface SimulatorOptions {
+  /** Accepted client ID (default 'simulator-client-id') */
+  clientId?: string;
+
+  /** Secret of the accepted client (default 'simulator-secret-key') */
+  secretKey?: string;
+
+  /** Rate limit per window, or false to disable (default 100 per 60 seconds) */
+  rateLimit?: Partial<SimulatorRateLimit> | false;
+
+  /** Maximum age of a request's X-Timestamp in seconds (default 300) */
+  timestampToleranceSeconds?: number;
+
+  /** Timeout of callback deliveries in milliseconds (default 5000) */
+  callbackTimeoutMs?: number;
+
+  /** Returns the public base URL used in payment URLs */
+  getBaseUrl?: () => string;
+}
+
+export interface SimulatorTransaction {
+  transaction_id: string;
+  amount: string | number;
+  currency: string;
+  status: 'Initiated' | 'Pending' | 'Success' | 'Failed';
+  callback_url: string;
+  back_url?: string;
+  order_id?: string;
+  description?: string;
+  customer_reference?: string;
+  metadata?: Record<string, string | number | boolean>;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface SimulatorCallbackDelivery {
+  /** Callback URL */
+  url: string;
+
+  /** Signed parameters sent as a JSON POST body */
+  params: Record<string, string>;
+
+  /** HTTP status of the merchant's response */
+  status?: number;
+
+  /** Whether the merchant answered with a 2xx status */
+  ok: boolean;
+
+  /** Network error of a failed delivery */
+  error?: string;
+}
+
+export interface Simulator {
+  clientId: string;
+  secretKey: string;
+
+  /** Node request listener serving the simulator */
+  handler(req: IncomingMessage, res: ServerResponse): Promise<void>;
+
+  /** Transactions by ID */
+  transactions: Map<string, SimulatorTransaction>;
+
+  /** Callback deliveries in order */
+  callbacks: SimulatorCallbackDelivery[];
+
+  /** Finishes a payment as the customer would on the hosted page */
+  completePayment(
+    transactionId: string,
+    status?: 'Success' | 'Failed'
+  ): Promise<{ transaction: SimulatorTransaction; callback: SimulatorCallbackDelivery }>;
+
+  /** Clears transactions, callbacks and the rate limit window */
+  reset(): void;
+}
+
+export interface RunningSimulator extends Simulator {
+  /** Base URL, e.g. 'http://127.0.0.1:8787' */
+  url: string;
+  port: number;
+  server: Server;
+  close(): Promise<void>;
+}
+
+export interface StartSimulatorOptions extends SimulatorOptions {
+  /** Port to listen on (default 0, a free port) */
+  port?: number;
+
+  /** Interface to listen on (default '127.0.0.1') */
+  host?: string;
+}
+
+export function createSimulator(options?: SimulatorOptions): Simulator;
+export function startSimulator(options?: StartSimulatorOptions): Promise<RunningSimulator>;
+
+export default startSimulator;
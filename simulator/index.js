@@ -0,0 +1,509 @@
+/**
+ * @fileoverview
+ * Local TestLuy payment simulator for offline development and end-to-end tests.
+ *
+ * Implements the API endpoints the SDK uses to create and track payments, verifies the
+ * SDK's request signatures, serves a hosted fake payment page and sends signed callbacks
+ * to the merchant's `callback_url`. Endpoints are served both with and without the
+ * `/api` prefix.
+ *
+ * Import it from `testluy-payment-sdk/simulator`.
+ *
+ * @example
+ * import { startSimulator } from 'testluy-payment-sdk/simulator';
+ *
+ * const simulator = await startSimulator({ port: 8787 });
+ * const sdk = new TestluyPaymentSDK({
+ *   clientId: simulator.clientId,
+ *   secretKey: simulator.secretKey,
+ *   baseUrl: simulator.url
+ * });
+ * // ...
+ * await simulator.close();
+ */
+
+import http from 'http';
+import { generateRandomString } from '../http/utils/CryptoPolyfill.js';
+import { createCallbackSignature } from '../http/utils/CallbackSignature.js';
+import { verifyRequestSignature } from '../http/utils/RequestSignature.js';
+import { SignatureFailureReason } from '../http/errors/index.js';
+import { IDEMPOTENCY_KEY_HEADER } from '../http/RetryStrategy.js';
+
+/**
+ * Credentials accepted by the simulator unless others are configured
+ * @type {{clientId: string, secretKey: string}}
+ */
+export const DEFAULT_SIMULATOR_CREDENTIALS = {
+  clientId: 'simulator-client-id',
+  secretKey: 'simulator-secret-key'
+};
+
+/**
+ * Default rate limit: requests per client per window
+ * @type {{limit: number, windowSeconds: number}}
+ */
+export const DEFAULT_SIMULATOR_RATE_LIMIT = {
+  limit: 100,
+  windowSeconds: 60
+};
+
+/**
+ * Maximum age in seconds of a signed request's X-Timestamp
+ * @type {number}
+ */
+const DEFAULT_TIMESTAMP_TOLERANCE_SECONDS = 300;
+
+/**
+ * 401 messages for request signature failures (others answer 'Invalid signature')
+ * @type {Object<string, string>}
+ */
+const AUTHENTICATION_FAILURES = {
+  [SignatureFailureReason.MISSING_TIMESTAMP]: 'Missing or invalid X-Timestamp header',
+  [SignatureFailureReason.INVALID_TIMESTAMP]: 'Missing or invalid X-Timestamp header',
+  [SignatureFailureReason.TIMESTAMP_OUT_OF_TOLERANCE]: 'X-Timestamp is outside the allowed window',
+  [SignatureFailureReason.UNSUPPORTED_VERSION]: 'Unsupported X-Signature-Version',
+  [SignatureFailureReason.MISSING_NONCE]: 'Missing X-Nonce header',
+  [SignatureFailureReason.NONCE_REUSED]: 'X-Nonce was already used'
+};
+
+/**
+ * Statuses a customer can finish a payment with on the hosted page
+ * @type {Array<string>}
+ */
+const COMPLETION_STATUSES = ['Success', 'Failed'];
+
+/**
+ * Escapes text for HTML output
+ *
+ * @private
+ * @param {*} value - Value to escape
+ * @returns {string} The escaped text
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Reads the raw body of a request
+ *
+ * @private
+ * @param {import('http').IncomingMessage} req - Node request
+ * @returns {Promise<string>} The body text
+ */
+async function readRawBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Writes a JSON response
+ *
+ * @private
+ * @param {import('http').ServerResponse} res - Node response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ * @param {Object} [headers={}] - Extra headers
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { ...headers, 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Writes an HTML response
+ *
+ * @private
+ * @param {import('http').ServerResponse} res - Node response
+ * @param {number} status - HTTP status code
+ * @param {string} html - Page markup
+ */
+function sendHtml(res, status, html) {
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(html);
+}
+
+/**
+ * Creates a simulator: its state and a Node request listener serving it
+ *
+ * @param {Object} [options={}] - Simulator options
+ * @param {string} [options.clientId='simulator-client-id'] - Accepted client ID
+ * @param {string} [options.secretKey='simulator-secret-key'] - Secret of the accepted client
+ * @param {Object|false} [options.rateLimit] - `{ limit, windowSeconds }` per client, or false to disable
+ * @param {number} [options.timestampToleranceSeconds=300] - Maximum age of a request's X-Timestamp
+ * @param {number} [options.callbackTimeoutMs=5000] - Timeout of callback deliveries
+ * @param {Function} [options.getBaseUrl] - Returns the public base URL used in payment URLs
+ * @returns {Object} The simulator with `handler`, `transactions`, `callbacks`, `completePayment` and `reset`
+ */
+export function createSimulator(options = {}) {
+  const clientId = options.clientId || DEFAULT_SIMULATOR_CREDENTIALS.clientId;
+  const secretKey = options.secretKey || DEFAULT_SIMULATOR_CREDENTIALS.secretKey;
+  const rateLimit = options.rateLimit === false
+    ? null
+    : { ...DEFAULT_SIMULATOR_RATE_LIMIT, ...(options.rateLimit || {}) };
+  const toleranceSeconds = options.timestampToleranceSeconds || DEFAULT_TIMESTAMP_TOLERANCE_SECONDS;
+  const callbackTimeoutMs = options.callbackTimeoutMs || 5000;
+  const getBaseUrl = options.getBaseUrl || (() => '');
+
+  const transactions = new Map();
+  const idempotentResponses = new Map();
+  const callbacks = [];
+  const seenNonces = new Map();
+  let rateWindow = null;
+
+  /**
+   * Counts a request against the rate limit and returns the x-ratelimit-* headers
+   */
+  const consumeRateLimit = () => {
+    if (!rateLimit) {
+      return { headers: {}, limited: false };
+    }
+
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    if (!rateWindow || nowSeconds >= rateWindow.resetAt) {
+      rateWindow = { count: 0, resetAt: nowSeconds + rateLimit.windowSeconds };
+    }
+    rateWindow.count += 1;
+
+    const limited = rateWindow.count > rateLimit.limit;
+    const headers = {
+      'x-ratelimit-limit': String(rateLimit.limit),
+      'x-ratelimit-remaining': String(Math.max(0, rateLimit.limit - rateWindow.count)),
+      'x-ratelimit-reset': String(rateWindow.resetAt)
+    };
+    if (limited) {
+      headers['retry-after'] = String(Math.max(1, rateWindow.resetAt - nowSeconds));
+    }
+    return { headers, limited };
+  };
+
+  /**
+   * Remembers the v2 nonces seen and when. A signature is accepted for toleranceSeconds either
+   * side of its timestamp, so a nonce cannot be replayed twice that long after it was first seen;
+   * older nonces are dropped whenever one is added
+   */
+  const nonceStore = {
+    has: nonce => seenNonces.has(nonce),
+    add: (nonce) => {
+      const now = Date.now();
+      const expiredBefore = now - toleranceSeconds * 2 * 1000;
+      // Maps iterate in insertion order, so the oldest nonces come first
+      for (const [seen, seenAt] of seenNonces) {
+        if (seenAt > expiredBefore) {
+          break;
+        }
+        seenNonces.delete(seen);
+      }
+      seenNonces.set(nonce, now);
+    }
+  };
+
+  /**
+   * Verifies the X-Client-ID, X-Timestamp and X-Signature headers of an API request,
+   * signed with either signature version. Replayed v2 nonces are rejected.
+   */
+  const authenticate = async (req, rawBody) => {
+    if (req.headers['x-client-id'] !== clientId) {
+      return 'Unknown client ID';
+    }
+
+    try {
+      await verifyRequestSignature(
+        secretKey,
+        { method: req.method, url: req.url, headers: req.headers, body: rawBody },
+        { toleranceSeconds, nonceStore }
+      );
+    } catch (error) {
+      return AUTHENTICATION_FAILURES[error.reason] || 'Invalid signature';
+    }
+    return null;
+  };
+
+  const generateUrl = (body) => {
+    const amount = Number(body.amount);
+    if (body.amount === undefined || isNaN(amount) || amount <= 0) {
+      return { status: 422, body: { message: 'The amount field must be a positive number.' } };
+    }
+    if (!body.callback_url || typeof body.callback_url !== 'string') {
+      return { status: 422, body: { message: 'The callback_url field is required.' } };
+    }
+
+    const transactionId = `trx_${generateRandomString(20)}`;
+    const now = new Date().toISOString();
+    const transaction = {
+      transaction_id: transactionId,
+      amount: body.amount,
+      currency: body.currency || 'USD',
+      status: 'Initiated',
+      callback_url: body.callback_url,
+      ...(body.back_url && { back_url: body.back_url }),
+      ...(body.order_id && { order_id: body.order_id }),
+      ...(body.description && { description: body.description }),
+      ...(body.customer_reference && { customer_reference: body.customer_reference }),
+      ...(body.metadata && { metadata: body.metadata }),
+      created_at: now,
+      updated_at: now
+    };
+    transactions.set(transactionId, transaction);
+
+    const paymentUrl = `${getBaseUrl()}/sandbox/payment?transaction_id=${encodeURIComponent(transactionId)}`;
+    return {
+      status: 200,
+      body: {
+        payment_url: paymentUrl,
+        transaction_id: transactionId,
+        amount: transaction.amount,
+        currency: transaction.currency,
+        ...(transaction.order_id && { order_id: transaction.order_id })
+      }
+    };
+  };
+
+  /**
+   * Sends the signed callback of a finished transaction to its callback URL
+   */
+  const deliverCallback = async (transaction) => {
+    const params = {
+      transaction_id: transaction.transaction_id,
+      status: transaction.status,
+      amount: String(transaction.amount),
+      timestamp: String(Math.floor(Date.now() / 1000))
+    };
+    const delivery = {
+      url: transaction.callback_url,
+      params: { ...params, signature: await createCallbackSignature(secretKey, params) }
+    };
+
+    try {
+      const response = await fetch(transaction.callback_url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(delivery.params),
+        signal: AbortSignal.timeout(callbackTimeoutMs)
+      });
+      delivery.status = response.status;
+      delivery.ok = response.ok;
+    } catch (error) {
+      delivery.ok = false;
+      delivery.error = error.message;
+    }
+
+    callbacks.push(delivery);
+    return delivery;
+  };
+
+  /**
+   * Finishes a payment as the customer would on the hosted page and sends the callback
+   *
+   * @param {string} transactionId - Transaction to finish
+   * @param {string} [status='Success'] - 'Success' or 'Failed'
+   * @returns {Promise<{transaction: Object, callback: Object}>} The transaction and the callback delivery
+   */
+  const completePayment = async (transactionId, status = 'Success') => {
+    const transaction = transactions.get(transactionId);
+    if (!transaction) {
+      throw new Error(`Unknown transaction: ${transactionId}`);
+    }
+    if (!COMPLETION_STATUSES.includes(status)) {
+      throw new Error(`Payments can only be completed as ${COMPLETION_STATUSES.join(' or ')}`);
+    }
+    if (transaction.status !== 'Initiated' && transaction.status !== 'Pending') {
+      throw new Error(`Transaction ${transactionId} is already ${transaction.status}`);
+    }
+
+    transaction.status = status;
+    transaction.updated_at = new Date().toISOString();
+    const callback = await deliverCallback(transaction);
+    return { transaction: { ...transaction }, callback };
+  };
+
+  const renderPaymentPage = (transaction) => `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>TestLuy Simulator - Payment</title></head>
+<body>
+  <h1>TestLuy payment simulator</h1>
+  <p>Transaction <code>${escapeHtml(transaction.transaction_id)}</code></p>
+  <p>Amount: <strong>${escapeHtml(transaction.amount)} ${escapeHtml(transaction.currency)}</strong></p>
+  ${transaction.description ? `<p>${escapeHtml(transaction.description)}</p>` : ''}
+  <p>Status: <strong>${escapeHtml(transaction.status)}</strong></p>
+  ${transaction.status === 'Initiated' ? `
+  <form method="post" action="/sandbox/payment/${encodeURIComponent(transaction.transaction_id)}/complete">
+    <button type="submit" name="status" value="Success">Pay</button>
+    <button type="submit" name="status" value="Failed">Decline</button>
+  </form>` : ''}
+</body>
+</html>`;
+
+  const handleApi = async (req, res, endpoint, rawBody) => {
+    const rate = consumeRateLimit();
+    if (rate.limited) {
+      sendJson(res, 429, { message: 'Too Many Attempts.' }, rate.headers);
+      return;
+    }
+
+    const authError = await authenticate(req, rawBody);
+    if (authError) {
+      sendJson(res, 401, { message: authError }, rate.headers);
+      return;
+    }
+
+    let body = {};
+    if (rawBody) {
+      try {
+        body = JSON.parse(rawBody);
+      } catch (error) {
+        sendJson(res, 400, { message: 'Request body must be JSON.' }, rate.headers);
+        return;
+      }
+    }
+
+    if (req.method === 'POST' && endpoint === 'validate-credentials') {
+      sendJson(res, 200, { isValid: true }, rate.headers);
+      return;
+    }
+
+    if (req.method === 'POST' && endpoint === 'payment-simulator/generate-url') {
+      const idempotencyKey = req.headers[IDEMPOTENCY_KEY_HEADER.toLowerCase()];
+      const result = idempotencyKey && idempotentResponses.has(idempotencyKey)
+        ? idempotentResponses.get(idempotencyKey)
+        : generateUrl(body);
+      if (idempotencyKey && result.status === 200) {
+        idempotentResponses.set(idempotencyKey, result);
+      }
+      sendJson(res, result.status, result.body, rate.headers);
+      return;
+    }
+
+    const statusMatch = /^payment-simulator\/status\/([^/]+)$/.exec(endpoint);
+    if (req.method === 'GET' && statusMatch) {
+      const transaction = transactions.get(decodeURIComponent(statusMatch[1]));
+      if (!transaction) {
+        sendJson(res, 404, { message: 'Transaction not found.' }, rate.headers);
+        return;
+      }
+      sendJson(res, 200, transaction, rate.headers);
+      return;
+    }
+
+    sendJson(res, 404, { message: `Unknown endpoint: ${req.method} /${endpoint}` }, rate.headers);
+  };
+
+  const handleSandbox = async (req, res, url, rawBody) => {
+    if (req.method === 'GET' && url.pathname === '/sandbox/payment') {
+      const transaction = transactions.get(url.searchParams.get('transaction_id'));
+      if (!transaction) {
+        sendHtml(res, 404, '<!DOCTYPE html><p>Transaction not found.</p>');
+        return;
+      }
+      sendHtml(res, 200, renderPaymentPage(transaction));
+      return;
+    }
+
+    const completeMatch = /^\/sandbox\/payment\/([^/]+)\/complete$/.exec(url.pathname);
+    if (req.method === 'POST' && completeMatch) {
+      const status = new URLSearchParams(rawBody).get('status') || 'Success';
+      try {
+        const { transaction } = await completePayment(decodeURIComponent(completeMatch[1]), status);
+        if (transaction.back_url) {
+          res.writeHead(303, { Location: transaction.back_url });
+          res.end();
+          return;
+        }
+        sendHtml(res, 200, renderPaymentPage(transaction));
+      } catch (error) {
+        sendHtml(res, 409, `<!DOCTYPE html><p>${escapeHtml(error.message)}</p>`);
+      }
+      return;
+    }
+
+    sendHtml(res, 404, '<!DOCTYPE html><p>Not found.</p>');
+  };
+
+  const handler = async (req, res) => {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const rawBody = await readRawBody(req);
+
+      if (url.pathname.startsWith('/sandbox/')) {
+        await handleSandbox(req, res, url, rawBody);
+        return;
+      }
+
+      // The hosted API is reachable with and without the /api prefix
+      const endpoint = url.pathname.replace(/^\/(api\/)?/, '').replace(/\/+$/, '');
+      await handleApi(req, res, endpoint, rawBody);
+    } catch (error) {
+      if (!res.headersSent) {
+        sendJson(res, 500, { message: error.message });
+      } else {
+        res.end();
+      }
+    }
+  };
+
+  const reset = () => {
+    transactions.clear();
+    idempotentResponses.clear();
+    callbacks.length = 0;
+    seenNonces.clear();
+    rateWindow = null;
+  };
+
+  return {
+    clientId,
+    secretKey,
+    handler,
+    transactions,
+    callbacks,
+    completePayment,
+    reset
+  };
+}
+
+/**
+ * Starts the simulator on a local HTTP server
+ *
+ * @param {Object} [options={}] - Simulator options (see `createSimulator`)
+ * @param {number} [options.port=0] - Port to listen on (0 picks a free port)
+ * @param {string} [options.host='127.0.0.1'] - Interface to listen on
+ * @returns {Promise<Object>} The running simulator with `url`, `port`, `server` and `close()`
+ */
+export async function startSimulator(options = {}) {
+  const { port = 0, host = '127.0.0.1', ...simulatorOptions } = options;
+  let baseUrl = '';
+  const simulator = createSimulator({ ...simulatorOptions, getBaseUrl: () => baseUrl });
+  const server = http.createServer(simulator.handler);
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+
+  const address = server.address();
+  baseUrl = `http://${address.family === 'IPv6' ? `[${address.address}]` : address.address}:${address.port}`;
+
+  return {
+    ...simulator,
+    url: baseUrl,
+    port: address.port,
+    server,
+    close: () => new Promise((resolve, reject) => {
+      server.close(error => (error ? reject(error) : resolve()));
+      if (server.closeAllConnections) {
+        server.closeAllConnections();
+      }
+    })
+  };
+}
+
+export default startSimulator;
@@ -79,7 +79,8 @@ describe('API Flow Integration Tests', () => {
       
       expect(paymentResult).toEqual({
         paymentUrl: 'http://api-testluy.paragoniu.app/api/sandbox/payment?transaction_id=test-transaction-123&amount=100.5&application_id=1&callback_url=https%3A%2F%2Fexample.com%2Fcallback',
-        transactionId: transactionId
+        transactionId: transactionId,
+        amount: 100.50
       });
       
       // Step 3: Check payment status
@@ -0,0 +1,178 @@
+/**
+ * @fileoverview
+ * Unit tests for signed payment callback verification
+ */
+
+import { jest } from '@jest/globals';
+import {
+  canonicalizeCallbackParams,
+  buildCallbackStringToSign,
+  createCallbackSignature,
+  verifyCallbackSignature
+} from '../../http/utils/CallbackSignature.js';
+import { timingSafeEqual } from '../../http/utils/CryptoPolyfill.js';
+import { SignatureVerificationError } from '../../http/errors/index.js';
+import TestluyPaymentSDK from '../../index-enhanced.js';
+
+const SECRET = 'test-secret-key';
+
+async function signCallback(params, secret = SECRET) {
+  return { ...params, signature: await createCallbackSignature(secret, params) };
+}
+
+describe('CallbackSignature', () => {
+  let now;
+
+  beforeEach(() => {
+    now = Date.now();
+  });
+
+  describe('canonicalizeCallbackParams', () => {
+    test('should sort keys, URL-encode values and skip the signature', () => {
+      const result = canonicalizeCallbackParams({
+        transaction_id: 'TRX 1',
+        amount: 10.5,
+        status: 'Success',
+        signature: 'ignored'
+      });
+
+      expect(result).toBe('amount=10.5&status=Success&transaction_id=TRX%201');
+    });
+
+    test('should prefix the timestamp in the string to sign', () => {
+      const result = buildCallbackStringToSign({ timestamp: 1700000000, transaction_id: 'abc' });
+
+      expect(result).toBe('1700000000\ntimestamp=1700000000&transaction_id=abc');
+    });
+  });
+
+  describe('timingSafeEqual', () => {
+    test('should compare strings of equal and different lengths', () => {
+      expect(timingSafeEqual('abcdef', 'abcdef')).toBe(true);
+      expect(timingSafeEqual('abcdef', 'abcdeg')).toBe(false);
+      expect(timingSafeEqual('abc', 'abcdef')).toBe(false);
+      expect(timingSafeEqual('abc', undefined)).toBe(false);
+    });
+  });
+
+  describe('verifyCallbackSignature', () => {
+    test('should accept a correctly signed, fresh callback', async () => {
+      const params = await signCallback({
+        transaction_id: 'trx-1',
+        status: 'Success',
+        timestamp: Math.floor(now / 1000)
+      });
+
+      await expect(verifyCallbackSignature(SECRET, params, { now })).resolves.toBe(true);
+    });
+
+    test('should accept query-string values (all strings)', async () => {
+      const signed = await signCallback({
+        transaction_id: 'trx-1',
+        amount: 10.5,
+        timestamp: Math.floor(now / 1000)
+      });
+      const fromQuery = Object.fromEntries(
+        Object.entries(signed).map(([key, value]) => [key, String(value)])
+      );
+
+      await expect(verifyCallbackSignature(SECRET, fromQuery, { now })).resolves.toBe(true);
+    });
+
+    test('should reject a tampered parameter', async () => {
+      const params = await signCallback({
+        transaction_id: 'trx-1',
+        status: 'Failed',
+        timestamp: Math.floor(now / 1000)
+      });
+      params.status = 'Success';
+
+      await expect(verifyCallbackSignature(SECRET, params, { now }))
+        .rejects.toMatchObject({ reason: 'signature_mismatch', code: 'SIGNATURE_VERIFICATION_FAILED' });
+    });
+
+    test('should reject a callback signed with another secret', async () => {
+      const params = await signCallback(
+        { transaction_id: 'trx-1', timestamp: Math.floor(now / 1000) },
+        'another-secret'
+      );
+
+      await expect(verifyCallbackSignature(SECRET, params, { now }))
+        .rejects.toBeInstanceOf(SignatureVerificationError);
+    });
+
+    test('should reject a callback outside the tolerance window', async () => {
+      const params = await signCallback({
+        transaction_id: 'trx-1',
+        timestamp: Math.floor(now / 1000) - 600
+      });
+
+      await expect(verifyCallbackSignature(SECRET, params, { now, toleranceSeconds: 300 }))
+        .rejects.toMatchObject({ reason: 'timestamp_out_of_tolerance' });
+    });
+
+    test('should reject missing signature and timestamp', async () => {
+      await expect(verifyCallbackSignature(SECRET, { transaction_id: 'trx-1', timestamp: 1 }, { now }))
+        .rejects.toMatchObject({ reason: 'missing_signature' });
+      await expect(verifyCallbackSignature(SECRET, { transaction_id: 'trx-1', signature: 'abc' }, { now }))
+        .rejects.toMatchObject({ reason: 'missing_timestamp' });
+      await expect(verifyCallbackSignature(SECRET, { signature: 'abc', timestamp: 'yesterday' }, { now }))
+        .rejects.toMatchObject({ reason: 'invalid_timestamp' });
+    });
+  });
+
+  describe('TestluyPaymentSDK.handlePaymentCallback in signed mode', () => {
+    let sdk;
+
+    beforeEach(() => {
+      sdk = new TestluyPaymentSDK({
+        clientId: 'test-client-id',
+        secretKey: SECRET,
+        callbackConfig: { verifySignature: true }
+      });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should skip the status round-trip for a verified callback', async () => {
+      const getPaymentStatus = jest.spyOn(sdk, 'getPaymentStatus');
+      const callbackData = await signCallback({
+        transaction_id: 'trx-1',
+        status: 'Success',
+        timestamp: Math.floor(Date.now() / 1000)
+      });
+
+      const result = await sdk.handlePaymentCallback(callbackData);
+
+      expect(getPaymentStatus).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ transactionId: 'trx-1', status: 'Success', verified: true });
+      expect(result.paymentDetails).not.toHaveProperty('signature');
+    });
+
+    test('should fetch the status when fetchStatus is requested', async () => {
+      const getPaymentStatus = jest.spyOn(sdk, 'getPaymentStatus')
+        .mockResolvedValue({ transaction_id: 'trx-1', status: 'Success' });
+      const callbackData = await signCallback({
+        transaction_id: 'trx-1',
+        status: 'Success',
+        timestamp: Math.floor(Date.now() / 1000)
+      });
+
+      const result = await sdk.handlePaymentCallback(callbackData, { fetchStatus: true });
+
+      expect(getPaymentStatus).toHaveBeenCalledWith('trx-1');
+      expect(result.verified).toBe(true);
+    });
+
+    test('should throw a typed error for an unsigned callback', async () => {
+      const getPaymentStatus = jest.spyOn(sdk, 'getPaymentStatus');
+
+      await expect(sdk.handlePaymentCallback({ transaction_id: 'trx-1', status: 'Success' }))
+        .rejects.toBeInstanceOf(SignatureVerificationError);
+      expect(getPaymentStatus).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * @fileoverview
+ * Unit tests for cancelling initiated payments
+ */
+
+import { jest } from '@jest/globals';
+import { PaymentStateError } from '../../http/errors/index.js';
+import TestluyPaymentSDK from '../../index-enhanced.js';
+
+describe('TestluyPaymentSDK.cancelPayment', () => {
+  let sdk;
+  let makeRequest;
+  let getPaymentStatus;
+
+  beforeEach(() => {
+    sdk = new TestluyPaymentSDK({ clientId: 'test-client-id', secretKey: 'test-secret-key' });
+    getPaymentStatus = jest.spyOn(sdk, 'getPaymentStatus').mockResolvedValue({
+      transaction_id: 'trx-1',
+      status: 'Initiated'
+    });
+    makeRequest = jest.spyOn(sdk, '_makeRequest').mockResolvedValue({
+      transaction_id: 'trx-1',
+      status: 'Cancelled'
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each(['Initiated', 'Pending'])('should cancel a payment in status %s', async (status) => {
+    getPaymentStatus.mockResolvedValue({ transaction_id: 'trx-1', status });
+
+    const result = await sdk.cancelPayment('trx-1', 'cart_abandoned');
+
+    const [method, path, body, options] = makeRequest.mock.calls[0];
+    expect(method).toBe('POST');
+    expect(path).toContain('payment-simulator/cancel/trx-1');
+    expect(body).toEqual({ reason: 'cart_abandoned' });
+    expect(options).toEqual({ idempotent: true });
+    expect(result.status).toBe('Cancelled');
+  });
+
+  test('should keep the transaction ID inside its path segment', async () => {
+    getPaymentStatus.mockResolvedValue({ transaction_id: 'trx/1?x#y', status: 'Pending' });
+
+    await sdk.cancelPayment('trx/1?x#y');
+
+    expect(makeRequest.mock.calls[0][1]).toMatch(/payment-simulator\/cancel\/trx%2F1%3Fx%23y$/);
+  });
+
+  test.each(['Success', 'Failed', 'Cancelled', 'Refunded'])(
+    'should throw a typed error for a terminal %s payment',
+    async (status) => {
+      getPaymentStatus.mockResolvedValue({ transaction_id: 'trx-1', status });
+
+      const error = await sdk.cancelPayment('trx-1').catch(e => e);
+
+      expect(error).toBeInstanceOf(PaymentStateError);
+      expect(error).toMatchObject({
+        transactionId: 'trx-1',
+        paymentStatus: status,
+        operation: 'cancel',
+        allowedStatuses: ['Initiated', 'Pending']
+      });
+      expect(makeRequest).not.toHaveBeenCalled();
+    }
+  );
+
+  test('should send an empty body without a reason', async () => {
+    await sdk.cancelPayment('trx-1');
+
+    expect(makeRequest.mock.calls[0][2]).toEqual({});
+  });
+
+  test('should wrap API failures', async () => {
+    makeRequest.mockRejectedValue(new Error('API request failed: Not found'));
+
+    await expect(sdk.cancelPayment('trx-1'))
+      .rejects.toThrow('Failed to cancel payment: API request failed: Not found');
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview
+ * Unit tests for the canonical JSON encoding of signed request bodies
+ */
+
+import { jest } from '@jest/globals';
+import { canonicalJsonStringify, serializeRequestBody } from '../../http/utils/CanonicalJson.js';
+import { verifyRequestSignature } from '../../http/utils/RequestSignature.js';
+import NodeAdapter from '../../http/adapters/NodeAdapter.js';
+import FetchAdapter from '../../http/adapters/FetchAdapter.js';
+import XhrAdapter from '../../http/adapters/XhrAdapter.js';
+import Money from '../../money.js';
+import TestluyPaymentSDK from '../../index-enhanced.js';
+
+const BODY = {
+  callback_url: 'https://shop.example.com/callback',
+  amount: 10.5,
+  metadata: { table: 7, note: 'café ☕', skipped: undefined }
+};
+const CANONICAL_BODY = '{"amount":10.5,"callback_url":"https://shop.example.com/callback","metadata":{"note":"café ☕","table":7}}';
+
+describe('CanonicalJson', () => {
+  describe('canonicalJsonStringify', () => {
+    test('should sort keys at every level and leave out undefined members', () => {
+      expect(canonicalJsonStringify(BODY)).toBe(CANONICAL_BODY);
+      expect(canonicalJsonStringify({ b: [{ d: 1, c: 2 }, undefined, () => {}], a: null }))
+        .toBe('{"a":null,"b":[{"c":2,"d":1},null,null]}');
+      expect(canonicalJsonStringify(undefined)).toBeUndefined();
+    });
+
+    test('should format numbers in their shortest form', () => {
+      expect(canonicalJsonStringify([0.1, 1e21, 1.5e-7, -0, 100])).toBe('[0.1,1e+21,1.5e-7,0,100]');
+    });
+
+    test('should encode values with toJSON from its result', () => {
+      expect(canonicalJsonStringify({
+        at: new Date(Date.UTC(2025, 0, 2)),
+        amount: Money.of('10.50')
+      })).toBe(`{"amount":${JSON.stringify(Money.of('10.50'))},"at":"2025-01-02T00:00:00.000Z"}`);
+    });
+
+    test.each([
+      ['NaN', { amount: NaN }],
+      ['Infinity', [Infinity]],
+      ['a BigInt', { amount: 10n }],
+      ['a circular structure', (() => { const value = {}; value.self = value; return value; })()]
+    ])('should reject %s', (name, value) => {
+      expect(() => canonicalJsonStringify(value)).toThrow(TypeError);
+    });
+  });
+
+  describe('serializeRequestBody', () => {
+    test('should pass strings and form data through and encode objects', () => {
+      const form = new URLSearchParams({ a: '1' });
+
+      expect(serializeRequestBody('{"b":1,"a":2}')).toBe('{"b":1,"a":2}');
+      expect(serializeRequestBody(form)).toBe(form);
+      expect(serializeRequestBody({ b: 1, a: 2 })).toBe('{"a":2,"b":1}');
+      expect(serializeRequestBody(null)).toBeUndefined();
+    });
+  });
+
+  describe('HTTP adapters', () => {
+    let sent;
+
+    beforeEach(() => {
+      sent = [];
+      jest.spyOn(globalThis, 'fetch').mockImplementation(async (url, options) => {
+        sent.push(options.body);
+        return new Response('{}', { status: 200, headers: { 'content-type': 'application/json' } });
+      });
+      globalThis.XMLHttpRequest = class {
+        open() {}
+        setRequestHeader() {}
+        getAllResponseHeaders() { return 'content-type: application/json'; }
+        getResponseHeader() { return 'application/json'; }
+        send(body) {
+          sent.push(body);
+          Object.assign(this, { status: 200, statusText: 'OK', responseText: '{}' });
+          this.onload();
+        }
+      };
+    });
+
+    afterEach(() => {
+      delete globalThis.XMLHttpRequest;
+      jest.restoreAllMocks();
+    });
+
+    const withoutTestMocks = async (request) => {
+      // NodeAdapter answers with canned responses under Jest
+      const { NODE_ENV, JEST_WORKER_ID } = process.env;
+      delete process.env.NODE_ENV;
+      delete process.env.JEST_WORKER_ID;
+      try {
+        return await request();
+      } finally {
+        Object.assign(process.env, { NODE_ENV, JEST_WORKER_ID });
+      }
+    };
+
+    test('should send byte-identical bodies for objects and signed strings', async () => {
+      const adapters = [
+        new NodeAdapter({ baseUrl: 'https://api.example.com', adapter: 'node-fetch' }),
+        new FetchAdapter({ baseUrl: 'https://api.example.com', timeout: 1000 }),
+        new XhrAdapter({ baseUrl: 'https://api.example.com' })
+      ];
+
+      for (const data of [BODY, CANONICAL_BODY]) {
+        for (const adapter of adapters) {
+          await withoutTestMocks(() => adapter.request({ method: 'POST', url: '/api/payment-simulator/generate-url', data }));
+        }
+      }
+
+      expect(sent).toEqual(Array(6).fill(CANONICAL_BODY));
+    });
+  });
+
+  describe('TestluyPaymentSDK', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should hand the adapter the exact body string it signed', async () => {
+      const sdk = new TestluyPaymentSDK({ clientId: 'client-1', secretKey: 'test-secret-key', signatureVersion: 'v2' });
+      await sdk._ensureHttpClientInitialized();
+      const adapterRequest = jest.spyOn(sdk.httpClient.httpClient, 'request').mockImplementation(async config => ({
+        data: { payment_url: 'https://pay.example.com/trx-1', transaction_id: 'trx-1' },
+        status: 200,
+        headers: {},
+        config
+      }));
+
+      await sdk.httpClient.request({ method: 'POST', url: '/api/payment-simulator/generate-url', data: BODY });
+
+      const [{ method, url, headers, data }] = adapterRequest.mock.calls[0];
+      expect(data).toBe(CANONICAL_BODY);
+      await expect(verifyRequestSignature('test-secret-key', { method, url, headers, body: data })).resolves.toBe(true);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * @fileoverview
+ * Unit tests for recording and replaying HTTP interactions with cassettes
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Cassette, { CassetteMode } from '../../http/Cassette.js';
+import EnhancedHttpClient from '../../http/EnhancedHttpClient.js';
+import NodeAdapter from '../../http/adapters/NodeAdapter.js';
+import FetchAdapter from '../../http/adapters/FetchAdapter.js';
+import XhrAdapter from '../../http/adapters/XhrAdapter.js';
+import { SDKError } from '../../http/errors/index.js';
+
+const BASE_URL = 'https://api-testluy.paragoniu.app';
+
+const paymentRequest = (timestamp, body) => ({
+  method: 'POST',
+  url: '/api/payment-simulator/generate-url',
+  headers: {
+    'X-Client-ID': 'client-1',
+    'X-Timestamp': timestamp,
+    'X-Signature': `signature-${timestamp}`,
+    'Idempotency-Key': 'order-1-attempt-1'
+  },
+  data: body
+});
+
+const paymentBody = {
+  amount: '10.00',
+  callback_url: 'https://shop.example.com/callback',
+  metadata: { table: 7, api_token: 'tok_live_123456' }
+};
+
+describe('Cassette', () => {
+  let dir;
+  let cassettePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'testluy-cassette-'));
+    cassettePath = path.join(dir, 'nested', 'payments.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('should reject unknown modes and a missing path', () => {
+    expect(() => new Cassette({ mode: 'replay' })).toThrow('Cassette requires a file path.');
+    expect(() => new Cassette({ path: cassettePath, mode: 'rewind' })).toThrow('Invalid cassette mode "rewind"');
+  });
+
+  test('should canonicalize paths and bodies', () => {
+    const cassette = new Cassette({ path: cassettePath });
+
+    expect(cassette.canonicalPath('/api/list?status=Success&limit=10')).toBe('/api/list?limit=10&status=Success');
+    expect(cassette.canonicalBody({ b: 1, a: { d: 2, c: 3 } })).toBe('{"a":{"c":3,"d":2},"b":1}');
+    expect(cassette.canonicalBody('{"b":1,"a":2}')).toBe('{"a":2,"b":1}');
+    expect(cassette.canonicalBody(undefined)).toBe('');
+  });
+
+  describe.each([
+    ['NodeAdapter', 'node-fetch', NodeAdapter],
+    ['FetchAdapter', 'fetch', FetchAdapter],
+    ['XhrAdapter', 'xhr', XhrAdapter]
+  ])('with %s', (name, httpClient, Adapter) => {
+    const createClient = mode => new EnhancedHttpClient({
+      baseUrl: BASE_URL,
+      httpClient,
+      cassette: { path: cassettePath, mode }
+    });
+
+    test('should record scrubbed interactions and replay them without the network', async () => {
+      const adapterRequest = jest.spyOn(Adapter.prototype, 'request').mockResolvedValue({
+        data: { transaction_id: 'trx-1', payment_url: 'https://pay.example.com/trx-1', access_token: 'secret-token-value' },
+        status: 200,
+        statusText: 'OK',
+        headers: { 'x-ratelimit-remaining': '99' }
+      });
+
+      const recorder = createClient(CassetteMode.RECORD);
+      expect(recorder.httpClient).toBeInstanceOf(Adapter);
+      await recorder.request(paymentRequest('1700000000', paymentBody));
+      expect(adapterRequest).toHaveBeenCalledTimes(1);
+
+      const written = fs.readFileSync(cassettePath, 'utf8');
+      expect(written).not.toContain('tok_live_123456');
+      expect(written).not.toContain('secret-token-value');
+      expect(written).not.toContain('order-1-attempt-1');
+      expect(written).not.toContain('1700000000');
+      expect(JSON.parse(written).interactions[0].request).toMatchObject({
+        method: 'POST',
+        path: '/api/payment-simulator/generate-url',
+        headers: { 'X-Client-ID': 'client-1' }
+      });
+
+      adapterRequest.mockClear();
+      const player = createClient(CassetteMode.REPLAY);
+      const reorderedBody = {
+        metadata: { api_token: 'tok_live_123456', table: 7 },
+        callback_url: paymentBody.callback_url,
+        amount: '10.00'
+      };
+      const data = await player.request(paymentRequest('1700000999', reorderedBody));
+
+      expect(data.transaction_id).toBe('trx-1');
+      expect(adapterRequest).not.toHaveBeenCalled();
+    });
+
+    test('should fail unmatched requests in replay mode', async () => {
+      jest.spyOn(Adapter.prototype, 'request').mockResolvedValue({ data: {}, status: 200, headers: {} });
+      await createClient(CassetteMode.RECORD).request(paymentRequest('1700000000', paymentBody));
+
+      const player = createClient(CassetteMode.REPLAY);
+      const error = await player
+        .request(paymentRequest('1700000000', { ...paymentBody, amount: '11.00' }))
+        .catch(caught => caught);
+
+      expect(error).toBeInstanceOf(SDKError);
+      expect(error.code).toBe('CASSETTE_NO_MATCH');
+    });
+  });
+
+  test('should replay recorded error responses as errors', async () => {
+    const rateLimited = Object.assign(new Error('HTTP 429: Too Many Requests'), {
+      response: { status: 429, statusText: 'Too Many Requests', headers: { 'retry-after': '30' }, data: {} }
+    });
+    const adapter = { request: jest.fn().mockRejectedValue(rateLimited) };
+    await expect(new Cassette({ path: cassettePath, mode: 'record' }).wrap(adapter)({ method: 'GET', url: '/api/status/trx-1' }))
+      .rejects.toBe(rateLimited);
+
+    const replay = new Cassette({ path: cassettePath, mode: 'replay' }).wrap(adapter);
+    const error = await replay({ method: 'GET', url: '/api/status/trx-1' }).catch(caught => caught);
+
+    expect(error.message).toBe('HTTP 429: Too Many Requests');
+    expect(error.response).toMatchObject({ status: 429, headers: { 'retry-after': '30' } });
+    expect(adapter.request).toHaveBeenCalledTimes(1);
+  });
+
+  test('should replay identical requests in order and record new ones in auto mode', async () => {
+    const statuses = ['Pending', 'Success'];
+    const adapter = {
+      request: jest.fn(async () => ({ data: { status: statuses.shift() }, status: 200, headers: {} }))
+    };
+    const recorder = new Cassette({ path: cassettePath, mode: 'record' }).wrap(adapter);
+    await recorder({ method: 'GET', url: '/api/status/trx-1' });
+    await recorder({ method: 'GET', url: '/api/status/trx-1' });
+
+    adapter.request.mockClear();
+    adapter.request.mockResolvedValue({ data: { status: 'Initiated' }, status: 200, headers: {} });
+    const auto = new Cassette({ path: cassettePath, mode: 'auto' }).wrap(adapter);
+    const played = [];
+    for (let i = 0; i < 3; i++) {
+      played.push((await auto({ method: 'GET', url: '/api/status/trx-1' })).data.status);
+    }
+    const recorded = await auto({ method: 'GET', url: '/api/status/trx-2' });
+
+    expect(played).toEqual(['Pending', 'Success', 'Success']);
+    expect(recorded.data.status).toBe('Initiated');
+    expect(adapter.request).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(fs.readFileSync(cassettePath, 'utf8')).interactions).toHaveLength(3);
+  });
+
+  test('should fail replay when the cassette file is missing', async () => {
+    const replay = new Cassette({ path: cassettePath }).wrap({ request: jest.fn() });
+
+    await expect(replay({ method: 'GET', url: '/api/status/trx-1' }))
+      .rejects.toMatchObject({ code: 'CASSETTE_NOT_FOUND' });
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * @fileoverview
+ * Unit tests for the testluy command-line tool
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { run, EXIT_CODES } from '../../cli/index.js';
+import TestluyPaymentSDK from '../../index-enhanced.js';
+import logger from '../../http/Logger.js';
+import {
+  SDKError,
+  RateLimitError,
+  CloudflareError,
+  AuthenticationError,
+  PaymentTimeoutError
+} from '../../http/errors/index.js';
+
+const CREDENTIALS = ['--client-id', 'flag-client', '--secret-key', 'flag-secret'];
+
+describe('testluy CLI', () => {
+  let dir;
+  let configFile;
+  let sdk;
+  let createSDK;
+  let stdout;
+  let stderr;
+
+  const output = () => {
+    let text = '';
+    return { write: chunk => { text += chunk; }, get text() { return text; } };
+  };
+
+  const cli = (argv, env = {}) => run(argv, {
+    env: { TESTLUY_CONFIG_FILE: configFile, ...env },
+    stdout,
+    stderr,
+    createSDK
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'testluy-cli-'));
+    configFile = path.join(dir, 'testluy.config.json');
+    fs.writeFileSync(configFile, '{}');
+    stdout = output();
+    stderr = output();
+    sdk = {
+      validateCredentials: jest.fn().mockResolvedValue(true),
+      initiatePayment: jest.fn().mockResolvedValue({
+        paymentUrl: 'https://pay.example.com/trx-1',
+        transactionId: 'trx-1',
+        amount: '10.50'
+      }),
+      getPaymentStatus: jest.fn().mockResolvedValue({ transaction_id: 'trx-1', status: 'Pending' }),
+      waitForPaymentCompletion: jest.fn(),
+      getRoutingInfo: jest.fn().mockReturnValue({ smartRoutingEnabled: true, currentBaseUrl: 'https://api.example.com' }),
+      generateAdvancedDiagnosticReport: jest.fn().mockReturnValue({ summary: { healthStatus: 'healthy' } })
+    };
+    createSDK = jest.fn(() => sdk);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should print help, the version and usage errors', async () => {
+    expect(await cli(['--help'])).toBe(EXIT_CODES.OK);
+    expect(stdout.text).toContain('Usage: testluy <command>');
+
+    expect(await cli(['--version'])).toBe(EXIT_CODES.OK);
+    expect(stdout.text).toMatch(/\d+\.\d+\.\d+\n$/);
+
+    expect(await cli([])).toBe(EXIT_CODES.USAGE);
+    expect(await cli(['refund', ...CREDENTIALS])).toBe(EXIT_CODES.USAGE);
+    expect(await cli(['validate', '--verbose'])).toBe(EXIT_CODES.USAGE);
+    expect(stderr.text).toContain('Unknown command "refund"');
+    expect(createSDK).not.toHaveBeenCalled();
+  });
+
+  test('should take options from flags, then env vars, then the config file profile', async () => {
+    fs.writeFileSync(configFile, JSON.stringify({
+      clientId: 'default-client',
+      secretKey: 'default-secret',
+      profiles: {
+        staging: { clientId: 'staging-client', secretKey: 'staging-secret', baseUrl: 'https://staging.example.com' }
+      }
+    }));
+    const otherFile = path.join(dir, 'other.json');
+    fs.writeFileSync(otherFile, JSON.stringify({ clientId: 'other-client', secretKey: 'other-secret' }));
+
+    await cli(['validate']);
+    await cli(['validate', '--profile', 'staging'], { TESTLUY_SECRET_KEY: 'env-secret' });
+    await cli(['validate', '--client-id', 'flag-client'], { TESTLUY_PROFILE: 'staging' });
+    await cli(['validate', '--config', otherFile]);
+
+    expect(createSDK.mock.calls.map(([{ loggingConfig, ...options }]) => options)).toEqual([
+      { clientId: 'default-client', secretKey: 'default-secret' },
+      { clientId: 'staging-client', secretKey: 'env-secret', baseUrl: 'https://staging.example.com', profile: 'staging' },
+      { clientId: 'flag-client', secretKey: 'staging-secret', baseUrl: 'https://staging.example.com' },
+      { clientId: 'other-client', secretKey: 'other-secret', configFile: otherFile }
+    ]);
+  });
+
+  test('should send SDK logs to stderr so stdout only carries the result', async () => {
+    await cli(['validate', ...CREDENTIALS], { TESTLUY_LOG_LEVEL: 'info' });
+    const [options] = createSDK.mock.calls[0];
+    expect(options.loggingConfig.level).toBe('info');
+
+    const realSDK = new TestluyPaymentSDK(options);
+    await realSDK._ensureHttpClientInitialized();
+    try {
+      logger.info('Checking credentials', { attempt: 1 });
+      realSDK.errorHandler.errorReporter.config.logger.info('Error report');
+    } finally {
+      logger.updateConfig({ level: 'warn', transport: null });
+    }
+
+    expect(stderr.text).toContain('[INFO] [TestluyPaymentSDK] Checking credentials { attempt: 1 }\n');
+    expect(stderr.text).toContain('[TestluyPaymentSDK] [[ErrorReporter]] Error report\n');
+    expect(stdout.text).toBe('valid: true\n');
+  });
+
+  test('should fail with a usage error when credentials, the profile or the config file are missing', async () => {
+    expect(await cli(['validate'])).toBe(EXIT_CODES.USAGE);
+    expect(stderr.text).toContain('Missing credentials');
+
+    fs.writeFileSync(configFile, JSON.stringify({ profiles: { staging: { clientId: 'a', secretKey: 'b' } } }));
+    expect(await cli(['validate', '--profile', 'prod', '--json'])).toBe(EXIT_CODES.USAGE);
+    expect(JSON.parse(stderr.text.split('\n')[1]).error).toMatchObject({
+      code: 'USAGE_ERROR',
+      message: expect.stringContaining('Profile "prod" not found'),
+      exitCode: 2
+    });
+
+    expect(await cli(['validate', ...CREDENTIALS], { TESTLUY_CONFIG_FILE: path.join(dir, 'missing.json') }))
+      .toBe(EXIT_CODES.USAGE);
+    expect(stderr.text).toContain('Cannot read config file');
+    expect(createSDK).not.toHaveBeenCalled();
+  });
+
+  test('should validate credentials', async () => {
+    expect(await cli(['validate'], { TESTLUY_CLIENT_ID: 'env-client', TESTLUY_SECRET_KEY: 'env-secret' })).toBe(EXIT_CODES.OK);
+
+    expect(sdk.validateCredentials).toHaveBeenCalled();
+    expect(stdout.text).toBe('valid: true\n');
+  });
+
+  test('should create a payment and print its URL and transaction ID', async () => {
+    const code = await cli([
+      'pay', '10.50', '--callback', 'https://shop.example.com/callback',
+      '--back', 'https://shop.example.com/cart', '--order-id', 'order-1', '--json', ...CREDENTIALS
+    ]);
+
+    expect(code).toBe(EXIT_CODES.OK);
+    expect(sdk.initiatePayment).toHaveBeenCalledWith({
+      amount: '10.50',
+      callbackUrl: 'https://shop.example.com/callback',
+      backUrl: 'https://shop.example.com/cart',
+      orderId: 'order-1'
+    });
+    expect(JSON.parse(stdout.text)).toEqual({ paymentUrl: 'https://pay.example.com/trx-1', transactionId: 'trx-1' });
+  });
+
+  test('should reject invalid payment arguments before calling the API', async () => {
+    expect(await cli(['pay', '10.505', '--callback', 'https://shop.example.com/callback', ...CREDENTIALS]))
+      .toBe(EXIT_CODES.VALIDATION);
+    expect(await cli(['pay', '10', ...CREDENTIALS])).toBe(EXIT_CODES.USAGE);
+
+    expect(stderr.text).toContain('"amount" must have at most 2 decimal places');
+    expect(sdk.initiatePayment).not.toHaveBeenCalled();
+  });
+
+  test('should watch a payment until it completes', async () => {
+    sdk.waitForPaymentCompletion.mockImplementation(async (transactionId, { onUpdate }) => {
+      onUpdate({ transaction_id: transactionId, status: 'Pending' });
+      onUpdate({ transaction_id: transactionId, status: 'Success' });
+      return { transaction_id: transactionId, status: 'Success' };
+    });
+
+    const code = await cli(['status', 'trx-1', '--watch', '--interval', '0.5', '--timeout', '60', '--json', ...CREDENTIALS]);
+
+    expect(code).toBe(EXIT_CODES.OK);
+    expect(sdk.waitForPaymentCompletion).toHaveBeenCalledWith('trx-1', expect.objectContaining({
+      intervalMs: 500,
+      timeoutMs: 60000
+    }));
+    const lines = stdout.text.trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(line => line.status)).toEqual(['Pending', 'Success', 'Success']);
+    expect(lines[2]).toEqual({ transaction_id: 'trx-1', status: 'Success' });
+  });
+
+  test('should print the status once without --watch', async () => {
+    expect(await cli(['status', 'trx-1', ...CREDENTIALS])).toBe(EXIT_CODES.OK);
+
+    expect(sdk.getPaymentStatus).toHaveBeenCalledWith('trx-1');
+    expect(stdout.text).toBe('transaction_id: trx-1\nstatus:         Pending\n');
+  });
+
+  test.each([
+    ['a rate limit', new RateLimitError('Failed to get payment status: Rate limit exceeded. Wait 30 seconds'), 'RATE_LIMIT_EXCEEDED', EXIT_CODES.RATE_LIMITED],
+    ['a Cloudflare block', new CloudflareError('Failed to get payment status: Cloudflare protection encountered.'), 'CLOUDFLARE_BLOCKED', EXIT_CODES.CLOUDFLARE_BLOCKED],
+    ['rejected credentials', new AuthenticationError('Failed to get payment status: HTTP 401: Unauthorized'), 'AUTHENTICATION_ERROR', EXIT_CODES.AUTHENTICATION],
+    ['a watch timeout', new PaymentTimeoutError('Payment trx-1 did not complete within 1000ms'), 'PAYMENT_TIMEOUT', EXIT_CODES.TIMEOUT],
+    ['any other SDK failure', new SDKError('Failed to get payment status: socket hang up', 'UNKNOWN_ERROR'), 'UNKNOWN_ERROR', EXIT_CODES.ERROR],
+    ['an unexpected failure', new Error('socket hang up'), 'ERROR', EXIT_CODES.ERROR]
+  ])('should map %s to its exit code', async (name, error, code, exitCode) => {
+    sdk.getPaymentStatus.mockRejectedValue(error);
+    sdk.waitForPaymentCompletion.mockRejectedValue(error);
+
+    const args = error instanceof PaymentTimeoutError ? ['--watch'] : [];
+    expect(await cli(['status', 'trx-1', ...args, '--json', ...CREDENTIALS])).toBe(exitCode);
+
+    expect(stdout.text).toBe('');
+    expect(JSON.parse(stderr.text).error).toEqual({ code, message: error.message, exitCode });
+  });
+
+  test('should show routing information', async () => {
+    expect(await cli(['routing', '--json', ...CREDENTIALS])).toBe(EXIT_CODES.OK);
+
+    expect(JSON.parse(stdout.text)).toEqual({ smartRoutingEnabled: true, currentBaseUrl: 'https://api.example.com' });
+  });
+
+  test('should run the doctor with metrics enabled and fail when credentials are rejected', async () => {
+    sdk.validateCredentials.mockRejectedValue(new AuthenticationError('Credentials validation failed: HTTP 403: Forbidden'));
+
+    expect(await cli(['doctor', '--json', ...CREDENTIALS])).toBe(EXIT_CODES.AUTHENTICATION);
+
+    expect(createSDK).toHaveBeenCalledWith(expect.objectContaining({
+      loggingConfig: { enableMetrics: true, transport: expect.any(Function) }
+    }));
+    expect(JSON.parse(stdout.text)).toEqual({
+      credentials: {
+        valid: false,
+        code: 'AUTHENTICATION_ERROR',
+        exitCode: EXIT_CODES.AUTHENTICATION,
+        error: 'Credentials validation failed: HTTP 403: Forbidden'
+      },
+      routing: { smartRoutingEnabled: true, currentBaseUrl: 'https://api.example.com' },
+      report: { summary: { healthStatus: 'healthy' } }
+    });
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * @fileoverview
+ * Unit tests for client tokens, the token route and the browser client
+ */
+
+import { jest } from '@jest/globals';
+import { createClientToken, verifyClientToken } from '../../http/utils/ClientToken.js';
+import { createPaymentRoutes } from '../../integrations/routes.js';
+import { TestluyPaymentClient } from '../../client/index.js';
+import { ClientTokenError, ValidationError } from '../../http/errors/index.js';
+import TestluyPaymentSDK from '../../index-enhanced.js';
+
+const SECRET = 'test-secret-key';
+const NOW = Date.UTC(2026, 0, 1, 12, 0, 0);
+
+const rejection = promise => promise.then(
+  () => { throw new Error('Expected a rejection'); },
+  error => error
+);
+
+describe('Client tokens', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('createClientToken / verifyClientToken', () => {
+    test('should mint a token whose scope limits action, currency and amount', async () => {
+      const { token, expiresAt, scope } = await createClientToken(SECRET, {
+        clientId: 'client-1',
+        actions: ['initiatePayment'],
+        maxAmount: 50,
+        ttlSeconds: 600,
+        now: NOW
+      });
+
+      expect(token).toMatch(/^tlct1\.[\w-]+\.[0-9a-f]{64}$/);
+      expect(expiresAt).toBe('2026-01-01T12:10:00.000Z');
+      expect(scope).toEqual({ actions: ['initiatePayment'], currency: 'USD', maxAmount: '50.00' });
+
+      const check = options => rejection(verifyClientToken(SECRET, token, { clientId: 'client-1', now: NOW, ...options }));
+      await expect(verifyClientToken(SECRET, token, { clientId: 'client-1', action: 'initiatePayment', amount: '50.00', now: NOW }))
+        .resolves.toMatchObject({ clientId: 'client-1', issuedAt: '2026-01-01T12:00:00.000Z', expiresAt, scope });
+      expect(await check({ action: 'getPaymentStatus' })).toMatchObject({ reason: 'action_not_allowed', isScopeViolation: true });
+      expect(await check({ amount: 50.01 })).toMatchObject({ reason: 'amount_exceeded', isScopeViolation: true });
+      expect(await check({ amount: 10, currency: 'KHR' })).toMatchObject({ reason: 'currency_not_allowed' });
+      expect(await check({ clientId: 'client-2' })).toMatchObject({ reason: 'client_mismatch', isScopeViolation: false });
+      expect(await check({ now: NOW + 600 * 1000 })).toMatchObject({ reason: 'expired', expiresAt });
+    });
+
+    test('should reject missing, malformed and forged tokens', async () => {
+      const { token } = await createClientToken(SECRET, { clientId: 'client-1', maxAmount: 50 });
+      const [prefix, payload, signature] = token.split('.');
+      const widened = Buffer.from(
+        Buffer.from(payload, 'base64url').toString().replace('"50.00"', '"5000.00"')
+      ).toString('base64url');
+
+      expect(await rejection(verifyClientToken(SECRET, undefined))).toMatchObject({ reason: 'missing_token' });
+      expect(await rejection(verifyClientToken(SECRET, 'not-a-token'))).toMatchObject({ reason: 'malformed_token' });
+      expect(await rejection(verifyClientToken(SECRET, `${prefix}.${widened}.${signature}`)))
+        .toMatchObject({ reason: 'signature_mismatch' });
+      expect(await rejection(verifyClientToken('other-secret', token))).toBeInstanceOf(ClientTokenError);
+    });
+  });
+
+  describe('TestluyPaymentSDK', () => {
+    test('should validate token options and bind tokens to its credentials', async () => {
+      const sdk = new TestluyPaymentSDK({ clientId: 'client-1', secretKey: SECRET });
+      const { token } = await sdk.createClientToken({ actions: ['getPaymentStatus'], ttlSeconds: 60 });
+
+      await expect(sdk.verifyClientToken(token, { action: 'getPaymentStatus' })).resolves.toMatchObject({ clientId: 'client-1' });
+      await expect(sdk.createClientToken({ actions: ['refundPayment'], ttlSeconds: 7200 })).rejects.toMatchObject({
+        validationDetails: [{ field: 'actions.0' }, { field: 'ttlSeconds' }]
+      });
+
+      sdk.rotateCredentials({ secretKey: 'rotated-secret-key' });
+      await expect(sdk.verifyClientToken(token)).rejects.toMatchObject({ reason: 'signature_mismatch' });
+    });
+  });
+
+  describe('payment routes with clientTokens', () => {
+    let sdk;
+    let authorize;
+    let match;
+
+    const dispatch = async (method, path, { body, headers = {} } = {}) => {
+      const matched = match(method, path);
+      return matched.route.handler({
+        method,
+        path,
+        params: matched.params,
+        query: {},
+        body,
+        headers,
+        origin: 'https://shop.example.com',
+        mountPath: '',
+        raw: {}
+      });
+    };
+
+    const issueToken = async () => (await dispatch('POST', '/pay/token')).body.token;
+
+    beforeEach(() => {
+      sdk = new TestluyPaymentSDK({ clientId: 'client-1', secretKey: SECRET });
+      jest.spyOn(sdk, 'initiatePayment').mockResolvedValue({ paymentUrl: 'https://pay.example.com/t', transactionId: 'trx-1' });
+      jest.spyOn(sdk, 'getPaymentStatus').mockResolvedValue({ transaction_id: 'trx-1', status: 'Pending' });
+      authorize = jest.fn(() => ({ maxAmount: 50 }));
+      ({ match } = createPaymentRoutes(sdk, { basePath: '/pay', clientTokens: { authorize, ttlSeconds: 300 } }));
+    });
+
+    test('should issue tokens with the scope granted by authorize, or refuse with 403', async () => {
+      const response = await dispatch('POST', '/pay/token');
+
+      expect(response).toMatchObject({ status: 201, headers: { 'Cache-Control': 'no-store' } });
+      expect(response.body.scope).toEqual({ actions: ['initiatePayment', 'getPaymentStatus'], currency: 'USD', maxAmount: '50.00' });
+      expect(Date.parse(response.body.expiresAt) - Date.now()).toBeLessThanOrEqual(300 * 1000);
+
+      authorize.mockReturnValue(false);
+      expect(await dispatch('POST', '/pay/token')).toMatchObject({ status: 403, body: { error: { code: 'CLIENT_TOKEN_ERROR' } } });
+      expect(createPaymentRoutes(sdk).match('POST', '/token')).toBeNull();
+    });
+
+    test('should require a token and check its scope against the payment', async () => {
+      const token = await issueToken();
+      const withToken = { headers: { authorization: `Bearer ${token}` } };
+
+      expect(await dispatch('POST', '/pay/payments', { body: { amount: 20 } }))
+        .toMatchObject({ status: 401, headers: { 'WWW-Authenticate': 'Bearer' }, body: { error: { reason: 'missing_token' } } });
+      expect(await dispatch('POST', '/pay/payments', { ...withToken, body: { amount: 75 } }))
+        .toMatchObject({ status: 403, body: { error: { reason: 'amount_exceeded' } } });
+      expect(await dispatch('POST', '/pay/payments', { ...withToken, body: { amount: 20 } })).toMatchObject({ status: 201 });
+      expect(await dispatch('GET', '/pay/payments/trx-1', withToken)).toMatchObject({ status: 200, body: { status: 'Pending' } });
+      expect(sdk.initiatePayment).toHaveBeenCalledTimes(1);
+    });
+
+    test('should check the payment options returned by preparePayment', async () => {
+      ({ match } = createPaymentRoutes(sdk, {
+        basePath: '/pay',
+        clientTokens: { authorize },
+        preparePayment: (body, request) => ({ amount: 500, metadata: { tokenId: request.clientToken.tokenId } })
+      }));
+      const token = await issueToken();
+
+      const response = await dispatch('POST', '/pay/payments', { headers: { authorization: `Bearer ${token}` }, body: { amount: 1 } });
+
+      expect(response).toMatchObject({ status: 403, body: { error: { reason: 'amount_exceeded' } } });
+      expect(sdk.initiatePayment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('TestluyPaymentClient', () => {
+    let sdk;
+    let fetch;
+
+    // Serves the payment routes in place of a network
+    const createFetch = (match) => jest.fn(async (url, init) => {
+      const { pathname } = new URL(url, 'https://shop.example.com');
+      const matched = match(init.method, pathname);
+      const response = await matched.route.handler({
+        method: init.method,
+        path: pathname,
+        params: matched.params,
+        query: {},
+        body: init.body ? JSON.parse(init.body) : {},
+        headers: Object.fromEntries(Object.entries(init.headers).map(([key, value]) => [key.toLowerCase(), value])),
+        origin: 'https://shop.example.com',
+        mountPath: '',
+        raw: {}
+      });
+      return new Response(JSON.stringify(response.body), { status: response.status, headers: response.headers });
+    });
+
+    beforeEach(() => {
+      sdk = new TestluyPaymentSDK({ clientId: 'client-1', secretKey: SECRET });
+      jest.spyOn(sdk, 'initiatePayment').mockResolvedValue({ paymentUrl: 'https://pay.example.com/t', transactionId: 'trx-1' });
+      jest.spyOn(sdk, 'getPaymentStatus').mockResolvedValue({ transaction_id: 'trx-1', status: 'Success' });
+      fetch = createFetch(createPaymentRoutes(sdk, { clientTokens: { maxAmount: 50 } }).match);
+    });
+
+    test('should fetch a token once and use it for payments', async () => {
+      const client = new TestluyPaymentClient({ baseUrl: 'https://shop.example.com/', fetch, headers: { 'X-CSRF-Token': 'csrf' } });
+
+      await expect(client.initiatePayment({ amount: 25 })).resolves.toEqual({ paymentUrl: 'https://pay.example.com/t', transactionId: 'trx-1' });
+      await expect(client.getPaymentStatus('trx-1')).resolves.toMatchObject({ status: 'Success' });
+
+      expect(fetch.mock.calls.map(([url, init]) => `${init.method} ${url}`)).toEqual([
+        'POST https://shop.example.com/token',
+        'POST https://shop.example.com/payments',
+        'GET https://shop.example.com/payments/trx-1'
+      ]);
+      expect(fetch.mock.calls[1][1].headers).toMatchObject({ 'X-CSRF-Token': 'csrf', Authorization: expect.stringMatching(/^Bearer tlct1\./) });
+    });
+
+    test('should replace expiring and rejected tokens and retry once', async () => {
+      jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+      const expired = (await createClientToken(SECRET, { clientId: 'client-1', ttlSeconds: 60, now: NOW - 120 * 1000 })).token;
+      const getToken = jest.fn()
+        .mockResolvedValueOnce(expired)
+        .mockImplementation(() => sdk.createClientToken({ ttlSeconds: 60 }));
+      const client = new TestluyPaymentClient({ baseUrl: 'https://shop.example.com', fetch, getToken });
+
+      await client.getPaymentStatus('trx-1');
+      expect(getToken).toHaveBeenCalledTimes(2);
+
+      await client.getPaymentStatus('trx-1');
+      expect(getToken).toHaveBeenCalledTimes(2);
+
+      // Within the refresh margin of the 60 second token
+      jest.setSystemTime(NOW + 45 * 1000);
+      await client.getPaymentStatus('trx-1');
+      expect(getToken).toHaveBeenCalledTimes(3);
+    });
+
+    test('should throw the typed errors the routes respond with', async () => {
+      const client = new TestluyPaymentClient({ baseUrl: 'https://shop.example.com', fetch });
+      const fixed = new TestluyPaymentClient({ baseUrl: 'https://shop.example.com', fetch, token: 'tlct1.bad.token' });
+
+      const scopeError = await rejection(client.initiatePayment({ amount: 75 }));
+      expect(scopeError).toBeInstanceOf(ClientTokenError);
+      expect(scopeError).toMatchObject({ reason: 'amount_exceeded', isScopeViolation: true, status: 403 });
+      expect(await rejection(client.initiatePayment({ amount: -1 }))).toBeInstanceOf(ValidationError);
+      expect(await rejection(fixed.getPaymentStatus('trx-1'))).toMatchObject({ reason: 'signature_mismatch', status: 401 });
+      expect(() => new TestluyPaymentClient({})).toThrow(ValidationError);
+      await expect(client.getPaymentStatus('')).rejects.toBeInstanceOf(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * @fileoverview
+ * Unit tests for loading the SDK options from the environment and config files
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, getEnvironmentOptions, readConfigFile } from '../../config.js';
+import { ValidationError } from '../../http/errors/index.js';
+import TestluyPaymentSDK from '../../index-enhanced.js';
+
+const CONFIG = {
+  baseUrl: 'https://sandbox.testluy.example.com',
+  retryConfig: { maxRetries: 1, baseDelay: 500 },
+  profiles: {
+    sandbox: { clientId: 'sandbox-client', secretKey: 'sandbox-secret' },
+    staging: {
+      clientId: 'staging-client',
+      secretKey: 'staging-secret-key',
+      baseUrl: 'https://staging.testluy.example.com',
+      retryConfig: { maxRetries: 5 }
+    },
+    ci: { clientId: 'ci-client', secretKey: 'ci-secret', enableSmartRouting: false }
+  }
+};
+
+describe('Config', () => {
+  let dir;
+
+  const writeConfig = (name, contents) => {
+    fs.writeFileSync(path.join(dir, name), typeof contents === 'string' ? contents : JSON.stringify(contents));
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'testluy-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('getEnvironmentOptions', () => {
+    test('should map and convert TESTLUY_* variables', () => {
+      expect(getEnvironmentOptions({
+        TESTLUY_CLIENT_ID: 'env-client',
+        TESTLUY_SECRET_KEY: 'env-secret',
+        TESTLUY_BYPASS_URL: 'https://bypass.example.com',
+        TESTLUY_MAX_RETRIES: '2',
+        TESTLUY_JITTER_FACTOR: '0.5',
+        TESTLUY_LOG_LEVEL: 'debug',
+        TESTLUY_LOG_INCLUDE_BODY: 'true',
+        TESTLUY_SMART_ROUTING: 'false',
+        TESTLUY_BASE_URL: ''
+      })).toEqual({
+        clientId: 'env-client',
+        secretKey: 'env-secret',
+        bypassUrl: 'https://bypass.example.com',
+        retryConfig: { maxRetries: 2, jitterFactor: 0.5 },
+        loggingConfig: { level: 'debug', includeBody: true },
+        enableSmartRouting: false
+      });
+    });
+
+    test('should report every invalid variable', () => {
+      const error = (() => {
+        try {
+          getEnvironmentOptions({ TESTLUY_MAX_RETRIES: 'three', TESTLUY_LOG_LEVEL: 'loud' });
+        } catch (caught) {
+          return caught;
+        }
+      })();
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.message).toMatch(/^Invalid configuration in TESTLUY_\* environment variables: /);
+      expect(error.validationDetails.map(detail => detail.field)).toEqual(['retryConfig.maxRetries', 'loggingConfig.level']);
+    });
+  });
+
+  describe('readConfigFile', () => {
+    test('should find testluy.config.json before .testluyrc', () => {
+      writeConfig('.testluyrc', { baseUrl: 'https://rc.example.com' });
+      expect(readConfigFile({ cwd: dir }).path).toBe(path.join(dir, '.testluyrc'));
+
+      writeConfig('testluy.config.json', CONFIG);
+      expect(readConfigFile({ cwd: dir })).toEqual({ path: path.join(dir, 'testluy.config.json'), config: CONFIG });
+      expect(readConfigFile({ cwd: dir, configFile: false })).toBeNull();
+    });
+
+    test('should reject files that are not a JSON object', () => {
+      writeConfig('.testluyrc', '{ baseUrl: ');
+      writeConfig('list.json', '[]');
+
+      expect(() => readConfigFile({ cwd: dir })).toThrow(/^Cannot read config file .*\.testluyrc/);
+      expect(() => readConfigFile({ cwd: dir, configFile: 'list.json' })).toThrow(ValidationError);
+      expect(() => readConfigFile({ cwd: dir, configFile: 'missing.json' })).toThrow(ValidationError);
+    });
+  });
+
+  describe('loadConfig', () => {
+    beforeEach(() => {
+      writeConfig('testluy.config.json', CONFIG);
+    });
+
+    test('should layer options over environment variables over the profile over the file', () => {
+      const { options, sources, profile, configFile } = loadConfig(
+        { profile: 'staging', loggingConfig: { level: 'error' } },
+        { cwd: dir, env: { TESTLUY_SECRET_KEY: 'env-secret', TESTLUY_LOG_INCLUDE_HEADERS: 'true' } }
+      );
+
+      expect(options).toEqual({
+        baseUrl: 'https://staging.testluy.example.com',
+        retryConfig: { maxRetries: 5, baseDelay: 500 },
+        clientId: 'staging-client',
+        secretKey: 'env-secret',
+        loggingConfig: { includeHeaders: true, level: 'error' },
+        profile: 'staging'
+      });
+      expect(sources).toMatchObject({
+        baseUrl: 'profile',
+        clientId: 'profile',
+        secretKey: 'env',
+        loggingConfig: 'options'
+      });
+      expect(profile).toBe('staging');
+      expect(configFile).toBe(path.join(dir, 'testluy.config.json'));
+    });
+
+    test('should take the profile from TESTLUY_PROFILE', () => {
+      const { options } = loadConfig({}, { cwd: dir, env: { TESTLUY_PROFILE: 'ci' } });
+
+      expect(options).toMatchObject({ clientId: 'ci-client', enableSmartRouting: false, retryConfig: { maxRetries: 1 } });
+    });
+
+    test('should fail for unknown profiles and invalid profile options', () => {
+      writeConfig('bad.json', { profiles: { ci: { clientId: 'ci-client', secretKey: 'ci-secret', baseUrl: 'ftp://ci' } } });
+
+      expect(() => loadConfig({ profile: 'prod' }, { cwd: dir, env: {} }))
+        .toThrow('Profile "prod" not found in ' + path.join(dir, 'testluy.config.json') + ' (available: sandbox, staging, ci)');
+      expect(() => loadConfig({ profile: 'ci', configFile: 'bad.json' }, { cwd: dir, env: {} }))
+        .toThrow(`Invalid configuration in ${path.join(dir, 'bad.json')} (profile "ci"): "baseUrl" must be an http or https URL`);
+    });
+
+    test('should need a config file only for profiles passed as an option', () => {
+      const empty = fs.mkdtempSync(path.join(dir, 'empty-'));
+
+      expect(() => loadConfig({ profile: 'staging' }, { cwd: empty, env: {} })).toThrow(ValidationError);
+      expect(loadConfig({}, { cwd: empty, env: { TESTLUY_PROFILE: 'staging', TESTLUY_CLIENT_ID: 'c', TESTLUY_SECRET_KEY: 's' } }))
+        .toMatchObject({ options: { clientId: 'c', secretKey: 's' }, profile: undefined, configFile: undefined });
+    });
+
+    test('should require credentials from some layer', () => {
+      expect(() => loadConfig({}, { cwd: dir, env: {} }))
+        .toThrow('"clientId" is required unless a "credentialsProvider" is given');
+    });
+  });
+
+  describe('TestluyPaymentSDK', () => {
+    let originalEnv;
+
+    beforeEach(() => {
+      originalEnv = { ...process.env };
+      writeConfig('testluy.config.json', CONFIG);
+      process.env.TESTLUY_CONFIG_FILE = path.join(dir, 'testluy.config.json');
+    });
+
+    afterEach(() => {
+      process.env = originalEnv;
+    });
+
+    test('should be created from a profile and show its config with secrets masked', () => {
+      const sdk = new TestluyPaymentSDK({ profile: 'staging' });
+
+      expect(sdk.clientId).toBe('staging-client');
+      expect(sdk.primaryBaseUrl).toBe('https://staging.testluy.example.com');
+      expect(sdk.retryConfig).toMatchObject({ maxRetries: 5, baseDelay: 500 });
+      expect(sdk.getResolvedConfig()).toMatchObject({
+        options: { clientId: 'staging-client', secretKey: 's****y' },
+        sources: { secretKey: 'profile' },
+        profile: 'staging',
+        configFile: path.join(dir, 'testluy.config.json')
+      });
+      expect(JSON.stringify(sdk.getResolvedConfig())).not.toContain('staging-secret-key');
+    });
+
+    test('should prefer constructor options and report the layer of invalid values', () => {
+      process.env.TESTLUY_MAX_RETRIES = '-1';
+
+      expect(() => new TestluyPaymentSDK({ profile: 'sandbox' }))
+        .toThrow('TestluyPaymentSDK: Invalid options: Invalid configuration in TESTLUY_* environment variables: "retryConfig.maxRetries" must be greater than or equal to 0');
+
+      delete process.env.TESTLUY_MAX_RETRIES;
+      expect(new TestluyPaymentSDK({ profile: 'sandbox', clientId: 'own-client', secretKey: 'own-secret' }).clientId).toBe('own-client');
+    });
+  });
+});
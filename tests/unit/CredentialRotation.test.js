@@ -0,0 +1,193 @@
+/**
+ * @fileoverview
+ * Unit tests for credential rotation, the credentials provider and refresh after 401
+ */
+
+import { jest } from '@jest/globals';
+import { verifyRequestSignature } from '../../http/utils/RequestSignature.js';
+import { AuthenticationError, ValidationError } from '../../http/errors/index.js';
+import TestluyPaymentSDK from '../../index-enhanced.js';
+
+const OLD_KEY = 'old-secret-key';
+const NEW_KEY = 'new-secret-key';
+const STATUS_PATH = '/api/payment-simulator/status/trx-1';
+
+const unauthorized = config => Object.assign(new Error('HTTP 401: Unauthorized'), {
+  response: { status: 401, statusText: 'Unauthorized', headers: {}, data: { message: 'Invalid signature' } },
+  config
+});
+
+const signedWith = (secretKey, config) => verifyRequestSignature(secretKey, {
+  method: config.method,
+  url: config.url,
+  headers: config.headers,
+  body: config.data
+}).then(() => true, () => false);
+
+describe('Credential rotation', () => {
+  let sdk;
+  let adapterRequest;
+  let rotated;
+
+  const createSDK = async (options) => {
+    sdk = new TestluyPaymentSDK({ clientId: 'client-1', retryConfig: { maxRetries: 0 }, ...options });
+    rotated = [];
+    sdk.on('credentials.rotated', event => rotated.push(event));
+    await sdk._ensureHttpClientInitialized();
+    adapterRequest = jest.spyOn(sdk.httpClient.httpClient, 'request');
+    return sdk;
+  };
+
+  const respondOk = () => adapterRequest.mockImplementation(async config => ({
+    data: { transaction_id: 'trx-1', status: 'Pending' },
+    status: 200,
+    headers: {},
+    config
+  }));
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    if (sdk) {
+      sdk.stopCredentialsRefresh();
+    }
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('rotateCredentials', () => {
+    test('should let in-flight requests finish with the old key and sign new ones with the new key', async () => {
+      await createSDK({ secretKey: OLD_KEY });
+      let release;
+      adapterRequest.mockImplementationOnce(config => new Promise(resolve => {
+        release = () => resolve({ data: { status: 'Pending' }, status: 200, headers: {}, config });
+      }));
+      respondOk();
+
+      const inFlight = sdk.httpClient.request({ method: 'GET', url: STATUS_PATH });
+      await new Promise(resolve => setImmediate(resolve));
+      expect(sdk.rotateCredentials({ secretKey: NEW_KEY })).toBe(true);
+      await sdk.httpClient.request({ method: 'GET', url: STATUS_PATH });
+      release();
+      await inFlight;
+
+      const [[first], [second]] = adapterRequest.mock.calls;
+      expect(await signedWith(OLD_KEY, first)).toBe(true);
+      expect(await signedWith(NEW_KEY, second)).toBe(true);
+      expect(sdk.secretKey).toBe(NEW_KEY);
+      expect(rotated).toEqual([{ clientId: 'client-1', previousClientId: 'client-1', source: 'rotate' }]);
+    });
+
+    test('should switch the client ID and ignore unchanged credentials', async () => {
+      await createSDK({ secretKey: OLD_KEY });
+
+      expect(sdk.rotateCredentials({ clientId: 'client-1', secretKey: OLD_KEY })).toBe(false);
+      sdk.rotateCredentials({ clientId: 'client-2', secretKey: NEW_KEY });
+
+      expect((await sdk._getAuthHeaders('GET', STATUS_PATH))['X-Client-ID']).toBe('client-2');
+      expect(rotated).toEqual([{ clientId: 'client-2', previousClientId: 'client-1', source: 'rotate' }]);
+    });
+
+    test('should reject invalid credentials and keep the current ones', async () => {
+      await createSDK({ secretKey: OLD_KEY });
+
+      expect(() => sdk.rotateCredentials({ clientId: 'client-2' })).toThrow(ValidationError);
+      expect(() => sdk.rotateCredentials({ secretKey: NEW_KEY, signer: { sign: async () => '' } })).toThrow(ValidationError);
+      expect(sdk.secretKey).toBe(OLD_KEY);
+    });
+  });
+
+  describe('credentialsProvider', () => {
+    test('should load the credentials once for concurrent first requests', async () => {
+      const credentialsProvider = jest.fn(async () => ({ clientId: 'client-9', secretKey: NEW_KEY }));
+      sdk = new TestluyPaymentSDK({ credentialsProvider });
+
+      const [first, second] = await Promise.all([
+        sdk._getAuthHeaders('GET', STATUS_PATH),
+        sdk._getAuthHeaders('GET', STATUS_PATH)
+      ]);
+
+      expect(credentialsProvider).toHaveBeenCalledTimes(1);
+      expect(first['X-Client-ID']).toBe('client-9');
+      expect(await signedWith(NEW_KEY, { method: 'GET', url: STATUS_PATH, headers: second })).toBe(true);
+    });
+
+    test('should refresh on a 401 and retry the request once with the new key', async () => {
+      let current = OLD_KEY;
+      const credentialsProvider = jest.fn(async () => ({ secretKey: current }));
+      await createSDK({ secretKey: OLD_KEY, credentialsProvider });
+      adapterRequest.mockImplementationOnce(async config => { throw unauthorized(config); });
+      respondOk();
+      current = NEW_KEY;
+
+      const data = await sdk.httpClient.request({ method: 'POST', url: '/api/payment-simulator/generate-url', data: { amount: 10 } });
+
+      expect(data).toEqual({ transaction_id: 'trx-1', status: 'Pending' });
+      expect(credentialsProvider).toHaveBeenCalledTimes(1);
+      const [[first], [retry]] = adapterRequest.mock.calls;
+      expect(await signedWith(OLD_KEY, first)).toBe(true);
+      expect(await signedWith(NEW_KEY, retry)).toBe(true);
+      expect(retry.data).toBe('{"amount":10}');
+      expect(rotated).toEqual([{ clientId: 'client-1', previousClientId: 'client-1', source: 'provider' }]);
+    });
+
+    test('should give up when the refreshed credentials are rejected too or did not change', async () => {
+      const credentialsProvider = jest.fn(async () => ({ secretKey: NEW_KEY }));
+      await createSDK({ secretKey: OLD_KEY, credentialsProvider });
+      adapterRequest.mockImplementation(async config => { throw unauthorized(config); });
+
+      await expect(sdk.httpClient.request({ method: 'GET', url: STATUS_PATH })).rejects.toBeInstanceOf(AuthenticationError);
+      expect(adapterRequest).toHaveBeenCalledTimes(2);
+
+      adapterRequest.mockClear();
+      await expect(sdk.httpClient.request({ method: 'GET', url: STATUS_PATH })).rejects.toBeInstanceOf(AuthenticationError);
+      expect(adapterRequest).toHaveBeenCalledTimes(1);
+      expect(credentialsProvider).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not retry 401s without a provider', async () => {
+      await createSDK({ secretKey: OLD_KEY });
+      adapterRequest.mockImplementation(async config => { throw unauthorized(config); });
+
+      await expect(sdk.httpClient.request({ method: 'GET', url: STATUS_PATH })).rejects.toBeInstanceOf(AuthenticationError);
+      expect(adapterRequest).toHaveBeenCalledTimes(1);
+    });
+
+    test('should re-query the provider on a schedule until stopped', async () => {
+      jest.useFakeTimers();
+      const credentialsProvider = jest.fn(async () => ({ secretKey: NEW_KEY }));
+      sdk = new TestluyPaymentSDK({
+        clientId: 'client-1',
+        secretKey: OLD_KEY,
+        credentialsProvider,
+        credentialsRefreshIntervalMs: 60000
+      });
+
+      await jest.advanceTimersByTimeAsync(60000);
+      expect(credentialsProvider).toHaveBeenCalledTimes(1);
+      expect(sdk.secretKey).toBe(NEW_KEY);
+
+      sdk.stopCredentialsRefresh();
+      await jest.advanceTimersByTimeAsync(120000);
+      expect(credentialsProvider).toHaveBeenCalledTimes(1);
+    });
+
+    test('should report provider failures and invalid provider results', async () => {
+      sdk = new TestluyPaymentSDK({
+        clientId: 'client-1',
+        secretKey: OLD_KEY,
+        credentialsProvider: jest.fn()
+          .mockRejectedValueOnce(new Error('vault sealed'))
+          .mockResolvedValueOnce({ clientId: 'client-2' })
+      });
+
+      await expect(sdk.refreshCredentials()).rejects.toMatchObject({ message: 'Failed to refresh credentials: vault sealed' });
+      await expect(sdk.refreshCredentials()).rejects.toBeInstanceOf(ValidationError);
+      expect(sdk.secretKey).toBe(OLD_KEY);
+      await expect(new TestluyPaymentSDK({ clientId: 'client-1', secretKey: OLD_KEY }).refreshCredentials())
+        .rejects.toBeInstanceOf(ValidationError);
+    });
+  });
+});
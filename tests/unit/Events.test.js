@@ -0,0 +1,187 @@
+/**
+ * @fileoverview
+ * Unit tests for the EventEmitter and payment lifecycle events
+ */
+
+import { jest } from '@jest/globals';
+import EventEmitter from '../../http/utils/EventEmitter.js';
+import { ErrorType } from '../../http/ErrorDetector.js';
+import logger from '../../http/Logger.js';
+import TestluyPaymentSDK from '../../index-enhanced.js';
+
+describe('Events', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('EventEmitter', () => {
+    test('should call listeners in order and remove them with off', () => {
+      const emitter = new EventEmitter();
+      const calls = [];
+      const first = payload => calls.push(['first', payload]);
+      const second = payload => calls.push(['second', payload]);
+
+      emitter.on('event', first).on('event', second);
+      expect(emitter.emit('event', 1)).toBe(true);
+      emitter.off('event', first);
+      emitter.emit('event', 2);
+
+      expect(calls).toEqual([['first', 1], ['second', 1], ['second', 2]]);
+      expect(emitter.listenerCount('event')).toBe(1);
+    });
+
+    test('should call once listeners a single time', () => {
+      const emitter = new EventEmitter();
+      const listener = jest.fn();
+
+      emitter.once('event', listener);
+      emitter.emit('event', 'a');
+      emitter.emit('event', 'b');
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith('a');
+    });
+
+    test('should remove a once listener before it fires', () => {
+      const emitter = new EventEmitter();
+      const listener = jest.fn();
+
+      emitter.once('event', listener);
+      emitter.off('event', listener);
+
+      expect(emitter.emit('event')).toBe(false);
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    test('should log listener errors and keep calling the other listeners', async () => {
+      const logError = jest.spyOn(logger, 'error').mockImplementation(() => {});
+      const emitter = new EventEmitter();
+      const listener = jest.fn();
+
+      emitter.on('event', () => { throw new Error('sync boom'); });
+      emitter.on('event', async () => { throw new Error('async boom'); });
+      emitter.on('event', listener);
+
+      expect(() => emitter.emit('event')).not.toThrow();
+      await Promise.resolve();
+
+      expect(listener).toHaveBeenCalled();
+      expect(logError).toHaveBeenCalledWith(expect.stringContaining('sync boom'));
+      expect(logError).toHaveBeenCalledWith(expect.stringContaining('async boom'));
+    });
+  });
+
+  describe('TestluyPaymentSDK lifecycle events', () => {
+    let sdk;
+    let makeRequest;
+
+    beforeEach(() => {
+      sdk = new TestluyPaymentSDK({ clientId: 'test-client-id', secretKey: 'test-secret-key' });
+      makeRequest = jest.spyOn(sdk, '_makeRequest');
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(logger, 'warn').mockImplementation(() => {});
+      jest.spyOn(logger, 'error').mockImplementation(() => {});
+    });
+
+    test('should emit payment.initiated once per created transaction', async () => {
+      makeRequest.mockResolvedValue({ payment_url: 'https://example.com/pay/trx-1', transaction_id: 'trx-1' });
+      const listener = jest.fn();
+      sdk.on('payment.initiated', listener);
+
+      const options = { idempotencyKey: 'order-1' };
+      await sdk.initiatePayment(10, 'https://example.com/callback', undefined, options);
+      await sdk.initiatePayment(10, 'https://example.com/callback', undefined, options);
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ transactionId: 'trx-1', amount: 10 }));
+    });
+
+    test('should emit status changes and terminal events from getPaymentStatus', async () => {
+      makeRequest.mockResolvedValue({ payment_url: 'https://example.com/pay/trx-1', transaction_id: 'trx-1' });
+      await sdk.initiatePayment(10, 'https://example.com/callback');
+
+      const changed = jest.fn();
+      const succeeded = jest.fn();
+      sdk.on('payment.status_changed', changed);
+      sdk.on('payment.succeeded', succeeded);
+
+      makeRequest.mockResolvedValue({ transaction_id: 'trx-1', status: 'Initiated' });
+      await sdk.getPaymentStatus('trx-1');
+      makeRequest.mockResolvedValue({ transaction_id: 'trx-1', status: 'Success' });
+      await sdk.getPaymentStatus('trx-1');
+      await sdk.getPaymentStatus('trx-1');
+
+      expect(changed).toHaveBeenCalledTimes(1);
+      expect(changed).toHaveBeenCalledWith(expect.objectContaining({
+        transactionId: 'trx-1',
+        status: 'Success',
+        previousStatus: 'Initiated'
+      }));
+      expect(succeeded).toHaveBeenCalledTimes(1);
+    });
+
+    test('should emit payment.failed for an unseen failed transaction', async () => {
+      makeRequest.mockResolvedValue({ transaction_id: 'trx-2', status: 'Failed' });
+      const failed = jest.fn();
+      sdk.on('payment.failed', failed);
+
+      await sdk.getPaymentStatus('trx-2');
+
+      expect(failed).toHaveBeenCalledWith(expect.objectContaining({ status: 'Failed', previousStatus: null }));
+    });
+
+    test('should emit callback.received after the status events', async () => {
+      makeRequest.mockResolvedValue({ transaction_id: 'trx-1', status: 'Success' });
+      const order = [];
+      sdk.on('payment.status_changed', () => order.push('payment.status_changed'));
+      sdk.on('callback.received', result => order.push(['callback.received', result.status]));
+
+      await sdk.handlePaymentCallback({ transaction_id: 'trx-1' });
+
+      expect(order).toEqual(['payment.status_changed', ['callback.received', 'Success']]);
+    });
+
+    test('should not let a failing listener break the call', async () => {
+      makeRequest.mockResolvedValue({ transaction_id: 'trx-1', status: 'Success' });
+      sdk.on('payment.succeeded', () => { throw new Error('listener failed'); });
+
+      await expect(sdk.getPaymentStatus('trx-1')).resolves.toMatchObject({ status: 'Success' });
+    });
+
+    test('should emit request.retry and ratelimit.hit from the error handler', async () => {
+      await sdk._ensureHttpClientInitialized();
+      const retry = jest.fn();
+      const rateLimit = jest.fn();
+      sdk.on('request.retry', retry);
+      sdk.on('ratelimit.hit', rateLimit);
+
+      const error = new Error('Too many requests');
+      error.errorType = ErrorType.RATE_LIMIT;
+      error.config = { method: 'GET', url: '/api/payment-simulator/status/trx-1' };
+      error.response = { status: 429, headers: { 'retry-after': '30' } };
+
+      await sdk.errorHandler.onError(error, {});
+      await sdk.errorHandler.onRetry({ attempt: 1, delay: 500, error });
+
+      expect(rateLimit).toHaveBeenCalledWith(expect.objectContaining({ method: 'GET', retryAfter: 30, error }));
+      expect(retry).toHaveBeenCalledWith(expect.objectContaining({
+        url: '/api/payment-simulator/status/trx-1',
+        attempt: 1,
+        maxRetries: 3,
+        delay: 500
+      }));
+    });
+
+    test('should emit endpoint.switched only when the base URL changes', async () => {
+      const switched = jest.fn();
+      sdk.on('endpoint.switched', switched);
+      sdk.currentBaseUrl = 'https://old.example.com';
+
+      const currentUrl = await sdk.refreshEndpoint();
+      await sdk.refreshEndpoint();
+
+      expect(switched).toHaveBeenCalledTimes(1);
+      expect(switched).toHaveBeenCalledWith({ previousUrl: 'https://old.example.com', currentUrl });
+    });
+  });
+});
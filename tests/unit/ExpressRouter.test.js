@@ -0,0 +1,336 @@
+/**
+ * @fileoverview
+ * Unit tests for the Express router and the shared error-to-HTTP mapping
+ */
+
+import { jest } from '@jest/globals';
+import express from 'express';
+import { createTestluyRouter, testluyErrorHandler } from '../../integrations/express.js';
+import { createPaymentRoutes, errorToHttpResponse } from '../../integrations/routes.js';
+import { getRequestOrigin } from '../../integrations/node-http.js';
+import { createCallbackSignature } from '../../http/utils/CallbackSignature.js';
+import {
+  RateLimitError,
+  CloudflareError,
+  SignatureVerificationError,
+  ValidationError
+} from '../../http/errors/index.js';
+import TestluyPaymentSDK from '../../index-enhanced.js';
+
+const SECRET = 'test-secret-key';
+
+async function signCallback(params) {
+  return { ...params, signature: await createCallbackSignature(SECRET, params) };
+}
+
+describe('Express integration', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('errorToHttpResponse', () => {
+    test('should map rate limit errors to 429 with Retry-After', () => {
+      const response = errorToHttpResponse(new RateLimitError('Slow down', { retryAfter: 12 }));
+
+      expect(response.status).toBe(429);
+      expect(response.headers['Retry-After']).toBe('12');
+      expect(response.body.error).toMatchObject({ code: 'RATE_LIMIT_EXCEEDED', retryAfter: 12 });
+      expect(response.body.error.stack).toBeUndefined();
+    });
+
+    test('should map errors wrapped by public SDK methods by their type', () => {
+      const rateLimited = new RateLimitError('rate limited').withContext('Failed to get payment status');
+      const invalid = new ValidationError('"amount" is required', [{ field: 'amount', message: '"amount" is required' }]);
+
+      expect(errorToHttpResponse(rateLimited)).toMatchObject({ status: 429, headers: { 'Retry-After': '60' } });
+      expect(errorToHttpResponse(invalid)).toMatchObject({
+        status: 400,
+        body: { error: { code: 'VALIDATION_ERROR', validationDetails: [{ field: 'amount' }] } }
+      });
+    });
+
+    test('should leave the signed request, upstream details and response data out of the body', () => {
+      const upstream = Object.assign(new Error('HTTP 429: Too Many Requests'), {
+        response: { status: 429, headers: {}, data: { internal: 'upstream-trace-id' } },
+        config: {
+          method: 'POST',
+          url: '/api/payment-simulator/generate-url',
+          headers: {
+            'X-Client-ID': 'client-1',
+            'X-Timestamp': '1767268800',
+            'X-Signature': 'a1b2c3d4e5f6',
+            'Idempotency-Key': 'order-42'
+          }
+        }
+      });
+      const error = new RateLimitError('Slow down', { retryAfter: 5 }, { upstreamNode: 'edge-7' }, upstream);
+
+      const { body } = errorToHttpResponse(error);
+
+      expect(Object.keys(body.error).sort()).toEqual(['code', 'message', 'name', 'retryAfter']);
+      for (const leaked of ['a1b2c3d4e5f6', 'client-1', '1767268800', 'order-42', 'edge-7', 'upstream-trace-id']) {
+        expect(JSON.stringify(body)).not.toContain(leaked);
+      }
+    });
+
+    test('should answer other errors with a generic message and log them', () => {
+      const log = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const error = new Error('connect ECONNREFUSED 10.0.0.12:5432 at /srv/shop/node_modules/pg/lib/client.js');
+
+      const { status, body } = errorToHttpResponse(error);
+
+      expect(status).toBe(502);
+      expect(body).toEqual({
+        error: { name: 'Error', code: 'PAYMENT_PROVIDER_ERROR', message: 'The payment provider request failed' }
+      });
+      expect(log).toHaveBeenCalledWith(expect.any(String), error);
+    });
+
+    test.each([
+      [new CloudflareError('Blocked', { challengeType: 'captcha' }), 503, 'CLOUDFLARE_BLOCKED'],
+      [new SignatureVerificationError('Bad signature'), 401, undefined],
+      [new Error('Upstream failed'), 502, 'PAYMENT_PROVIDER_ERROR']
+    ])('should map %p', (error, status, code) => {
+      const response = errorToHttpResponse(error);
+
+      expect(response.status).toBe(status);
+      if (code) {
+        expect(response.body.error.code).toBe(code);
+      }
+    });
+  });
+
+  describe('getRequestOrigin', () => {
+    test('should only trust X-Forwarded-Host and X-Forwarded-Proto with trustProxy', () => {
+      const req = {
+        headers: { host: 'shop.example.com', 'x-forwarded-host': 'evil.example, proxy.local', 'x-forwarded-proto': 'https' },
+        socket: {}
+      };
+
+      expect(getRequestOrigin(req)).toBe('http://shop.example.com');
+      expect(getRequestOrigin(req, { trustProxy: true })).toBe('https://evil.example');
+    });
+  });
+
+  describe('createTestluyRouter', () => {
+    let sdk;
+    let server;
+    let baseUrl;
+    let onSuccess;
+    let onFailure;
+
+    const start = async (app) => {
+      server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+      });
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    };
+
+    beforeEach(async () => {
+      sdk = new TestluyPaymentSDK({ clientId: 'test-client-id', secretKey: SECRET });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      onSuccess = jest.fn();
+      onFailure = jest.fn();
+
+      const app = express();
+      app.use(express.json());
+      app.use('/testluy', createTestluyRouter(sdk, { onSuccess, onFailure }));
+      app.get('/other', (req, res) => res.send('other'));
+      app.use(testluyErrorHandler());
+      await start(app);
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should initiate a payment with a derived callback URL', async () => {
+      const initiate = jest.spyOn(sdk, 'initiatePayment').mockResolvedValue({
+        paymentUrl: 'https://example.com/pay/trx-1',
+        transactionId: 'trx-1'
+      });
+
+      const response = await fetch(`${baseUrl}/testluy/payments`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ amount: 10, orderId: 'order-1' })
+      });
+
+      expect(response.status).toBe(201);
+      expect(await response.json()).toEqual({
+        paymentUrl: 'https://example.com/pay/trx-1',
+        transactionId: 'trx-1'
+      });
+      expect(initiate).toHaveBeenCalledWith({
+        amount: 10,
+        orderId: 'order-1',
+        callbackUrl: `${baseUrl}/testluy/callback`
+      });
+    });
+
+    test('should ignore a spoofed X-Forwarded-Host when deriving the callback URL', async () => {
+      const initiate = jest.spyOn(sdk, 'initiatePayment').mockResolvedValue({ paymentUrl: 'https://example.com/pay/trx-1', transactionId: 'trx-1' });
+
+      await fetch(`${baseUrl}/testluy/payments`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Forwarded-Host': 'evil.example' },
+        body: JSON.stringify({ amount: 10 })
+      });
+
+      expect(initiate.mock.calls[0][0].callbackUrl).toBe(`${baseUrl}/testluy/callback`);
+    });
+
+    test('should ignore a callback URL sent by the client unless preparePayment sets one', async () => {
+      const initiate = jest.spyOn(sdk, 'initiatePayment').mockResolvedValue({ paymentUrl: 'https://example.com/pay/trx-1', transactionId: 'trx-1' });
+
+      await fetch(`${baseUrl}/testluy/payments`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ amount: 10, callbackUrl: 'https://evil.example/callback' })
+      });
+      expect(initiate.mock.calls[0][0]).toEqual({ amount: 10, callbackUrl: `${baseUrl}/testluy/callback` });
+
+      const preparePayment = jest.fn(body => ({ ...body, callbackUrl: 'https://shop.example.com/orders/callback' }));
+      const { match } = createPaymentRoutes(sdk, { preparePayment });
+      await match('POST', '/payments').route.handler({
+        method: 'POST',
+        path: '/payments',
+        params: {},
+        query: {},
+        body: { amount: 10, callbackUrl: 'https://evil.example/callback' },
+        headers: {},
+        origin: 'https://shop.example.com'
+      });
+      expect(preparePayment.mock.calls[0][0]).toEqual({ amount: 10 });
+      expect(initiate.mock.calls[1][0].callbackUrl).toBe('https://shop.example.com/orders/callback');
+    });
+
+    test('should reject invalid payment input with 400', async () => {
+      const initiate = jest.spyOn(sdk, 'initiatePayment');
+
+      const response = await fetch(`${baseUrl}/testluy/payments`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ amount: -5 })
+      });
+
+      expect(response.status).toBe(400);
+      expect((await response.json()).error.code).toBe('VALIDATION_ERROR');
+      expect(initiate).not.toHaveBeenCalled();
+    });
+
+    test('should return the payment status', async () => {
+      jest.spyOn(sdk, 'getPaymentStatus').mockResolvedValue({ transaction_id: 'trx 1', status: 'Pending' });
+
+      const response = await fetch(`${baseUrl}/testluy/payments/trx%201`);
+
+      expect(response.status).toBe(200);
+      expect(await response.json()).toEqual({ transaction_id: 'trx 1', status: 'Pending' });
+      expect(sdk.getPaymentStatus).toHaveBeenCalledWith('trx 1');
+    });
+
+    test('should keep a decoded ID inside its upstream path segment and answer malformed escapes with 400', async () => {
+      await sdk._ensureHttpClientInitialized();
+      const adapterRequest = jest.spyOn(sdk.httpClient.httpClient, 'request').mockImplementation(async config => ({
+        data: { transaction_id: 'a/../x', status: 'Pending' },
+        status: 200,
+        headers: {},
+        config
+      }));
+
+      expect((await fetch(`${baseUrl}/testluy/payments/a%2F..%2Fx`)).status).toBe(200);
+      expect(adapterRequest.mock.calls[0][0].url).toMatch(/\/payment-simulator\/status\/a%2F..%2Fx$/);
+
+      const malformed = await fetch(`${baseUrl}/testluy/payments/%E0%A4%A`);
+      expect(malformed.status).toBe(400);
+      expect((await malformed.json()).error).toMatchObject({ code: 'VALIDATION_ERROR', validationDetails: [{ field: 'id' }] });
+      expect(adapterRequest).toHaveBeenCalledTimes(1);
+    });
+
+    test('should answer rate limited SDK calls with 429 and Retry-After', async () => {
+      jest.spyOn(sdk, 'getPaymentStatus').mockRejectedValue(
+        new RateLimitError('Failed to get payment status: rate limited', { retryAfter: 7 })
+      );
+
+      const response = await fetch(`${baseUrl}/testluy/payments/trx-1`);
+
+      expect(response.status).toBe(429);
+      expect(response.headers.get('retry-after')).toBe('7');
+    });
+
+    test('should verify signed callbacks and call onSuccess', async () => {
+      const params = await signCallback({
+        transaction_id: 'trx-1',
+        status: 'Success',
+        timestamp: Math.floor(Date.now() / 1000)
+      });
+
+      const response = await fetch(`${baseUrl}/testluy/callback?${new URLSearchParams(params)}`);
+
+      expect(response.status).toBe(200);
+      expect(await response.json()).toEqual({ received: true, transactionId: 'trx-1', status: 'Success' });
+      expect(onSuccess).toHaveBeenCalledWith(
+        expect.objectContaining({ transactionId: 'trx-1', verified: true }),
+        expect.objectContaining({ method: 'GET' })
+      );
+      expect(onFailure).not.toHaveBeenCalled();
+    });
+
+    test('should let onFailure redirect', async () => {
+      onFailure.mockResolvedValue({ redirect: '/checkout/failed' });
+      const params = await signCallback({
+        transaction_id: 'trx-1',
+        status: 'Failed',
+        timestamp: Math.floor(Date.now() / 1000)
+      });
+
+      const response = await fetch(`${baseUrl}/testluy/callback`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(params),
+        redirect: 'manual'
+      });
+
+      expect(response.status).toBe(302);
+      expect(response.headers.get('location')).toBe('/checkout/failed');
+    });
+
+    test('should reject unsigned callbacks with 401', async () => {
+      const response = await fetch(`${baseUrl}/testluy/callback?transaction_id=trx-1&status=Success`);
+
+      expect(response.status).toBe(401);
+      expect(onSuccess).not.toHaveBeenCalled();
+    });
+
+    test('should answer bodies over maxBodyBytes with 413', async () => {
+      const initiate = jest.spyOn(sdk, 'initiatePayment').mockResolvedValue({ paymentUrl: 'https://example.com/pay/trx-1', transactionId: 'trx-1' });
+      await new Promise(resolve => server.close(resolve));
+      const app = express();
+      app.use('/testluy', createTestluyRouter(sdk, { maxBodyBytes: 1024 }));
+      await start(app);
+
+      const response = await fetch(`${baseUrl}/testluy/payments`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ amount: 10, padding: 'x'.repeat(64 * 1024) })
+      });
+
+      expect(response.status).toBe(413);
+      expect((await response.json()).error.code).toBe('PAYLOAD_TOO_LARGE');
+      expect(initiate).not.toHaveBeenCalled();
+
+      const small = await fetch(`${baseUrl}/testluy/payments`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ amount: 10 })
+      });
+      expect(small.status).toBe(201);
+    });
+
+    test('should pass unknown paths to the next handler', async () => {
+      const response = await fetch(`${baseUrl}/other`);
+
+      expect(await response.text()).toBe('other');
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * @fileoverview
+ * Unit tests running the Fastify, Koa and Hono adapters in-process
+ */
+
+import { jest } from '@jest/globals';
+import http from 'http';
+import Fastify from 'fastify';
+import Koa from 'koa';
+import { Hono } from 'hono';
+import { testluyFastifyPlugin } from '../../integrations/fastify.js';
+import { createTestluyKoaMiddleware } from '../../integrations/koa.js';
+import { createTestluyHonoApp } from '../../integrations/hono.js';
+import { createCallbackSignature } from '../../http/utils/CallbackSignature.js';
+import { RateLimitError } from '../../http/errors/index.js';
+import TestluyPaymentSDK from '../../index-enhanced.js';
+
+const SECRET = 'test-secret-key';
+
+/**
+ * Starts an app on a random port and returns its base URL and a close function
+ */
+const servers = {
+  fastify: async (sdk, options) => {
+    const app = Fastify();
+    app.get('/other', async () => 'other');
+    await app.register(testluyFastifyPlugin, { sdk, prefix: '/testluy', ...options });
+    const address = await app.listen({ port: 0, host: '127.0.0.1' });
+    return { baseUrl: address, close: () => app.close() };
+  },
+  koa: async (sdk, options) => {
+    const app = new Koa();
+    app.use(createTestluyKoaMiddleware(sdk, { basePath: '/testluy', ...options }));
+    app.use(ctx => {
+      ctx.body = 'other';
+    });
+    return listen(app.callback());
+  },
+  hono: async (sdk, options) => {
+    const app = new Hono();
+    app.route('/testluy', createTestluyHonoApp(sdk, options));
+    app.get('/other', c => c.text('other'));
+    return {
+      baseUrl: 'http://hono.test',
+      // Hono apps are plain fetch handlers, so no socket is needed
+      fetch: (url, init) => app.request(url, init),
+      close: async () => {}
+    };
+  }
+};
+
+async function listen(handler) {
+  const server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+async function signCallback(status) {
+  const params = {
+    transaction_id: 'trx-1',
+    status,
+    timestamp: String(Math.floor(Date.now() / 1000))
+  };
+  return { ...params, signature: await createCallbackSignature(SECRET, params) };
+}
+
+describe.each(Object.keys(servers))('%s adapter', (framework) => {
+  let sdk;
+  let server;
+  let onSuccess;
+  let onFailure;
+
+  const request = (path, init) => (server.fetch || fetch)(`${server.baseUrl}${path}`, init);
+
+  beforeEach(async () => {
+    sdk = new TestluyPaymentSDK({ clientId: 'test-client-id', secretKey: SECRET });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    onSuccess = jest.fn();
+    onFailure = jest.fn();
+    server = await servers[framework](sdk, { onSuccess, onFailure });
+  });
+
+  afterEach(async () => {
+    await server.close();
+    jest.restoreAllMocks();
+  });
+
+  test('should initiate a payment with a derived callback URL', async () => {
+    const initiate = jest.spyOn(sdk, 'initiatePayment').mockResolvedValue({
+      paymentUrl: 'https://example.com/pay/trx-1',
+      transactionId: 'trx-1'
+    });
+
+    const response = await request('/testluy/payments', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ amount: 10 })
+    });
+
+    expect(response.status).toBe(201);
+    expect((await response.json()).transactionId).toBe('trx-1');
+    expect(initiate).toHaveBeenCalledWith({
+      amount: 10,
+      callbackUrl: `${server.baseUrl}/testluy/callback`
+    });
+  });
+
+  test('should return the payment status', async () => {
+    jest.spyOn(sdk, 'getPaymentStatus').mockResolvedValue({ transaction_id: 'trx-1', status: 'Pending' });
+
+    const response = await request('/testluy/payments/trx-1');
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ transaction_id: 'trx-1', status: 'Pending' });
+    expect(sdk.getPaymentStatus).toHaveBeenCalledWith('trx-1');
+  });
+
+  test('should map rate limit errors to 429 with Retry-After', async () => {
+    jest.spyOn(sdk, 'getPaymentStatus').mockRejectedValue(
+      new RateLimitError('Failed to get payment status: rate limited', { retryAfter: 30 })
+    );
+
+    const response = await request('/testluy/payments/trx-1');
+
+    expect(response.status).toBe(429);
+    expect(response.headers.get('retry-after')).toBe('30');
+    expect((await response.json()).error.code).toBe('RATE_LIMIT_EXCEEDED');
+  });
+
+  test('should verify form-encoded callbacks and call onFailure', async () => {
+    const response = await request('/testluy/callback', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams(await signCallback('Failed')).toString()
+    });
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ received: true, transactionId: 'trx-1', status: 'Failed' });
+    expect(onFailure).toHaveBeenCalledWith(
+      expect.objectContaining({ transactionId: 'trx-1', verified: true }),
+      expect.any(Object)
+    );
+  });
+
+  test('should let onSuccess redirect a verified callback', async () => {
+    onSuccess.mockResolvedValue({ redirect: '/thanks' });
+
+    const response = await request(
+      `/testluy/callback?${new URLSearchParams(await signCallback('Success'))}`,
+      { redirect: 'manual' }
+    );
+
+    expect(response.status).toBe(302);
+    expect(response.headers.get('location')).toMatch(/\/thanks$/);
+  });
+
+  test('should reject unsigned callbacks with 401', async () => {
+    const response = await request('/testluy/callback?transaction_id=trx-1&status=Success');
+
+    expect(response.status).toBe(401);
+    expect((await response.json()).error.code).toBeDefined();
+    expect(onSuccess).not.toHaveBeenCalled();
+  });
+
+  test('should leave other routes to the application', async () => {
+    const response = await request('/other');
+
+    expect(await response.text()).toBe('other');
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * @fileoverview
+ * Unit tests for idempotency keys and safe automatic retries
+ */
+
+import { jest } from '@jest/globals';
+import IdempotencyStore from '../../http/IdempotencyStore.js';
+import RetryStrategy from '../../http/RetryStrategy.js';
+import ErrorHandler from '../../http/ErrorHandler.js';
+import TestluyPaymentSDK from '../../index-enhanced.js';
+
+describe('Idempotency', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  describe('IdempotencyStore', () => {
+    test('should run the operation once and replay the result', async () => {
+      const store = new IdempotencyStore();
+      const operation = jest.fn().mockResolvedValue({ transactionId: 'trx-1' });
+
+      const first = await store.remember('key-1', 'fp', operation);
+      const second = await store.remember('key-1', 'fp', operation);
+
+      expect(operation).toHaveBeenCalledTimes(1);
+      expect(second).toEqual(first);
+    });
+
+    test('should share a single in-flight operation between concurrent calls', async () => {
+      const store = new IdempotencyStore();
+      const operation = jest.fn().mockResolvedValue('done');
+
+      const results = await Promise.all([
+        store.remember('key-1', 'fp', operation),
+        store.remember('key-1', 'fp', operation)
+      ]);
+
+      expect(operation).toHaveBeenCalledTimes(1);
+      expect(results).toEqual(['done', 'done']);
+    });
+
+    test('should reject a key reused with different parameters', async () => {
+      const store = new IdempotencyStore();
+      await store.remember('key-1', 'fp-a', async () => 'done');
+
+      await expect(store.remember('key-1', 'fp-b', async () => 'other'))
+        .rejects.toMatchObject({ code: 'IDEMPOTENCY_KEY_REUSED' });
+    });
+
+    test('should not remember failures', async () => {
+      const store = new IdempotencyStore();
+      await expect(store.remember('key-1', 'fp', async () => { throw new Error('boom'); }))
+        .rejects.toThrow('boom');
+
+      await expect(store.remember('key-1', 'fp', async () => 'done')).resolves.toBe('done');
+    });
+
+    test('should expire entries after the TTL and evict beyond capacity', () => {
+      jest.useFakeTimers();
+      const store = new IdempotencyStore({ ttlMs: 1000, maxEntries: 2 });
+
+      store.set('a', 1);
+      store.set('b', 2);
+      store.set('c', 3);
+      expect(store.get('a')).toBeUndefined();
+      expect(store.size).toBe(2);
+
+      jest.advanceTimersByTime(1001);
+      expect(store.get('b')).toBeUndefined();
+    });
+  });
+
+  describe('RetryStrategy.isIdempotentRequest', () => {
+    const retryStrategy = new RetryStrategy();
+    const serverError = config => ({ response: { status: 503 }, config });
+
+    test('should retry idempotent methods', () => {
+      expect(retryStrategy.shouldRetry(serverError({ method: 'GET' }), 0)).toBe(true);
+      expect(retryStrategy.shouldRetry(serverError({ method: 'put' }), 0)).toBe(true);
+    });
+
+    test('should not retry a POST without an idempotency key', () => {
+      expect(retryStrategy.shouldRetry(serverError({ method: 'POST', headers: {} }), 0)).toBe(false);
+    });
+
+    test('should retry a POST with an idempotency key or explicit flag', () => {
+      expect(retryStrategy.shouldRetry(
+        serverError({ method: 'POST', headers: { 'idempotency-key': 'abc' } }), 0
+      )).toBe(true);
+      expect(retryStrategy.shouldRetry(serverError({ method: 'POST', idempotent: true }), 0)).toBe(true);
+    });
+
+    test('should allow opting back into unsafe retries', () => {
+      const unsafe = new RetryStrategy({ retryNonIdempotent: true });
+      expect(unsafe.shouldRetry(serverError({ method: 'POST' }), 0)).toBe(true);
+    });
+  });
+
+  describe('ErrorHandler.retryRequest', () => {
+    test('should refuse to repeat a POST without an idempotency key', async () => {
+      const httpAdapter = { request: jest.fn() };
+      const errorHandler = new ErrorHandler({
+        retryStrategy: new RetryStrategy({ baseDelay: 1 }),
+        httpAdapter
+      });
+      const error = new Error('socket hang up');
+      error.config = { method: 'POST', url: '/api/payment-simulator/generate-url', headers: {} };
+
+      await expect(errorHandler.retryRequest(error, {})).rejects.toBe(error);
+      expect(httpAdapter.request).not.toHaveBeenCalled();
+      expect(error.recoveryMessage).toContain('not idempotent');
+    });
+
+    test('should repeat a POST with the same idempotency key', async () => {
+      const httpAdapter = { request: jest.fn().mockResolvedValue({ data: {} }) };
+      const errorHandler = new ErrorHandler({
+        retryStrategy: new RetryStrategy({ baseDelay: 1, jitterFactor: 0 }),
+        httpAdapter
+      });
+      const error = new Error('socket hang up');
+      error.config = { method: 'POST', headers: { 'Idempotency-Key': 'key-1' } };
+
+      await errorHandler.retryRequest(error, {});
+
+      expect(httpAdapter.request).toHaveBeenCalledWith(
+        expect.objectContaining({ headers: { 'Idempotency-Key': 'key-1' } })
+      );
+    });
+  });
+
+  describe('TestluyPaymentSDK.initiatePayment', () => {
+    let sdk;
+    let makeRequest;
+
+    beforeEach(() => {
+      sdk = new TestluyPaymentSDK({ clientId: 'test-client-id', secretKey: 'test-secret-key' });
+      makeRequest = jest.spyOn(sdk, '_makeRequest').mockResolvedValue({
+        payment_url: 'https://example.com/pay/trx-1',
+        transaction_id: 'trx-1'
+      });
+    });
+
+    test('should send an auto-generated idempotency key', async () => {
+      await sdk.initiatePayment(10, 'https://example.com/callback');
+
+      const [, , , options] = makeRequest.mock.calls[0];
+      expect(options.headers['Idempotency-Key']).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    test('should replay the original result for a caller-supplied key', async () => {
+      const first = await sdk.initiatePayment(10, 'https://example.com/callback', undefined, {
+        idempotencyKey: 'order-42'
+      });
+      const second = await sdk.initiatePayment(10, 'https://example.com/callback', undefined, {
+        idempotencyKey: 'order-42'
+      });
+
+      expect(makeRequest).toHaveBeenCalledTimes(1);
+      expect(makeRequest.mock.calls[0][3].headers['Idempotency-Key']).toBe('order-42');
+      expect(second).toEqual(first);
+    });
+
+    test('should send no key when auto-generation is disabled', async () => {
+      sdk = new TestluyPaymentSDK({
+        clientId: 'test-client-id',
+        secretKey: 'test-secret-key',
+        idempotencyConfig: { autoGenerate: false }
+      });
+      makeRequest = jest.spyOn(sdk, '_makeRequest').mockResolvedValue({
+        payment_url: 'https://example.com/pay/trx-2',
+        transaction_id: 'trx-2'
+      });
+
+      await sdk.initiatePayment(10, 'https://example.com/callback');
+
+      expect(makeRequest.mock.calls[0][3]).toEqual({});
+    });
+
+    test('should reject an invalid idempotency key', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(sdk.initiatePayment(10, 'https://example.com/callback', undefined, {
+        idempotencyKey: ''
+      })).rejects.toThrow('"idempotencyKey" must not be empty');
+    });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview
+ * Unit tests for paginated transaction listing
+ */
+
+import { jest } from '@jest/globals';
+import TestluyPaymentSDK from '../../index-enhanced.js';
+
+describe('Transaction listing', () => {
+  let sdk;
+  let makeRequest;
+
+  const page = (ids, nextCursor = null) => ({
+    data: ids.map(id => ({ transaction_id: id, status: 'Success' })),
+    next_cursor: nextCursor,
+    has_more: Boolean(nextCursor)
+  });
+
+  beforeEach(() => {
+    sdk = new TestluyPaymentSDK({ clientId: 'test-client-id', secretKey: 'test-secret-key' });
+    makeRequest = jest.spyOn(sdk, '_makeRequest').mockResolvedValue(page(['trx-1']));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  describe('listPayments', () => {
+    test('should send the filters as query parameters', async () => {
+      await sdk.listPayments({
+        status: 'Success',
+        from: new Date('2024-01-01T00:00:00Z'),
+        to: '2024-01-31T23:59:59Z',
+        minAmount: 1,
+        maxAmount: 500,
+        limit: 50,
+        cursor: 'abc'
+      });
+
+      const [method, path] = makeRequest.mock.calls[0];
+      const query = new URLSearchParams(path.split('?')[1]);
+      expect(method).toBe('GET');
+      expect(path).toContain('payment-simulator/transactions?');
+      expect(Object.fromEntries(query)).toEqual({
+        status: 'Success',
+        from: '2024-01-01T00:00:00.000Z',
+        to: '2024-01-31T23:59:59.000Z',
+        min_amount: '1',
+        max_amount: '500',
+        limit: '50',
+        cursor: 'abc'
+      });
+    });
+
+    test('should return the page with its cursor', async () => {
+      makeRequest.mockResolvedValue(page(['trx-1', 'trx-2'], 'next-1'));
+
+      const result = await sdk.listPayments();
+
+      expect(makeRequest.mock.calls[0][1]).toMatch(/payment-simulator\/transactions$/);
+      expect(result).toEqual({
+        data: [
+          { transaction_id: 'trx-1', status: 'Success' },
+          { transaction_id: 'trx-2', status: 'Success' }
+        ],
+        nextCursor: 'next-1',
+        hasMore: true
+      });
+    });
+
+    test.each([
+      [{ status: 'Done' }, '"status" must be one of'],
+      [{ limit: 101 }, '"limit" must be between 1 and 100'],
+      [{ from: 'not a date' }, '"from" must be a valid date'],
+      [{ from: '2024-02-01', to: '2024-01-01' }, '"to" must not be before "from"'],
+      [{ minAmount: 10, maxAmount: 5 }, '"maxAmount" must not be less than "minAmount"']
+    ])('should reject invalid filters %#', async (filters, message) => {
+      await expect(sdk.listPayments(filters)).rejects.toThrow(message);
+      expect(makeRequest).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('payments.iterate', () => {
+    test('should follow cursors until the last page', async () => {
+      makeRequest
+        .mockResolvedValueOnce(page(['trx-1', 'trx-2'], 'c1'))
+        .mockResolvedValueOnce(page(['trx-3'], 'c2'))
+        .mockResolvedValueOnce(page(['trx-4']));
+
+      const ids = [];
+      for await (const payment of sdk.payments.iterate({ status: 'Success' })) {
+        ids.push(payment.transaction_id);
+      }
+
+      expect(ids).toEqual(['trx-1', 'trx-2', 'trx-3', 'trx-4']);
+      expect(makeRequest).toHaveBeenCalledTimes(3);
+      expect(makeRequest.mock.calls[2][1]).toContain('cursor=c2');
+      expect(makeRequest.mock.calls[2][1]).toContain('status=Success');
+    });
+
+    test('should hold the next page in the rate limiter until the window resets', async () => {
+      jest.useFakeTimers();
+      makeRequest.mockRestore();
+      await sdk._ensureHttpClientInitialized();
+      const adapterRequest = jest.spyOn(sdk.httpClient.httpClient, 'request').mockImplementation(async config => ({
+        data: adapterRequest.mock.calls.length === 1 ? page(['trx-1'], 'c1') : page(['trx-2']),
+        status: 200,
+        headers: {
+          'x-ratelimit-limit': '60',
+          'x-ratelimit-remaining': '0',
+          'x-ratelimit-reset': String(Math.ceil(Date.now() / 1000) + 5)
+        },
+        config
+      }));
+
+      const iterator = sdk.payments.iterate();
+      expect((await iterator.next()).value.transaction_id).toBe('trx-1');
+      const resetAt = sdk.getRateLimitStatus().resetAt.getTime();
+
+      const next = iterator.next();
+      await jest.advanceTimersByTimeAsync(resetAt - Date.now() - 1);
+      expect(adapterRequest).toHaveBeenCalledTimes(1);
+      expect(sdk.getRateLimitStatus().queued).toBe(1);
+
+      await jest.advanceTimersByTimeAsync(1);
+      expect((await next).value.transaction_id).toBe('trx-2');
+      expect(adapterRequest).toHaveBeenCalledTimes(2);
+    });
+
+    test('should stop when a page fails', async () => {
+      makeRequest
+        .mockResolvedValueOnce(page(['trx-1'], 'c1'))
+        .mockRejectedValueOnce(new Error('API request failed: Server error'));
+
+      const iterator = sdk.payments.iterate();
+      await iterator.next();
+
+      await expect(iterator.next()).rejects.toThrow('Failed to list payments: API request failed: Server error');
+    });
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview
+ * Unit tests for the Money value object and currency-aware amounts
+ */
+
+import { jest } from '@jest/globals';
+import Money, { CURRENCY_RULES } from '../../money.js';
+import { validateAmount } from '../../validation.js';
+import TestluyPaymentSDK from '../../index-enhanced.js';
+
+describe('Money', () => {
+  describe('Money.of', () => {
+    test.each([
+      [10.5, 'USD', '10.50', 1050],
+      ['10.500', 'USD', '10.50', 1050],
+      [0.1 + 0.2, 'USD', '0.30', 30],
+      [4000, 'khr', '4000', 4000],
+      ['0.05', 'USD', '0.05', 5]
+    ])('should parse %p %s exactly', (amount, currency, text, minorUnits) => {
+      const money = Money.of(amount, currency);
+
+      expect(money.toString()).toBe(text);
+      expect(money.minorUnits).toBe(minorUnits);
+      expect(money.currency).toBe(currency.toUpperCase());
+    });
+
+    test.each([
+      [10.005, 'USD', '"amount" must have at most 2 decimal places for USD'],
+      [1500.5, 'KHR', '"amount" must be a whole number for KHR'],
+      ['1e3', 'USD', '"amount" must be a plain decimal number'],
+      [Infinity, 'USD', '"amount" must be a finite number'],
+      [10, 'EUR', '"currency" must be one of USD, KHR']
+    ])('should reject %p %s', (amount, currency, message) => {
+      expect(() => Money.of(amount, currency)).toThrow(message);
+    });
+
+    test('should reject a Money amount in another currency', () => {
+      expect(() => Money.of(Money.of(4000, 'KHR'), 'USD'))
+        .toThrow('"amount" is in KHR but USD was expected');
+    });
+  });
+
+  describe('arithmetic and limits', () => {
+    test('should add, subtract and compare without float errors', () => {
+      const total = Money.of(0.1).add(0.2).add('0.7');
+
+      expect(total.toString()).toBe('1.00');
+      expect(total.subtract(1).isZero()).toBe(true);
+      expect(Money.of(10).subtract(3.3).toString()).toBe('6.70');
+      expect(Money.of(6.71).greaterThan(Money.of(6.7))).toBe(true);
+      expect(Money.of(1).compareTo(2)).toBe(-1);
+    });
+
+    test('should serialize to the canonical string in JSON', () => {
+      expect(JSON.stringify({ amount: Money.of(7, 'USD') })).toBe('{"amount":"7.00"}');
+    });
+
+    test('should enforce the currency limits', () => {
+      const { minMinorUnits, maxMinorUnits } = CURRENCY_RULES.KHR;
+
+      expect(() => Money.fromMinorUnits(minMinorUnits - 1, 'KHR').assertWithinLimits())
+        .toThrow('"amount" must be at least 100 KHR');
+      expect(() => Money.fromMinorUnits(maxMinorUnits + 1, 'KHR').assertWithinLimits())
+        .toThrow('"amount" must be at most 400000000 KHR');
+      expect(Money.of('0.01').assertWithinLimits().toString()).toBe('0.01');
+    });
+  });
+
+  describe('validateAmount', () => {
+    test('should reject amounts with excess precision', () => {
+      expect(() => validateAmount(10.005)).toThrow('at most 2 decimal places');
+      expect(() => validateAmount(0.1 + 0.2)).not.toThrow();
+    });
+  });
+
+  describe('TestluyPaymentSDK', () => {
+    let sdk;
+    let makeRequest;
+
+    beforeEach(() => {
+      sdk = new TestluyPaymentSDK({ clientId: 'test-client-id', secretKey: 'test-secret-key' });
+      makeRequest = jest.spyOn(sdk, '_makeRequest').mockResolvedValue({
+        payment_url: 'https://example.com/pay/trx-1',
+        transaction_id: 'trx-1'
+      });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should send a Money amount as a canonical string with its currency', async () => {
+      const result = await sdk.initiatePayment({
+        amount: Money.of(0.1 + 0.2, 'USD'),
+        callbackUrl: 'https://example.com/callback'
+      });
+
+      expect(makeRequest.mock.calls[0][2]).toMatchObject({ amount: '0.30', currency: 'USD' });
+      expect(result).toMatchObject({ amount: 0.3, currency: 'USD' });
+    });
+
+    test('should reject amounts the currency cannot represent', async () => {
+      await expect(sdk.initiatePayment(10.005, 'https://example.com/callback'))
+        .rejects.toThrow('Failed to initiate payment: "amount" must have at most 2 decimal places for USD');
+      await expect(sdk.initiatePayment({ amount: 50, currency: 'KHR', callbackUrl: 'https://example.com/callback' }))
+        .rejects.toThrow('"amount" must be at least 100 KHR');
+      expect(makeRequest).not.toHaveBeenCalled();
+    });
+
+    test('should reject a currency that contradicts the Money amount', async () => {
+      await expect(sdk.initiatePayment({
+        amount: Money.of(4000, 'KHR'),
+        currency: 'USD',
+        callbackUrl: 'https://example.com/callback'
+      })).rejects.toThrow('"amount" is in KHR but USD was expected');
+    });
+
+    test('should refund in the payment currency', async () => {
+      jest.spyOn(sdk, 'getPaymentStatus').mockResolvedValue({
+        transaction_id: 'trx-1',
+        amount: 40000,
+        currency: 'KHR',
+        status: 'Success'
+      });
+      makeRequest.mockResolvedValue({ refund_id: 'rf-1' });
+
+      await sdk.refundPayment('trx-1', { amount: Money.of(1500, 'KHR') });
+      expect(makeRequest.mock.calls[0][2]).toEqual({ amount: '1500' });
+
+      await expect(sdk.refundPayment('trx-1', { amount: 10.5 }))
+        .rejects.toThrow('"amount" must be a whole number for KHR');
+    });
+  });
+});
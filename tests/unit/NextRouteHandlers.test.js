@@ -0,0 +1,213 @@
+/**
+ * @fileoverview
+ * Unit tests for the Next.js route handler factories and the shared SDK singleton
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import {
+  createPaymentRouteHandlers,
+  getSharedSDK
+} from '../../integrations/next.js';
+import { createCallbackSignature } from '../../http/utils/CallbackSignature.js';
+import TestluyPaymentSDK from '../../index-enhanced.js';
+
+const SECRET = 'test-secret-key';
+const ORIGIN = 'https://shop.example.com';
+
+async function signedCallbackQuery(status) {
+  const params = {
+    transaction_id: 'trx-1',
+    status,
+    timestamp: Math.floor(Date.now() / 1000)
+  };
+  const signature = await createCallbackSignature(SECRET, params);
+  return new URLSearchParams({ ...params, signature }).toString();
+}
+
+describe('Next.js integration', () => {
+  let sdk;
+
+  beforeEach(() => {
+    sdk = new TestluyPaymentSDK({ clientId: 'test-client-id', secretKey: SECRET });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('App Router handlers', () => {
+    test('should initiate a payment from a POST request', async () => {
+      const initiate = jest.spyOn(sdk, 'initiatePayment').mockResolvedValue({
+        paymentUrl: 'https://example.com/pay/trx-1',
+        transactionId: 'trx-1'
+      });
+      const { POST } = createPaymentRouteHandlers(sdk);
+
+      const response = await POST(new Request(`${ORIGIN}/api/testluy/payments`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ amount: 10 })
+      }));
+
+      expect(response.status).toBe(201);
+      expect(await response.json()).toEqual({
+        paymentUrl: 'https://example.com/pay/trx-1',
+        transactionId: 'trx-1'
+      });
+      expect(initiate).toHaveBeenCalledWith({
+        amount: 10,
+        callbackUrl: `${ORIGIN}/api/testluy/callback`
+      });
+    });
+
+    test('should resolve a lazily provided SDK once', async () => {
+      jest.spyOn(sdk, 'getPaymentStatus').mockResolvedValue({ transaction_id: 'trx-1', status: 'Success' });
+      const factory = jest.fn(async () => sdk);
+      const { GET } = createPaymentRouteHandlers(factory, { basePath: '/payments-api' });
+
+      const first = await GET(new Request(`${ORIGIN}/payments-api/payments/trx-1`));
+      await GET(new Request(`${ORIGIN}/payments-api/payments/trx-1`));
+
+      expect(first.status).toBe(200);
+      expect(await first.json()).toEqual({ transaction_id: 'trx-1', status: 'Success' });
+      expect(factory).toHaveBeenCalledTimes(1);
+    });
+
+    test('should answer 404 outside the payment routes', async () => {
+      const { GET } = createPaymentRouteHandlers(sdk);
+
+      const response = await GET(new Request(`${ORIGIN}/api/testluy/unknown`));
+
+      expect(response.status).toBe(404);
+      expect((await response.json()).error.code).toBe('NOT_FOUND');
+    });
+  });
+
+  describe('callbackHandler', () => {
+    test('should verify the callback and redirect to the success page', async () => {
+      const onSuccess = jest.fn();
+      const { callbackHandler } = createPaymentRouteHandlers(sdk, {
+        successRedirect: '/orders/complete',
+        failureRedirect: '/orders/failed',
+        onSuccess
+      });
+
+      const response = await callbackHandler(
+        new Request(`${ORIGIN}/payment/callback?${await signedCallbackQuery('Success')}`)
+      );
+
+      expect(response.status).toBe(302);
+      expect(response.headers.get('location'))
+        .toBe(`${ORIGIN}/orders/complete?transaction_id=trx-1&status=Success`);
+      expect(onSuccess).toHaveBeenCalledWith(
+        expect.objectContaining({ transactionId: 'trx-1', verified: true }),
+        expect.any(Object)
+      );
+    });
+
+    test('should redirect failed payments using a target function', async () => {
+      const { callbackHandler } = createPaymentRouteHandlers(sdk, {
+        failureRedirect: result => `/orders/${result.transactionId}/retry`
+      });
+
+      const response = await callbackHandler(
+        new Request(`${ORIGIN}/payment/callback?${await signedCallbackQuery('Failed')}`)
+      );
+
+      expect(response.headers.get('location'))
+        .toBe(`${ORIGIN}/orders/trx-1/retry?transaction_id=trx-1&status=Failed`);
+    });
+
+    test('should redirect rejected callbacks with the error code', async () => {
+      const onSuccess = jest.fn();
+      const { callbackHandler } = createPaymentRouteHandlers(sdk, {
+        failureRedirect: '/orders/failed',
+        onSuccess
+      });
+
+      const response = await callbackHandler(
+        new Request(`${ORIGIN}/payment/callback?transaction_id=trx-1&status=Success`)
+      );
+
+      expect(response.status).toBe(302);
+      expect(response.headers.get('location')).toMatch(/\/orders\/failed\?error=/);
+      expect(onSuccess).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('pagesHandler', () => {
+    let server;
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should serve the routes from a Node request and ignore catch-all query params', async () => {
+      const onSuccess = jest.fn();
+      const { pagesHandler } = createPaymentRouteHandlers(sdk, { onSuccess });
+      server = http.createServer((req, res) => {
+        // Next.js adds the catch-all segments to req.query
+        req.query = { testluy: ['callback'] };
+        pagesHandler(req, res);
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+      const response = await fetch(`${baseUrl}/api/testluy/callback?${await signedCallbackQuery('Success')}`);
+
+      expect(response.status).toBe(200);
+      expect(await response.json()).toEqual({ received: true, transactionId: 'trx-1', status: 'Success' });
+      expect(onSuccess).toHaveBeenCalled();
+    });
+  });
+
+  describe('getSharedSDK', () => {
+    test('should initialize one SDK per process and retry after a failed init', async () => {
+      const init = jest.spyOn(TestluyPaymentSDK.prototype, 'init')
+        .mockRejectedValueOnce(new Error('Initialization failed'))
+        .mockResolvedValue(true);
+      const options = { clientId: 'shared-client', secretKey: SECRET, baseUrl: 'https://api.example.com' };
+
+      await expect(getSharedSDK(options)).rejects.toThrow('Initialization failed');
+      const first = await getSharedSDK(options);
+      const second = await getSharedSDK(options);
+
+      expect(first).toBeInstanceOf(TestluyPaymentSDK);
+      expect(second).toBe(first);
+      expect(init).toHaveBeenCalledTimes(2);
+    });
+
+    test('should resolve options through the config layers and key instances on all of them', async () => {
+      jest.spyOn(TestluyPaymentSDK.prototype, 'init').mockResolvedValue(true);
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'testluy-next-'));
+      const configFile = path.join(dir, 'testluy.config.json');
+      fs.writeFileSync(configFile, JSON.stringify({
+        baseUrl: 'https://api.example.com',
+        profiles: { staging: { clientId: 'profile-client', secretKey: SECRET, retryConfig: { maxRetries: 1 } } }
+      }));
+      const previousEnv = { ...process.env };
+      Object.assign(process.env, { TESTLUY_CONFIG_FILE: configFile, TESTLUY_PROFILE: 'staging' });
+
+      try {
+        const fromProfile = await getSharedSDK();
+        expect(fromProfile.resolvedConfig).toMatchObject({
+          profile: 'staging',
+          options: { clientId: 'profile-client', baseUrl: 'https://api.example.com', retryConfig: { maxRetries: 1 } }
+        });
+        expect(await getSharedSDK({ retryConfig: { maxRetries: 1 } })).toBe(fromProfile);
+
+        const moreRetries = await getSharedSDK({ retryConfig: { maxRetries: 5 } });
+        expect(moreRetries).not.toBe(fromProfile);
+        expect(moreRetries.resolvedConfig.options.retryConfig.maxRetries).toBe(5);
+      } finally {
+        process.env = previousEnv;
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
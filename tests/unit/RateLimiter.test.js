@@ -0,0 +1,242 @@
+/**
+ * @fileoverview
+ * Unit tests for the client-side rate limiter driven by the x-ratelimit-* headers
+ */
+
+import { jest } from '@jest/globals';
+import RateLimiter, { RequestPriority } from '../../http/RateLimiter.js';
+import { RateLimitError, ValidationError } from '../../http/errors/index.js';
+import TestluyPaymentSDK from '../../index-enhanced.js';
+
+const NOW = Date.UTC(2026, 0, 1, 12, 0, 0);
+
+const rejection = promise => promise.then(
+  () => { throw new Error('Expected a rejection'); },
+  error => error
+);
+
+describe('Rate limiter', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('RateLimiter', () => {
+    test('should admit everything until a limit is known, then pace from the headers', async () => {
+      const limiter = new RateLimiter();
+      await limiter.acquire();
+      await limiter.acquire();
+      expect(limiter.getStatus()).toMatchObject({ limit: null, remaining: null, inFlight: 2 });
+
+      // The second request is still in flight, so only one of the two reported requests is left
+      limiter.update({ limit: 10, remaining: 2, resetAt: new Date(NOW + 5000) });
+      limiter.release();
+      expect(limiter.getStatus()).toMatchObject({ limit: 10, remaining: 1, resetAt: new Date(NOW + 5000), inFlight: 1 });
+
+      await limiter.acquire();
+      const admitted = jest.fn();
+      limiter.acquire().then(admitted);
+
+      await jest.advanceTimersByTimeAsync(4999);
+      expect(admitted).not.toHaveBeenCalled();
+      expect(limiter.getStatus()).toMatchObject({ remaining: 0, queued: 1 });
+
+      await jest.advanceTimersByTimeAsync(1);
+      expect(admitted).toHaveBeenCalled();
+      expect(limiter.getStatus()).toMatchObject({ remaining: 9, resetAt: null, queued: 0 });
+    });
+
+    test('should refill over the window and serve higher priorities first', async () => {
+      const limiter = new RateLimiter({ limit: 1, windowSeconds: 2 });
+      const order = [];
+      await limiter.acquire();
+
+      const requests = [
+        limiter.acquire({ priority: RequestPriority.LOW }).then(() => order.push('low')),
+        limiter.acquire().then(() => order.push('normal')),
+        limiter.acquire({ priority: RequestPriority.HIGH }).then(() => order.push('high'))
+      ];
+
+      await jest.advanceTimersByTimeAsync(2000);
+      expect(order).toEqual(['high']);
+      await jest.advanceTimersByTimeAsync(4000);
+      await Promise.all(requests);
+      expect(order).toEqual(['high', 'normal', 'low']);
+    });
+
+    test('should reject, refuse when the queue is full, or drop the lowest priority', async () => {
+      const rejecting = new RateLimiter({ limit: 1, overflow: 'reject' });
+      await rejecting.acquire();
+      const rejected = await rejection(rejecting.acquire());
+      expect(rejected).toBeInstanceOf(RateLimitError);
+      expect(rejected).toMatchObject({ retryAfter: 60, details: { clientSide: true, reason: 'rejected' } });
+
+      const waiting = new RateLimiter({ limit: 1, maxQueueSize: 1 });
+      await waiting.acquire();
+      waiting.acquire();
+      expect(await rejection(waiting.acquire({ priority: RequestPriority.HIGH })))
+        .toMatchObject({ details: { reason: 'queue_full' } });
+
+      const dropping = new RateLimiter({ limit: 1, maxQueueSize: 1, overflow: 'drop-lowest-priority' });
+      await dropping.acquire();
+      const low = rejection(dropping.acquire({ priority: RequestPriority.LOW }));
+      const high = dropping.acquire({ priority: RequestPriority.HIGH });
+      expect(await low).toMatchObject({ details: { reason: 'dropped' } });
+      expect(await rejection(dropping.acquire({ priority: RequestPriority.LOW })))
+        .toMatchObject({ details: { reason: 'queue_full' } });
+
+      await jest.advanceTimersByTimeAsync(60000);
+      await expect(high).resolves.toBeUndefined();
+    });
+
+    test('should empty the bucket on a 429 and stop waiting when aborted', async () => {
+      const limiter = new RateLimiter({ limit: 5 });
+      limiter.pause(30);
+      expect(limiter.getStatus()).toMatchObject({ remaining: 0, resetAt: new Date(NOW + 30000) });
+
+      const controller = new AbortController();
+      const waiting = rejection(limiter.acquire({ signal: controller.signal }));
+      controller.abort(new Error('Checkout closed'));
+      expect((await waiting).message).toBe('Checkout closed');
+      expect(limiter.getStatus().queued).toBe(0);
+    });
+
+    test('should hold requests until Retry-After after a 429 without rate limit headers, then stop pacing', async () => {
+      const limiter = new RateLimiter();
+      limiter.pause(2);
+      expect(limiter.getStatus()).toMatchObject({ limit: null, resetAt: new Date(NOW + 2000) });
+
+      const admitted = jest.fn();
+      limiter.acquire().then(admitted);
+      limiter.acquire().then(admitted);
+      await jest.advanceTimersByTimeAsync(1999);
+      expect(admitted).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(1);
+      expect(admitted).toHaveBeenCalledTimes(2);
+
+      await jest.advanceTimersByTimeAsync(3000);
+      await limiter.acquire();
+      await limiter.acquire();
+      expect(limiter.getStatus()).toMatchObject({ limit: null, remaining: null, resetAt: null, queued: 0, inFlight: 4 });
+    });
+  });
+
+  describe('TestluyPaymentSDK', () => {
+    let sdk;
+    let adapterRequest;
+
+    // The first response leaves one request in the window, later ones none
+    const createSDK = async (options) => {
+      sdk = new TestluyPaymentSDK({ clientId: 'client-1', secretKey: 'test-secret-key', retryConfig: { maxRetries: 0 }, ...options });
+      await sdk._ensureHttpClientInitialized();
+      adapterRequest = jest.spyOn(sdk.httpClient.httpClient, 'request').mockImplementation(async config => ({
+        data: { transaction_id: 'trx-1', status: 'Pending' },
+        status: 200,
+        headers: {
+          'x-ratelimit-limit': '60',
+          'x-ratelimit-remaining': adapterRequest.mock.calls.length === 1 ? '1' : '0',
+          'x-ratelimit-reset': String(NOW / 1000 + 10)
+        },
+        config
+      }));
+    };
+
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    test('should hold requests back until the reported window resets', async () => {
+      await createSDK();
+      await sdk.getPaymentStatus('trx-1');
+      await sdk.getPaymentStatus('trx-1');
+      expect(sdk.getRateLimitStatus()).toMatchObject({
+        enabled: true,
+        overflow: 'wait',
+        limit: 60,
+        remaining: 0,
+        resetAt: new Date(NOW + 10000),
+        reported: { limit: 60, remaining: 0 }
+      });
+
+      const third = sdk.getPaymentStatus('trx-1');
+      await jest.advanceTimersByTimeAsync(9999);
+      expect(adapterRequest).toHaveBeenCalledTimes(2);
+      expect(sdk.getRateLimitStatus().queued).toBe(1);
+
+      await jest.advanceTimersByTimeAsync(1);
+      await expect(third).resolves.toMatchObject({ status: 'Pending' });
+      expect(adapterRequest).toHaveBeenCalledTimes(3);
+    });
+
+    test('should drop a queued request as soon as its signal aborts', async () => {
+      await createSDK();
+      await sdk.getPaymentStatus('trx-1');
+      await sdk.getPaymentStatus('trx-1');
+
+      const controller = new AbortController();
+      const waiting = sdk.waitForPaymentCompletion('trx-1', { signal: controller.signal });
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(sdk.getRateLimitStatus().queued).toBe(1);
+
+      const reason = new Error('Checkout closed');
+      controller.abort(reason);
+      await expect(waiting).rejects.toBe(reason);
+      expect(sdk.getRateLimitStatus().queued).toBe(0);
+
+      await jest.advanceTimersByTimeAsync(9000);
+      expect(adapterRequest).toHaveBeenCalledTimes(2);
+    });
+
+    test('should reject a queued request with the abort reason', async () => {
+      await createSDK();
+      await sdk.getPaymentStatus('trx-1');
+      await sdk.getPaymentStatus('trx-1');
+
+      const controller = new AbortController();
+      const request = sdk._makeRequest('GET', '/api/payment-simulator/status/trx-1', undefined, { signal: controller.signal });
+      await jest.advanceTimersByTimeAsync(1000);
+      controller.abort();
+
+      await expect(request).rejects.toMatchObject({ name: 'AbortError' });
+      expect(sdk.getRateLimitStatus().queued).toBe(0);
+    });
+
+    test('should go back to unpaced requests after a 429 without rate limit headers', async () => {
+      await createSDK();
+      adapterRequest.mockImplementation(async config => ({ data: { transaction_id: 'trx-1', status: 'Pending' }, status: 200, headers: {}, config }));
+      adapterRequest.mockImplementationOnce(async config => {
+        throw Object.assign(new Error('HTTP 429: Too Many Requests'), {
+          response: { status: 429, statusText: 'Too Many Requests', headers: { 'retry-after': '2' }, data: {} },
+          config
+        });
+      });
+
+      await expect(sdk.getPaymentStatus('trx-1')).rejects.toThrow();
+      const held = sdk.getPaymentStatus('trx-1');
+      await jest.advanceTimersByTimeAsync(1999);
+      expect(adapterRequest).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(1);
+      await held;
+      await Promise.all([sdk.getPaymentStatus('trx-1'), sdk.getPaymentStatus('trx-1'), sdk.getPaymentStatus('trx-1')]);
+      expect(adapterRequest).toHaveBeenCalledTimes(5);
+      expect(sdk.getRateLimitStatus()).toMatchObject({ limit: null, remaining: null, resetAt: null, queued: 0 });
+    });
+
+    test('should validate rateLimitConfig and allow turning pacing off', async () => {
+      expect(() => new TestluyPaymentSDK({ clientId: 'client-1', secretKey: 'test-secret-key', rateLimitConfig: { overflow: 'queue' } }))
+        .toThrow(ValidationError);
+
+      await createSDK({ rateLimitConfig: { enabled: false } });
+      await sdk.getPaymentStatus('trx-1');
+      await sdk.getPaymentStatus('trx-1');
+      await sdk.getPaymentStatus('trx-1');
+      expect(adapterRequest).toHaveBeenCalledTimes(3);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview
+ * Unit tests for refunds and partial refunds
+ */
+
+import { jest } from '@jest/globals';
+import { PaymentStateError, ValidationError } from '../../http/errors/index.js';
+import Money from '../../money.js';
+import TestluyPaymentSDK from '../../index-enhanced.js';
+
+describe('Refunds', () => {
+  let sdk;
+  let makeRequest;
+  let getPaymentStatus;
+
+  beforeEach(() => {
+    sdk = new TestluyPaymentSDK({ clientId: 'test-client-id', secretKey: 'test-secret-key' });
+    getPaymentStatus = jest.spyOn(sdk, 'getPaymentStatus').mockResolvedValue({
+      transaction_id: 'trx-1',
+      amount: 10,
+      refunded_amount: 3.3,
+      status: 'PartiallyRefunded'
+    });
+    makeRequest = jest.spyOn(sdk, '_makeRequest').mockResolvedValue({
+      refund_id: 'rf-1',
+      transaction_id: 'trx-1',
+      amount: 2,
+      status: 'Succeeded'
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('refundPayment', () => {
+    test('should send a partial refund with an idempotency key', async () => {
+      const refund = await sdk.refundPayment('trx-1', { amount: 2, reason: 'Out of stock' });
+
+      const [method, path, body, options] = makeRequest.mock.calls[0];
+      expect(method).toBe('POST');
+      expect(path).toContain('payment-simulator/refund/trx-1');
+      expect(body).toEqual({ amount: '2.00', reason: 'Out of stock' });
+      expect(options.headers['Idempotency-Key']).toMatch(/^[0-9a-f-]{36}$/);
+      expect(refund.refund_id).toBe('rf-1');
+    });
+
+    test('should default to the remaining refundable amount', async () => {
+      await sdk.refundPayment('trx-1');
+
+      expect(makeRequest.mock.calls[0][2]).toEqual({ amount: '6.70' });
+    });
+
+    test('should reject an amount above the refundable amount', async () => {
+      await expect(sdk.refundPayment('trx-1', { amount: 6.71 }))
+        .rejects.toThrow('Failed to refund payment: "amount" (6.71) exceeds the refundable amount (6.70).');
+      expect(makeRequest).not.toHaveBeenCalled();
+    });
+
+    test('should throw a typed error for a payment that cannot be refunded', async () => {
+      getPaymentStatus.mockResolvedValue({ transaction_id: 'trx-1', amount: 10, status: 'Pending' });
+
+      const error = await sdk.refundPayment('trx-1').catch(e => e);
+
+      expect(error).toBeInstanceOf(PaymentStateError);
+      expect(error).toMatchObject({
+        code: 'INVALID_PAYMENT_STATE',
+        paymentStatus: 'Pending',
+        operation: 'refund',
+        retryable: false
+      });
+      expect(makeRequest).not.toHaveBeenCalled();
+    });
+
+    test('should replay the original refund for a caller-supplied key', async () => {
+      const first = await sdk.refundPayment('trx-1', { amount: 2, idempotencyKey: 'refund-1' });
+      const second = await sdk.refundPayment('trx-1', { amount: 2, idempotencyKey: 'refund-1' });
+
+      expect(makeRequest).toHaveBeenCalledTimes(1);
+      expect(second).toEqual(first);
+    });
+
+    test('should replay a full refund after the payment became Refunded', async () => {
+      getPaymentStatus
+        .mockResolvedValueOnce({ transaction_id: 'trx-1', amount: 10, refunded_amount: 3.3, status: 'PartiallyRefunded' })
+        .mockResolvedValue({ transaction_id: 'trx-1', amount: 10, refunded_amount: 10, status: 'Refunded' });
+
+      const first = await sdk.refundPayment('trx-1', { idempotencyKey: 'refund-full' });
+      const second = await sdk.refundPayment('trx-1', { idempotencyKey: 'refund-full' });
+
+      expect(makeRequest).toHaveBeenCalledTimes(1);
+      expect(makeRequest.mock.calls[0][2]).toEqual({ amount: '6.70' });
+      expect(second).toEqual(first);
+      await expect(sdk.refundPayment('trx-1', { amount: 2, idempotencyKey: 'refund-full' }))
+        .rejects.toThrow('already used with different request parameters');
+    });
+
+    test('should reject invalid options', async () => {
+      await expect(sdk.refundPayment('trx-1', { amount: -5 }))
+        .rejects.toThrow('"amount" must be a positive number');
+    });
+
+    test.each([
+      ['the string "0"', '0'],
+      ['the string "0.00"', '0.00'],
+      ['a zero Money amount', Money.of(0)]
+    ])('should reject %s as the amount before fetching the payment', async (name, amount) => {
+      const error = await sdk.refundPayment('trx-1', { amount }).catch(e => e);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.validationDetails).toEqual([expect.objectContaining({ field: 'amount' })]);
+      expect(getPaymentStatus).not.toHaveBeenCalled();
+      expect(makeRequest).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getRefund and listRefunds', () => {
+    test('should fetch a single refund', async () => {
+      const refund = await sdk.getRefund('rf-1');
+
+      expect(makeRequest).toHaveBeenCalledWith('GET', expect.stringContaining('payment-simulator/refunds/rf-1'));
+      expect(refund.status).toBe('Succeeded');
+    });
+
+    test('should keep transaction and refund IDs inside their path segments', async () => {
+      getPaymentStatus.mockResolvedValue({ transaction_id: 'trx/1', amount: 10, refunded_amount: 0, status: 'Success' });
+
+      await sdk.refundPayment('trx/1?x', { amount: 1 });
+      await sdk.getRefund('rf/../1#x');
+
+      expect(makeRequest.mock.calls[0][1]).toMatch(/payment-simulator\/refund\/trx%2F1%3Fx$/);
+      expect(makeRequest.mock.calls[1][1]).toMatch(/payment-simulator\/refunds\/rf%2F..%2F1%23x$/);
+    });
+
+    test('should list the refunds of a transaction', async () => {
+      makeRequest.mockResolvedValue({ refunds: [{ refund_id: 'rf-1' }, { refund_id: 'rf-2' }] });
+
+      const refunds = await sdk.listRefunds('trx 1');
+
+      expect(makeRequest.mock.calls[0][1]).toContain('payment-simulator/refunds?transaction_id=trx%201');
+      expect(refunds).toHaveLength(2);
+    });
+
+    test('should reject a missing refund list', async () => {
+      makeRequest.mockResolvedValue({});
+
+      await expect(sdk.listRefunds('trx-1'))
+        .rejects.toThrow('Failed to list refunds: Incomplete response received from the server.');
+    });
+  });
+});
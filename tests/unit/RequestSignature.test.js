@@ -0,0 +1,169 @@
+/**
+ * @fileoverview
+ * Unit tests for API request signing (v1 and v2) and server-side verification
+ */
+
+import { jest } from '@jest/globals';
+import {
+  SignatureVersion,
+  canonicalizeQuery,
+  buildRequestStringToSign,
+  signRequest,
+  verifyRequestSignature
+} from '../../http/utils/RequestSignature.js';
+import { createHmacSignature, createSha256Hash } from '../../http/utils/CryptoPolyfill.js';
+import { SignatureVerificationError, ValidationError } from '../../http/errors/index.js';
+import TestluyPaymentSDK from '../../index-enhanced.js';
+
+const CREDENTIALS = { clientId: 'client-1', secretKey: 'test-secret-key' };
+
+const receive = (headers, request) => ({ ...request, headers });
+
+describe('RequestSignature', () => {
+  describe('canonicalizeQuery', () => {
+    test('should sort parameters by key then value and encode them per RFC 3986', () => {
+      expect(canonicalizeQuery('?status=Success&limit=10&b=2&b=1&note=it%27s%20(ok)'))
+        .toBe('b=1&b=2&limit=10&note=it%27s%20%28ok%29&status=Success');
+      expect(canonicalizeQuery('')).toBe('');
+    });
+  });
+
+  describe('buildRequestStringToSign', () => {
+    test('should keep the v1 format', async () => {
+      const body = { amount: 10 };
+
+      await expect(buildRequestStringToSign({ method: 'POST', url: '/api/pay?x=1', timestamp: '1700000000', body }))
+        .resolves.toBe('POST\napi/pay?x=1\n1700000000\n{"amount":10}');
+      await expect(buildRequestStringToSign({ method: 'DELETE', url: '/api/pay', timestamp: '1700000000', body }))
+        .resolves.toBe('DELETE\napi/pay\n1700000000\n');
+    });
+
+    test('should sign the nonce, canonical query and body hash in v2', async () => {
+      const result = await buildRequestStringToSign({
+        version: SignatureVersion.V2,
+        method: 'delete',
+        url: 'https://api.example.com/api/refunds/rf-1?b=2&a=1',
+        timestamp: '1700000000',
+        nonce: 'nonce-1',
+        body: { reason: 'duplicate' }
+      });
+
+      expect(result).toBe([
+        'v2',
+        'DELETE',
+        'api/refunds/rf-1',
+        'a=1&b=2',
+        '1700000000',
+        'nonce-1',
+        await createSha256Hash('{"reason":"duplicate"}')
+      ].join('\n'));
+    });
+  });
+
+  describe('signRequest', () => {
+    test('should send no nonce or version header in v1', async () => {
+      const headers = await signRequest(CREDENTIALS, { method: 'GET', url: '/api/status/trx-1', timestamp: '1700000000' });
+
+      expect(headers).toEqual({
+        'X-Client-ID': 'client-1',
+        'X-Timestamp': '1700000000',
+        'X-Signature': await createHmacSignature(CREDENTIALS.secretKey, 'GET\napi/status/trx-1\n1700000000\n')
+      });
+    });
+
+    test('should add a fresh nonce and the version header in v2', async () => {
+      const request = { method: 'GET', url: '/api/status/trx-1', version: SignatureVersion.V2 };
+
+      const first = await signRequest(CREDENTIALS, request);
+      const second = await signRequest(CREDENTIALS, request);
+
+      expect(first['X-Signature-Version']).toBe('v2');
+      expect(first['X-Nonce']).toMatch(/^[0-9a-f-]{36}$/);
+      expect(second['X-Nonce']).not.toBe(first['X-Nonce']);
+    });
+  });
+
+  describe('verifyRequestSignature', () => {
+    const request = {
+      method: 'PATCH',
+      url: '/api/payments/trx-1?expand=refunds',
+      body: '{"description":"Two coffees"}'
+    };
+
+    test.each([SignatureVersion.V1, SignatureVersion.V2])('should accept a %s signed request', async (version) => {
+      const headers = await signRequest(CREDENTIALS, { ...request, version });
+
+      await expect(verifyRequestSignature(CREDENTIALS.secretKey, receive(headers, request))).resolves.toBe(true);
+    });
+
+    test('should cover the query and the PATCH body in v2 only', async () => {
+      const v1 = await signRequest(CREDENTIALS, request);
+      const v2 = await signRequest(CREDENTIALS, { ...request, version: SignatureVersion.V2 });
+      const tampered = { ...request, body: '{"description":"Ten coffees"}' };
+
+      await expect(verifyRequestSignature(CREDENTIALS.secretKey, receive(v1, tampered))).resolves.toBe(true);
+      await expect(verifyRequestSignature(CREDENTIALS.secretKey, receive(v2, tampered)))
+        .rejects.toMatchObject({ reason: 'signature_mismatch' });
+      await expect(verifyRequestSignature(CREDENTIALS.secretKey, receive(v2, { ...request, url: '/api/payments/trx-1?expand=all' })))
+        .rejects.toMatchObject({ reason: 'signature_mismatch' });
+    });
+
+    test('should reject replayed v2 nonces once the signature matched', async () => {
+      const nonceStore = new Set();
+      const headers = await signRequest(CREDENTIALS, { ...request, version: SignatureVersion.V2 });
+      const forged = { ...headers, 'X-Signature': '0'.repeat(64), 'X-Nonce': 'nonce-forged' };
+
+      await expect(verifyRequestSignature(CREDENTIALS.secretKey, receive(forged, request), { nonceStore }))
+        .rejects.toMatchObject({ reason: 'signature_mismatch' });
+      await verifyRequestSignature(CREDENTIALS.secretKey, receive(headers, request), { nonceStore });
+      const replay = await verifyRequestSignature(CREDENTIALS.secretKey, receive(headers, request), { nonceStore })
+        .catch(error => error);
+
+      expect(replay).toBeInstanceOf(SignatureVerificationError);
+      expect(replay.reason).toBe('nonce_reused');
+      expect([...nonceStore]).toEqual([headers['X-Nonce']]);
+    });
+
+    test('should read lower-case and Headers instance headers', async () => {
+      const signed = await signRequest(CREDENTIALS, { ...request, version: SignatureVersion.V2 });
+      const lowerCase = Object.fromEntries(Object.entries(signed).map(([name, value]) => [name.toLowerCase(), value]));
+
+      await expect(verifyRequestSignature(CREDENTIALS.secretKey, receive(lowerCase, request))).resolves.toBe(true);
+      await expect(verifyRequestSignature(CREDENTIALS.secretKey, receive(new Headers(signed), request))).resolves.toBe(true);
+    });
+
+    test.each([
+      ['an unaccepted version', headers => headers, { allowedVersions: ['v2'] }, 'unsupported_version'],
+      ['an unknown version', headers => ({ ...headers, 'X-Signature-Version': 'v9' }), {}, 'unsupported_version'],
+      ['a missing signature', ({ 'X-Signature': _, ...headers }) => headers, {}, 'missing_signature'],
+      ['a stale timestamp', headers => headers, { now: Date.now() + 600 * 1000 }, 'timestamp_out_of_tolerance'],
+      ['a v2 request without nonce', headers => ({ ...headers, 'X-Signature-Version': 'v2' }), {}, 'missing_nonce']
+    ])('should reject %s', async (name, edit, options, reason) => {
+      const headers = edit(await signRequest(CREDENTIALS, request));
+
+      await expect(verifyRequestSignature(CREDENTIALS.secretKey, receive(headers, request), options))
+        .rejects.toMatchObject({ code: 'SIGNATURE_VERIFICATION_FAILED', reason });
+    });
+  });
+
+  describe('TestluyPaymentSDK signatureVersion', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should sign with v1 by default and v2 when configured', async () => {
+      const v1 = new TestluyPaymentSDK(CREDENTIALS);
+      const v2 = new TestluyPaymentSDK({ ...CREDENTIALS, signatureVersion: 'v2' });
+
+      expect(await v1._getAuthHeaders('GET', '/api/status/trx-1')).not.toHaveProperty('X-Nonce');
+      const headers = await v2._getAuthHeaders('GET', '/api/payments?limit=10');
+      expect(headers).toMatchObject({ 'X-Signature-Version': 'v2', 'X-Nonce': expect.any(String) });
+      await expect(verifyRequestSignature(CREDENTIALS.secretKey, { method: 'GET', url: '/api/payments?limit=10', headers }))
+        .resolves.toBe(true);
+    });
+
+    test('should reject an unknown signature version', () => {
+      expect(() => new TestluyPaymentSDK({ ...CREDENTIALS, signatureVersion: 'v3' })).toThrow(ValidationError);
+    });
+  });
+});
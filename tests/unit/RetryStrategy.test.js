@@ -32,7 +32,8 @@ describe('RetryStrategy', () => {
         jitterFactor: 0.1,
         retryableStatusCodes: [408, 429, 500, 502, 503, 504],
         retryCondition: null,
-        onRetry: null
+        onRetry: null,
+        retryNonIdempotent: false
       });
     });
     
@@ -45,7 +46,8 @@ describe('RetryStrategy', () => {
         jitterFactor: 0.2,
         retryableStatusCodes: [429, 500],
         retryCondition: () => true,
-        onRetry: () => {}
+        onRetry: () => {},
+        retryNonIdempotent: true
       };
       
       retryStrategy = new RetryStrategy(config);
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview
+ * Unit tests for refusing secret keys in browsers and redacting secrets from SDK output
+ */
+
+import { jest } from '@jest/globals';
+import { guardSecretKey } from '../../http/utils/SecretGuard.js';
+import { redactSecrets, registerSecret, unregisterSecret } from '../../http/utils/SecretRedaction.js';
+import { Logger } from '../../http/Logger.js';
+import DebugMonitor from '../../http/DebugMonitor.js';
+import EnhancedErrorReporter from '../../http/EnhancedErrorReporter.js';
+import { LocalSigner } from '../../http/utils/Signer.js';
+import { SDKError, RateLimitError, ValidationError } from '../../http/errors/index.js';
+import TestluyPaymentSDK from '../../index-enhanced.js';
+
+const SECRET = 'sk_live_4f9a2c7e1b';
+
+describe('Secret guard', () => {
+  afterEach(() => {
+    unregisterSecret(SECRET);
+    jest.restoreAllMocks();
+  });
+
+  describe('guardSecretKey', () => {
+    test('should refuse, warn about or allow a secret key in a browser', () => {
+      const warn = jest.fn();
+
+      expect(() => guardSecretKey(SECRET, { isBrowser: true })).toThrow(
+        expect.objectContaining({ code: 'SECRET_KEY_IN_BROWSER' })
+      );
+      guardSecretKey(SECRET, { isBrowser: true, mode: 'warn', warn });
+      guardSecretKey(SECRET, { isBrowser: true, mode: 'off', warn });
+      guardSecretKey(SECRET, { isBrowser: false, warn });
+
+      expect(warn).toHaveBeenCalledTimes(1);
+      expect(warn.mock.calls[0][0]).toMatch(/must not be used in a browser or web worker/);
+    });
+
+    describe('in a web worker', () => {
+      beforeEach(() => {
+        globalThis.WorkerGlobalScope = class WorkerGlobalScope {};
+        globalThis.self = new globalThis.WorkerGlobalScope();
+      });
+
+      afterEach(() => {
+        delete globalThis.WorkerGlobalScope;
+        delete globalThis.self;
+      });
+
+      test('should stop the SDK from taking a secret key unless secretKeyGuard allows it', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        expect(() => new TestluyPaymentSDK({ clientId: 'client-1', secretKey: SECRET })).toThrow(SDKError);
+        expect(() => new TestluyPaymentSDK({ clientId: 'client-1', signer: new LocalSigner(SECRET) })).not.toThrow();
+        expect(new TestluyPaymentSDK({ clientId: 'client-1', secretKey: SECRET, secretKeyGuard: 'warn' }).secretKey).toBe(SECRET);
+        expect(warn).toHaveBeenCalledTimes(1);
+
+        const sdk = new TestluyPaymentSDK({ clientId: 'client-1', signer: new LocalSigner(SECRET) });
+        expect(() => sdk.rotateCredentials({ secretKey: 'another-secret-key' })).toThrow(
+          expect.objectContaining({ code: 'SECRET_KEY_IN_BROWSER' })
+        );
+      });
+    });
+
+    test('should validate the secretKeyGuard option', () => {
+      expect(() => new TestluyPaymentSDK({ clientId: 'client-1', secretKey: SECRET, secretKeyGuard: 'ignore' }))
+        .toThrow(ValidationError);
+    });
+  });
+
+  describe('redaction', () => {
+    beforeEach(() => {
+      new TestluyPaymentSDK({ clientId: 'client-1', secretKey: SECRET });
+    });
+
+    test('should redact the secret as is and URL-encoded, and only register long secrets', () => {
+      registerSecret('a b/c+d e');
+      const circular = { note: `key=${SECRET}` };
+      circular.self = circular;
+
+      const redacted = redactSecrets({ list: [SECRET], circular, other: `?k=${encodeURIComponent('a b/c+d e')}`, count: 3 });
+
+      expect(redacted).toMatchObject({ list: ['[REDACTED]'], circular: { note: 'key=[REDACTED]' }, other: '?k=[REDACTED]', count: 3 });
+      expect(redacted.circular.self).toBe(redacted.circular);
+      expect(registerSecret('short')).toBe(false);
+      unregisterSecret('a b/c+d e');
+    });
+
+    test('should redact SDKError.toJSON() and log output', () => {
+      const transport = jest.fn();
+      const log = new Logger({ level: 'debug', transport, format: 'json', maskSensitive: false });
+      const error = new RateLimitError(`Rejected key ${SECRET}`, { rateLimitInfo: { echoed: SECRET } });
+
+      expect(JSON.stringify(error)).not.toContain(SECRET);
+      expect(error.toJSON()).toMatchObject({ message: 'Rejected key [REDACTED]', rateLimitInfo: { echoed: '[REDACTED]' } });
+
+      log.error('Request failed', { url: `https://api.example.com/?secret=${SECRET}`, error });
+      new Logger({ level: 'debug', transport, maskSensitive: false }).warn(new Error(`boom ${SECRET}`));
+
+      const [[, [jsonLine]], [, textArgs]] = transport.mock.calls;
+      expect(jsonLine).toContain('?secret=[REDACTED]');
+      expect(jsonLine).not.toContain(SECRET);
+      expect(textArgs[textArgs.length - 1].message).toBe('boom [REDACTED]');
+    });
+
+    test('should redact diagnostic reports and DebugMonitor exports', () => {
+      const log = new Logger({ enableMetrics: true, transport: () => {} });
+      log.recordIssue('authentication', { message: SECRET });
+      log.metrics.errors.recent.push({ message: `Invalid key ${SECRET}` });
+
+      const monitor = new DebugMonitor({ enabled: true, trackPerformance: true, logger: log });
+      monitor.startRequest('req-1', { url: `/api/status?key=${SECRET}` });
+      monitor.endRequest('req-1', { success: false, statusCode: 401, errorType: 'auth' });
+
+      const reporter = new EnhancedErrorReporter({ logger: log });
+      const failure = new Error(`Signature for ${SECRET} rejected`);
+
+      for (const output of [
+        log.generateDiagnosticReport(),
+        log.getMetrics(),
+        monitor.getPerformanceMetrics(),
+        monitor.createDiagnosticReport(),
+        reporter.createErrorReport(failure),
+        reporter.createSimplifiedReport(failure)
+      ]) {
+        expect(JSON.stringify(output)).not.toContain(SECRET);
+      }
+      expect(monitor.createDiagnosticReport().metrics.errors.recent[0].url).toBe('/api/status?key=[REDACTED]');
+    });
+  });
+});
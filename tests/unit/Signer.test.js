@@ -0,0 +1,166 @@
+/**
+ * @fileoverview
+ * Unit tests for the pluggable request signers
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { LocalSigner, RemoteSigner } from '../../http/utils/Signer.js';
+import { createHmacSignature } from '../../http/utils/CryptoPolyfill.js';
+import { createCallbackSignature } from '../../http/utils/CallbackSignature.js';
+import { verifyRequestSignature } from '../../http/utils/RequestSignature.js';
+import { SDKError, ValidationError } from '../../http/errors/index.js';
+import TestluyPaymentSDK from '../../index-enhanced.js';
+import LegacyTestluyPaymentSDK from '../../index.js';
+
+const SECRET_KEY = 'sidecar-secret-key';
+
+describe('Signer', () => {
+  describe('LocalSigner', () => {
+    test('should sign with HMAC-SHA256 and keep the key out of JSON', async () => {
+      const signer = new LocalSigner(SECRET_KEY);
+
+      expect(await signer.sign('GET\napi/status/trx-1\n1700000000\n'))
+        .toBe(await createHmacSignature(SECRET_KEY, 'GET\napi/status/trx-1\n1700000000\n'));
+      expect(JSON.stringify(signer)).toBe('{}');
+      expect(() => new LocalSigner('')).toThrow(TypeError);
+    });
+  });
+
+  describe('RemoteSigner', () => {
+    let dir;
+    let server;
+    let received;
+    let respond;
+
+    const listen = (...args) => new Promise(resolve => server.listen(...args, resolve));
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'testluy-signer-'));
+      received = [];
+      respond = async (res, { stringToSign }) => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ signature: (await createHmacSignature(SECRET_KEY, stringToSign)).toUpperCase() }));
+      };
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push({ method: req.method, url: req.url, headers: req.headers, body });
+          respond(res, JSON.parse(body));
+        });
+      });
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should sign over HTTP', async () => {
+      await listen(0, '127.0.0.1');
+      const signer = new RemoteSigner({
+        url: `http://127.0.0.1:${server.address().port}/v1/sign`,
+        headers: { Authorization: 'Bearer signer-token' }
+      });
+
+      expect(await signer.sign('payload')).toBe(await createHmacSignature(SECRET_KEY, 'payload'));
+      expect(received[0]).toMatchObject({
+        method: 'POST',
+        url: '/v1/sign',
+        headers: { authorization: 'Bearer signer-token', 'content-type': 'application/json' },
+        body: '{"stringToSign":"payload"}'
+      });
+    });
+
+    test('should sign over a Unix socket', async () => {
+      const socketPath = path.join(dir, 'signer.sock');
+      await listen(socketPath);
+
+      const signature = await new RemoteSigner({ socketPath }).sign('payload');
+
+      expect(signature).toBe(await createHmacSignature(SECRET_KEY, 'payload'));
+      expect(received[0].url).toBe('/sign');
+    });
+
+    test.each([
+      ['an HTTP error', (res) => { res.statusCode = 503; res.end(); }, 'Signer responded with HTTP 503'],
+      ['a response without signature', (res) => res.end('{"error":"key disabled"}'), 'Signer response has no hex HMAC-SHA256 signature'],
+      ['a non-JSON response', (res) => res.end('ok'), 'Signer response has no hex HMAC-SHA256 signature']
+    ])('should throw SIGNER_ERROR for %s', async (name, handler, message) => {
+      respond = handler;
+      await listen(0, '127.0.0.1');
+
+      const error = await new RemoteSigner({ url: `http://127.0.0.1:${server.address().port}/sign` })
+        .sign('payload')
+        .catch(caught => caught);
+
+      expect(error).toBeInstanceOf(SDKError);
+      expect(error).toMatchObject({ code: 'SIGNER_ERROR', message });
+    });
+
+    test('should throw SIGNER_ERROR when the service is unreachable', async () => {
+      await expect(new RemoteSigner({ socketPath: path.join(dir, 'missing.sock') }).sign('payload'))
+        .rejects.toMatchObject({ code: 'SIGNER_ERROR', message: expect.stringMatching(/^Signer request failed: /) });
+    });
+
+    test('should need a URL or socket path', () => {
+      expect(() => new RemoteSigner({})).toThrow(TypeError);
+    });
+  });
+
+  describe('TestluyPaymentSDK signer option', () => {
+    const signer = { sign: jest.fn(stringToSign => createHmacSignature(SECRET_KEY, stringToSign)) };
+
+    afterEach(() => {
+      jest.clearAllMocks();
+    });
+
+    test('should sign requests and verify callbacks without a secret key', async () => {
+      const sdk = new TestluyPaymentSDK({ clientId: 'client-1', signer, signatureVersion: 'v2' });
+
+      const headers = await sdk._getAuthHeaders('POST', '/api/payment-simulator/generate-url', '{"amount":10}');
+      await expect(verifyRequestSignature(SECRET_KEY, {
+        method: 'POST',
+        url: '/api/payment-simulator/generate-url',
+        headers,
+        body: '{"amount":10}'
+      })).resolves.toBe(true);
+
+      const callback = { transaction_id: 'trx-1', status: 'Success', timestamp: String(Math.floor(Date.now() / 1000)) };
+      callback.signature = await createCallbackSignature(SECRET_KEY, callback);
+      await expect(sdk.verifyCallbackSignature(callback)).resolves.toBe(true);
+
+      expect(sdk.secretKey).toBeUndefined();
+      expect(signer.sign).toHaveBeenCalledTimes(2);
+    });
+
+    test('should wrap signer failures in SIGNATURE_ERROR', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const failing = { sign: jest.fn().mockRejectedValue(new Error('sidecar down')) };
+      const sdk = new TestluyPaymentSDK({ clientId: 'client-1', signer: failing });
+
+      await expect(sdk._getAuthHeaders('GET', '/api/status/trx-1'))
+        .rejects.toMatchObject({ code: 'SIGNATURE_ERROR', cause: expect.objectContaining({ message: 'sidecar down' }) });
+      jest.restoreAllMocks();
+    });
+
+    test('should require a secret key or a valid signer', () => {
+      expect(() => new TestluyPaymentSDK({ clientId: 'client-1' }))
+        .toThrow('"secretKey" is required unless a "signer" or "credentialsProvider" is given');
+      expect(() => new TestluyPaymentSDK({ clientId: 'client-1', signer: {} })).toThrow(ValidationError);
+    });
+
+    test('should delegate the legacy SDK signature to the signer', async () => {
+      const sdk = new LegacyTestluyPaymentSDK({ clientId: 'client-1', signer });
+
+      expect(await sdk._generateSignature('GET', 'api/status/trx-1', '1700000000'))
+        .toBe(await createHmacSignature(SECRET_KEY, 'GET\napi/status/trx-1\n1700000000\n'));
+      expect(() => new LegacyTestluyPaymentSDK({ clientId: 'client-1', signer: 'sign-me' }))
+        .toThrow('signer must have a sign(stringToSign) method');
+    });
+  });
+});
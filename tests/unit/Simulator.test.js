@@ -0,0 +1,225 @@
+/**
+ * @fileoverview
+ * Unit tests for the local TestLuy simulator server
+ */
+
+import { jest } from '@jest/globals';
+import http from 'http';
+import { startSimulator } from '../../simulator/index.js';
+import { serializeRequestBody } from '../../http/utils/CanonicalJson.js';
+import { signRequest } from '../../http/utils/RequestSignature.js';
+import TestluyPaymentSDK from '../../index-enhanced.js';
+
+describe('Simulator', () => {
+  let simulator;
+  let sdk;
+
+  /**
+   * Sends a request signed the way the SDK signs its API requests
+   */
+  const signedRequest = async (method, path, body) => {
+    const bodyString = serializeRequestBody(body);
+    const headers = await sdk._getAuthHeaders(method, path, bodyString);
+    return fetch(`${simulator.url}${path}`, {
+      method,
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: bodyString
+    });
+  };
+
+  const createPayment = async (body = {}) => {
+    const response = await signedRequest('POST', '/api/payment-simulator/generate-url', {
+      amount: '10.50',
+      callback_url: 'https://shop.example.com/callback',
+      ...body
+    });
+    return response.json();
+  };
+
+  beforeEach(async () => {
+    simulator = await startSimulator({ rateLimit: { limit: 5, windowSeconds: 60 } });
+    sdk = new TestluyPaymentSDK({
+      clientId: simulator.clientId,
+      secretKey: simulator.secretKey,
+      baseUrl: simulator.url
+    });
+  });
+
+  afterEach(async () => {
+    await simulator.close();
+    jest.restoreAllMocks();
+  });
+
+  test('should validate credentials signed by the SDK', async () => {
+    const response = await signedRequest('POST', '/api/validate-credentials', {});
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ isValid: true });
+    expect(response.headers.get('x-ratelimit-limit')).toBe('5');
+    expect(response.headers.get('x-ratelimit-remaining')).toBe('4');
+    expect(Number(response.headers.get('x-ratelimit-reset'))).toBeGreaterThan(Date.now() / 1000);
+  });
+
+  test.each([
+    ['a wrong signature', { 'X-Signature': 'deadbeef' }, 'Invalid signature'],
+    ['an unknown client', { 'X-Client-ID': 'someone-else' }, 'Unknown client ID'],
+    ['a stale timestamp', { 'X-Timestamp': '1000000000' }, 'X-Timestamp is outside the allowed window']
+  ])('should reject %s', async (name, overrides, message) => {
+    const headers = await sdk._getAuthHeaders('POST', '/api/validate-credentials', {});
+
+    const response = await fetch(`${simulator.url}/api/validate-credentials`, {
+      method: 'POST',
+      headers: { ...headers, ...overrides },
+      body: '{}'
+    });
+
+    expect(response.status).toBe(401);
+    expect((await response.json()).message).toBe(message);
+  });
+
+  test('should accept v2 signed requests and reject replayed nonces', async () => {
+    const v2 = new TestluyPaymentSDK({
+      clientId: simulator.clientId,
+      secretKey: simulator.secretKey,
+      baseUrl: simulator.url,
+      signatureVersion: 'v2'
+    });
+    const headers = await v2._getAuthHeaders('POST', '/api/validate-credentials', {});
+    const send = () => fetch(`${simulator.url}/api/validate-credentials`, { method: 'POST', headers, body: '{}' });
+
+    expect((await send()).status).toBe(200);
+    const replay = await send();
+    expect(replay.status).toBe(401);
+    expect((await replay.json()).message).toBe('X-Nonce was already used');
+  });
+
+  test('should forget nonces once they are too old to be replayed', async () => {
+    await simulator.close();
+    simulator = await startSimulator({ timestampToleranceSeconds: 60 });
+    const start = Date.now();
+    const now = jest.spyOn(Date, 'now').mockReturnValue(start);
+    const send = async (nonce) => {
+      const headers = await signRequest(
+        { clientId: simulator.clientId, secretKey: simulator.secretKey },
+        { method: 'POST', url: '/api/validate-credentials', body: '{}', version: 'v2', nonce }
+      );
+      return (await fetch(`${simulator.url}/api/validate-credentials`, { method: 'POST', headers, body: '{}' })).status;
+    };
+
+    expect(await send('nonce-1')).toBe(200);
+    now.mockReturnValue(start + 120000);
+    expect(await send('nonce-1')).toBe(401);
+
+    // Twice the tolerance after it was first seen, no request with the nonce can still be fresh
+    now.mockReturnValue(start + 121000);
+    expect(await send('nonce-2')).toBe(200);
+    expect(await send('nonce-1')).toBe(200);
+  });
+
+  test('should reject a body that differs from the signed one', async () => {
+    const headers = await sdk._getAuthHeaders('POST', '/api/payment-simulator/generate-url', { amount: '1.00' });
+
+    const response = await fetch(`${simulator.url}/api/payment-simulator/generate-url`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ amount: '1000.00' })
+    });
+
+    expect(response.status).toBe(401);
+  });
+
+  test('should create payments and report their status without the /api prefix too', async () => {
+    const payment = await createPayment({ order_id: 'order-1' });
+
+    expect(payment).toMatchObject({ transaction_id: expect.any(String), order_id: 'order-1' });
+    expect(payment.payment_url).toBe(
+      `${simulator.url}/sandbox/payment?transaction_id=${payment.transaction_id}`
+    );
+
+    const response = await signedRequest('GET', `/payment-simulator/status/${payment.transaction_id}`);
+    expect(await response.json()).toMatchObject({
+      transaction_id: payment.transaction_id,
+      status: 'Initiated',
+      amount: '10.50',
+      currency: 'USD'
+    });
+  });
+
+  test('should replay payments created with the same idempotency key', async () => {
+    const sign = () => sdk._getAuthHeaders('POST', '/api/payment-simulator/generate-url', {
+      amount: 5,
+      callback_url: 'https://shop.example.com/callback'
+    });
+    const send = async () => {
+      const response = await fetch(`${simulator.url}/api/payment-simulator/generate-url`, {
+        method: 'POST',
+        headers: { ...(await sign()), 'Idempotency-Key': 'order-1-attempt' },
+        body: JSON.stringify({ amount: 5, callback_url: 'https://shop.example.com/callback' })
+      });
+      return response.json();
+    };
+
+    const first = await send();
+    const second = await send();
+
+    expect(second.transaction_id).toBe(first.transaction_id);
+    expect(simulator.transactions.size).toBe(1);
+  });
+
+  test('should answer 429 with Retry-After once the rate limit is used up', async () => {
+    for (let i = 0; i < 5; i++) {
+      await signedRequest('POST', '/api/validate-credentials', {});
+    }
+
+    const response = await signedRequest('POST', '/api/validate-credentials', {});
+
+    expect(response.status).toBe(429);
+    expect(response.headers.get('x-ratelimit-remaining')).toBe('0');
+    expect(Number(response.headers.get('retry-after'))).toBeGreaterThan(0);
+  });
+
+  test('should serve the payment page and send a signed callback the SDK accepts', async () => {
+    const received = [];
+    const merchant = http.createServer(async (req, res) => {
+      let body = '';
+      for await (const chunk of req) body += chunk;
+      received.push(JSON.parse(body));
+      res.end('ok');
+    });
+    await new Promise(resolve => merchant.listen(0, '127.0.0.1', resolve));
+    const callbackUrl = `http://127.0.0.1:${merchant.address().port}/callback`;
+
+    try {
+      const payment = await createPayment({ callback_url: callbackUrl, back_url: 'https://shop.example.com/done' });
+
+      const page = await fetch(payment.payment_url);
+      expect(await page.text()).toContain(payment.transaction_id);
+
+      const completion = await fetch(`${simulator.url}/sandbox/payment/${payment.transaction_id}/complete`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: 'status=Success',
+        redirect: 'manual'
+      });
+      expect(completion.status).toBe(303);
+      expect(completion.headers.get('location')).toBe('https://shop.example.com/done');
+
+      expect(received).toHaveLength(1);
+      expect(simulator.callbacks[0]).toMatchObject({ url: callbackUrl, ok: true });
+      const result = await sdk.handlePaymentCallback(received[0], { verifySignature: true });
+      expect(result).toMatchObject({ transactionId: payment.transaction_id, status: 'Success', verified: true });
+    } finally {
+      await new Promise(resolve => merchant.close(resolve));
+    }
+  });
+
+  test('should record failed callback deliveries', async () => {
+    const payment = await createPayment({ callback_url: 'http://127.0.0.1:1/callback' });
+
+    const { transaction, callback } = await simulator.completePayment(payment.transaction_id, 'Failed');
+
+    expect(transaction.status).toBe('Failed');
+    expect(callback.ok).toBe(false);
+    await expect(simulator.completePayment(payment.transaction_id)).rejects.toThrow('already Failed');
+  });
+});
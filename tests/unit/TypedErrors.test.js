@@ -0,0 +1,194 @@
+/**
+ * @fileoverview
+ * Unit tests for the typed SDK errors thrown by public methods
+ */
+
+import { jest } from '@jest/globals';
+import ErrorDetector from '../../http/ErrorDetector.js';
+import {
+  SDKError,
+  NetworkError,
+  ValidationError,
+  AuthenticationError,
+  ServerError,
+  RateLimitError
+} from '../../http/errors/index.js';
+import { validatePaymentOptions, validateTransactionId } from '../../validation.js';
+import { errorToHttpResponse } from '../../integrations/routes.js';
+import TestluyPaymentSDK from '../../index-enhanced.js';
+
+const httpError = (status, data = {}, headers = {}) => Object.assign(new Error(`HTTP ${status}`), {
+  response: { status, statusText: 'Error', headers, data },
+  request: {},
+  config: { url: '/api/payment-simulator/status/trx-1', timeout: 5000 }
+});
+
+describe('Typed errors', () => {
+  const classify = error => new ErrorDetector().createErrorInterceptor().onError(error).catch(caught => caught);
+
+  describe('ErrorDetector', () => {
+    test.each([
+      [401, AuthenticationError, 'AUTHENTICATION_ERROR'],
+      [422, ValidationError, 'VALIDATION_ERROR'],
+      [500, ServerError, 'SERVER_ERROR'],
+      [503, ServerError, 'SERVER_ERROR']
+    ])('should turn HTTP %i responses into %p', async (status, ErrorClass, code) => {
+      const original = httpError(status, {}, { 'x-request-id': 'req-1' });
+
+      const error = await classify(original);
+
+      expect(error).toBeInstanceOf(ErrorClass);
+      expect(error).toBeInstanceOf(SDKError);
+      expect(error).toMatchObject({ code, statusCode: status, requestId: 'req-1', cause: original });
+    });
+
+    test('should keep the field errors of 422 responses', async () => {
+      const error = await classify(httpError(422, {
+        message: 'The given data was invalid.',
+        errors: { amount: ['The amount must be positive.'] },
+        request_id: 'req-2'
+      }));
+
+      expect(error.message).toBe('The given data was invalid.');
+      expect(error.requestId).toBe('req-2');
+      expect(error.validationDetails).toEqual([{ field: 'amount', message: 'The amount must be positive.' }]);
+    });
+
+    test('should turn requests without a response into network and timeout errors', async () => {
+      const refused = await classify(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED', request: {} }));
+      const timedOut = await classify(Object.assign(new Error('timeout of 5000ms exceeded'), {
+        code: 'ECONNABORTED',
+        request: {},
+        config: { timeout: 5000 }
+      }));
+
+      expect(refused).toBeInstanceOf(NetworkError);
+      expect(refused).toMatchObject({ code: 'NETWORK_ERROR', isTimeout: false, retryable: true });
+      expect(timedOut).toBeInstanceOf(NetworkError);
+      expect(timedOut).toMatchObject({ code: 'TIMEOUT_ERROR', isTimeout: true, timeout: 5000 });
+    });
+  });
+
+  describe('SDKError.wrap', () => {
+    test('should prefix SDK errors without changing their type', () => {
+      const original = new AuthenticationError('HTTP 401', { requestId: 'req-1' });
+
+      const wrapped = SDKError.wrap(original, 'Failed to get payment status');
+
+      expect(wrapped).toBeInstanceOf(AuthenticationError);
+      expect(wrapped).toMatchObject({
+        message: 'Failed to get payment status: HTTP 401',
+        code: 'AUTHENTICATION_ERROR',
+        requestId: 'req-1',
+        cause: original
+      });
+      expect(wrapped.stack.split('\n')[0]).toBe('AuthenticationError: Failed to get payment status: HTTP 401');
+      expect(original.message).toBe('HTTP 401');
+    });
+
+    test('should wrap other errors in UNKNOWN_ERROR SDK errors', () => {
+      const original = new TypeError('Cannot read properties of undefined');
+
+      const wrapped = SDKError.wrap(original, 'Failed to list payments');
+
+      expect(wrapped.constructor).toBe(SDKError);
+      expect(wrapped).toMatchObject({ code: 'UNKNOWN_ERROR', cause: original });
+    });
+  });
+
+  describe('validation', () => {
+    test('should throw ValidationErrors built from the Joi details', () => {
+      let error;
+      try {
+        validatePaymentOptions({ amount: '10.505', callbackUrl: 'https://shop.example.com/callback' });
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.validationDetails).toEqual([
+        expect.objectContaining({ field: 'amount', message: '"amount" must have at most 2 decimal places for USD' })
+      ]);
+      expect(() => validateTransactionId('')).toThrow(ValidationError);
+    });
+
+    test('should answer ValidationErrors with 400 in the integration routes', () => {
+      const error = new ValidationError('"amount" is required', [{ field: 'amount', message: '"amount" is required' }]);
+
+      expect(errorToHttpResponse(error)).toMatchObject({
+        status: 400,
+        body: { error: { code: 'VALIDATION_ERROR', validationDetails: [{ field: 'amount' }] } }
+      });
+    });
+  });
+
+  describe('public SDK methods', () => {
+    let sdk;
+
+    beforeEach(() => {
+      sdk = new TestluyPaymentSDK({ clientId: 'test-client-id', secretKey: 'test-secret-key' });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should rethrow typed request errors with context', async () => {
+      jest.spyOn(sdk, '_makeRequest').mockRejectedValue(
+        new RateLimitError('Rate limit exceeded', { retryAfter: 30 }, { requestId: 'req-3' })
+      );
+
+      const error = await sdk.getPaymentStatus('trx-1').catch(caught => caught);
+
+      expect(error).toBeInstanceOf(RateLimitError);
+      expect(error).toMatchObject({
+        message: 'Failed to get payment status: Rate limit exceeded',
+        code: 'RATE_LIMIT_EXCEEDED',
+        retryAfter: 30,
+        requestId: 'req-3'
+      });
+      expect(console.error).not.toHaveBeenCalled();
+    });
+
+    test('should throw ValidationErrors for invalid arguments before calling the API', async () => {
+      const makeRequest = jest.spyOn(sdk, '_makeRequest');
+
+      const error = await sdk.initiatePayment({ amount: -1, callbackUrl: 'https://shop.example.com/callback' })
+        .catch(caught => caught);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.message).toMatch(/^Failed to initiate payment: /);
+      expect(error.validationDetails[0].field).toBe('amount');
+      expect(makeRequest).not.toHaveBeenCalled();
+    });
+
+    test('should throw ServerErrors for incomplete responses', async () => {
+      jest.spyOn(sdk, '_makeRequest').mockResolvedValue({ transaction_id: 'trx-1' });
+
+      await expect(sdk.getPaymentStatus('trx-1')).rejects.toBeInstanceOf(ServerError);
+    });
+
+    test('should throw AuthenticationErrors for rejected credentials', async () => {
+      jest.spyOn(sdk, '_makeRequest').mockResolvedValue({ isValid: false });
+
+      await expect(sdk.validateCredentials()).rejects.toMatchObject({ code: 'AUTHENTICATION_ERROR' });
+    });
+
+    test('should sort credential validation failures by type, not by message', async () => {
+      const makeRequest = jest.spyOn(sdk, '_makeRequest')
+        .mockRejectedValueOnce(new AuthenticationError('HTTP 401: Unauthorized'))
+        .mockRejectedValueOnce(new RateLimitError('Rate limit exceeded', { retryAfter: 30 }));
+
+      const rejected = await sdk.validateCredentials().catch(caught => caught);
+      expect(rejected).toBeInstanceOf(AuthenticationError);
+      expect(rejected.message).toBe('Credentials validation failed: HTTP 401: Unauthorized');
+
+      const rateLimited = await sdk.validateCredentials().catch(caught => caught);
+      expect(rateLimited).toBeInstanceOf(RateLimitError);
+      expect(rateLimited.message).toBe('Rate limit exceeded');
+      expect(makeRequest).toHaveBeenCalledTimes(2);
+      expect(console.error).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * @fileoverview
+ * Unit tests for input validation and the options-object form of initiatePayment
+ */
+
+import { jest } from '@jest/globals';
+import {
+  validatePaymentOptions,
+  validateListPaymentsOptions,
+  validateWithSchema,
+  sdkOptionsSchema
+} from '../../validation.js';
+import { ValidationError } from '../../http/errors/index.js';
+import TestluyPaymentSDK from '../../index-enhanced.js';
+
+const catchError = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the function to throw');
+};
+
+describe('Validation', () => {
+  describe('validatePaymentOptions', () => {
+    const base = { amount: 10.5, callbackUrl: 'https://example.com/callback' };
+
+    test('should accept the full set of payment options', () => {
+      const value = validatePaymentOptions({
+        ...base,
+        currency: 'usd',
+        backUrl: 'https://example.com/cart',
+        orderId: 'order-42',
+        description: 'Two coffees',
+        customerReference: 'cust-1001',
+        metadata: { table: 7, takeaway: false, note: 'no sugar' }
+      });
+
+      expect(value.currency).toBe('USD');
+    });
+
+    test.each([
+      [{ ...base, amount: -1 }, '"amount" must be a positive number'],
+      [{ ...base, callbackUrl: 'invalid-url' }, '"callbackUrl" must be a valid URI'],
+      [{ ...base, backUrl: 'invalid-url' }, '"backUrl" must be a valid URI'],
+      [{ ...base, currency: 'EUR' }, '"currency" must be one of USD, KHR'],
+      [{ ...base, metadata: { nested: { a: 1 } } }, '"metadata" values must be strings, numbers or booleans'],
+      [{ ...base, unknown: true }, '"unknown" is not allowed']
+    ])('should reject invalid options %#', (options, message) => {
+      expect(() => validatePaymentOptions(options)).toThrow(message);
+    });
+
+    test('should report every problem, including the amount precision, in one ValidationError', () => {
+      const error = catchError(() => validatePaymentOptions({
+        amount: '10.505',
+        callbackUrl: 'invalid-url',
+        backUrl: 'invalid-url'
+      }));
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.validationDetails.map(detail => detail.field)).toEqual(['callbackUrl', 'backUrl', 'amount']);
+      expect(error.validationDetails[0]).toEqual({
+        field: 'callbackUrl',
+        message: '"callbackUrl" must be a valid URI',
+        type: 'string.uri',
+        value: 'invalid-url'
+      });
+      expect(error.message).toBe(
+        '"callbackUrl" must be a valid URI. "backUrl" must be a valid URI. "amount" must have at most 2 decimal places for USD'
+      );
+    });
+  });
+
+  describe('validateListPaymentsOptions', () => {
+    test('should report range problems together with the schema errors', () => {
+      const error = catchError(() => validateListPaymentsOptions({
+        limit: 0,
+        from: '2024-02-01',
+        to: '2024-01-01',
+        minAmount: 10,
+        maxAmount: 5
+      }));
+
+      expect(error.validationDetails.map(detail => detail.field)).toEqual(['limit', 'to', 'maxAmount']);
+    });
+  });
+
+  describe('exported schemas', () => {
+    test('should validate SDK options and mask secrets in the details', () => {
+      const error = catchError(() => validateWithSchema(sdkOptionsSchema, {
+        clientId: 42,
+        secretKey: 12345678,
+        baseUrl: 'ftp://api.example.com',
+        callbackConfig: { toleranceSeconds: -1 }
+      }));
+
+      expect(error.validationDetails).toEqual([
+        expect.objectContaining({ field: 'clientId', value: 42 }),
+        expect.objectContaining({ field: 'secretKey', message: '"secretKey" must be a string', value: '****' }),
+        expect.objectContaining({ field: 'baseUrl', message: '"baseUrl" must be an http or https URL' }),
+        expect.objectContaining({ field: 'callbackConfig.toleranceSeconds' })
+      ]);
+      expect(JSON.stringify(error)).not.toContain('12345678');
+    });
+
+    test('should reject invalid constructor options', () => {
+      const error = catchError(() => new TestluyPaymentSDK({ clientId: 'client', secretKey: 'sk_live_secret', loggingConfig: { level: 'loud' } }));
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.message).toBe('TestluyPaymentSDK: Invalid options: "loggingConfig.level" must be one of debug, info, warn, error, silent');
+      expect(() => new TestluyPaymentSDK({ clientId: 'client' })).toThrow('"secretKey" is required');
+    });
+  });
+
+  describe('TestluyPaymentSDK.initiatePayment options object', () => {
+    let sdk;
+    let makeRequest;
+
+    beforeEach(() => {
+      sdk = new TestluyPaymentSDK({ clientId: 'test-client-id', secretKey: 'test-secret-key' });
+      makeRequest = jest.spyOn(sdk, '_makeRequest').mockResolvedValue({
+        payment_url: 'https://example.com/pay/trx-1',
+        transaction_id: 'trx-1'
+      });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should forward the order fields and echo them back', async () => {
+      const result = await sdk.initiatePayment({
+        amount: 25000,
+        currency: 'KHR',
+        callbackUrl: 'https://example.com/callback',
+        orderId: 'order-42',
+        description: 'Two coffees',
+        customerReference: 'cust-1001',
+        metadata: { table: 7 }
+      });
+
+      const [method, , body] = makeRequest.mock.calls[0];
+      expect(method).toBe('POST');
+      expect(body).toEqual({
+        amount: '25000',
+        callback_url: 'https://example.com/callback',
+        currency: 'KHR',
+        order_id: 'order-42',
+        description: 'Two coffees',
+        customer_reference: 'cust-1001',
+        metadata: { table: 7 }
+      });
+      expect(result).toEqual({
+        paymentUrl: 'https://example.com/pay/trx-1',
+        transactionId: 'trx-1',
+        amount: 25000,
+        currency: 'KHR',
+        orderId: 'order-42',
+        description: 'Two coffees',
+        customerReference: 'cust-1001',
+        metadata: { table: 7 }
+      });
+    });
+
+    test('should prefer values recorded by the server', async () => {
+      makeRequest.mockResolvedValue({
+        payment_url: 'https://example.com/pay/trx-1',
+        transaction_id: 'trx-1',
+        currency: 'USD'
+      });
+
+      const result = await sdk.initiatePayment({ amount: 5, callbackUrl: 'https://example.com/callback' });
+
+      expect(result.currency).toBe('USD');
+    });
+
+    test('should keep accepting the positional form', async () => {
+      await sdk.initiatePayment(10, 'https://example.com/callback', 'https://example.com/cart', {
+        orderId: 'order-7'
+      });
+
+      expect(makeRequest.mock.calls[0][2]).toEqual({
+        amount: '10.00',
+        callback_url: 'https://example.com/callback',
+        back_url: 'https://example.com/cart',
+        order_id: 'order-7'
+      });
+    });
+
+    test('should reject an invalid options object', async () => {
+      await expect(sdk.initiatePayment({ amount: 10 }))
+        .rejects.toThrow('Failed to initiate payment: "callbackUrl" is required');
+      expect(makeRequest).not.toHaveBeenCalled();
+    });
+
+    test('should reject invalid options of the other public methods', async () => {
+      await expect(sdk.waitForPaymentCompletion('trx-1', { timeoutMs: -1, backoff: 0.5 }))
+        .rejects.toMatchObject({ validationDetails: [{ field: 'timeoutMs' }, { field: 'backoff' }] });
+      await expect(sdk.handlePaymentCallback({ transaction_id: 'trx-1' }, { toleranceSeconds: 'soon' }))
+        .rejects.toThrow(ValidationError);
+      expect(makeRequest).not.toHaveBeenCalled();
+    });
+  });
+});
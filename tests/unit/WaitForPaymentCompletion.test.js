@@ -0,0 +1,108 @@
+/**
+ * @fileoverview
+ * Unit tests for waitForPaymentCompletion polling
+ */
+
+import { jest } from '@jest/globals';
+import { PaymentTimeoutError } from '../../http/errors/index.js';
+import TestluyPaymentSDK from '../../index-enhanced.js';
+
+describe('TestluyPaymentSDK.waitForPaymentCompletion', () => {
+  let sdk;
+  let makeRequest;
+
+  const status = value => ({ transaction_id: 'trx-1', status: value });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(Math, 'random').mockReturnValue(0.5); // no jitter
+    sdk = new TestluyPaymentSDK({ clientId: 'test-client-id', secretKey: 'test-secret-key' });
+    makeRequest = jest.spyOn(sdk, '_makeRequest');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('should poll with exponential backoff until the status is terminal', async () => {
+    makeRequest
+      .mockResolvedValueOnce(status('Initiated'))
+      .mockResolvedValueOnce(status('Pending'))
+      .mockResolvedValueOnce(status('Pending'))
+      .mockResolvedValueOnce(status('Success'));
+    const onUpdate = jest.fn();
+
+    const promise = sdk.waitForPaymentCompletion('trx-1', { intervalMs: 1000, onUpdate });
+
+    await jest.advanceTimersByTimeAsync(0);
+    expect(makeRequest).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(makeRequest).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(makeRequest).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(makeRequest).toHaveBeenCalledTimes(3);
+    await jest.advanceTimersByTimeAsync(4000);
+
+    await expect(promise).resolves.toEqual(status('Success'));
+    expect(makeRequest).toHaveBeenCalledTimes(4);
+    expect(onUpdate.mock.calls.map(([details]) => details.status))
+      .toEqual(['Initiated', 'Pending', 'Success']);
+  });
+
+  test('should reject with the last seen status on timeout', async () => {
+    makeRequest.mockResolvedValue(status('Pending'));
+
+    const promise = sdk.waitForPaymentCompletion('trx-1', { timeoutMs: 5000, intervalMs: 1000, backoff: false });
+    const assertion = expect(promise).rejects.toBeInstanceOf(PaymentTimeoutError);
+    await jest.advanceTimersByTimeAsync(5000);
+    await assertion;
+
+    const error = await promise.catch(e => e);
+    expect(error).toMatchObject({
+      code: 'PAYMENT_TIMEOUT',
+      transactionId: 'trx-1',
+      lastStatus: status('Pending'),
+      attempts: 6
+    });
+  });
+
+  test('should stop as soon as the signal is aborted', async () => {
+    makeRequest.mockResolvedValue(status('Pending'));
+    const controller = new AbortController();
+
+    const promise = sdk.waitForPaymentCompletion('trx-1', { signal: controller.signal });
+    const assertion = expect(promise).rejects.toMatchObject({ name: 'AbortError' });
+    await jest.advanceTimersByTimeAsync(0);
+    controller.abort();
+    await assertion;
+
+    expect(makeRequest).toHaveBeenCalledTimes(1);
+  });
+
+  test('should wait for the rate limit reset before polling again', async () => {
+    const rateLimitError = new Error('Rate limit exceeded.');
+    rateLimitError.isRateLimitError = true;
+    rateLimitError.resetTimestamp = new Date(Date.now() + 10000).toISOString();
+    makeRequest
+      .mockRejectedValueOnce(rateLimitError)
+      .mockResolvedValueOnce(status('Failed'));
+
+    const promise = sdk.waitForPaymentCompletion('trx-1', { intervalMs: 1000 });
+
+    await jest.advanceTimersByTimeAsync(9999);
+    expect(makeRequest).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+
+    await expect(promise).resolves.toEqual(status('Failed'));
+  });
+
+  test('should wrap other failures', async () => {
+    makeRequest.mockRejectedValue(new Error('API request failed: Not found'));
+
+    await expect(sdk.waitForPaymentCompletion('trx-1'))
+      .rejects.toThrow('Failed to wait for payment completion: API request failed: Not found');
+  });
+});
@@ -1,39 +1,493 @@
+/**
+ * @fileoverview
+ * Joi schemas and validation functions for the SDK's arguments.
+ *
+ * The schemas are exported so applications can check forms before calling the SDK. The
+ * `validate*` functions report every problem at once: they throw a single ValidationError
+ * whose `validationDetails` holds one `{ field, message, type, value }` entry per problem,
+ * with the values of secret fields masked.
+ */
+
 import Joi from 'joi';
+import Money, { CURRENCY_RULES, DEFAULT_CURRENCY } from './money.js';
+import { ValidationError } from './http/errors/index.js';
+import { SignatureVersion } from './http/utils/RequestSignature.js';
+import { ClientTokenAction, MAX_CLIENT_TOKEN_TTL_SECONDS } from './http/utils/ClientToken.js';
+import { SecretGuardMode } from './http/utils/SecretGuard.js';
+import { RateLimitOverflow } from './http/RateLimiter.js';
+
+// Report every invalid field, not only the first one
+const VALIDATION_OPTIONS = { abortEarly: false };
+
+export const amountSchema = Joi.number().positive().required().messages({
+  'number.base': '"amount" must be a number',
+  'number.positive': '"amount" must be a positive number',
+  'any.required': '"amount" is required'
+});
 
-const amountSchema = Joi.number().positive().required().messages({
+// Amounts of payments and refunds may also be decimal strings or Money instances; all must be above zero
+export const moneyAmountSchema = Joi.alternatives().try(
+  Joi.number().positive(),
+  Joi.string().pattern(/^(?=.*[1-9])\d+(\.\d+)?$/),
+  Joi.object().instance(Money).custom((value, helpers) => (
+    value.isPositive() ? value : helpers.error('number.positive')
+  ))
+).required().messages({
   'number.base': '"amount" must be a number',
   'number.positive': '"amount" must be a positive number',
+  'string.pattern.base': '"amount" must be a positive decimal string',
+  'alternatives.match': '"amount" must be a positive decimal string',
+  'object.instance': '"amount" must be a Money instance',
+  'alternatives.types': '"amount" must be a number, a decimal string or a Money instance',
   'any.required': '"amount" is required'
 });
 
-const callbackUrlSchema = Joi.string().uri().required().messages({
+export const callbackUrlSchema = Joi.string().uri().required().messages({
   'string.base': '"callbackUrl" must be a string',
   'string.uri': '"callbackUrl" must be a valid URI',
   'any.required': '"callbackUrl" is required'
 });
 
-const transactionIdSchema = Joi.string().required().messages({
+/**
+ * Currencies accepted by the TestLuy payment simulator
+ */
+export const SUPPORTED_CURRENCIES = Object.keys(CURRENCY_RULES);
+
+export const currencySchema = Joi.string().uppercase().valid(...SUPPORTED_CURRENCIES).messages({
+  'string.base': '"currency" must be a string',
+  'any.only': `"currency" must be one of ${SUPPORTED_CURRENCIES.join(', ')}`
+});
+
+export const backUrlSchema = Joi.string().uri().messages({
+  'string.base': '"backUrl" must be a string',
+  'string.uri': '"backUrl" must be a valid URI'
+});
+
+export const metadataSchema = Joi.object()
+  .pattern(
+    Joi.string().max(40),
+    Joi.alternatives().try(Joi.string().max(500), Joi.number(), Joi.boolean())
+  )
+  .max(50)
+  .messages({
+    'object.base': '"metadata" must be an object',
+    'object.max': '"metadata" must have at most 50 keys',
+    'alternatives.types': '"metadata" values must be strings, numbers or booleans'
+  });
+
+/**
+ * Statuses a payment transaction can be in
+ */
+export const PAYMENT_STATUSES = [
+  'Initiated',
+  'Pending',
+  'Success',
+  'Failed',
+  'PartiallyRefunded',
+  'Refunded',
+  'Cancelled'
+];
+
+export const transactionIdSchema = Joi.string().required().messages({
   'string.base': '"transactionId" must be a string',
   'any.required': '"transactionId" is required'
 });
 
-export const validateAmount = (amount) => {
-  const { error } = amountSchema.validate(amount);
+export const idempotencyKeySchema = Joi.string().min(1).max(255).required().messages({
+  'string.base': '"idempotencyKey" must be a string',
+  'string.empty': '"idempotencyKey" must not be empty',
+  'string.max': '"idempotencyKey" must be at most 255 characters',
+  'any.required': '"idempotencyKey" is required'
+});
+
+export const paymentOptionsSchema = Joi.object({
+  amount: moneyAmountSchema,
+  currency: currencySchema,
+  callbackUrl: callbackUrlSchema,
+  backUrl: backUrlSchema,
+  orderId: Joi.string().max(255),
+  description: Joi.string().max(1000),
+  customerReference: Joi.string().max(255),
+  metadata: metadataSchema,
+  idempotencyKey: idempotencyKeySchema.optional()
+}).required().messages({
+  'object.base': 'Payment options must be an object'
+});
+
+export const reasonSchema = Joi.string().max(500).messages({
+  'string.base': '"reason" must be a string',
+  'string.max': '"reason" must be at most 500 characters'
+});
+
+export const refundOptionsSchema = Joi.object({
+  amount: moneyAmountSchema.optional(),
+  reason: reasonSchema,
+  idempotencyKey: idempotencyKeySchema.optional()
+}).messages({
+  'object.base': 'Refund options must be an object'
+});
+
+export const listPaymentsOptionsSchema = Joi.object({
+  status: Joi.string().valid(...PAYMENT_STATUSES).messages({
+    'string.base': '"status" must be a string',
+    'any.only': `"status" must be one of ${PAYMENT_STATUSES.join(', ')}`
+  }),
+  from: Joi.date().messages({
+    'date.base': '"from" must be a valid date'
+  }),
+  to: Joi.date().messages({
+    'date.base': '"to" must be a valid date'
+  }),
+  minAmount: Joi.number().min(0).messages({
+    'number.base': '"minAmount" must be a number',
+    'number.min': '"minAmount" must not be negative'
+  }),
+  maxAmount: Joi.number().min(0).messages({
+    'number.base': '"maxAmount" must be a number',
+    'number.min': '"maxAmount" must not be negative'
+  }),
+  limit: Joi.number().integer().min(1).max(100).messages({
+    'number.base': '"limit" must be a number',
+    'number.integer': '"limit" must be an integer',
+    'number.min': '"limit" must be between 1 and 100',
+    'number.max': '"limit" must be between 1 and 100'
+  }),
+  cursor: Joi.string().min(1).messages({
+    'string.base': '"cursor" must be a string',
+    'string.empty': '"cursor" must not be empty'
+  })
+}).messages({
+  'object.base': 'Payment filters must be an object'
+});
+
+export const refundIdSchema = Joi.string().required().messages({
+  'string.base': '"refundId" must be a string',
+  'any.required': '"refundId" is required'
+});
+
+const logLevels = ['debug', 'info', 'warn', 'error', 'silent'];
+
+export const signerSchema = Joi.object({
+  sign: Joi.function().required()
+}).unknown(true).messages({
+  'object.base': '"signer" must be an object with a sign(stringToSign) method',
+  'any.required': '"signer" must be an object with a sign(stringToSign) method'
+});
+
+// Credentials given to rotateCredentials or returned by a credentialsProvider; the client ID
+// defaults to the current one
+export const credentialsSchema = Joi.object({
+  clientId: Joi.string().messages({
+    'string.base': '"clientId" must be a string',
+    'string.empty': '"clientId" must not be empty'
+  }),
+  secretKey: Joi.string().messages({
+    'string.base': '"secretKey" must be a string',
+    'string.empty': '"secretKey" must not be empty'
+  }),
+  signer: signerSchema
+}).xor('secretKey', 'signer').required().messages({
+  'object.base': 'Credentials must be an object',
+  'any.required': 'Credentials must be an object',
+  'object.missing': 'Credentials need a "secretKey" or a "signer"',
+  'object.xor': 'Credentials need a "secretKey" or a "signer", not both'
+});
+
+// Only the options the SDK reads are checked; other keys are passed through
+export const sdkOptionsSchema = Joi.object({
+  clientId: Joi.string().required()
+    .when('credentialsProvider', { is: Joi.exist(), then: Joi.optional() })
+    .messages({
+      'string.base': '"clientId" must be a string',
+      'string.empty': '"clientId" is required',
+      'any.required': '"clientId" is required unless a "credentialsProvider" is given'
+    }),
+  secretKey: Joi.string().required()
+    .when('signer', { is: Joi.exist(), then: Joi.optional() })
+    .when('credentialsProvider', { is: Joi.exist(), then: Joi.optional() })
+    .messages({
+      'string.base': '"secretKey" must be a string',
+      'string.empty': '"secretKey" is required',
+      'any.required': '"secretKey" is required unless a "signer" or "credentialsProvider" is given'
+    }),
+  signer: signerSchema,
+  credentialsProvider: Joi.function().messages({
+    'object.base': '"credentialsProvider" must be a function'
+  }),
+  credentialsRefreshIntervalMs: Joi.number().integer().min(0).messages({
+    'number.base': '"credentialsRefreshIntervalMs" must be a number',
+    'number.integer': '"credentialsRefreshIntervalMs" must be a whole number of milliseconds',
+    'number.min': '"credentialsRefreshIntervalMs" must not be negative'
+  }),
+  secretKeyGuard: Joi.string().valid(...Object.values(SecretGuardMode)).messages({
+    'string.base': '"secretKeyGuard" must be a string',
+    'any.only': `"secretKeyGuard" must be one of ${Object.values(SecretGuardMode).join(', ')}`
+  }),
+  baseUrl: Joi.string().uri({ scheme: ['http', 'https'] }).messages({
+    'string.base': '"baseUrl" must be a string',
+    'string.uriCustomScheme': '"baseUrl" must be an http or https URL',
+    'string.uri': '"baseUrl" must be an http or https URL'
+  }),
+  bypassUrl: Joi.string().uri({ scheme: ['http', 'https'] }).messages({
+    'string.base': '"bypassUrl" must be a string',
+    'string.uriCustomScheme': '"bypassUrl" must be an http or https URL',
+    'string.uri': '"bypassUrl" must be an http or https URL'
+  }),
+  enableSmartRouting: Joi.boolean(),
+  signatureVersion: Joi.string().valid(...Object.values(SignatureVersion)).messages({
+    'any.only': `"signatureVersion" must be one of ${Object.values(SignatureVersion).join(', ')}`
+  }),
+  retryConfig: Joi.object({
+    maxRetries: Joi.number().integer().min(0),
+    baseDelay: Joi.number().min(0),
+    maxDelay: Joi.number().min(0),
+    backoffFactor: Joi.number().min(1),
+    jitterFactor: Joi.number().min(0).max(1)
+  }).unknown(true),
+  cloudflareConfig: Joi.object({
+    enabled: Joi.boolean(),
+    rotateUserAgent: Joi.boolean(),
+    addBrowserHeaders: Joi.boolean(),
+    addTimingVariation: Joi.boolean()
+  }).unknown(true),
+  loggingConfig: Joi.object({
+    level: Joi.string().valid(...logLevels).messages({
+      'any.only': `"loggingConfig.level" must be one of ${logLevels.join(', ')}`
+    }),
+    includeHeaders: Joi.boolean(),
+    includeBody: Joi.boolean(),
+    maskSensitive: Joi.boolean(),
+    transport: Joi.function()
+  }).unknown(true),
+  callbackConfig: Joi.object({
+    verifySignature: Joi.boolean(),
+    toleranceSeconds: Joi.number().positive(),
+    fetchStatus: Joi.boolean()
+  }),
+  idempotencyConfig: Joi.object({
+    autoGenerate: Joi.boolean(),
+    ttlMs: Joi.number().integer().min(0),
+    maxEntries: Joi.number().integer().min(1)
+  }),
+  rateLimitConfig: Joi.object({
+    enabled: Joi.boolean(),
+    overflow: Joi.string().valid(...Object.values(RateLimitOverflow)).messages({
+      'any.only': `"rateLimitConfig.overflow" must be one of ${Object.values(RateLimitOverflow).join(', ')}`
+    }),
+    maxQueueSize: Joi.number().integer().min(0),
+    limit: Joi.number().integer().min(1),
+    windowSeconds: Joi.number().positive()
+  }),
+  cassette: Joi.object(),
+  profile: Joi.string().messages({
+    'string.base': '"profile" must be a string',
+    'string.empty': '"profile" must not be empty'
+  }),
+  configFile: Joi.alternatives().try(Joi.string(), Joi.valid(false)).messages({
+    'alternatives.match': '"configFile" must be a path or false'
+  })
+}).unknown(true).required().messages({
+  'object.base': 'SDK options must be an object'
+});
+
+// One layer of the SDK configuration (constructor options, environment variables, config file
+// or profile); the credentials may come from another layer
+export const configLayerSchema = sdkOptionsSchema.fork(['clientId', 'secretKey'], schema => schema.optional());
+
+export const waitForPaymentOptionsSchema = Joi.object({
+  timeoutMs: Joi.number().positive().messages({
+    'number.base': '"timeoutMs" must be a number',
+    'number.positive': '"timeoutMs" must be a positive number'
+  }),
+  intervalMs: Joi.number().positive().messages({
+    'number.base': '"intervalMs" must be a number',
+    'number.positive': '"intervalMs" must be a positive number'
+  }),
+  maxIntervalMs: Joi.number().positive().messages({
+    'number.base': '"maxIntervalMs" must be a number',
+    'number.positive': '"maxIntervalMs" must be a positive number'
+  }),
+  backoff: Joi.alternatives().try(Joi.boolean(), Joi.number().min(1)).messages({
+    'alternatives.match': '"backoff" must be a boolean or a factor of at least 1'
+  }),
+  signal: Joi.object(),
+  onUpdate: Joi.function()
+}).messages({
+  'object.base': 'Wait options must be an object'
+});
+
+export const callbackOptionsSchema = Joi.object({
+  verifySignature: Joi.boolean(),
+  toleranceSeconds: Joi.number().positive().messages({
+    'number.base': '"toleranceSeconds" must be a number',
+    'number.positive': '"toleranceSeconds" must be a positive number'
+  }),
+  fetchStatus: Joi.boolean()
+}).messages({
+  'object.base': 'Callback options must be an object'
+});
+
+const clientTokenActions = Object.values(ClientTokenAction);
+
+export const clientTokenOptionsSchema = Joi.object({
+  actions: Joi.array().items(Joi.string().valid(...clientTokenActions)).min(1).unique().messages({
+    'array.base': '"actions" must be an array',
+    'array.min': '"actions" must allow at least one action',
+    'array.unique': '"actions" must not repeat an action',
+    'any.only': `"actions" may only contain ${clientTokenActions.join(', ')}`
+  }),
+  maxAmount: moneyAmountSchema.optional().messages({
+    'number.base': '"maxAmount" must be a number',
+    'number.positive': '"maxAmount" must be a positive number',
+    'string.pattern.base': '"maxAmount" must be a positive decimal string',
+    'alternatives.match': '"maxAmount" must be a positive decimal string',
+    'object.instance': '"maxAmount" must be a Money instance',
+    'alternatives.types': '"maxAmount" must be a number, a decimal string or a Money instance'
+  }),
+  currency: currencySchema,
+  ttlSeconds: Joi.number().integer().min(1).max(MAX_CLIENT_TOKEN_TTL_SECONDS).messages({
+    'number.base': '"ttlSeconds" must be a number',
+    'number.integer': '"ttlSeconds" must be a whole number of seconds',
+    'number.min': '"ttlSeconds" must be at least 1',
+    'number.max': `"ttlSeconds" must be at most ${MAX_CLIENT_TOKEN_TTL_SECONDS}`
+  })
+}).messages({
+  'object.base': 'Client token options must be an object'
+});
+
+/**
+ * Validates a value against one of the schemas above (or any Joi schema) and returns the
+ * converted value, e.g. to check a checkout form before calling the SDK.
+ *
+ * @param {Joi.Schema} schema - Schema to validate against
+ * @param {*} value - Value to validate
+ * @returns {*} The validated value
+ * @throws {ValidationError} With one validation detail per problem
+ */
+export const validateWithSchema = (schema, value) => {
+  const { error, value: validated } = schema.validate(value, VALIDATION_OPTIONS);
   if (error) {
-    throw new Error(error.details[0].message);
+    throw ValidationError.fromJoi(error);
   }
+  return validated;
 };
 
-export const validateCallbackUrl = (callbackUrl) => {
-  const { error } = callbackUrlSchema.validate(callbackUrl);
-  if (error) {
-    throw new Error(error.details[0].message);
+// Money reports invalid amounts with plain errors; turn them into details like the schema errors
+const moneyDetail = (error, amount) => ({ field: 'amount', message: error.message, type: 'amount.money', value: amount });
+
+const toMoney = (createMoney, amount) => {
+  try {
+    return createMoney();
+  } catch (error) {
+    throw new ValidationError(error.message, [moneyDetail(error, amount)], {}, error);
   }
 };
 
+export const validateAmount = (amount, currency = DEFAULT_CURRENCY) => {
+  validateWithSchema(amountSchema, amount);
+  // Rejects amounts with more decimals than the currency allows (e.g. 10.005 USD)
+  toMoney(() => Money.of(amount, currency), amount);
+};
+
+/**
+ * Converts an already schema-checked amount (number, decimal string or Money) to Money in the given currency.
+ */
+export const validateMoneyAmount = (amount, currency = DEFAULT_CURRENCY) =>
+  toMoney(() => Money.of(amount, currency), amount);
+
+export const validateCallbackUrl = (callbackUrl) => {
+  validateWithSchema(callbackUrlSchema, callbackUrl);
+};
+
 export const validateTransactionId = (transactionId) => {
-    const { error } = transactionIdSchema.validate(transactionId);
-    if (error) {
-      throw new Error(error.details[0].message);
+  validateWithSchema(transactionIdSchema, transactionId);
+};
+
+export const validateIdempotencyKey = (idempotencyKey) => {
+  validateWithSchema(idempotencyKeySchema, idempotencyKey);
+};
+
+/**
+ * Validates the options object of `initiatePayment` and returns the normalized value
+ * (e.g. the currency upper-cased and the amount as a Money instance within the currency limits).
+ * A Money amount supplies the currency when none is given.
+ * Problems with the amount's precision or limits are reported together with the schema errors.
+ */
+export const validatePaymentOptions = (options) => {
+  const { error, value } = paymentOptionsSchema.validate(options, VALIDATION_OPTIONS);
+  const validationDetails = error ? ValidationError.fromJoi(error).validationDetails : [];
+  if (!value || typeof value !== 'object') {
+    throw ValidationError.fromJoi(error);
+  }
+
+  const currency = value.currency || (Money.isMoney(value.amount) ? value.amount.currency : undefined);
+  let amount;
+  if (!validationDetails.some(detail => detail.field === 'amount' || detail.field === 'currency')) {
+    try {
+      amount = Money.of(value.amount, currency || DEFAULT_CURRENCY).assertWithinLimits();
+    } catch (moneyError) {
+      validationDetails.push(moneyDetail(moneyError, value.amount));
     }
-  };
\ No newline at end of file
+  }
+
+  if (validationDetails.length > 0) {
+    throw new ValidationError(validationDetails.map(detail => detail.message).join('. '), validationDetails);
+  }
+
+  return {
+    ...value,
+    amount,
+    ...(currency && { currency })
+  };
+};
+
+export const validateRefundOptions = (options) => validateWithSchema(refundOptionsSchema, options);
+
+export const validateRefundId = (refundId) => {
+  validateWithSchema(refundIdSchema, refundId);
+};
+
+export const validateCancelReason = (reason) => {
+  validateWithSchema(reasonSchema, reason);
+};
+
+export const validateListPaymentsOptions = (filters) => {
+  const { error, value } = listPaymentsOptionsSchema.validate(filters, VALIDATION_OPTIONS);
+  const validationDetails = error ? ValidationError.fromJoi(error).validationDetails : [];
+  if (!value || typeof value !== 'object') {
+    throw ValidationError.fromJoi(error);
+  }
+
+  if (value.from instanceof Date && value.to instanceof Date && value.to < value.from) {
+    validationDetails.push({ field: 'to', message: '"to" must not be before "from"', value: value.to });
+  }
+  if (
+    typeof value.minAmount === 'number' &&
+    typeof value.maxAmount === 'number' &&
+    value.maxAmount < value.minAmount
+  ) {
+    validationDetails.push({
+      field: 'maxAmount',
+      message: '"maxAmount" must not be less than "minAmount"',
+      value: value.maxAmount
+    });
+  }
+
+  if (validationDetails.length > 0) {
+    throw new ValidationError(validationDetails.map(detail => detail.message).join('. '), validationDetails);
+  }
+  return value;
+};
+
+/**
+ * Validates the options of the SDK constructor; credentials are required.
+ */
+export const validateSdkOptions = (options) => validateWithSchema(sdkOptionsSchema, options);
+
+export const validateRotatedCredentials = (credentials) => validateWithSchema(credentialsSchema, credentials);
+
+export const validateWaitForPaymentOptions = (options) => validateWithSchema(waitForPaymentOptionsSchema, options);
+
+export const validateCallbackOptions = (options) => validateWithSchema(callbackOptionsSchema, options);
+
+export const validateClientTokenOptions = (options) => validateWithSchema(clientTokenOptionsSchema, options);